@@ -19,6 +19,9 @@ const App = (() => {
     let recordingTimerInterval = null;
     let videoRenderInterval = null;
     let recordingTimeoutId = null; // For auto-stop at max duration
+    let recordingWatermark = null; // { embedder, payload } for the recording in progress
+    let isStartingRecording = false; // Waiting for the recording's signed payload
+    let isWatermarkingPhoto = false; // The preview canvas is not marked yet
     const MAX_RECORDING_DURATION = 30; // Maximum recording duration in seconds
 
     // User-configurable settings
@@ -43,7 +46,11 @@ const App = (() => {
         initCamera();
 
         // Lazy load robust watermark in background after page is interactive
-        setTimeout(loadRobustWatermark, 1000);
+        // (photos and recordings are marked in the worker; this is its fallback)
+        setTimeout(() => {
+            WatermarkClient.start();
+            loadRobustWatermark();
+        }, 1000);
     }
 
     function loadRobustWatermark() {
@@ -90,6 +97,7 @@ const App = (() => {
         elements.returnVideoBtn = document.getElementById('returnVideoBtn');
         elements.saveVideoBtn = document.getElementById('saveVideoBtn');
         elements.uploadLoading = document.getElementById('uploadLoading');
+        elements.uploadLoadingText = document.getElementById('uploadLoadingText');
         elements.photoPreviewContainer = document.getElementById('photoPreviewContainer');
     }
 
@@ -107,6 +115,12 @@ const App = (() => {
             copyLinkBtn.addEventListener('click', copyShareLink);
         }
 
+        // Delete buttons (use the delete token returned by the upload)
+        const deletePhotoBtn = document.getElementById('deletePhotoBtn');
+        if (deletePhotoBtn) {
+            deletePhotoBtn.addEventListener('click', () => deleteUpload(elements.previewImage));
+        }
+
         // Mode toggle
         elements.photoModeBtn.addEventListener('click', () => setMode('photo'));
         elements.videoModeBtn.addEventListener('click', () => setMode('video'));
@@ -120,6 +134,11 @@ const App = (() => {
             copyVideoLinkBtn.addEventListener('click', copyVideoShareLink);
         }
 
+        const deleteVideoBtn = document.getElementById('deleteVideoBtn');
+        if (deleteVideoBtn) {
+            deleteVideoBtn.addEventListener('click', () => deleteUpload(elements.videoPreview));
+        }
+
         // Close modal on overlay click
         elements.settingsModal.addEventListener('click', (e) => {
             if (e.target === elements.settingsModal) closeSettings();
@@ -161,7 +180,7 @@ const App = (() => {
 
     function handleCapture() {
         if (currentMode === 'photo') {
-            capturePhoto();
+            if (!isWatermarkingPhoto) capturePhoto();
         } else {
             if (isRecording) {
                 stopRecording();
@@ -457,30 +476,52 @@ const App = (() => {
     }
 
     // Video Recording Functions
-    function startRecording() {
+    async function startRecording() {
         if (!currentStream) {
             showToast('Camera not ready', 'error');
             return;
         }
+        if (isStartingRecording) return;
 
         try {
             const video = elements.cameraFeed;
             const canvas = elements.videoRecordCanvas;
-            const ctx = canvas.getContext('2d');
+            const ctx = canvas.getContext('2d', { willReadFrequently: true });
 
             // Set canvas size to match video
             canvas.width = video.videoWidth;
             canvas.height = video.videoHeight;
 
+            isStartingRecording = true;
+            try {
+                recordingWatermark = await prepareVideoWatermark(canvas.width, canvas.height);
+            } finally {
+                isStartingRecording = false;
+            }
+
+            // With the invisible watermark, frames are drawn off-screen and
+            // reach the recorded canvas only once the worker has marked them
+            const scratch = recordingWatermark ? document.createElement('canvas') : canvas;
+            scratch.width = canvas.width;
+            scratch.height = canvas.height;
+            const scratchCtx = scratch === canvas ? ctx : scratch.getContext('2d', { willReadFrequently: true });
+            let frameInWorker = false;
+
             // Start rendering video frames with watermark to canvas
             function renderFrame() {
                 if (!isRecording) return;
+                videoRenderInterval = requestAnimationFrame(renderFrame);
+
+                // Robust invisible watermark on every recorded frame: camera
+                // frames arriving while one is being marked are skipped, so
+                // the frame rate drops to what the worker can mark in time
+                if (frameInWorker) return;
 
                 // Draw video frame
-                ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+                scratchCtx.drawImage(video, 0, 0, canvas.width, canvas.height);
 
                 // Apply watermark
-                Watermark.applyVisible(ctx, canvas.width, canvas.height, {
+                Watermark.applyVisible(scratchCtx, canvas.width, canvas.height, {
                     text: settings.visibleText,
                     position: settings.position,
                     opacity: settings.opacity,
@@ -489,7 +530,21 @@ const App = (() => {
                     customText: settings.customText
                 });
 
-                videoRenderInterval = requestAnimationFrame(renderFrame);
+                if (!recordingWatermark) return;
+                const { embedder } = recordingWatermark;
+                frameInWorker = true;
+                embedder.embed(scratchCtx.getImageData(0, 0, canvas.width, canvas.height))
+                    .then(marked => {
+                        if (isRecording) ctx.putImageData(marked, 0, 0);
+                    })
+                    .catch(error => {
+                        // Record the frame unmarked rather than freeze the video
+                        console.warn('Could not watermark video frame:', error);
+                        if (isRecording) ctx.drawImage(scratch, 0, 0);
+                    })
+                    .finally(() => {
+                        frameInWorker = false;
+                    });
             }
 
             // Get canvas stream at 30 FPS
@@ -572,6 +627,24 @@ const App = (() => {
         }
     }
 
+    // Frame embedder (in the watermark worker) and payload for a new
+    // recording; null when neither the worker nor the main-thread robust
+    // watermark is available, or the frame is too small to carry it
+    async function prepareVideoWatermark(width, height) {
+        const invisible = await buildInvisibleData();
+        try {
+            const embedder = await WatermarkClient.createFrameEmbedder(width, height, invisible.message, {
+                key: invisible.key,
+                keyId: invisible.keyId
+            });
+            console.log(`Video watermark ready: ${embedder.bitsEmbedded} bits per frame`);
+            return { embedder, payload: invisible.message };
+        } catch (error) {
+            console.warn('Video watermark setup failed, recording without it:', error);
+            return null;
+        }
+    }
+
     function stopRecording() {
         if (mediaRecorder && isRecording) {
             isRecording = false;
@@ -588,6 +661,11 @@ const App = (() => {
                 videoRenderInterval = null;
             }
 
+            // The payload stays for the upload; the worker's embedder goes
+            if (recordingWatermark) {
+                recordingWatermark.embedder.close();
+            }
+
             mediaRecorder.stop();
 
             // Update UI
@@ -635,10 +713,15 @@ const App = (() => {
             videoLoading.classList.remove('hidden');
         }
 
-        // Upload video to server
+        // Upload video to server (drop the previous upload's delete token first)
+        delete elements.videoPreview.dataset.deleteUrl;
+        delete elements.videoPreview.dataset.deleteToken;
         try {
             const ext = recordedMimeType.includes('mp4') ? '.mp4' : '.webm';
             const formData = new FormData();
+            if (recordingWatermark) {
+                formData.append('payload', Payload.toBase64(recordingWatermark.payload));
+            }
             formData.append('video', blob, `video${ext}`);
 
             console.log('Uploading video:', { size: blob.size, type: blob.type, ext });
@@ -660,6 +743,8 @@ const App = (() => {
             if (data.success) {
                 const sharePageUrl = data.data.fullUrl.trim();
                 elements.videoPreview.dataset.shareUrl = sharePageUrl;
+                elements.videoPreview.dataset.deleteUrl = `/api/video/${encodeURIComponent(data.data.filename)}`;
+                elements.videoPreview.dataset.deleteToken = data.data.deleteToken;
 
                 // Update the video link wrapper if it exists
                 const videoLink = document.getElementById('videoPreviewLink');
@@ -717,7 +802,7 @@ const App = (() => {
         applyWatermarks();
     }
 
-    function applyWatermarks() {
+    async function applyWatermarks() {
         const sourceCanvas = elements.captureCanvas;
         const previewCanvas = elements.previewCanvas;
 
@@ -738,62 +823,105 @@ const App = (() => {
             cameraName: currentCameraLabel
         });
 
-        // Apply robust invisible watermark (DCT-based, survives compression/resizing)
-        const invisibleData = buildInvisibleData();
-        if (invisibleData) {
+        isWatermarkingPhoto = true;
+        openPhotoPreview('Watermarking...');
+
+        // Apply robust invisible watermark (DCT-based, survives compression/resizing);
+        // the worker keeps the page responsive while it runs
+        const invisible = await buildInvisibleData();
+        let embeddedPayload = null;
+        if (invisible) {
+            const invisibleData = invisible.message;
             const imageData = ctx.getImageData(0, 0, previewCanvas.width, previewCanvas.height);
             try {
-                // Use RobustWatermark if loaded, otherwise fall back to LSB
-                if (typeof RobustWatermark !== 'undefined') {
-                    const result = RobustWatermark.encode(imageData, invisibleData);
-                    ctx.putImageData(result.imageData, 0, 0);
-                    console.log(`Robust watermark embedded: ${result.bitsEmbedded} bits with redundancy`);
-                } else {
-                    // RobustWatermark not loaded yet, use LSB
-                    console.log('RobustWatermark not loaded, using LSB steganography');
-                    const encodedData = Steganography.encode(imageData, invisibleData);
-                    ctx.putImageData(encodedData, 0, 0);
+                const result = await WatermarkClient.encode(imageData, invisibleData, {
+                    key: invisible.key,
+                    keyId: invisible.keyId,
+                    onProgress: (done, total) => {
+                        setPreviewLoadingText(`Watermarking... ${Math.round(done / total * 100)}%`);
+                    }
+                });
+                console.log(`Robust watermark embedded: ${result.bitsEmbedded} bits with redundancy`);
+                embeddedPayload = invisibleData;
+
+                // Seal last so it covers the robust watermark; the upload is a
+                // PNG, and the server attests the seal's digest when it arrives
+                let marked = result.imageData;
+                try {
+                    setPreviewLoadingText('Sealing...');
+                    marked = await WatermarkClient.seal(marked, {
+                        key: invisible.key,
+                        id: Payload.decode(invisibleData).mediaId
+                    });
+                } catch (sealError) {
+                    console.warn('Could not seal the photo:', sealError);
                 }
+                ctx.putImageData(marked, 0, 0);
             } catch (error) {
-                console.warn('Watermark encoding failed, falling back to LSB:', error);
+                console.warn('Robust watermark unavailable, falling back to LSB:', error);
                 // Fallback to basic steganography if robust fails
                 try {
-                    const encodedData = Steganography.encode(imageData, invisibleData);
+                    const encodedData = Steganography.encode(imageData, invisibleData, { key: invisible.key });
                     ctx.putImageData(encodedData, 0, 0);
+                    embeddedPayload = invisibleData;
                 } catch (fallbackError) {
                     console.warn('All watermarking methods failed:', fallbackError);
                 }
             }
         }
 
-        showPhotoPreview();
+        isWatermarkingPhoto = false;
+        uploadPhoto(embeddedPayload);
     }
 
-    function buildInvisibleData() {
-        const parts = [];
-
-        if (settings.includeTimestamp) {
-            parts.push(`Time: ${new Date().toISOString()}`);
+    // Signed payload and the deployment's current watermark key from the server;
+    // falls back to an unsigned payload under the default key when offline
+    async function buildInvisibleData() {
+        try {
+            return await requestSignedPayload();
+        } catch (err) {
+            console.warn('Could not get signed payload, embedding unsigned data:', err);
+            return { message: buildUnsignedData(), key: null, keyId: 0 };
         }
+    }
 
-        if (settings.customText) {
-            parts.push(`Custom: ${settings.customText}`);
-        }
+    async function requestSignedPayload() {
+        const device = `${navigator.userAgent}|${currentCameraLabel || ''}`;
 
-        if (settings.includeUserAgent) {
-            parts.push(`UA: ${navigator.userAgent}`);
-        }
+        const response = await fetch('/api/sign', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ deviceHash: Payload.hashDevice(device) })
+        });
 
-        // Always include camera name if available
-        if (currentCameraLabel) {
-            parts.push(`Camera: ${currentCameraLabel}`);
+        const data = await response.json();
+        if (!data.success) {
+            throw new Error(data.error || 'Signing failed');
         }
+        return {
+            message: Payload.fromBase64(data.data.payload),
+            key: data.data.watermarkKey,
+            keyId: data.data.keyId
+        };
+    }
 
-        return parts.length > 0 ? parts.join(' | ') : null;
+    function buildUnsignedData() {
+        const device = [
+            settings.includeUserAgent ? navigator.userAgent : '',
+            currentCameraLabel || ''
+        ].join('|');
+
+        return Payload.encode({
+            timestamp: settings.includeTimestamp ? Math.floor(Date.now() / 1000) : 0,
+            deviceHash: device !== '|' ? Payload.hashDevice(device) : 0,
+            mediaId: crypto.getRandomValues(new Uint8Array(8)),
+            note: settings.customText || null
+        });
     }
 
     // View Functions
-    async function showPhotoPreview() {
+    // Shows the preview section with the loading overlay while the photo is processed
+    function openPhotoPreview(loadingText) {
         elements.cameraSection.classList.add('hidden');
         elements.previewSection.classList.remove('hidden');
         stopCamera();
@@ -824,14 +952,32 @@ const App = (() => {
         // Show loading overlay
         elements.previewImage.src = '';
         elements.previewImage.style.display = 'none';
+        setPreviewLoadingText(loadingText);
         if (elements.uploadLoading) {
             elements.uploadLoading.classList.remove('hidden');
         }
+    }
+
+    function setPreviewLoadingText(text) {
+        if (elements.uploadLoadingText) {
+            elements.uploadLoadingText.textContent = text;
+        }
+    }
+
+    // payload: the watermark bytes embedded in the photo, recorded with the upload
+    async function uploadPhoto(payload) {
+        const canvas = elements.previewCanvas;
+        setPreviewLoadingText('Uploading...');
 
-        // Upload and wait for shareable URL
+        // Upload and wait for shareable URL (drop the previous upload's delete token first)
+        delete elements.previewImage.dataset.deleteUrl;
+        delete elements.previewImage.dataset.deleteToken;
         try {
             const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
             const formData = new FormData();
+            if (payload) {
+                formData.append('payload', Payload.toBase64(payload));
+            }
             formData.append('image', blob, 'photo.png');
 
             const response = await fetch('/api/upload', {
@@ -851,6 +997,8 @@ const App = (() => {
 
                 // Store share URL for context menu - using a link wrapper approach
                 elements.previewImage.dataset.shareUrl = sharePageUrl;
+                elements.previewImage.dataset.deleteUrl = `/api/image/${encodeURIComponent(data.data.filename)}`;
+                elements.previewImage.dataset.deleteToken = data.data.deleteToken;
 
                 // Update the image link wrapper if it exists
                 const imageLink = elements.previewImage.parentElement;
@@ -1002,10 +1150,43 @@ const App = (() => {
         }
     }
 
+    // Removes the just-uploaded photo/video from the server, then returns to the camera
+    async function deleteUpload(previewElement) {
+        const { deleteUrl, deleteToken } = previewElement.dataset;
+        if (!deleteUrl || !deleteToken) {
+            showToast('Nothing uploaded to delete', 'error');
+            return;
+        }
+        if (!confirm('Delete this upload? Its share link will stop working.')) return;
+
+        try {
+            const response = await fetch(deleteUrl, {
+                method: 'DELETE',
+                headers: { 'X-Delete-Token': deleteToken }
+            });
+            const data = await response.json();
+            if (!data.success) {
+                throw new Error(data.error || 'Delete failed');
+            }
+            delete previewElement.dataset.deleteUrl;
+            delete previewElement.dataset.deleteToken;
+            delete previewElement.dataset.shareUrl;
+            showToast('Upload deleted', 'success');
+            returnToCapture();
+        } catch (err) {
+            console.error('Delete failed:', err);
+            showToast('Could not delete upload', 'error');
+        }
+    }
+
     // discardVideo is now handled by returnToCapture
 
     // Download Functions
     function downloadPhoto() {
+        if (isWatermarkingPhoto) {
+            showToast('Photo is still being watermarked', 'error');
+            return;
+        }
         const dataUrl = elements.previewCanvas.toDataURL('image/png');
         const link = document.createElement('a');
         link.download = `realpic_${Date.now()}.png`;
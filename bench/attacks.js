@@ -0,0 +1,143 @@
+/**
+ * Benchmark attacks
+ * Each attack takes RGBA pixels ({data, width, height}) and resolves to the
+ * attacked pixels. Attacks are written as `type:value` and chained with `+`,
+ * e.g. `resize:0.5+jpeg:70` (halve the size, then re-encode at quality 70).
+ *
+ *   jpeg:q        re-encode as JPEG at quality q (1-100)
+ *   webp:q        re-encode as WebP at quality q (1-100)
+ *   resize:s      scale both sides by s
+ *   crop:f        remove fraction f of the area, keeping the centre
+ *   blur:sigma    Gaussian blur
+ *   brightness:f  multiply RGB by f
+ *   noise:sigma   add Gaussian noise with this standard deviation (seeded)
+ */
+
+const sharp = require('sharp');
+const { decodeImage } = require('../lib/image-data');
+
+function toSharp({ data, width, height }) {
+    return sharp(Buffer.from(data.buffer, data.byteOffset, data.length), {
+        raw: { width, height, channels: 4 }
+    });
+}
+
+async function toPixels(image) {
+    const { data, info } = await image.ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+    return {
+        data: new Uint8ClampedArray(data.buffer, data.byteOffset, data.length),
+        width: info.width,
+        height: info.height
+    };
+}
+
+// Small deterministic PRNG (mulberry32) so noise runs are repeatable
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function mapRgb(pixels, fn) {
+    const data = new Uint8ClampedArray(pixels.data);
+    for (let i = 0; i < data.length; i += 4) {
+        data[i] = fn(data[i]);
+        data[i + 1] = fn(data[i + 1]);
+        data[i + 2] = fn(data[i + 2]);
+    }
+    return { data, width: pixels.width, height: pixels.height };
+}
+
+const ATTACKS = {
+    jpeg: {
+        valid: q => q >= 1 && q <= 100,
+        apply: async (pixels, q) => decodeImage(await toSharp(pixels).jpeg({ quality: Math.round(q) }).toBuffer())
+    },
+    webp: {
+        valid: q => q >= 1 && q <= 100,
+        apply: async (pixels, q) => decodeImage(await toSharp(pixels).webp({ quality: Math.round(q) }).toBuffer())
+    },
+    resize: {
+        valid: s => s > 0 && s <= 4,
+        apply: (pixels, s) => toPixels(toSharp(pixels).resize(
+            Math.max(1, Math.round(pixels.width * s)),
+            Math.max(1, Math.round(pixels.height * s)),
+            { fit: 'fill' }
+        ))
+    },
+    crop: {
+        valid: f => f >= 0 && f < 1,
+        apply: (pixels, f) => {
+            const side = Math.sqrt(1 - f);
+            const width = Math.max(1, Math.round(pixels.width * side));
+            const height = Math.max(1, Math.round(pixels.height * side));
+            return toPixels(toSharp(pixels).extract({
+                left: Math.floor((pixels.width - width) / 2),
+                top: Math.floor((pixels.height - height) / 2),
+                width,
+                height
+            }));
+        }
+    },
+    blur: {
+        valid: sigma => sigma >= 0.3 && sigma <= 100,
+        apply: (pixels, sigma) => toPixels(toSharp(pixels).blur(sigma))
+    },
+    brightness: {
+        valid: f => f > 0 && f <= 4,
+        apply: async (pixels, f) => mapRgb(pixels, v => v * f)
+    },
+    noise: {
+        valid: sigma => sigma >= 0 && sigma <= 128,
+        apply: async (pixels, sigma) => {
+            const random = seededRandom(Math.round(sigma * 1000) + 1);
+            // Box-Muller
+            return mapRgb(pixels, v => v + sigma * Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random()));
+        }
+    }
+};
+
+/**
+ * Parses an attack chain
+ * @param {string} spec - e.g. 'resize:0.5+jpeg:70'; 'none' for no attack
+ * @returns {Array<{type: string, value: number}>}
+ */
+function parseChain(spec) {
+    const text = String(spec).trim();
+    if (text === 'none') {
+        return [];
+    }
+    return text.split('+').map(step => {
+        const [type, raw] = step.trim().split(':');
+        const attack = ATTACKS[type];
+        if (!attack) {
+            throw new Error(`Unknown attack "${type}" in "${spec}"`);
+        }
+        const value = Number(raw);
+        if (raw === undefined || !Number.isFinite(value) || !attack.valid(value)) {
+            throw new Error(`Invalid value for ${type} in "${spec}"`);
+        }
+        return { type, value };
+    });
+}
+
+/**
+ * Runs an attack chain
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} pixels
+ * @param {Array<{type: string, value: number}>} chain - From parseChain
+ * @returns {Promise<{data: Uint8ClampedArray, width: number, height: number}>}
+ */
+async function applyChain(pixels, chain) {
+    let current = pixels;
+    for (const { type, value } of chain) {
+        current = await ATTACKS[type].apply(current, value);
+    }
+    return current;
+}
+
+module.exports = { parseChain, applyChain, ATTACKS };
@@ -0,0 +1,207 @@
+#!/usr/bin/env node
+/**
+ * Speed benchmark for RobustWatermark
+ * Times encode, decode (of the marked and of the unmarked image), the video
+ * frame embedder and the perceptual hash on one large image, optionally
+ * against robust-watermark.js as it was at an earlier commit, and reports the
+ * speedup. Each operation runs once untimed first, so JIT warm-up does not
+ * count against whichever version goes first.
+ *
+ *   npm run bench:perf -- [options]
+ *
+ *   --width <px>        Synthetic image width; default 4000 (with the height, a 12 MP photo)
+ *   --height <px>       Synthetic image height; default 3000
+ *   --image <file>      Time a real image instead of the synthetic one
+ *   --runs <n>          Timed runs per operation (the median is reported); default 3
+ *   --compare <ref>     Git ref whose robust-watermark.js to time as well, e.g. HEAD~1
+ *   --out <dir>         Where performance.json goes; default bench/results
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const RobustWatermark = require('../robust-watermark');
+const Payload = require('../payload');
+const { decodeImage } = require('../lib/image-data');
+
+const ROOT = path.join(__dirname, '..');
+
+function parseArgs(argv) {
+    const options = {
+        width: 4000,
+        height: 3000,
+        image: null,
+        runs: 3,
+        compare: null,
+        out: path.join(__dirname, 'results')
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const flag = argv[i];
+        const value = argv[i + 1];
+        if (value === undefined) {
+            throw new Error(`Missing value for ${flag}`);
+        }
+        i++;
+        switch (flag) {
+            case '--width': options.width = Number(value); break;
+            case '--height': options.height = Number(value); break;
+            case '--image': options.image = path.resolve(value); break;
+            case '--runs': options.runs = Number(value); break;
+            case '--compare': options.compare = value; break;
+            case '--out': options.out = path.resolve(value); break;
+            default: throw new Error(`Unknown option ${flag}`);
+        }
+    }
+
+    if (!(options.width >= 64) || !(options.height >= 64) || !(options.runs >= 1)) {
+        throw new Error('--width, --height and --runs must be positive numbers');
+    }
+    return options;
+}
+
+// Smooth gradients with deterministic fine texture, roughly photo-like
+function syntheticImage(width, height) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    let seed = 0x9E3779B9;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            seed = (seed * 1664525 + 1013904223) >>> 0;
+            const grain = (seed >>> 24) / 32 - 4;
+            const idx = (y * width + x) * 4;
+            data[idx] = 128 + 90 * Math.sin(x / 170) + grain;
+            data[idx + 1] = 120 + 80 * Math.cos(y / 130) + grain;
+            data[idx + 2] = 110 + 60 * Math.sin((x + y) / 250) + grain;
+            data[idx + 3] = 255;
+        }
+    }
+    return { data, width, height };
+}
+
+// robust-watermark.js as committed at `ref`, loaded as a CommonJS module
+function loadAtRef(ref) {
+    const source = execFileSync('git', ['show', `${ref}:robust-watermark.js`], { cwd: ROOT, encoding: 'utf8' });
+    const module = { exports: {} };
+    const load = new Function('module', 'exports', 'require', source);
+    load(module, module.exports, id => require(path.join(ROOT, id)));
+    return module.exports;
+}
+
+// What the timings do not show
+const LIMITS = [
+    'decodeUnmarked is the cost of every image without a readable mark (or too altered to sync): ' +
+        'the search tries each CONFIG.SYNC_ROTATIONS angle and sweeps CONFIG.SYNC_SCALE_RANGE before giving up. ' +
+        'It grows with the search space, not only with the image.',
+    'perceptualHash averages every pixel into a 32x32 grid; the DCT on that grid is negligible, ' +
+        'so its time follows the pixel count and the fast block DCT does not change it.'
+];
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+}
+
+// Median milliseconds of `runs` calls after a warm-up call, and the last
+// call's result
+function time(runs, fn) {
+    const durations = [];
+    let result = fn();
+    for (let i = 0; i < runs; i++) {
+        const start = process.hrtime.bigint();
+        result = fn();
+        durations.push(Number(process.hrtime.bigint() - start) / 1e6);
+    }
+    return { ms: Math.round(median(durations)), result };
+}
+
+/**
+ * Times one version of the codec on an image
+ * @param {Object} codec - A RobustWatermark module
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} image
+ * @param {Uint8Array} message - Payload to embed
+ * @param {number} runs - Timed runs per operation
+ * @returns {Object} Milliseconds per operation, and whether decode recovered the payload
+ */
+function timeCodec(codec, image, message, runs) {
+    const encode = time(runs, () => codec.encode(image, message));
+    const decode = time(runs, () => codec.decode(encode.result.imageData));
+    // Nothing to find, so the synchronisation search runs to the end
+    const decodeUnmarked = time(runs, () => codec.decode(image));
+
+    const embedder = codec.createFrameEmbedder(image.width, image.height, message);
+    const frame = { data: new Uint8ClampedArray(image.data), width: image.width, height: image.height };
+    const frameEmbed = time(runs, () => embedder.embed(frame));
+    const perceptualHash = time(runs, () => codec.computePerceptualHash(image));
+
+    return {
+        encode: encode.ms,
+        decode: decode.ms,
+        decodeUnmarked: decodeUnmarked.ms,
+        frameEmbed: frameEmbed.ms,
+        perceptualHash: perceptualHash.ms,
+        recovered: Boolean(decode.result.payload && Payload.equals(decode.result.payload, Payload.decode(message)))
+    };
+}
+
+async function runBenchmark(options, log = () => {}) {
+    const image = options.image
+        ? await decodeImage(fs.readFileSync(options.image))
+        : syntheticImage(options.width, options.height);
+    const message = Payload.encode({ timestamp: 1700000000, mediaId: Uint8Array.from([1, 2, 3, 4, 5, 6, 7, 8]) });
+    const megapixels = Math.round(image.width * image.height / 1e5) / 10;
+    log(`${image.width}x${image.height} (${megapixels} MP), median of ${options.runs} run(s)`);
+
+    log('Timing the working tree...');
+    const current = timeCodec(RobustWatermark, image, message, options.runs);
+
+    let baseline = null;
+    if (options.compare) {
+        log(`Timing ${options.compare}...`);
+        baseline = timeCodec(loadAtRef(options.compare), image, message, options.runs);
+    }
+
+    const operations = ['encode', 'decode', 'decodeUnmarked', 'frameEmbed', 'perceptualHash'].map(name => ({
+        operation: name,
+        ms: current[name],
+        baselineMs: baseline ? baseline[name] : null,
+        speedup: baseline ? Math.round(baseline[name] / Math.max(current[name], 1) * 10) / 10 : null
+    }));
+
+    return {
+        generated: new Date().toISOString(),
+        image: { width: image.width, height: image.height, megapixels, source: options.image || 'synthetic' },
+        runs: options.runs,
+        compare: options.compare,
+        recovered: { current: current.recovered, baseline: baseline ? baseline.recovered : null },
+        operations,
+        notes: LIMITS
+    };
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const results = await runBenchmark(options, message => console.log(message));
+
+    fs.mkdirSync(options.out, { recursive: true });
+    const jsonPath = path.join(options.out, 'performance.json');
+    fs.writeFileSync(jsonPath, JSON.stringify(results, null, 2));
+
+    console.log('');
+    console.table(results.operations);
+    if (!results.recovered.current) {
+        console.log('Warning: decode did not recover the payload');
+    }
+    for (const note of results.notes) {
+        console.log(`Note: ${note}`);
+    }
+    console.log(`Wrote ${jsonPath}`);
+}
+
+if (require.main === module) {
+    main().catch(err => {
+        console.error(err.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { runBenchmark };
@@ -0,0 +1,99 @@
+/**
+ * HTML report for a robustness benchmark run (see robustness.js)
+ */
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function formatRate(value) {
+    return value === null ? '–' : `${(value * 100).toFixed(1)}%`;
+}
+
+function formatNumber(value, digits) {
+    return value === null ? '–' : value.toFixed(digits);
+}
+
+// Green at 100% detection, red at 0%
+function rateColor(value) {
+    return value === null ? 'transparent' : `hsl(${Math.round(value * 120)}, 60%, 85%)`;
+}
+
+/**
+ * @param {Object} results - Output of runBenchmark
+ * @returns {string} Standalone HTML page
+ */
+function renderReport(results) {
+    const imageHeaders = results.images
+        .map(image => `<th title="${escapeHtml(image.file)}">${escapeHtml(image.file)}</th>`)
+        .join('');
+
+    const rows = results.attacks.map(attack => {
+        const cells = attack.images.map(run => run.error
+            ? `<td class="error" title="${escapeHtml(run.error)}">error</td>`
+            : `<td style="background:${rateColor(run.recovered ? 1 : 0)}">${run.recovered ? '✓' : '✗'} ` +
+              `<small>BER ${formatNumber(run.bitErrorRate, 3)}</small></td>`
+        ).join('');
+        return `<tr>
+            <th>${escapeHtml(attack.name)}</th>
+            <td style="background:${rateColor(attack.detectionRate)}">${formatRate(attack.detectionRate)}</td>
+            <td>${formatRate(attack.foundRate)}</td>
+            <td>${formatNumber(attack.bitErrorRate, 3)}</td>
+            <td>${formatNumber(attack.psnr, 2)}</td>
+            <td>${formatNumber(attack.ssim, 4)}</td>
+            ${cells}
+        </tr>`;
+    }).join('\n');
+
+    const embedRows = results.images.map(image => `<tr>
+            <th>${escapeHtml(image.file)}</th>
+            <td>${image.width}×${image.height}</td>
+            <td>${formatNumber(image.psnr, 2)}</td>
+            <td>${formatNumber(image.ssim, 4)}</td>
+            <td>${image.encodeMs === null ? '–' : image.encodeMs}</td>
+            <td>${image.error ? escapeHtml(image.error) : ''}</td>
+        </tr>`).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Watermark robustness - ${escapeHtml(results.generated)}</title>
+<style>
+    body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+    table { border-collapse: collapse; margin-bottom: 2rem; font-size: 0.9rem; }
+    th, td { border: 1px solid #ddd; padding: 0.35rem 0.6rem; text-align: right; white-space: nowrap; }
+    th { text-align: left; background: #f6f6f6; }
+    td.error { color: #a00; }
+    small { color: #555; }
+    p.meta { color: #555; }
+</style>
+</head>
+<body>
+<h1>Watermark robustness</h1>
+<p class="meta">${escapeHtml(results.generated)} · ${results.images.length} images ·
+strength ${results.config.strength} · images scaled to at most ${results.config.maxSide}px</p>
+
+<h2>Attacks</h2>
+<p class="meta">Detection: payload recovered intact. Found: watermark header read. BER: tile bits wrong
+before error correction. PSNR/SSIM: attacked copy against the unmarked original (– when the size changed).</p>
+<table>
+    <tr><th>Attack</th><th>Detection</th><th>Found</th><th>BER</th><th>PSNR (dB)</th><th>SSIM</th>${imageHeaders}</tr>
+    ${rows}
+</table>
+
+<h2>Embedding</h2>
+<table>
+    <tr><th>Image</th><th>Size</th><th>PSNR (dB)</th><th>SSIM</th><th>Encode (ms)</th><th></th></tr>
+    ${embedRows}
+</table>
+</body>
+</html>
+`;
+}
+
+module.exports = { renderReport };
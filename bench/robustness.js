@@ -0,0 +1,243 @@
+#!/usr/bin/env node
+/**
+ * Robustness benchmark for RobustWatermark
+ * Watermarks every image in a local corpus, runs each attack chain on the
+ * result and reports, per attack, how often the payload is recovered, the bit
+ * error rate before error correction and the PSNR/SSIM of the attacked copy.
+ *
+ *   npm run bench -- [options]
+ *
+ *   --corpus <dir>      Test images (PNG, JPEG, WebP); default bench/corpus
+ *   --attacks <file>    JSON array of attack chains (see attacks.js); default DEFAULT_ATTACKS
+ *   --attack <chain>    Attack chain to run; repeatable, replaces the defaults
+ *   --out <dir>         Where robustness.json and robustness.html go; default bench/results
+ *   --strength <n>      Embedding strength; default RobustWatermark.CONFIG.EMBED_STRENGTH
+ *   --max-side <px>     Scale corpus images to fit (camera captures are about this size); default 1280
+ *   --limit <n>         Use only the first n images
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const RobustWatermark = require('../robust-watermark');
+const Payload = require('../payload');
+const { decodeImage } = require('../lib/image-data');
+const { parseChain, applyChain } = require('./attacks');
+const { renderReport } = require('./report');
+
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.webp'];
+
+// The claims in robust-watermark.js's header, plus a few milder and harsher variants
+const DEFAULT_ATTACKS = [
+    'none',
+    'jpeg:90',
+    'jpeg:70',
+    'jpeg:50',
+    'webp:70',
+    'resize:0.75',
+    'resize:0.5',
+    'crop:0.1',
+    'crop:0.25',
+    'blur:1',
+    'brightness:1.2',
+    'brightness:0.8',
+    'noise:5',
+    'noise:10',
+    // Screenshot of a scaled-down view, saved as JPEG
+    'resize:0.8+jpeg:85'
+];
+
+function parseArgs(argv) {
+    const options = {
+        corpus: path.join(__dirname, 'corpus'),
+        attacks: null,
+        out: path.join(__dirname, 'results'),
+        strength: RobustWatermark.CONFIG.EMBED_STRENGTH,
+        maxSide: 1280,
+        limit: Infinity
+    };
+    const extra = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const flag = argv[i];
+        const value = argv[i + 1];
+        if (value === undefined) {
+            throw new Error(`Missing value for ${flag}`);
+        }
+        i++;
+        switch (flag) {
+            case '--corpus': options.corpus = path.resolve(value); break;
+            case '--attacks': options.attacks = JSON.parse(fs.readFileSync(value, 'utf8')); break;
+            case '--attack': extra.push(value); break;
+            case '--out': options.out = path.resolve(value); break;
+            case '--strength': options.strength = Number(value); break;
+            case '--max-side': options.maxSide = Number(value); break;
+            case '--limit': options.limit = Number(value); break;
+            default: throw new Error(`Unknown option ${flag}`);
+        }
+    }
+
+    if (extra.length) {
+        options.attacks = extra;
+    }
+    options.attacks = options.attacks || DEFAULT_ATTACKS;
+    if (!Array.isArray(options.attacks) || !options.attacks.every(a => typeof a === 'string')) {
+        throw new Error('Attacks must be a JSON array of attack chains');
+    }
+    if (!(options.strength > 0) || !(options.maxSide >= 64) || !(options.limit >= 1)) {
+        throw new Error('--strength, --max-side and --limit must be positive numbers');
+    }
+    return options;
+}
+
+function listCorpus(dir, limit) {
+    if (!fs.existsSync(dir)) {
+        throw new Error(`Corpus directory not found: ${dir} (add test images or pass --corpus)`);
+    }
+    const files = fs.readdirSync(dir)
+        .filter(name => IMAGE_EXTENSIONS.includes(path.extname(name).toLowerCase()))
+        .sort()
+        .slice(0, limit);
+    if (!files.length) {
+        throw new Error(`No images in ${dir}`);
+    }
+    return files;
+}
+
+function mean(values) {
+    const finite = values.filter(v => v !== null && Number.isFinite(v));
+    return finite.length ? finite.reduce((a, b) => a + b, 0) / finite.length : null;
+}
+
+function round(value, digits) {
+    return value === null || !Number.isFinite(value) ? null : Number(value.toFixed(digits));
+}
+
+// A payload like the camera embeds (unsigned, so no server key is needed)
+function benchmarkPayload() {
+    const body = Payload.encode({
+        timestamp: Math.floor(Date.now() / 1000),
+        deviceHash: Payload.hashDevice('benchmark'),
+        mediaId: new Uint8Array(crypto.randomBytes(8))
+    });
+    return { bytes: body, payload: Payload.decode(body) };
+}
+
+// One attack on one watermarked image
+async function runAttack(original, marked, chain, expected, strength) {
+    const attacked = await applyChain(marked, chain);
+    const result = RobustWatermark.decode(attacked, { strength });
+    const { bitErrorRate } = RobustWatermark.measureBitErrors(attacked, expected.bytes, { strength });
+    const sameSize = attacked.width === original.width && attacked.height === original.height;
+    const quality = sameSize ? RobustWatermark.measureQuality(original, attacked) : null;
+
+    return {
+        found: result.found,
+        recovered: Boolean(result.found && !result.unrecoverable && result.payload &&
+            Payload.equals(result.payload, expected.payload)),
+        bitErrorRate,
+        psnr: quality ? round(quality.psnr, 2) : null,
+        ssim: quality ? round(quality.ssim, 4) : null
+    };
+}
+
+/**
+ * Runs the benchmark
+ * @param {Object} options - See parseArgs
+ * @param {Function} [log] - Progress messages
+ * @returns {Promise<Object>} Results: config, images (embedding quality) and
+ *   attacks (rates and means, plus the run on each image)
+ */
+async function runBenchmark(options, log = () => {}) {
+    const chains = options.attacks.map(spec => ({ name: spec, chain: parseChain(spec) }));
+    const files = listCorpus(options.corpus, options.limit);
+
+    const images = [];
+    const runs = chains.map(() => []);
+
+    for (const [index, file] of files.entries()) {
+        log(`[${index + 1}/${files.length}] ${file}`);
+        let original;
+        let marked;
+        let expected;
+        const image = { file, width: null, height: null, psnr: null, ssim: null, encodeMs: null, error: null };
+        try {
+            original = await decodeImage(fs.readFileSync(path.join(options.corpus, file)), { maxSide: options.maxSide });
+            image.width = original.width;
+            image.height = original.height;
+            expected = benchmarkPayload();
+            const started = Date.now();
+            marked = RobustWatermark.encode(original, expected.bytes, { strength: options.strength }).imageData;
+            image.encodeMs = Date.now() - started;
+            const quality = RobustWatermark.measureQuality(original, marked);
+            image.psnr = round(quality.psnr, 2);
+            image.ssim = round(quality.ssim, 4);
+        } catch (err) {
+            image.error = err.message;
+        }
+        images.push(image);
+
+        for (const [i, { name, chain }] of chains.entries()) {
+            if (image.error) {
+                runs[i].push({ file, error: image.error });
+                continue;
+            }
+            try {
+                runs[i].push({ file, ...await runAttack(original, marked, chain, expected, options.strength) });
+            } catch (err) {
+                runs[i].push({ file, error: err.message });
+            }
+            const run = runs[i][runs[i].length - 1];
+            log(`    ${name}: ${run.error ? `error (${run.error})` : `${run.recovered ? 'recovered' : 'lost'}, BER ${run.bitErrorRate}`}`);
+        }
+    }
+
+    const attacks = chains.map(({ name }, i) => {
+        const ok = runs[i].filter(run => !run.error);
+        return {
+            name,
+            detectionRate: ok.length ? round(ok.filter(run => run.recovered).length / ok.length, 3) : null,
+            foundRate: ok.length ? round(ok.filter(run => run.found).length / ok.length, 3) : null,
+            bitErrorRate: round(mean(ok.map(run => run.bitErrorRate)), 3),
+            psnr: round(mean(ok.map(run => run.psnr)), 2),
+            ssim: round(mean(ok.map(run => run.ssim)), 4),
+            images: runs[i]
+        };
+    });
+
+    return {
+        generated: new Date().toISOString(),
+        config: {
+            corpus: options.corpus,
+            strength: options.strength,
+            maxSide: options.maxSide
+        },
+        images,
+        attacks
+    };
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const results = await runBenchmark(options, message => console.log(message));
+
+    fs.mkdirSync(options.out, { recursive: true });
+    const jsonPath = path.join(options.out, 'robustness.json');
+    const htmlPath = path.join(options.out, 'robustness.html');
+    fs.writeFileSync(jsonPath, JSON.stringify(results, null, 2));
+    fs.writeFileSync(htmlPath, renderReport(results));
+
+    console.log('');
+    console.table(results.attacks.map(({ name, detectionRate, foundRate, bitErrorRate, psnr, ssim }) =>
+        ({ attack: name, detectionRate, foundRate, bitErrorRate, psnr, ssim })));
+    console.log(`Wrote ${jsonPath} and ${htmlPath}`);
+}
+
+if (require.main === module) {
+    main().catch(err => {
+        console.error(err.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { runBenchmark, DEFAULT_ATTACKS };
@@ -0,0 +1,559 @@
+#!/usr/bin/env node
+/**
+ * realpic - embed and verify RealPic watermarks from the command line
+ *
+ *   realpic embed <input> <output> [options]     Watermark one image
+ *   realpic verify <image> [options]             Verdict as on the verify page
+ *   realpic inspect <image> [options]            Everything the decoders read
+ *   realpic batch embed <inputs...> --out <dir>  Watermark many images
+ *   realpic batch verify <inputs...>             Verify many images
+ *
+ * Inputs are PNG or JPEG files (batch also takes directories). Outputs are
+ * written as PNG or JPEG by extension.
+ *
+ * Options:
+ *   --key <secret>        Watermark key (default: the built-in key for unsigned captures)
+ *   --key-id <n>          ID the watermark header names for --key (default 0)
+ *   --keys <file|url>     Keys as served by GET /api/keys: watermark keys and the
+ *                         public keys that verify signatures (from a URL, capture
+ *                         attestations are fetched from the same server)
+ *   --strength <n>        Embedding strength (default RobustWatermark.CONFIG.EMBED_STRENGTH);
+ *                         verify and inspect need the strength the image was marked with
+ *   --chroma              Also embed in the colour channels, for more redundancy (embed)
+ *   --target-psnr <dB>    Adapt the strength block by block to this PSNR (embed)
+ *   --target-ssim <n>     Adapt the strength block by block to this SSIM, 0-1 (embed)
+ *   --message <text>      Note to carry in the payload (embed)
+ *   --payload <base64>    Embed this payload as-is, e.g. one issued by POST /api/sign
+ *   --method <m>          robust, lsb or both (embed; default robust)
+ *   --lsb-depth <n>       Low bits of each sample the LSB watermark uses, 1 or 2 (embed; default 1)
+ *   --seal                Add the fragile seal that shows any later pixel edit (embed; robust method, PNG output)
+ *   --quality <n>         JPEG quality for outputs (default 92)
+ *   --out <dir>           Output directory (batch embed)
+ *   --allow-unsigned      An intact unsigned watermark passes verify
+ *   --json                Machine-readable output
+ *
+ * Exit status: 0 on success; 1 when verification fails (no watermark, a damaged
+ * or unsigned one, or an invalid signature); 2 on usage or file errors.
+ *
+ * Reading and writing images needs sharp, an optional dependency of the
+ * package: the watermark library itself runs without it.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { parseArgs } = require('util');
+let sharp;
+try {
+    sharp = require('sharp');
+} catch (err) {
+    console.error('realpic needs the sharp package to read and write images: npm install sharp');
+    process.exit(2);
+}
+const RobustWatermark = require('../robust-watermark');
+const Steganography = require('../steganography');
+const Payload = require('../payload');
+const Verifier = require('../verifier');
+const { decodeImage } = require('../lib/image-data');
+const { hashToHex } = require('../lib/perceptual-hash');
+
+const EXIT = { OK: 0, FAILED: 1, USAGE: 2 };
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg'];
+const METHODS = ['robust', 'lsb', 'both'];
+
+const OPTIONS = {
+    key: { type: 'string' },
+    'key-id': { type: 'string' },
+    keys: { type: 'string' },
+    strength: { type: 'string' },
+    chroma: { type: 'boolean', default: false },
+    'target-psnr': { type: 'string' },
+    'target-ssim': { type: 'string' },
+    message: { type: 'string' },
+    payload: { type: 'string' },
+    method: { type: 'string', default: 'robust' },
+    'lsb-depth': { type: 'string', default: '1' },
+    seal: { type: 'boolean', default: false },
+    quality: { type: 'string', default: '92' },
+    out: { type: 'string' },
+    'allow-unsigned': { type: 'boolean', default: false },
+    json: { type: 'boolean', default: false },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+class UsageError extends Error {}
+
+// ========================================
+// Options
+// ========================================
+
+function numberOption(values, name, { min, max, integer = false }) {
+    if (values[name] === undefined) return undefined;
+    const value = Number(values[name]);
+    if (!Number.isFinite(value) || value < min || value > max || (integer && !Number.isInteger(value))) {
+        throw new UsageError(`--${name} must be ${integer ? 'an integer' : 'a number'} from ${min} to ${max}`);
+    }
+    return value;
+}
+
+function readOptions(values) {
+    if (!METHODS.includes(values.method)) {
+        throw new UsageError(`--method must be one of ${METHODS.join(', ')}`);
+    }
+    if (values.payload && values.message) {
+        throw new UsageError('--payload and --message cannot be combined');
+    }
+    return {
+        key: values.key,
+        keyId: numberOption(values, 'key-id', { min: 0, max: 255, integer: true }) || 0,
+        keysSource: values.keys,
+        strength: numberOption(values, 'strength', { min: 1, max: 100 }),
+        chroma: values.chroma,
+        targetPsnr: numberOption(values, 'target-psnr', { min: 1, max: 100 }),
+        targetSsim: numberOption(values, 'target-ssim', { min: 0, max: 1 }),
+        message: values.message,
+        payload: values.payload,
+        method: values.method,
+        lsbDepth: numberOption(values, 'lsb-depth', { min: 1, max: 2, integer: true }),
+        seal: values.seal,
+        quality: numberOption(values, 'quality', { min: 1, max: 100, integer: true }),
+        out: values.out,
+        allowUnsigned: values['allow-unsigned'],
+        json: values.json
+    };
+}
+
+// Keys from a GET /api/keys response (file or URL): { data: { keys: [...] } } or a bare list
+async function loadKeys(source) {
+    let text;
+    if (/^https?:\/\//i.test(source)) {
+        const res = await fetch(source);
+        if (!res.ok) {
+            throw new Error(`Could not fetch keys from ${source}: HTTP ${res.status}`);
+        }
+        text = await res.text();
+    } else {
+        text = fs.readFileSync(source, 'utf8');
+    }
+
+    const parsed = JSON.parse(text);
+    const list = Array.isArray(parsed) ? parsed : (parsed.data || parsed).keys;
+    if (!Array.isArray(list)) {
+        throw new Error(`No keys in ${source}`);
+    }
+    return list.map(entry => ({
+        id: entry.id,
+        watermarkKey: entry.watermarkKey,
+        publicKey: entry.publicKey ? crypto.createPublicKey({ key: entry.publicKey, format: 'jwk' }) : null
+    }));
+}
+
+// The server's attestation of a capture, from the server that served the keys
+async function fetchAttestation(keysUrl, payload) {
+    const res = await fetch(new URL(`/api/attestations/${encodeURIComponent(payload.mediaId)}`, keysUrl));
+    if (res.status === 404) return null;
+    if (!res.ok) {
+        throw new Error(`Could not fetch attestation: HTTP ${res.status}`);
+    }
+    const { data } = await res.json();
+    return Payload.decodeAttestation(Payload.fromBase64(data.attestation));
+}
+
+// Watermark keys, signature check and attestations for Verifier
+async function verifierOptions(options) {
+    const ring = options.keysSource ? await loadKeys(options.keysSource) : [];
+    const keys = ring.filter(k => k.watermarkKey).map(k => ({ id: k.id, key: k.watermarkKey }));
+    if (options.key) {
+        keys.unshift({ id: options.keyId, key: options.key });
+    }
+
+    const publicKeys = ring.filter(k => k.publicKey);
+    return {
+        robust: RobustWatermark,
+        lsb: Steganography,
+        keys: keys.length ? keys : undefined,
+        strength: options.strength,
+        verifySignature: publicKeys.length
+            ? (payload) => publicKeys.some(k => k.id === payload.keyId &&
+                crypto.verify('sha256', payload.body, { key: k.publicKey, dsaEncoding: 'ieee-p1363' }, payload.signature))
+            : undefined,
+        getAttestation: /^https?:\/\//i.test(options.keysSource || '')
+            ? (payload) => fetchAttestation(options.keysSource, payload)
+            : undefined
+    };
+}
+
+// ========================================
+// Files
+// ========================================
+
+async function readImage(file) {
+    try {
+        return await decodeImage(fs.readFileSync(file));
+    } catch (err) {
+        throw new Error(`Could not read image ${file}: ${err.message}`);
+    }
+}
+
+async function writeImage(file, imageData, quality) {
+    const ext = path.extname(file).toLowerCase();
+    if (!IMAGE_EXTENSIONS.includes(ext)) {
+        throw new UsageError(`Output must be .png, .jpg or .jpeg: ${file}`);
+    }
+    const image = sharp(Buffer.from(imageData.data.buffer, imageData.data.byteOffset, imageData.data.length), {
+        raw: { width: imageData.width, height: imageData.height, channels: 4 }
+    });
+    await (ext === '.png' ? image.png() : image.jpeg({ quality: quality || 92 })).toFile(file);
+}
+
+// Files named on the command line, with directories expanded to their images
+function expandInputs(inputs) {
+    const files = [];
+    for (const input of inputs) {
+        if (fs.existsSync(input) && fs.statSync(input).isDirectory()) {
+            files.push(...fs.readdirSync(input)
+                .filter(name => IMAGE_EXTENSIONS.includes(path.extname(name).toLowerCase()))
+                .sort()
+                .map(name => path.join(input, name)));
+        } else {
+            files.push(input);
+        }
+    }
+    return files;
+}
+
+// ========================================
+// Payloads
+// ========================================
+
+function buildPayload(options) {
+    if (options.payload) {
+        const bytes = Payload.fromBase64(options.payload);
+        if (!Payload.decode(bytes)) {
+            throw new UsageError('--payload is not a valid RealPic payload');
+        }
+        return bytes;
+    }
+    // Unsigned: the payload's key ID names a signing key, not the watermark key
+    return Payload.encode({
+        timestamp: Math.floor(Date.now() / 1000),
+        deviceHash: Payload.hashDevice(`realpic-cli:${os.hostname()}`),
+        mediaId: new Uint8Array(crypto.randomBytes(8)),
+        note: options.message
+    });
+}
+
+function describePayload(payload) {
+    if (!payload) return null;
+    return {
+        keyId: payload.keyId,
+        captured: payload.timestamp ? new Date(payload.timestamp * 1000).toISOString() : null,
+        deviceHash: payload.deviceHash ? payload.deviceHash.toString(16).padStart(8, '0') : null,
+        mediaId: payload.mediaId,
+        note: payload.note || null,
+        signed: Boolean(payload.signature)
+    };
+}
+
+// ========================================
+// Commands
+// ========================================
+
+async function embed(input, output, options) {
+    if (options.method !== 'robust' && path.extname(output).toLowerCase() !== '.png') {
+        throw new UsageError('LSB watermarks only survive lossless output; write a .png');
+    }
+    if (options.seal && options.method !== 'robust') {
+        throw new UsageError('--seal takes the place of the LSB watermark; use --method robust');
+    }
+    if (options.seal && path.extname(output).toLowerCase() !== '.png') {
+        throw new UsageError('The seal only survives lossless output; write a .png');
+    }
+
+    const bytes = buildPayload(options);
+    let imageData = await readImage(input);
+    let bitsEmbedded = 0;
+    let quality = null;
+
+    if (options.method !== 'lsb') {
+        const result = RobustWatermark.encode(imageData, bytes, {
+            key: options.key,
+            keyId: options.key ? options.keyId : 0,
+            strength: options.strength,
+            chroma: options.chroma,
+            targetPsnr: options.targetPsnr,
+            targetSsim: options.targetSsim
+        });
+        imageData = result.imageData;
+        bitsEmbedded = result.bitsEmbedded;
+        quality = result.quality || null;
+    }
+    if (options.method !== 'robust') {
+        imageData = Steganography.encode(imageData, bytes, { key: options.key, depth: options.lsbDepth });
+    }
+    if (options.seal) {
+        // Last, so the seal covers the robust watermark's changes
+        imageData = Steganography.seal(imageData, { key: options.key, id: Payload.decode(bytes).mediaId });
+    }
+    await writeImage(output, imageData, options.quality);
+
+    return {
+        input,
+        output,
+        method: options.method,
+        width: imageData.width,
+        height: imageData.height,
+        bitsEmbedded,
+        sealed: options.seal,
+        quality,
+        payload: Payload.toBase64(bytes),
+        message: Payload.describe(Payload.decode(bytes))
+    };
+}
+
+// Robust verdicts carry the key ID from the watermark header; LSB and
+// not-found verdicts do not. A broken seal means the pixels were edited.
+function isIntactUnsigned(verdict, seal) {
+    return verdict.keyId !== null && verdict.signature === 'unsigned' && !(seal && !seal.intact);
+}
+
+async function verify(file, options, verifier) {
+    const imageData = await readImage(file);
+    const { payload, integrity, seal, ...verdict } = await Verifier.verify(imageData, verifier);
+    return {
+        file,
+        passed: verdict.type === 'success' || (options.allowUnsigned && isIntactUnsigned(verdict, seal)),
+        ...verdict,
+        geometry: Verifier.describeGeometry(verdict.transform),
+        payload: describePayload(payload),
+        seal: describeSeal(seal)
+    };
+}
+
+// Seal check with the changed blocks as pixel positions
+function describeSeal(seal) {
+    if (!seal) return null;
+    return {
+        intact: seal.intact,
+        blockSize: seal.cellSize,
+        blocks: seal.cols * seal.rows,
+        changed: seal.changed,
+        changedBlocks: seal.scores.flatMap((score, cell) => score ? [] : [{
+            x: (cell % seal.cols) * seal.cellSize,
+            y: Math.floor(cell / seal.cols) * seal.cellSize
+        }])
+    };
+}
+
+async function inspect(file, options, verifier) {
+    const imageData = await readImage(file);
+    const keys = verifier.keys ? [...verifier.keys, { id: 0, key: RobustWatermark.CONFIG.SECRET_KEY }] : undefined;
+    const robust = RobustWatermark.decode(imageData, { keys, strength: options.strength });
+    const lsb = Steganography.decode(imageData, { keys });
+    const seal = robust.payload && robust.payload.mediaId
+        ? Steganography.checkSeal(imageData, { keys, id: robust.payload.mediaId })
+        : null;
+
+    return {
+        file,
+        width: imageData.width,
+        height: imageData.height,
+        perceptualHash: hashToHex(RobustWatermark.computePerceptualHash(imageData)),
+        robust: {
+            found: robust.found,
+            recovered: Boolean(robust.found && !robust.unrecoverable && robust.payload),
+            confidence: robust.confidence,
+            keyId: robust.keyId,
+            correctedSymbols: robust.correctedSymbols,
+            unrecoverable: robust.unrecoverable,
+            transform: robust.transform,
+            geometry: Verifier.describeGeometry(robust.transform),
+            message: robust.message,
+            payload: describePayload(robust.payload),
+            integrity: robust.integrity && {
+                cols: robust.integrity.cols,
+                rows: robust.integrity.rows,
+                intact: intactShare(robust.integrity.scores)
+            }
+        },
+        lsb: {
+            found: Steganography.hasHiddenData(imageData, { keys }),
+            keyId: lsb ? lsb.keyId : null,
+            depth: lsb ? lsb.depth : null,
+            message: lsb ? lsb.message : null,
+            payload: describePayload(lsb && lsb.payload)
+        },
+        seal: describeSeal(seal)
+    };
+}
+
+// Share of integrity cells that still carry the watermark
+function intactShare(scores) {
+    const read = scores.filter(score => score !== null);
+    return read.length ? Math.round(read.filter(score => score >= 0.5).length / read.length * 1000) / 1000 : null;
+}
+
+// ========================================
+// Output
+// ========================================
+
+function printEmbed(result) {
+    console.log(`${result.input} -> ${result.output}`);
+    console.log(`  ${result.method} watermark, ${result.width}x${result.height}` +
+        (result.bitsEmbedded ? `, ${result.bitsEmbedded} bits embedded` : '') +
+        (result.sealed ? ', sealed' : ''));
+    if (result.quality) {
+        console.log(`  PSNR ${result.quality.psnr.toFixed(1)} dB, SSIM ${result.quality.ssim.toFixed(4)}`);
+    }
+    console.log(`  ${result.message}`);
+    console.log(`  Payload: ${result.payload}`);
+}
+
+function printVerify(result) {
+    console.log(`${result.passed ? 'PASS' : 'FAIL'} ${result.file}: ${result.title}`);
+    console.log(`  ${result.subtitle}`);
+    console.log(`  Type: ${result.watermarkType} | Confidence: ${Math.round(result.confidence * 100)}% | Signature: ${result.signature}`);
+    if (result.transform) {
+        console.log(`  Geometry: ${result.geometry}`);
+    }
+    if (result.message && result.message !== 'N/A') {
+        console.log(`  ${result.message}`);
+    }
+    printSeal(result.seal, '  ', result.attestation);
+}
+
+// An intact seal only shows no pixel changed when it is the one the server attested
+function printSeal(seal, indent, attestation = null) {
+    if (!seal) return;
+    if (seal.intact) {
+        const sealMatches = attestation ? attestation.sealMatches : null;
+        console.log(`${indent}Seal: intact` + (sealMatches === null ? ' (not attested)'
+            : sealMatches ? ', matches the attested seal' : ', but not the attested seal (re-sealed)'));
+        return;
+    }
+    const shown = seal.changedBlocks.slice(0, 5).map(block => `${block.x},${block.y}`).join('; ');
+    console.log(`${indent}Seal: ${seal.changed} of ${seal.blocks} blocks changed` +
+        ` (${seal.blockSize}px blocks at ${shown}${seal.changed > 5 ? '; ...' : ''})`);
+}
+
+function printInspect(result) {
+    console.log(`${result.file} (${result.width}x${result.height})`);
+    console.log(`  Perceptual hash: ${result.perceptualHash}`);
+    const { robust, lsb } = result;
+    console.log(`  Robust: ${robust.recovered ? 'recovered' : robust.found ? 'found, not recovered' : 'not found'}` +
+        ` (confidence ${robust.confidence.toFixed(2)}, key ${robust.keyId === null ? '-' : robust.keyId},` +
+        ` ${robust.correctedSymbols} symbols corrected)`);
+    console.log(`    Geometry: ${robust.geometry}`);
+    if (robust.message) console.log(`    ${robust.message}`);
+    if (robust.integrity) console.log(`    Intact regions: ${Math.round(robust.integrity.intact * 100)}%`);
+    console.log(`  LSB: ${lsb.found ? 'found' : 'not found'}`);
+    if (lsb.message) console.log(`    ${lsb.message}`);
+    printSeal(result.seal, '  ');
+}
+
+// ========================================
+// Main
+// ========================================
+
+const USAGE = `Usage:
+  realpic embed <input> <output> [--key K --key-id N] [--strength S] [--chroma] [--target-psnr DB | --target-ssim N] [--message T | --payload B64] [--method robust|lsb|both] [--lsb-depth 1|2] [--seal]
+  realpic verify <image> [--key K --key-id N] [--keys FILE|URL] [--strength S] [--allow-unsigned]
+  realpic inspect <image> [--key K --key-id N] [--keys FILE|URL] [--strength S]
+  realpic batch embed <inputs...> --out <dir> [embed options]
+  realpic batch verify <inputs...> [verify options]
+Add --json for machine-readable output.`;
+
+async function runBatch(action, inputs, options) {
+    const files = expandInputs(inputs);
+    if (!files.length) {
+        throw new UsageError('No input images');
+    }
+    if (action === 'embed') {
+        if (!options.out) {
+            throw new UsageError('batch embed needs --out <dir>');
+        }
+        fs.mkdirSync(options.out, { recursive: true });
+    }
+    const verifier = action === 'verify' ? await verifierOptions(options) : null;
+
+    const results = [];
+    for (const file of files) {
+        try {
+            const result = action === 'embed'
+                ? await embed(file, path.join(options.out, path.basename(file)), options)
+                : await verify(file, options, verifier);
+            results.push(action === 'embed' ? { ...result, passed: true } : result);
+        } catch (err) {
+            if (err instanceof UsageError) throw err;
+            results.push({ file, passed: false, error: err.message });
+        }
+        const last = results[results.length - 1];
+        if (!options.json) {
+            if (last.error) console.log(`ERROR ${file}: ${last.error}`);
+            else if (action === 'embed') console.log(`OK ${file} -> ${last.output}`);
+            else console.log(`${last.passed ? 'PASS' : 'FAIL'} ${file}: ${last.title}`);
+        }
+    }
+
+    const failed = results.filter(result => !result.passed).length;
+    if (options.json) {
+        console.log(JSON.stringify({ total: results.length, failed, results }, null, 2));
+    } else {
+        console.log(`${results.length - failed}/${results.length} ${action === 'embed' ? 'embedded' : 'passed'}`);
+    }
+    return failed ? EXIT.FAILED : EXIT.OK;
+}
+
+async function main(argv) {
+    const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    if (values.help || !positionals.length) {
+        console.log(USAGE);
+        return values.help ? EXIT.OK : EXIT.USAGE;
+    }
+
+    const options = readOptions(values);
+    const [command, ...args] = positionals;
+    const print = (result, printer) => options.json ? console.log(JSON.stringify(result, null, 2)) : printer(result);
+
+    switch (command) {
+        case 'embed': {
+            if (args.length !== 2) throw new UsageError('embed needs <input> <output>');
+            print(await embed(args[0], args[1], options), printEmbed);
+            return EXIT.OK;
+        }
+        case 'verify': {
+            if (args.length !== 1) throw new UsageError('verify needs one <image>');
+            const result = await verify(args[0], options, await verifierOptions(options));
+            print(result, printVerify);
+            return result.passed ? EXIT.OK : EXIT.FAILED;
+        }
+        case 'inspect': {
+            if (args.length !== 1) throw new UsageError('inspect needs one <image>');
+            print(await inspect(args[0], options, await verifierOptions(options)), printInspect);
+            return EXIT.OK;
+        }
+        case 'batch': {
+            const [action, ...inputs] = args;
+            if (action !== 'embed' && action !== 'verify') throw new UsageError('batch needs embed or verify');
+            return runBatch(action, inputs, options);
+        }
+        default:
+            throw new UsageError(`Unknown command: ${command}`);
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2))
+        .then(code => { process.exitCode = code; })
+        .catch(err => {
+            console.error(`realpic: ${err.message}`);
+            if (err instanceof UsageError || err.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION' ||
+                err.code === 'ERR_PARSE_ARGS_INVALID_OPTION_VALUE') {
+                console.error(USAGE);
+            }
+            process.exitCode = EXIT.USAGE;
+        });
+}
+
+module.exports = { main };
@@ -0,0 +1,478 @@
+/**
+ * Types for the RealPic watermark library (index.js / index.mjs).
+ */
+
+// ========================================
+// Shared shapes
+// ========================================
+
+/** RGBA pixels: a browser ImageData or anything with the same fields */
+export interface ImageDataLike {
+    data: Uint8ClampedArray;
+    width: number;
+    height: number;
+}
+
+/** A deployment watermark key (see lib/keyring.js) */
+export interface WatermarkKey {
+    id: number;
+    key: string;
+}
+
+/** Geometry the robust decoder undid before reading the mark */
+export interface Transform {
+    scale: number;
+    /** Degrees */
+    rotation: number;
+    offsetX: number;
+    offsetY: number;
+    score: number;
+}
+
+/** Where the recovered robust watermark is still intact */
+export interface IntegrityMap {
+    cellSize: number;
+    cols: number;
+    rows: number;
+    originX: number;
+    originY: number;
+    /** Affine matrix [a, b, c, d, e, f] from the decoding plane to the image */
+    matrix: number[];
+    /** Row-major, 1 = intact, 0 = chance, null = nothing read */
+    scores: Array<number | null>;
+}
+
+// ========================================
+// Payload
+// ========================================
+
+export interface PayloadFields {
+    keyId?: number;
+    /** Seconds since the epoch */
+    timestamp?: number;
+    deviceHash?: number;
+    /** 8 bytes */
+    mediaId?: Uint8Array;
+    note?: string;
+    signed?: boolean;
+}
+
+export interface DecodedPayload {
+    version: number;
+    flags: number;
+    /** Signing key ID (0 = unsigned) */
+    keyId: number;
+    timestamp: number;
+    deviceHash: number;
+    /** Hex */
+    mediaId: string;
+    note: string | null;
+    /** The signed bytes */
+    body: Uint8Array;
+    signature: Uint8Array | null;
+}
+
+export interface AttestationFields {
+    keyId: number;
+    /** When the server recorded the image, epoch seconds */
+    timestamp: number;
+    /** Hex, the payload's mediaId */
+    mediaId: string;
+    /** Hex perceptual hash */
+    phash: string;
+    /** Hex seal digest (SealCheck.digest), for images sealed at upload */
+    sealDigest?: string | null;
+}
+
+export interface DecodedAttestation extends AttestationFields {
+    version: number;
+    sealDigest: string | null;
+    /** The signed bytes */
+    body: Uint8Array;
+    signature: Uint8Array;
+}
+
+export interface PayloadModule {
+    encode(fields: PayloadFields): Uint8Array;
+    attachSignature(body: Uint8Array, signature: Uint8Array): Uint8Array;
+    decode(bytes: Uint8Array): DecodedPayload | null;
+    encodeAttestation(fields: AttestationFields): Uint8Array;
+    decodeAttestation(bytes: Uint8Array): DecodedAttestation | null;
+    describe(payload: DecodedPayload): string;
+    equals(a: DecodedPayload, b: DecodedPayload): boolean;
+    hashDevice(str: string): number;
+    toBase64(bytes: Uint8Array): string;
+    fromBase64(str: string): Uint8Array;
+    readonly FLAGS: { readonly SIGNED: number; readonly NOTE: number };
+}
+
+// ========================================
+// Robust watermark
+// ========================================
+
+/** Binary payload (see Payload.encode) or legacy text */
+export type WatermarkMessage = Uint8Array | string;
+
+/** Called as a long-running operation advances */
+export type ProgressCallback = (done: number, total: number) => void;
+
+export interface EncodeOptions {
+    strength?: number;
+    key?: string;
+    keyId?: number;
+    /** Also embed in Cb and Cr for more bits per block; decode detects it */
+    chroma?: boolean;
+    /** Weaker embedding in flat areas; default true */
+    masking?: boolean;
+    /** Adaptive strength: mark each block as strongly as this PSNR (dB) allows */
+    targetPsnr?: number;
+    /** Adaptive strength, likewise for SSIM */
+    targetSsim?: number;
+    /** After each row of blocks */
+    onProgress?: ProgressCallback;
+}
+
+export interface EncodeResult {
+    imageData: ImageDataLike;
+    /** 63 bits */
+    perceptualHash: number[];
+    bitsEmbedded: number;
+    /** Achieved quality, when a target was given */
+    quality?: Quality;
+}
+
+export interface Quality {
+    /** dB; Infinity for identical images */
+    psnr: number;
+    ssim: number;
+}
+
+export interface DecodeOptions {
+    /** Candidate keys, tried in turn */
+    keys?: WatermarkKey[];
+    /** Single key, when `keys` is not given */
+    key?: string;
+    keyId?: number;
+    strength?: number;
+    /** Once the geometry is recovered and after each key is tried */
+    onProgress?: ProgressCallback;
+}
+
+/** Options for hasWatermark */
+export type DetectOptions = DecodeOptions;
+
+export interface DecodeResult {
+    found: boolean;
+    confidence: number;
+    /** Readable summary of the payload, or the legacy text */
+    message: string | null;
+    payload: DecodedPayload | null;
+    /** Key ID named in the watermark header */
+    keyId: number | null;
+    correctedSymbols: number;
+    unrecoverable: boolean;
+    /** Set once the payload is recovered */
+    integrity: IntegrityMap | null;
+    transform: Transform;
+}
+
+export interface FrameReport {
+    synced: boolean;
+    transform: Transform;
+    /** Fraction of bits matching the recovered mark (null if unread) */
+    agreement: number | null;
+}
+
+export interface FramesDecodeResult extends Omit<DecodeResult, 'transform'> {
+    frames: FrameReport[];
+}
+
+export interface FrameEmbedder {
+    /** Marks a frame of the embedder's size in place */
+    embed(imageData: ImageDataLike): ImageDataLike;
+    bitsEmbedded: number;
+}
+
+export interface FrameReader {
+    add(imageData: ImageDataLike): { synced: boolean; transform: Transform };
+    finish(): FramesDecodeResult;
+}
+
+export interface BitErrorResult {
+    synced: boolean;
+    /** 0.5 when nothing could be read */
+    bitErrorRate: number;
+    transform: Transform;
+}
+
+export declare class GaloisField {
+    constructor(primePoly?: number, fieldSize?: number);
+    multiply(a: number, b: number): number;
+    divide(a: number, b: number): number;
+    power(x: number, power: number): number;
+    inverse(x: number): number;
+}
+
+export declare class ReedSolomon {
+    constructor(nsym?: number);
+    encode(data: Uint8Array | number[]): Uint8Array;
+    /** @throws If the codeword cannot be corrected */
+    decode(data: Uint8Array | number[], erasePositions?: number[]): { data: Uint8Array; correctedSymbols: number };
+}
+
+export declare class SeededRNG {
+    constructor(seed: string);
+    /** In [0, 1] */
+    next(): number;
+    /** Inclusive range */
+    nextInt(min: number, max: number): number;
+    /** Shuffled copy */
+    shuffle<T>(array: T[]): T[];
+}
+
+export interface RobustWatermarkModule {
+    encode(imageData: ImageDataLike, message: WatermarkMessage, options?: EncodeOptions): EncodeResult;
+    decode(imageData: ImageDataLike, options?: DecodeOptions): DecodeResult;
+    createFrameEmbedder(width: number, height: number, message: WatermarkMessage, options?: EncodeOptions): FrameEmbedder;
+    decodeFrames(frames: ImageDataLike[], options?: DecodeOptions): FramesDecodeResult;
+    createFrameReader(options?: DecodeOptions): FrameReader;
+    measureBitErrors(imageData: ImageDataLike, message: WatermarkMessage, options?: EncodeOptions): BitErrorResult;
+    hasWatermark(imageData: ImageDataLike, options?: DetectOptions): boolean;
+    computePerceptualHash(imageData: ImageDataLike): number[];
+    verifyPerceptualHash(imageData: ImageDataLike, originalHash: number[], threshold?: number): { isMatch: boolean; similarity: number };
+    /** PSNR over RGB and mean SSIM on luminance; the images must be the same size */
+    measureQuality(original: ImageDataLike, changed: ImageDataLike): Quality;
+    /** Orthonormal 8x8 DCT, in place; coefficient u * 8 + v has vertical frequency u */
+    forwardDct(block: Float32Array): Float32Array;
+    /** Inverse of forwardDct, in place */
+    inverseDct(block: Float32Array): Float32Array;
+    GaloisField: typeof GaloisField;
+    ReedSolomon: typeof ReedSolomon;
+    SeededRNG: typeof SeededRNG;
+    readonly CONFIG: Readonly<Record<string, unknown>>;
+}
+
+// ========================================
+// LSB steganography
+// ========================================
+
+export interface LsbEncodeOptions {
+    key?: string;
+    /** Low bits used in each RGB sample; default 1 */
+    depth?: 1 | 2;
+}
+
+export interface LsbDecodeOptions {
+    /** Candidate keys, tried in turn */
+    keys?: WatermarkKey[];
+    /** Single key, when `keys` is not given */
+    key?: string;
+    keyId?: number;
+}
+
+export interface LsbDecodeResult {
+    /** Readable summary of the payload, or the legacy text */
+    message: string | null;
+    payload: DecodedPayload | null;
+    /** ID of the key that read it; null for the original sequential format */
+    keyId: number | null;
+    depth: 1 | 2;
+}
+
+export interface SealOptions {
+    key?: string;
+    /** Ties the seal to one capture, normally the robust payload's mediaId */
+    id?: string;
+}
+
+export interface SealCheckOptions extends LsbDecodeOptions {
+    id?: string;
+}
+
+/** Cells are the seal's blocks on the image itself (identity matrix) */
+export interface SealCheck extends IntegrityMap {
+    keyId: number;
+    /** No block changed since the image was sealed */
+    intact: boolean;
+    /** Number of blocks changed */
+    changed: number;
+    /** Hex SHA-256 of the block MACs over the current pixels, as the server attests it */
+    digest: string;
+    /** Row-major, 1 = as sealed, 0 = changed */
+    scores: number[];
+}
+
+export interface SteganographyModule {
+    encode(imageData: ImageDataLike, message: WatermarkMessage, options?: LsbEncodeOptions): ImageDataLike;
+    /** null when no LSB watermark is present or its CRC fails */
+    decode(imageData: ImageDataLike, options?: LsbDecodeOptions): LsbDecodeResult | null;
+    hasHiddenData(imageData: ImageDataLike, options?: LsbDecodeOptions): boolean;
+    /** Longest message encode accepts, in bytes (text takes 2 a character) */
+    capacity(width: number, height: number, options?: Pick<LsbEncodeOptions, 'depth'>): number;
+    /** Fills every block's low bits with a MAC of the block; replaces any LSB message */
+    seal(imageData: ImageDataLike, options?: SealOptions): ImageDataLike;
+    /** null when the image holds no seal under these keys and ID */
+    checkSeal(imageData: ImageDataLike, options?: SealCheckOptions): SealCheck | null;
+    CONFIG: { SECRET_KEY: string; SEAL_BLOCK: number; SEAL_BITS: number; SEAL_PROBES: number };
+}
+
+// ========================================
+// Video
+// ========================================
+
+export type VideoSource = Blob | string;
+
+export interface SampledFrame {
+    time: number;
+    start: number;
+    end: number;
+    imageData: ImageDataLike;
+}
+
+export interface SampleOptions {
+    /** Seconds between samples */
+    interval?: number;
+    maxFrames?: number;
+    onProgress?: ProgressCallback;
+}
+
+export interface ExtractOptions {
+    robust?: RobustWatermarkModule;
+    keys?: WatermarkKey[];
+    /** Embedding strength, as for RobustWatermark.decode */
+    strength?: number;
+}
+
+export interface VideoSegment {
+    start: number;
+    end: number;
+    synced: boolean;
+    agreement: number | null;
+    marked: boolean;
+}
+
+export interface VideoExtractResult extends Omit<DecodeResult, 'transform'> {
+    segments: VideoSegment[];
+    ranges: Array<{ start: number; end: number }>;
+    /** Marked fraction of the sampled time */
+    coverage: number;
+}
+
+export interface VideoWatermarkModule {
+    /** Browser only */
+    sampleFrames(source: VideoSource, options?: SampleOptions): Promise<{ duration: number; frames: SampledFrame[] }>;
+    extract(frames: Array<Pick<SampledFrame, 'start' | 'end' | 'imageData'>>, options?: ExtractOptions): VideoExtractResult;
+    /** Browser only */
+    analyze(source: VideoSource, options?: SampleOptions & ExtractOptions): Promise<VideoExtractResult & { duration: number }>;
+    readonly CONFIG: Readonly<{ SAMPLE_INTERVAL: number; MAX_FRAMES: number; MARK_THRESHOLD: number }>;
+}
+
+// ========================================
+// Verifier
+// ========================================
+
+export type SignatureStatus = 'valid' | 'invalid' | 'unsigned' | 'unchecked';
+
+/** A payload or an attestation: bytes signed by a key on the server's keyring */
+export interface SignedBytes {
+    keyId: number;
+    body: Uint8Array;
+    signature: Uint8Array | null;
+}
+
+/** How an image compares with the server's attestation of its capture */
+export interface AttestationCheck {
+    timestamp: number;
+    /** Perceptual hash bits that differ */
+    distance: number;
+    matches: boolean;
+    /** Whether the image's seal is the attested one; null without a seal or an attested one */
+    sealMatches: boolean | null;
+}
+
+export interface VerifyOptions {
+    /** Default to the browser globals (or this package's modules via verify) */
+    robust?: RobustWatermarkModule;
+    lsb?: SteganographyModule;
+    keys?: WatermarkKey[];
+    verifySignature?: (signed: SignedBytes) => boolean | Promise<boolean>;
+    getAttestation?: (payload: DecodedPayload) => DecodedAttestation | null | Promise<DecodedAttestation | null>;
+    /** Embedding strength of the robust watermark (default CONFIG.EMBED_STRENGTH) */
+    strength?: number;
+    /** From the robust decoder */
+    onProgress?: ProgressCallback;
+}
+
+export interface VerifyVideoOptions extends VerifyOptions {
+    video?: VideoWatermarkModule;
+    /** Counts frames read */
+    onProgress?: ProgressCallback;
+}
+
+export interface Verdict {
+    type: 'success' | 'warning' | 'error';
+    title: string;
+    subtitle: string;
+    confidence: number;
+    watermarkType: string;
+    message: string;
+    signature: SignatureStatus;
+    /** Set for robust watermarks only */
+    keyId: number | null;
+    transform: Transform | null;
+    payload: DecodedPayload | null;
+    integrity: IntegrityMap | null;
+    /** Fragile seal check, for robust watermarks whose image was sealed */
+    seal: SealCheck | null;
+    /** Set for validly signed images the server attested */
+    attestation: AttestationCheck | null;
+}
+
+export interface VideoVerdict extends Verdict {
+    segments: VideoSegment[];
+    ranges: Array<{ start: number; end: number }>;
+    coverage: number;
+    duration: number;
+}
+
+export interface VerifierModule {
+    verify(imageData: ImageDataLike, options?: VerifyOptions): Promise<Verdict>;
+    verifyVideo(source: VideoSource, options?: VerifyVideoOptions): Promise<VideoVerdict>;
+    /** Null `matchesRecord` when there is nothing to compare */
+    matchRecord<T extends Verdict>(result: T, recorded: DecodedPayload | null): T & { matchesRecord: boolean | null };
+    describeGeometry(transform: Transform | null): string;
+}
+
+// ========================================
+// Visible watermark
+// ========================================
+
+export interface VisibleWatermarkSettings {
+    text: string;
+    position: 'top-left' | 'top-right' | 'bottom-left' | 'bottom-right' | 'center';
+    /** Percent */
+    opacity: number;
+    size: number;
+    fontFamily: string;
+    color: string;
+    shadowColor: string;
+}
+
+export interface WatermarkModule {
+    applyVisible(ctx: CanvasRenderingContext2D, width: number, height: number, settings?: Partial<VisibleWatermarkSettings>): void;
+    readonly defaultSettings: VisibleWatermarkSettings;
+}
+
+// ========================================
+// Exports
+// ========================================
+
+export declare const Payload: PayloadModule;
+export declare const RobustWatermark: RobustWatermarkModule;
+export declare const Steganography: SteganographyModule;
+export declare const VideoWatermark: VideoWatermarkModule;
+export declare const Verifier: VerifierModule;
+export declare const Watermark: WatermarkModule;
+
+/** Verifier.verify with this package's decoders */
+export declare function verify(imageData: ImageDataLike, options?: VerifyOptions): Promise<Verdict>;
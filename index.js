@@ -0,0 +1,39 @@
+/**
+ * RealPic watermark library
+ * The browser watermark modules as one CommonJS package for Node services
+ * and bundlers (index.mjs is the ES module entry, index.d.ts the types).
+ * Pages keep loading the same files as script tags, where each module is a
+ * global; payload.js must come before the modules that use it.
+ *
+ * The library has no dependencies. express and multer (the server) and sharp
+ * (the server and the realpic CLI) are optional dependencies, so library
+ * users can leave them out with `npm install --omit=optional`.
+ */
+
+const Payload = require('./payload');
+const RobustWatermark = require('./robust-watermark');
+const Steganography = require('./steganography');
+const VideoWatermark = require('./video-watermark');
+const Verifier = require('./verifier');
+const Watermark = require('./watermark');
+
+/**
+ * Verifier.verify with this package's decoders, so callers outside the
+ * browser need not pass the modules in
+ * @param {ImageData|{data: Uint8ClampedArray, width: number, height: number}} imageData - RGBA pixels
+ * @param {Object} [options] - As for Verifier.verify
+ * @returns {Promise<Object>} Verdict as for Verifier.verify
+ */
+function verify(imageData, options = {}) {
+    return Verifier.verify(imageData, { robust: RobustWatermark, lsb: Steganography, ...options });
+}
+
+module.exports = {
+    Payload,
+    RobustWatermark,
+    Steganography,
+    VideoWatermark,
+    Verifier,
+    Watermark,
+    verify
+};
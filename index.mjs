@@ -0,0 +1,19 @@
+/**
+ * RealPic watermark library, ES module entry
+ * Re-exports the CommonJS package (index.js) so both entries share one copy
+ * of each module.
+ */
+
+import realpic from './index.js';
+
+export const {
+    Payload,
+    RobustWatermark,
+    Steganography,
+    VideoWatermark,
+    Verifier,
+    Watermark,
+    verify
+} = realpic;
+
+export default realpic;
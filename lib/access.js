@@ -0,0 +1,93 @@
+/**
+ * Access control helpers
+ * Filename validation for media routes, uploader delete tokens, per-client
+ * rate limits and safe injection of values into HTML templates.
+ */
+
+const crypto = require('crypto');
+
+// Stored names are generated by the server (16 hex chars + extension); older
+// uploads adopted from disk may differ, but never contain separators or '..'
+const SAFE_FILENAME = /^[A-Za-z0-9][A-Za-z0-9_-]{0,99}(\.[A-Za-z0-9]{1,10})?$/;
+
+function isSafeFilename(filename) {
+    return typeof filename === 'string' && SAFE_FILENAME.test(filename);
+}
+
+/**
+ * Extension for a stored upload: the client's extension if it is one we
+ * accept for this kind, otherwise the fallback
+ * @param {string} originalName - Client-supplied filename
+ * @param {string[]} allowed - Lower-case extensions with the dot
+ * @param {string} fallback
+ * @returns {string}
+ */
+function safeExtension(originalName, allowed, fallback) {
+    const match = /\.[A-Za-z0-9]+$/.exec(String(originalName || '').trim());
+    const ext = match ? match[0].toLowerCase() : '';
+    return allowed.includes(ext) ? ext : fallback;
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Creates a delete token for an upload. The uploader gets the token; only
+ * its hash is stored.
+ * @returns {{token: string, hash: string}}
+ */
+function createDeleteToken() {
+    const token = crypto.randomBytes(24).toString('base64url');
+    return { token, hash: hashToken(token) };
+}
+
+function checkDeleteToken(token, hash) {
+    if (typeof token !== 'string' || !token || typeof hash !== 'string') {
+        return false;
+    }
+    const given = Buffer.from(hashToken(token), 'hex');
+    const expected = Buffer.from(hash, 'hex');
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Express middleware that allows each client IP `max` requests per window
+ * and answers the rest with 429
+ * @param {Object} options
+ * @param {number} options.max - Requests per window
+ * @param {number} options.windowMs - Window length
+ * @returns {Function} Middleware
+ */
+function createRateLimiter({ max, windowMs }) {
+    const windows = new Map();
+
+    return (req, res, next) => {
+        const now = Date.now();
+        // Expired windows are dropped as they are found, so idle clients cost nothing
+        for (const [ip, window] of windows) {
+            if (window.reset <= now) windows.delete(ip);
+        }
+
+        const window = windows.get(req.ip) || { count: 0, reset: now + windowMs };
+        window.count++;
+        windows.set(req.ip, window);
+        if (window.count > max) {
+            res.set('Retry-After', String(Math.ceil((window.reset - now) / 1000)));
+            return res.status(429).json({ success: false, error: 'Too many requests, try again later' });
+        }
+        next();
+    };
+}
+
+// JSON string literal that is safe inside an inline <script>
+function scriptString(value) {
+    return JSON.stringify(String(value))
+        .replace(/</g, '\\u003c')
+        .replace(/>/g, '\\u003e')
+        .replace(/&/g, '\\u0026')
+        .replace(/\u2028/g, '\\u2028')
+        .replace(/\u2029/g, '\\u2029');
+}
+
+module.exports = { isSafeFilename, safeExtension, createDeleteToken, checkDeleteToken, createRateLimiter, scriptString };
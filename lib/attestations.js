@@ -0,0 +1,72 @@
+/**
+ * Attestation Store
+ * The server's signed record of each capture's content, by media ID.
+ *
+ * A capture's payload is signed before the image exists; when the finished
+ * image is uploaded the server signs what it received (see
+ * Payload.encodeAttestation), and verifiers compare an image with that record.
+ * Attestations outlive the uploads they were made from, so a copy keeps
+ * verifying after retention removes the stored file.
+ *
+ * Entries live in an append-only JSON log (<dataDir>/attestations.jsonl), one
+ * line per capture, replayed into memory on start:
+ *
+ *   { "mediaId": "0123456789abcdef", "attestation": "<base64>", "created": "..." }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const LOG_FILE = 'attestations.jsonl';
+
+/**
+ * Loads (or initialises) the attestation store
+ * @param {string} dataDir - Directory holding attestations.jsonl
+ * @returns {Object} Attestation store API
+ */
+function createAttestationStore(dataDir) {
+    const logPath = path.join(dataDir, LOG_FILE);
+    const entries = new Map();
+
+    if (fs.existsSync(logPath)) {
+        const lines = fs.readFileSync(logPath, 'utf8').split('\n').filter(Boolean);
+        for (const [index, line] of lines.entries()) {
+            try {
+                const entry = JSON.parse(line);
+                // The first attestation for a capture is the one that counts
+                if (!entries.has(entry.mediaId)) {
+                    entries.set(entry.mediaId, entry);
+                }
+            } catch (err) {
+                // A crash mid-append leaves a partial last line; drop it
+                console.warn(`Skipping unreadable attestation log line ${index + 1}:`, err.message);
+            }
+        }
+    }
+
+    function get(mediaId) {
+        return entries.get(mediaId) || null;
+    }
+
+    /**
+     * Records a capture's attestation, once
+     * @param {string} mediaId - Hex media ID
+     * @param {string} attestation - Base64 signed attestation
+     * @returns {Object|null} The stored entry, or null if the capture was
+     *   already attested
+     */
+    function add(mediaId, attestation) {
+        if (entries.has(mediaId)) {
+            return null;
+        }
+        const entry = { mediaId, attestation, created: new Date().toISOString() };
+        fs.mkdirSync(dataDir, { recursive: true });
+        fs.appendFileSync(logPath, JSON.stringify(entry) + '\n');
+        entries.set(mediaId, entry);
+        return entry;
+    }
+
+    return { get, add };
+}
+
+module.exports = { createAttestationStore };
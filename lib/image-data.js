@@ -0,0 +1,41 @@
+/**
+ * Server-side image decoding
+ * Turns an uploaded PNG/JPEG/WebP buffer into RGBA pixels shaped like the
+ * browser's ImageData, so the watermark modules can run unchanged in Node.
+ */
+
+const sharp = require('sharp');
+
+// Larger inputs are refused before decoding (a small file can declare huge
+// dimensions); 50 MP is well above any phone camera
+const MAX_INPUT_PIXELS = 50 * 1000 * 1000;
+
+/**
+ * Decodes an encoded image into RGBA pixels
+ * @param {Buffer} buffer - Encoded image file contents
+ * @param {Object} [options]
+ * @param {number} [options.maxSide] - Shrink to fit within this many pixels
+ *   per side (never enlarges)
+ * @param {number} [options.maxPixels=MAX_INPUT_PIXELS] - Reject inputs with
+ *   more pixels than this
+ * @returns {Promise<{data: Uint8ClampedArray, width: number, height: number}>}
+ */
+async function decodeImage(buffer, options = {}) {
+    let image = sharp(buffer, { limitInputPixels: options.maxPixels || MAX_INPUT_PIXELS })
+        .rotate(); // Apply EXIF orientation, as browsers do when drawing to a canvas
+    if (options.maxSide) {
+        image = image.resize(options.maxSide, options.maxSide, { fit: 'inside', withoutEnlargement: true });
+    }
+    const { data, info } = await image
+        .ensureAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    return {
+        data: new Uint8ClampedArray(data.buffer, data.byteOffset, data.length),
+        width: info.width,
+        height: info.height
+    };
+}
+
+module.exports = { decodeImage, MAX_INPUT_PIXELS };
@@ -0,0 +1,173 @@
+/**
+ * Keyring
+ * Per-deployment watermark and signing keys with rotation.
+ *
+ * Every key has a numeric ID (1-255) that is embedded in the watermark header
+ * and in the signed claim. The newest key signs new captures; older keys stay
+ * on the ring so previously issued images keep verifying after a rotation.
+ *
+ * Keys come from two places:
+ *   - WATERMARK_KEYS: JSON array of { id, watermarkKey, privateKey } (config managed)
+ *   - <dataDir>/keys.json: keys created on first start or by rotation
+ *
+ * Watermark keys are detection keys: the capture page needs the active one and
+ * verifiers need all of them, so they are published with the public signing
+ * keys. Forging a valid watermark still requires a private signing key, which
+ * never leaves the server.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const KEYS_FILE = 'keys.json';
+const MAX_KEY_ID = 255;
+
+// Hosting dashboards often store multi-line values with escaped newlines
+function parsePrivateKey(pem) {
+    return crypto.createPrivateKey(pem.replace(/\\n/g, '\n'));
+}
+
+function toEntry(record, source) {
+    const id = Number(record.id);
+    if (!Number.isInteger(id) || id < 1 || id > MAX_KEY_ID) {
+        throw new Error(`Invalid key ID: ${record.id}`);
+    }
+    if (!record.watermarkKey || !record.privateKey) {
+        throw new Error(`Key ${id} needs a watermarkKey and a privateKey`);
+    }
+
+    const privateKey = parsePrivateKey(record.privateKey);
+    return {
+        id,
+        watermarkKey: record.watermarkKey,
+        privateKey,
+        publicKey: crypto.createPublicKey(privateKey),
+        createdAt: record.createdAt || null,
+        source
+    };
+}
+
+function generateRecord(id) {
+    const key = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' }).privateKey;
+    return {
+        id,
+        watermarkKey: crypto.randomBytes(16).toString('hex'),
+        privateKey: key.export({ type: 'pkcs8', format: 'pem' }),
+        createdAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Loads (or initialises) the keyring
+ * @param {string} dataDir - Directory holding keys.json
+ * @returns {Object} Keyring API
+ */
+function createKeyring(dataDir) {
+    const keysPath = path.join(dataDir, KEYS_FILE);
+    const keys = new Map();
+
+    let stored = [];
+    if (fs.existsSync(keysPath)) {
+        stored = JSON.parse(fs.readFileSync(keysPath, 'utf8'));
+    }
+
+    function save() {
+        fs.mkdirSync(dataDir, { recursive: true });
+        fs.writeFileSync(keysPath, JSON.stringify(stored, null, 2), { mode: 0o600 });
+    }
+
+    for (const record of stored) {
+        keys.set(Number(record.id), toEntry(record, 'generated'));
+    }
+
+    if (process.env.WATERMARK_KEYS) {
+        for (const record of JSON.parse(process.env.WATERMARK_KEYS)) {
+            const entry = toEntry(record, 'config');
+            if (keys.has(entry.id)) {
+                console.warn(`Key ${entry.id} from WATERMARK_KEYS overrides the stored key with the same ID`);
+            }
+            keys.set(entry.id, entry);
+        }
+    }
+
+    // First start: create key 1
+    if (keys.size === 0) {
+        const record = generateRecord(1);
+        stored.push(record);
+        save();
+        keys.set(1, toEntry(record, 'generated'));
+        console.log(`Created watermark key 1: ${keysPath}`);
+    }
+
+    // The newest key signs new captures
+    function activeKey() {
+        return keys.get(Math.max(...keys.keys()));
+    }
+
+    function get(id) {
+        return keys.get(id) || null;
+    }
+
+    function rotate() {
+        const id = Math.max(...keys.keys()) + 1;
+        if (id > MAX_KEY_ID) {
+            throw new Error('No key IDs left to rotate to');
+        }
+
+        const record = generateRecord(id);
+        stored.push(record);
+        save();
+
+        const entry = toEntry(record, 'generated');
+        keys.set(id, entry);
+        console.log(`Rotated to watermark key ${id}`);
+        return entry;
+    }
+
+    // Signature in IEEE P1363 form (r || s), as WebCrypto expects
+    function sign(body, keyId) {
+        const entry = keys.get(keyId);
+        if (!entry) {
+            throw new Error(`Unknown key ID: ${keyId}`);
+        }
+        return new Uint8Array(crypto.sign('sha256', body, { key: entry.privateKey, dsaEncoding: 'ieee-p1363' }));
+    }
+
+    /**
+     * Checks a claim signature
+     * @param {Uint8Array} body - Signed bytes
+     * @param {Uint8Array} signature - IEEE P1363 signature
+     * @param {number} keyId - Key the claim names
+     * @returns {number|null} ID of the key that verified, or null
+     */
+    function verify(body, signature, keyId) {
+        const entry = keys.get(keyId);
+        if (!entry) return null;
+        try {
+            return crypto.verify('sha256', body, { key: entry.publicKey, dsaEncoding: 'ieee-p1363' }, signature) ? entry.id : null;
+        } catch (err) {
+            // Malformed signature
+            return null;
+        }
+    }
+
+    // Public view of the ring (no private keys), newest first
+    function list() {
+        const active = activeKey().id;
+        return [...keys.values()]
+            .sort((a, b) => b.id - a.id)
+            .map(entry => ({
+                id: entry.id,
+                watermarkKey: entry.watermarkKey,
+                publicKey: entry.publicKey.export({ format: 'jwk' }),
+                createdAt: entry.createdAt,
+                source: entry.source,
+                active: entry.id === active
+            }));
+    }
+
+    return { activeKey, get, rotate, sign, verify, list };
+}
+
+module.exports = { createKeyring };
@@ -0,0 +1,83 @@
+/**
+ * Local filesystem storage
+ * Keeps each media kind in its own directory (UPLOADS_DIR, VIDEOS_DIR).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * SHA-256 of a file, streamed so large videos are not read into memory
+ * @param {string} filepath
+ * @returns {Promise<string>} Hex digest
+ */
+function hashFile(filepath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filepath)
+            .on('error', reject)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')));
+    });
+}
+
+/**
+ * @param {Object} options
+ * @param {Object<string, string>} options.dirs - Directory per media kind
+ * @returns {Object} Storage adapter (see lib/storage.js)
+ */
+function createLocalStorage({ dirs }) {
+    for (const dir of Object.values(dirs)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+
+    function filePath(kind, filename) {
+        return path.join(dirs[kind], filename);
+    }
+
+    async function putFile(kind, filename, sourcePath) {
+        const target = filePath(kind, filename);
+        try {
+            await fs.promises.rename(sourcePath, target);
+        } catch (err) {
+            // Incoming directory on another filesystem
+            if (err.code !== 'EXDEV') throw err;
+            await fs.promises.copyFile(sourcePath, target);
+            await fs.promises.rm(sourcePath, { force: true });
+        }
+    }
+
+    async function read(kind, filename, range) {
+        return fs.createReadStream(filePath(kind, filename), range);
+    }
+
+    async function remove(kind, filename) {
+        await fs.promises.rm(filePath(kind, filename), { force: true });
+    }
+
+    async function list(kind) {
+        const files = [];
+        for (const entry of await fs.promises.readdir(dirs[kind], { withFileTypes: true })) {
+            if (!entry.isFile()) continue;
+            const stats = await fs.promises.stat(filePath(kind, entry.name));
+            files.push({ filename: entry.name, size: stats.size, modified: stats.mtime.toISOString() });
+        }
+        return files;
+    }
+
+    // Record fields for a file that has no record yet
+    async function describe(kind, filename) {
+        const filepath = filePath(kind, filename);
+        const stats = await fs.promises.stat(filepath);
+        return {
+            size: stats.size,
+            sha256: await hashFile(filepath),
+            created: stats.mtime.toISOString()
+        };
+    }
+
+    return { name: 'local', putFile, read, remove, list, describe };
+}
+
+module.exports = { createLocalStorage, hashFile };
@@ -0,0 +1,47 @@
+/**
+ * Media links
+ * Resolves a RealPic share link or media URL to the stored upload it points
+ * at, so verification can run on the stored file instead of a re-upload.
+ */
+
+const { isSafeFilename } = require('./access');
+
+// Path prefix -> media kind; share pages and the files they show
+const ROUTES = {
+    share: 'image',
+    uploads: 'image',
+    'share-video': 'video',
+    videos: 'video'
+};
+
+/**
+ * @param {string} link - Absolute URL or site-relative path
+ * @param {string} host - This server's host (links to other hosts are rejected)
+ * @returns {{kind: string, filename: string}|null}
+ */
+function parseMediaLink(link, host) {
+    if (typeof link !== 'string' || !link.trim()) return null;
+
+    let url;
+    try {
+        url = new URL(link.trim(), `http://${host}`);
+    } catch (err) {
+        return null;
+    }
+    if (url.host !== host || (url.protocol !== 'http:' && url.protocol !== 'https:')) {
+        return null;
+    }
+
+    const match = /^\/([a-z-]+)\/([^/]+)$/.exec(url.pathname);
+    if (!match || !ROUTES[match[1]]) return null;
+
+    let filename;
+    try {
+        filename = decodeURIComponent(match[2]).trim();
+    } catch (err) {
+        return null;
+    }
+    return isSafeFilename(filename) ? { kind: ROUTES[match[1]], filename } : null;
+}
+
+module.exports = { parseMediaLink };
@@ -0,0 +1,176 @@
+/**
+ * Media Store
+ * Persistent metadata for uploaded images and videos.
+ *
+ * Records live in an append-only JSON log (<dataDir>/media.jsonl): one line per
+ * change, replayed into memory on start. The log is compacted on load so it
+ * stays proportional to the number of stored files, not the upload history.
+ *
+ *   { "op": "put", "record": { ... } }   add or replace a record
+ *   { "op": "delete", "kind": "image", "filename": "ab12.png" }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isSafeFilename } = require('./access');
+
+const LOG_FILE = 'media.jsonl';
+const KINDS = ['image', 'video'];
+
+function recordKey(kind, filename) {
+    return `${kind}/${filename}`;
+}
+
+/**
+ * Loads (or initialises) the media store
+ * @param {string} dataDir - Directory holding media.jsonl
+ * @returns {Object} Media store API
+ */
+function createMediaStore(dataDir) {
+    const logPath = path.join(dataDir, LOG_FILE);
+    const records = new Map();
+
+    function apply(entry) {
+        if (entry.op === 'put') {
+            records.set(recordKey(entry.record.kind, entry.record.filename), entry.record);
+        } else if (entry.op === 'delete') {
+            records.delete(recordKey(entry.kind, entry.filename));
+        }
+    }
+
+    function append(entry) {
+        fs.mkdirSync(dataDir, { recursive: true });
+        fs.appendFileSync(logPath, JSON.stringify(entry) + '\n');
+        apply(entry);
+    }
+
+    // Rewrite the log as one put per live record
+    function compact() {
+        const lines = [...records.values()].map(record => JSON.stringify({ op: 'put', record }) + '\n');
+        const tmpPath = `${logPath}.tmp`;
+        fs.mkdirSync(dataDir, { recursive: true });
+        fs.writeFileSync(tmpPath, lines.join(''));
+        fs.renameSync(tmpPath, logPath);
+    }
+
+    if (fs.existsSync(logPath)) {
+        const lines = fs.readFileSync(logPath, 'utf8').split('\n').filter(Boolean);
+        for (const [index, line] of lines.entries()) {
+            try {
+                apply(JSON.parse(line));
+            } catch (err) {
+                // A crash mid-append leaves a partial last line; drop it
+                console.warn(`Skipping unreadable media log line ${index + 1}:`, err.message);
+            }
+        }
+        if (lines.length !== records.size) {
+            compact();
+        }
+    }
+
+    /**
+     * Stores a record for a new upload
+     * @param {Object} record
+     * @param {string} record.kind - 'image' or 'video'
+     * @param {string} record.filename - Stored filename
+     * @returns {Object} The stored record
+     */
+    function add(record) {
+        if (!KINDS.includes(record.kind)) {
+            throw new Error(`Unknown media kind: ${record.kind}`);
+        }
+        const stored = {
+            kind: record.kind,
+            filename: record.filename,
+            originalName: record.originalName || null,
+            mimeType: record.mimeType || null,
+            size: record.size || 0,
+            sha256: record.sha256 || null,
+            payload: record.payload || null,
+            phash: record.phash || null,
+            uploader: record.uploader || null,
+            deleteTokenHash: record.deleteTokenHash || null,
+            pinned: Boolean(record.pinned),
+            created: record.created || new Date().toISOString()
+        };
+        append({ op: 'put', record: stored });
+        return stored;
+    }
+
+    function get(kind, filename) {
+        return records.get(recordKey(kind, filename)) || null;
+    }
+
+    // Records of one kind, oldest first
+    function list(kind) {
+        return [...records.values()]
+            .filter(record => record.kind === kind)
+            .sort((a, b) => a.created.localeCompare(b.created));
+    }
+
+    // Changes fields on an existing record (kind and filename are fixed)
+    function update(kind, filename, changes) {
+        const record = get(kind, filename);
+        if (!record) {
+            return null;
+        }
+        const updated = { ...record, ...changes, kind, filename };
+        append({ op: 'put', record: updated });
+        return updated;
+    }
+
+    function remove(kind, filename) {
+        if (!records.has(recordKey(kind, filename))) {
+            return false;
+        }
+        append({ op: 'delete', kind, filename });
+        return true;
+    }
+
+    /**
+     * Brings the store in line with what storage holds: files without a record
+     * (uploaded before the store existed, or a log lost with an ephemeral
+     * disk) are adopted, records whose file is gone are dropped. Files whose
+     * names the media routes would refuse are left out, so they are neither
+     * adopted nor kept
+     * @param {string} kind - 'image' or 'video'
+     * @param {Object} storage - Storage adapter (see lib/storage.js)
+     * @param {string[]} extensions - File extensions that belong to this kind
+     * @returns {Promise<{adopted: number, dropped: number}>}
+     */
+    async function reconcile(kind, storage, extensions) {
+        const files = (await storage.list(kind))
+            .filter(file => extensions.includes(path.extname(file.filename).toLowerCase()))
+            .filter(file => {
+                if (isSafeFilename(file.filename)) return true;
+                console.warn(`Not adopting ${kind} with an unsafe filename: ${JSON.stringify(file.filename)}`);
+                return false;
+            });
+
+        let adopted = 0;
+        for (const file of files) {
+            if (get(kind, file.filename)) continue;
+            add({
+                created: file.modified,
+                ...await storage.describe(kind, file.filename),
+                kind,
+                filename: file.filename
+            });
+            adopted++;
+        }
+
+        const present = new Set(files.map(file => file.filename));
+        let dropped = 0;
+        for (const record of list(kind)) {
+            if (!present.has(record.filename)) {
+                remove(kind, record.filename);
+                dropped++;
+            }
+        }
+        return { adopted, dropped };
+    }
+
+    return { add, get, list, update, remove, reconcile };
+}
+
+module.exports = { createMediaStore };
@@ -0,0 +1,134 @@
+/**
+ * Perceptual hash matching
+ * Uploads keep perceptual hashes of their pixels so a copy whose watermark no
+ * longer decodes - recompressed, rescaled or cropped - can still be traced
+ * back to the stored original by Hamming distance.
+ *
+ * A whole-image pHash survives recompression and rescaling but not cropping,
+ * so the stored fingerprint also hashes windows of the original: 90%, 80% and
+ * 70% of each side, each at nine anchor positions. A crop that keeps at least
+ * about 70% of each side lands close to one of them. The fingerprint is the
+ * concatenated hex of all windows, whole image first.
+ */
+
+// Window sizes (fraction of each side) and anchors (fraction of the slack)
+const WINDOW_SIZES = [0.9, 0.8, 0.7];
+const WINDOW_ANCHORS = [0, 0.5, 1];
+
+// Bit count of popcount(0..15), for nibble-wise Hamming distance
+const NIBBLE_BITS = [0, 1, 1, 2, 1, 2, 2, 3, 1, 2, 2, 3, 2, 3, 3, 4];
+
+/**
+ * Packs hash bits into hex, most significant bit first; the last nibble is
+ * padded with zeros
+ * @param {number[]} bits - 0/1 values
+ * @returns {string}
+ */
+function hashToHex(bits) {
+    let hex = '';
+    for (let i = 0; i < bits.length; i += 4) {
+        let nibble = 0;
+        for (let j = 0; j < 4; j++) {
+            nibble = (nibble << 1) | (bits[i + j] ? 1 : 0);
+        }
+        hex += nibble.toString(16);
+    }
+    return hex;
+}
+
+/**
+ * Number of differing bits between two hex hashes of the same length
+ * @param {string} a
+ * @param {string} b
+ * @returns {number|null} Null if the hashes are not comparable
+ */
+function hammingDistance(a, b) {
+    if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) {
+        return null;
+    }
+    let distance = 0;
+    for (let i = 0; i < a.length; i++) {
+        const x = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+        if (Number.isNaN(x)) return null;
+        distance += NIBBLE_BITS[x];
+    }
+    return distance;
+}
+
+// Copies a rectangle out of RGBA pixels
+function cropPixels(imageData, x0, y0, width, height) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        const start = ((y0 + y) * imageData.width + x0) * 4;
+        data.set(imageData.data.subarray(start, start + width * 4), y * width * 4);
+    }
+    return { data, width, height };
+}
+
+/**
+ * Fingerprint of a stored original: the hex pHash of the whole image and of
+ * each crop window, concatenated
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} imageData
+ * @param {Function} computeHash - RobustWatermark.computePerceptualHash
+ * @returns {string}
+ */
+function fingerprint(imageData, computeHash) {
+    const hashes = [hashToHex(computeHash(imageData))];
+    for (const size of WINDOW_SIZES) {
+        const width = Math.max(1, Math.round(imageData.width * size));
+        const height = Math.max(1, Math.round(imageData.height * size));
+        for (const anchorY of WINDOW_ANCHORS) {
+            for (const anchorX of WINDOW_ANCHORS) {
+                const x0 = Math.round((imageData.width - width) * anchorX);
+                const y0 = Math.round((imageData.height - height) * anchorY);
+                hashes.push(hashToHex(computeHash(cropPixels(imageData, x0, y0, width, height))));
+            }
+        }
+    }
+    return hashes.join('');
+}
+
+/**
+ * Distance from a query hash to the closest window of a fingerprint
+ * @param {string} hash - Hex pHash of the query image
+ * @param {string} print - Fingerprint of a stored original
+ * @returns {number|null} Null if they are not comparable
+ */
+function fingerprintDistance(hash, print) {
+    if (typeof hash !== 'string' || !hash || typeof print !== 'string' || print.length % hash.length !== 0) {
+        return null;
+    }
+    let best = null;
+    for (let i = 0; i < print.length; i += hash.length) {
+        const distance = hammingDistance(hash, print.slice(i, i + hash.length));
+        if (distance !== null && (best === null || distance < best)) {
+            best = distance;
+        }
+    }
+    return best;
+}
+
+/**
+ * Ranks stored records by how close their fingerprint is to a query hash
+ * @param {string} hash - Hex pHash of the query image
+ * @param {Object[]} records - Records with a `phash` fingerprint; others are skipped
+ * @param {Object} options
+ * @param {number} options.bits - Bits in one hash, for the similarity score
+ * @param {number} options.maxDistance - Records further away are left out
+ * @param {number} options.limit - Maximum matches
+ * @returns {Array<{record: Object, distance: number, similarity: number}>} Closest
+ *   first, newest first among equals
+ */
+function rankMatches(hash, records, { bits, maxDistance, limit }) {
+    const matches = [];
+    for (const record of records) {
+        const distance = fingerprintDistance(hash, record.phash);
+        if (distance === null || distance > maxDistance) continue;
+        matches.push({ record, distance, similarity: 1 - distance / bits });
+    }
+    return matches
+        .sort((a, b) => a.distance - b.distance || b.record.created.localeCompare(a.record.created))
+        .slice(0, limit);
+}
+
+module.exports = { hashToHex, hammingDistance, fingerprint, fingerprintDistance, rankMatches };
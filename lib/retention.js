@@ -0,0 +1,189 @@
+/**
+ * Retention
+ * Decides which stored media to evict and sweeps it on a schedule.
+ *
+ * Each media kind has a policy; any limit may be null to disable it:
+ *   maxCount   keep at most this many files
+ *   maxBytes   keep at most this many bytes in total
+ *   maxAgeDays evict files older than this
+ *
+ * Pinned records never expire. They still count towards maxCount and
+ * maxBytes, so pinning pushes out older unpinned files instead.
+ *
+ * Policies can be overridden with RETENTION_POLICY, a JSON object keyed by
+ * kind, e.g. {"image": {"maxCount": 1000, "maxAgeDays": null}}.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+const MB = 1024 * 1024;
+
+const DEFAULT_POLICIES = {
+    image: { maxCount: 200, maxBytes: 500 * MB, maxAgeDays: 30 },
+    video: { maxCount: 20, maxBytes: 1024 * MB, maxAgeDays: 7 }
+};
+
+const LIMITS = ['maxCount', 'maxBytes', 'maxAgeDays'];
+
+/**
+ * Default policies merged with RETENTION_POLICY
+ * @param {string} [override] - JSON from the environment
+ * @returns {Object} Policy per kind
+ */
+function loadPolicies(override = process.env.RETENTION_POLICY) {
+    const policies = {};
+    const overrides = override ? JSON.parse(override) : {};
+
+    for (const kind of Object.keys(DEFAULT_POLICIES)) {
+        policies[kind] = { ...DEFAULT_POLICIES[kind], ...(overrides[kind] || {}) };
+        for (const limit of LIMITS) {
+            const value = policies[kind][limit];
+            if (value !== null && !(typeof value === 'number' && value >= 0)) {
+                throw new Error(`Invalid retention ${limit} for ${kind}: ${value}`);
+            }
+        }
+    }
+    return policies;
+}
+
+function createdAt(record) {
+    return new Date(record.created).getTime();
+}
+
+/**
+ * Works out which records a sweep at `now` evicts
+ * @param {Object[]} records - Records of one kind, oldest first
+ * @param {Object} policy
+ * @param {number} now - Epoch milliseconds
+ * @returns {Array<{record: Object, reason: string}>} Evictions, oldest first
+ */
+function planEvictions(records, policy, now) {
+    const evictions = [];
+    const kept = [];
+
+    for (const record of records) {
+        if (!record.pinned && policy.maxAgeDays !== null &&
+            now - createdAt(record) > policy.maxAgeDays * DAY) {
+            evictions.push({ record, reason: 'age' });
+        } else {
+            kept.push(record);
+        }
+    }
+
+    let count = kept.length;
+    let bytes = kept.reduce((total, record) => total + (record.size || 0), 0);
+
+    for (const record of kept) {
+        const overCount = policy.maxCount !== null && count > policy.maxCount;
+        const overBytes = policy.maxBytes !== null && bytes > policy.maxBytes;
+        if (!overCount && !overBytes) break;
+        if (record.pinned) continue;
+
+        evictions.push({ record, reason: overCount ? 'count' : 'size' });
+        count--;
+        bytes -= record.size || 0;
+    }
+    return evictions;
+}
+
+/**
+ * What goes next: records due at the next sweep, then the oldest unpinned
+ * records in eviction order with the time their age limit runs out
+ * @param {Object[]} records - Records of one kind, oldest first
+ * @param {Object} policy
+ * @param {number} now - Epoch milliseconds
+ * @param {number} limit - Maximum entries
+ * @returns {Array<{record: Object, reason: string|null, evictAt: string|null}>}
+ */
+function previewEvictions(records, policy, now, limit) {
+    const due = planEvictions(records, policy, now);
+    const dueSet = new Set(due.map(e => e.record));
+
+    const upcoming = records
+        .filter(record => !record.pinned && !dueSet.has(record))
+        .map(record => ({
+            record,
+            reason: null,
+            evictAt: policy.maxAgeDays !== null
+                ? new Date(createdAt(record) + policy.maxAgeDays * DAY).toISOString()
+                : null
+        }));
+
+    return [
+        ...due.map(e => ({ ...e, evictAt: new Date(now).toISOString() })),
+        ...upcoming
+    ].slice(0, limit);
+}
+
+/**
+ * Periodic sweeper over the media store
+ * @param {Object} options
+ * @param {Object} options.store - Media store
+ * @param {Object} options.policies - Policy per kind (see loadPolicies)
+ * @param {Function} options.evict - async (record) => void, deletes the file and its record
+ * @param {number} options.intervalMs - Time between sweeps
+ * @returns {Object} Sweeper API
+ */
+function createSweeper({ store, policies, evict, intervalMs }) {
+    let timer = null;
+    let lastSweep = null;
+    let running = null;
+
+    /**
+     * Evicts everything the policies say is due. The timer and an admin
+     * request can overlap; a call during a sweep gets that sweep's result
+     * rather than starting another over the same records.
+     * @param {number} [now=Date.now()]
+     * @returns {Promise<Array<{kind: string, filename: string, reason: string}>>}
+     */
+    function sweep(now = Date.now()) {
+        if (!running) {
+            running = sweepOnce(now).finally(() => {
+                running = null;
+            });
+        }
+        return running;
+    }
+
+    async function sweepOnce(now) {
+        const evicted = [];
+        for (const kind of Object.keys(policies)) {
+            for (const { record, reason } of planEvictions(store.list(kind), policies[kind], now)) {
+                try {
+                    await evict(record);
+                    evicted.push({ kind, filename: record.filename, reason });
+                    console.log(`Retention: evicted ${kind} ${record.filename} (${reason})`);
+                } catch (err) {
+                    console.error(`Retention: failed to evict ${record.filename}:`, err);
+                }
+            }
+        }
+        lastSweep = { at: new Date(now).toISOString(), evicted: evicted.length };
+        return evicted;
+    }
+
+    function preview(kind, limit = 10, now = Date.now()) {
+        return previewEvictions(store.list(kind), policies[kind], now, limit);
+    }
+
+    function start() {
+        if (timer) return;
+        timer = setInterval(() => {
+            sweep().catch(err => console.error('Retention sweep failed:', err));
+        }, intervalMs);
+        // Never keep the process alive just for the sweeper
+        timer.unref();
+    }
+
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    function status() {
+        return { policies, intervalMs, lastSweep };
+    }
+
+    return { sweep, preview, start, stop, status };
+}
+
+module.exports = { loadPolicies, planEvictions, previewEvictions, createSweeper, DEFAULT_POLICIES };
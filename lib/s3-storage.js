@@ -0,0 +1,273 @@
+/**
+ * S3-compatible object storage
+ * Talks to AWS S3, MinIO, R2 and similar services over plain HTTP(S) with
+ * Signature Version 4, so no SDK is needed.
+ *
+ * Objects are stored as <prefix>uploads/<filename> and <prefix>videos/<filename>.
+ * The fields a record cannot be rebuilt without (checksum, payload, original
+ * name, upload time, perceptual fingerprint) travel as object metadata, so a
+ * host that loses its media log can recover them from the bucket.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+
+const FOLDERS = { image: 'uploads', video: 'videos' };
+
+// Record fields kept as x-amz-meta-* headers (values must be ASCII)
+const METADATA_FIELDS = ['sha256', 'payload', 'originalName', 'mimeType', 'deleteTokenHash', 'created', 'phash'];
+
+function sha256Hex(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+    return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+// RFC 3986 encoding as SigV4 expects; slashes kept for object keys
+function encodeRfc3986(str, keepSlash = false) {
+    const encoded = encodeURIComponent(str).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+    return keepSlash ? encoded.replace(/%2F/g, '/') : encoded;
+}
+
+/**
+ * Signs a request with AWS Signature Version 4
+ * @param {Object} request
+ * @param {string} request.method
+ * @param {string} request.path - Already URI-encoded path
+ * @param {Object<string, string>} request.query
+ * @param {Object<string, string>} request.headers - Must include host
+ * @param {string} request.payloadHash - Hex SHA-256 of the body, or UNSIGNED-PAYLOAD
+ * @param {Object} credentials - { accessKeyId, secretAccessKey, region, service }
+ * @param {Date} date
+ * @returns {string} Authorization header value
+ */
+function signRequest({ method, path, query, headers, payloadHash }, credentials, date) {
+    const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const day = amzDate.slice(0, 8);
+    const scope = `${day}/${credentials.region}/${credentials.service}/aws4_request`;
+
+    const canonicalQuery = Object.keys(query).sort()
+        .map(k => `${encodeRfc3986(k)}=${encodeRfc3986(query[k])}`)
+        .join('&');
+
+    const headerNames = Object.keys(headers).map(h => h.toLowerCase()).sort();
+    const lowered = {};
+    for (const [name, value] of Object.entries(headers)) {
+        lowered[name.toLowerCase()] = String(value).trim().replace(/\s+/g, ' ');
+    }
+    const canonicalHeaders = headerNames.map(h => `${h}:${lowered[h]}\n`).join('');
+    const signedHeaders = headerNames.join(';');
+
+    const canonicalRequest = [method, path, canonicalQuery, canonicalHeaders, signedHeaders, payloadHash].join('\n');
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+    let key = hmac(`AWS4${credentials.secretAccessKey}`, day);
+    key = hmac(key, credentials.region);
+    key = hmac(key, credentials.service);
+    key = hmac(key, 'aws4_request');
+    const signature = crypto.createHmac('sha256', key).update(stringToSign).digest('hex');
+
+    return `AWS4-HMAC-SHA256 Credential=${credentials.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+}
+
+function decodeXml(str) {
+    return str.replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+        .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+
+function xmlValue(xml, tag) {
+    const match = xml.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`));
+    return match ? decodeXml(match[1]) : null;
+}
+
+async function readBody(res) {
+    const chunks = [];
+    for await (const chunk of res) chunks.push(chunk);
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.bucket
+ * @param {string} [options.region='us-east-1']
+ * @param {string} [options.endpoint] - e.g. http://localhost:9000 for MinIO; defaults to AWS
+ * @param {string} options.accessKeyId
+ * @param {string} options.secretAccessKey
+ * @param {string} [options.prefix=''] - Key prefix inside the bucket
+ * @param {boolean} [options.forcePathStyle] - Bucket in the path instead of the host name
+ *   (defaults to true when a custom endpoint is set)
+ * @returns {Object} Storage adapter (see lib/storage.js)
+ */
+function createS3Storage(options) {
+    const {
+        bucket,
+        region = 'us-east-1',
+        accessKeyId,
+        secretAccessKey,
+        prefix = ''
+    } = options;
+    if (!bucket || !accessKeyId || !secretAccessKey) {
+        throw new Error('S3 storage needs a bucket, access key ID and secret access key');
+    }
+
+    const pathStyle = options.forcePathStyle !== undefined ? options.forcePathStyle : Boolean(options.endpoint);
+    const endpoint = new URL(options.endpoint ||
+        (pathStyle ? `https://s3.${region}.amazonaws.com` : `https://${bucket}.s3.${region}.amazonaws.com`));
+    const transport = endpoint.protocol === 'http:' ? http : https;
+    const basePath = endpoint.pathname.replace(/\/$/, '') + (pathStyle ? `/${encodeRfc3986(bucket)}` : '');
+    const credentials = { accessKeyId, secretAccessKey, region, service: 's3' };
+
+    function objectKey(kind, filename) {
+        if (!FOLDERS[kind]) {
+            throw new Error(`Unknown media kind: ${kind}`);
+        }
+        return `${prefix}${FOLDERS[kind]}/${filename}`;
+    }
+
+    /**
+     * Sends a signed request
+     * @returns {Promise<http.IncomingMessage>} Response, unread
+     */
+    function request(method, key, { query = {}, headers = {}, body = null, bodyLength = 0 } = {}) {
+        const path = basePath + '/' + encodeRfc3986(key, true);
+        const date = new Date();
+        const signedHeaders = {
+            ...headers,
+            host: endpoint.host,
+            'x-amz-date': date.toISOString().replace(/[:-]|\.\d{3}/g, ''),
+            // Bodies are streamed from disk, so the payload is not hashed up front
+            'x-amz-content-sha256': body ? 'UNSIGNED-PAYLOAD' : sha256Hex('')
+        };
+        if (body) {
+            signedHeaders['content-length'] = String(bodyLength);
+        }
+        signedHeaders.authorization = signRequest({
+            method,
+            path,
+            query,
+            headers: signedHeaders,
+            payloadHash: signedHeaders['x-amz-content-sha256']
+        }, credentials, date);
+
+        const search = Object.keys(query).length
+            ? '?' + Object.keys(query).map(k => `${encodeRfc3986(k)}=${encodeRfc3986(query[k])}`).join('&')
+            : '';
+
+        return new Promise((resolve, reject) => {
+            const req = transport.request({
+                protocol: endpoint.protocol,
+                hostname: endpoint.hostname,
+                port: endpoint.port,
+                method,
+                path: path + search,
+                headers: signedHeaders
+            }, resolve);
+            req.on('error', reject);
+            if (body) {
+                body.on('error', err => req.destroy(err));
+                body.pipe(req);
+            } else {
+                req.end();
+            }
+        });
+    }
+
+    async function expectOk(res, action, allowed = []) {
+        if (res.statusCode < 300 || allowed.includes(res.statusCode)) {
+            return res;
+        }
+        const text = await readBody(res);
+        const code = xmlValue(text, 'Code') || res.statusCode;
+        throw new Error(`S3 ${action} failed: ${code}`);
+    }
+
+    async function putFile(kind, filename, sourcePath, { contentType, metadata = {} } = {}) {
+        const { size } = await fs.promises.stat(sourcePath);
+        const headers = { 'content-type': contentType || 'application/octet-stream' };
+        for (const field of METADATA_FIELDS) {
+            if (metadata[field] !== undefined && metadata[field] !== null) {
+                headers[`x-amz-meta-${field.toLowerCase()}`] = encodeURIComponent(String(metadata[field]));
+            }
+        }
+
+        const res = await request('PUT', objectKey(kind, filename), {
+            headers,
+            body: fs.createReadStream(sourcePath),
+            bodyLength: size
+        });
+        await expectOk(res, 'upload');
+        res.resume();
+        await fs.promises.rm(sourcePath, { force: true });
+    }
+
+    async function read(kind, filename, range) {
+        const headers = range ? { range: `bytes=${range.start}-${range.end}` } : {};
+        const res = await request('GET', objectKey(kind, filename), { headers });
+        return expectOk(res, 'download');
+    }
+
+    async function remove(kind, filename) {
+        const res = await request('DELETE', objectKey(kind, filename));
+        await expectOk(res, 'delete', [404]);
+        res.resume();
+    }
+
+    async function list(kind) {
+        const folder = objectKey(kind, '');
+        const files = [];
+        let token = null;
+        do {
+            const query = { 'list-type': '2', prefix: folder };
+            if (token) query['continuation-token'] = token;
+
+            // Bucket-level request: empty object key
+            const res = await expectOk(await request('GET', '', { query }), 'list');
+            const xml = await readBody(res);
+            for (const [, entry] of xml.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+                const filename = xmlValue(entry, 'Key').slice(folder.length);
+                if (!filename || filename.includes('/')) continue;
+                files.push({
+                    filename,
+                    size: Number(xmlValue(entry, 'Size')),
+                    modified: new Date(xmlValue(entry, 'LastModified')).toISOString()
+                });
+            }
+            token = xmlValue(xml, 'IsTruncated') === 'true' ? xmlValue(xml, 'NextContinuationToken') : null;
+        } while (token);
+        return files;
+    }
+
+    // Record fields for an object that has no record yet, from its metadata
+    async function describe(kind, filename) {
+        const res = await expectOk(await request('HEAD', objectKey(kind, filename)), 'stat');
+        res.resume();
+
+        const record = {
+            size: Number(res.headers['content-length']),
+            mimeType: res.headers['content-type'] || null,
+            created: new Date(res.headers['last-modified']).toISOString()
+        };
+        for (const field of METADATA_FIELDS) {
+            const value = res.headers[`x-amz-meta-${field.toLowerCase()}`];
+            if (value !== undefined) {
+                record[field] = decodeURIComponent(value);
+            }
+        }
+        return record;
+    }
+
+    // Fails fast on a wrong bucket name or credentials
+    async function check() {
+        const res = await request('HEAD', '');
+        await expectOk(res, 'bucket check');
+        res.resume();
+    }
+
+    return { name: 's3', putFile, read, remove, list, describe, check };
+}
+
+module.exports = { createS3Storage, signRequest };
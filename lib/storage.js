@@ -0,0 +1,53 @@
+/**
+ * Storage
+ * Where uploaded media files live. Every adapter implements:
+ *
+ *   putFile(kind, filename, sourcePath, { contentType, metadata })
+ *       Moves a finished upload (a temp file) into storage
+ *   read(kind, filename, range?) -> Readable
+ *       range is { start, end } (inclusive), as returned by req.range()
+ *   remove(kind, filename)
+ *   list(kind) -> [{ filename, size, modified }]
+ *   describe(kind, filename) -> partial media record for files found by list()
+ *
+ * All methods are async. kind is 'image' or 'video'.
+ *
+ * STORAGE_BACKEND selects the adapter:
+ *   local (default)  UPLOADS_DIR / VIDEOS_DIR on disk
+ *   s3               S3_BUCKET, S3_REGION, S3_ENDPOINT, S3_ACCESS_KEY_ID,
+ *                    S3_SECRET_ACCESS_KEY, S3_PREFIX, S3_FORCE_PATH_STYLE
+ */
+
+const { createLocalStorage } = require('./local-storage');
+const { createS3Storage } = require('./s3-storage');
+
+/**
+ * Creates the storage adapter configured in the environment
+ * @param {Object} options
+ * @param {Object<string, string>} options.dirs - Local directory per media kind
+ * @param {Object} [env=process.env]
+ * @returns {Object} Storage adapter
+ */
+function createStorage({ dirs }, env = process.env) {
+    const backend = (env.STORAGE_BACKEND || 'local').toLowerCase();
+
+    if (backend === 'local') {
+        return createLocalStorage({ dirs });
+    }
+    if (backend === 's3') {
+        return createS3Storage({
+            bucket: env.S3_BUCKET,
+            region: env.S3_REGION || env.AWS_REGION,
+            endpoint: env.S3_ENDPOINT,
+            accessKeyId: env.S3_ACCESS_KEY_ID || env.AWS_ACCESS_KEY_ID,
+            secretAccessKey: env.S3_SECRET_ACCESS_KEY || env.AWS_SECRET_ACCESS_KEY,
+            prefix: env.S3_PREFIX,
+            forcePathStyle: env.S3_FORCE_PATH_STYLE !== undefined
+                ? env.S3_FORCE_PATH_STYLE === 'true'
+                : undefined
+        });
+    }
+    throw new Error(`Unknown STORAGE_BACKEND: ${backend}`);
+}
+
+module.exports = { createStorage };
@@ -0,0 +1,144 @@
+/**
+ * Watermark Pool
+ * Runs the watermark decoders, the seal check and perceptual hashing on
+ * worker threads, so a slow decode (seconds for an unmarked 12 MP image)
+ * never blocks the server's event loop. The server's counterpart of
+ * watermark-client.js.
+ *
+ * Tasks wait in one queue and each thread takes one at a time. Pixels are
+ * copied once into a SharedArrayBuffer per image and shared with the threads,
+ * however many tasks run on it.
+ */
+
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const RobustWatermark = require('../robust-watermark');
+const Steganography = require('../steganography');
+
+const THREAD_SCRIPT = path.join(__dirname, 'watermark-thread.js');
+
+/**
+ * @param {Object} [options]
+ * @param {number} [options.size] - Threads (default: one per CPU but one, at least one)
+ * @returns {Object} Pool API
+ */
+function createWatermarkPool(options = {}) {
+    const size = options.size || Math.max(1, os.cpus().length - 1);
+    const idle = [];
+    const jobs = new Map(); // busy thread -> its job
+    const queue = [];
+    let threads = 0;
+    const sharedImages = new WeakMap();
+
+    function spawn() {
+        const worker = new Worker(THREAD_SCRIPT);
+        threads++;
+
+        worker.on('message', ({ result, error }) => {
+            const job = jobs.get(worker);
+            jobs.delete(worker);
+            // Idle threads must not keep the process alive
+            worker.unref();
+            if (error) {
+                job.reject(new Error(error));
+            } else {
+                job.resolve(result);
+            }
+            idle.push(worker);
+            drain();
+        });
+        // A thread that crashes takes only its own job with it
+        worker.on('error', (err) => {
+            const job = jobs.get(worker);
+            jobs.delete(worker);
+            if (job) job.reject(err);
+        });
+        worker.on('exit', () => {
+            threads--;
+            const job = jobs.get(worker);
+            jobs.delete(worker);
+            if (job) job.reject(new Error('Watermark thread exited'));
+            const index = idle.indexOf(worker);
+            if (index !== -1) idle.splice(index, 1);
+            drain();
+        });
+        return worker;
+    }
+
+    function drain() {
+        while (queue.length && (idle.length || threads < size)) {
+            const worker = idle.pop() || spawn();
+            const job = queue.shift();
+            jobs.set(worker, job);
+            worker.ref();
+            worker.postMessage({ task: job.task, args: job.args });
+        }
+    }
+
+    /**
+     * Runs a task from lib/watermark-thread.js
+     * @param {string} task
+     * @param {...*} args - Structured-cloneable arguments
+     * @returns {Promise<*>}
+     */
+    function run(task, ...args) {
+        return new Promise((resolve, reject) => {
+            queue.push({ task, args, resolve, reject });
+            drain();
+        });
+    }
+
+    // The image with its pixels in shared memory (copied once per image)
+    function shared(imageData) {
+        if (imageData.data.buffer instanceof SharedArrayBuffer) {
+            return { data: imageData.data, width: imageData.width, height: imageData.height };
+        }
+        let copy = sharedImages.get(imageData);
+        if (!copy) {
+            const data = new Uint8ClampedArray(new SharedArrayBuffer(imageData.data.length));
+            data.set(imageData.data);
+            copy = { data, width: imageData.width, height: imageData.height };
+            sharedImages.set(imageData, copy);
+        }
+        return copy;
+    }
+
+    // Progress callbacks cannot cross to a thread
+    function cloneable(options = {}) {
+        const { onProgress, ...rest } = options;
+        return rest;
+    }
+
+    /**
+     * The watermark modules with their slow functions running on the pool,
+     * returning promises; as Verifier's robust and lsb options
+     * @returns {{robust: Object, lsb: Object}}
+     */
+    function modules() {
+        return {
+            robust: {
+                ...RobustWatermark,
+                decode: (imageData, options) => run('robustDecode', shared(imageData), cloneable(options)),
+                computePerceptualHash: (imageData) => run('perceptualHash', shared(imageData))
+            },
+            lsb: {
+                ...Steganography,
+                decode: (imageData, options) => run('lsbDecode', shared(imageData), cloneable(options)),
+                checkSeal: (imageData, options) => run('checkSeal', shared(imageData), cloneable(options))
+            }
+        };
+    }
+
+    /**
+     * Perceptual fingerprint of an image (see lib/perceptual-hash.js)
+     * @returns {Promise<string>}
+     */
+    function fingerprint(imageData) {
+        return run('fingerprint', shared(imageData));
+    }
+
+    return { run, modules, fingerprint };
+}
+
+module.exports = { createWatermarkPool };
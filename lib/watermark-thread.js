@@ -0,0 +1,28 @@
+/**
+ * Watermark Thread
+ * Worker side of lib/watermark-pool.js: runs one decoder or hashing task at a
+ * time on pixels shared with the server thread.
+ *
+ * Requests are { task, args }; the thread answers { result } or { error }.
+ */
+
+const { parentPort } = require('worker_threads');
+const RobustWatermark = require('../robust-watermark');
+const Steganography = require('../steganography');
+const { fingerprint } = require('./perceptual-hash');
+
+const tasks = {
+    robustDecode: (image, options) => RobustWatermark.decode(image, options),
+    lsbDecode: (image, options) => Steganography.decode(image, options),
+    checkSeal: (image, options) => Steganography.checkSeal(image, options),
+    perceptualHash: (image) => RobustWatermark.computePerceptualHash(image),
+    fingerprint: (image) => fingerprint(image, RobustWatermark.computePerceptualHash)
+};
+
+parentPort.on('message', ({ task, args }) => {
+    try {
+        parentPort.postMessage({ result: tasks[task](...args) });
+    } catch (err) {
+        parentPort.postMessage({ error: err.message || String(err) });
+    }
+});
@@ -0,0 +1,280 @@
+/**
+ * Payload Module
+ * Typed, compact binary payload carried by both watermark codecs.
+ *
+ * Layout (version 3, 19 bytes + optional fields):
+ *   version   u8    3
+ *   flags     u8    SIGNED | NOTE
+ *   keyId     u8    signing key on the server's keyring (0 = unsigned)
+ *   timestamp u32   capture time, epoch seconds (0 = not recorded)
+ *   device    u32   hash of the capturing device/camera (0 = not recorded)
+ *   mediaId   8     random capture ID
+ *   note      u8 length + UTF-8 text (NOTE flag only)
+ *   signature 64    IEEE P1363 (r || s) over all bytes above (SIGNED flag only)
+ *
+ * The payload is signed before the image exists, so its signature says nothing
+ * about the pixels. The server's attestation, signed when the finished image is
+ * uploaded, is what ties a capture to its content:
+ *   version   u8    1
+ *   keyId     u8    signing key on the server's keyring
+ *   timestamp u32   when the server recorded the image, epoch seconds
+ *   mediaId   8     the payload's mediaId
+ *   phash     8     perceptual hash of the image (63 bits, zero-padded)
+ *   seal      32    the fragile seal's digest (sealed images only; see Steganography.checkSeal)
+ *   signature 64    IEEE P1363 (r || s) over all bytes above
+ */
+
+const Payload = (() => {
+    const VERSION = 3;
+    const HEADER_SIZE = 19;
+    const SIGNATURE_SIZE = 64;
+    const MAX_NOTE_BYTES = 255;
+    const ATTESTATION_VERSION = 1;
+    const ATTESTATION_SIZE = 22;
+    const SEAL_DIGEST_SIZE = 32;
+
+    const FLAGS = {
+        SIGNED: 0x01,
+        NOTE: 0x02
+    };
+
+    /**
+     * Serialises a payload
+     * @param {Object} fields
+     * @param {number} [fields.keyId=0] - Signing key ID
+     * @param {number} [fields.timestamp=0] - Epoch seconds
+     * @param {number} [fields.deviceHash=0] - 32-bit device hash
+     * @param {Uint8Array} fields.mediaId - 8 random bytes
+     * @param {string} [fields.note] - Short free text
+     * @param {boolean} [fields.signed] - Sets the SIGNED flag (signature attached later)
+     * @returns {Uint8Array} Payload body (the bytes that get signed)
+     */
+    function encode({ keyId = 0, timestamp = 0, deviceHash = 0, mediaId, note, signed = false }) {
+        const noteBytes = note ? utf8Encode(note).subarray(0, MAX_NOTE_BYTES) : null;
+        const body = new Uint8Array(HEADER_SIZE + (noteBytes ? 1 + noteBytes.length : 0));
+        const view = new DataView(body.buffer);
+
+        view.setUint8(0, VERSION);
+        view.setUint8(1, (signed ? FLAGS.SIGNED : 0) | (noteBytes ? FLAGS.NOTE : 0));
+        view.setUint8(2, keyId);
+        view.setUint32(3, timestamp >>> 0);
+        view.setUint32(7, deviceHash >>> 0);
+        body.set(mediaId.subarray(0, 8), 11);
+
+        if (noteBytes) {
+            body[HEADER_SIZE] = noteBytes.length;
+            body.set(noteBytes, HEADER_SIZE + 1);
+        }
+        return body;
+    }
+
+    function attachSignature(body, signature) {
+        const signed = new Uint8Array(body.length + SIGNATURE_SIZE);
+        signed.set(body);
+        signed.set(signature, body.length);
+        return signed;
+    }
+
+    /**
+     * Parses a binary payload
+     * @param {Uint8Array} bytes - Payload bytes as embedded
+     * @returns {Object|null} Payload fields, or null if the bytes are not a valid payload
+     */
+    function decode(bytes) {
+        if (!bytes || bytes.length < HEADER_SIZE || bytes[0] !== VERSION) {
+            return null;
+        }
+
+        const flags = bytes[1];
+        if (flags & ~(FLAGS.SIGNED | FLAGS.NOTE)) {
+            return null;
+        }
+
+        let offset = HEADER_SIZE;
+        let note = null;
+        if (flags & FLAGS.NOTE) {
+            const length = bytes[offset];
+            if (bytes.length < offset + 1 + length) return null;
+            note = utf8Decode(bytes.subarray(offset + 1, offset + 1 + length));
+            offset += 1 + length;
+        }
+
+        const signed = (flags & FLAGS.SIGNED) !== 0;
+        if (bytes.length !== offset + (signed ? SIGNATURE_SIZE : 0)) {
+            return null;
+        }
+
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+        return {
+            version: VERSION,
+            flags,
+            keyId: bytes[2],
+            timestamp: view.getUint32(3),
+            deviceHash: view.getUint32(7),
+            mediaId: toHex(bytes.subarray(11, HEADER_SIZE)),
+            note,
+            body: bytes.slice(0, offset),
+            signature: signed ? bytes.slice(offset) : null
+        };
+    }
+
+    /**
+     * Serialises an attestation body (the signature is attached with attachSignature)
+     * @param {Object} fields
+     * @param {number} fields.keyId - Signing key ID
+     * @param {number} fields.timestamp - Epoch seconds
+     * @param {string} fields.mediaId - Hex, as decode returns it
+     * @param {string} fields.phash - Hex perceptual hash (16 digits)
+     * @param {string} [fields.sealDigest] - Hex seal digest, for sealed images
+     * @returns {Uint8Array}
+     */
+    function encodeAttestation({ keyId, timestamp, mediaId, phash, sealDigest = null }) {
+        const body = new Uint8Array(ATTESTATION_SIZE + (sealDigest ? SEAL_DIGEST_SIZE : 0));
+        const view = new DataView(body.buffer);
+        view.setUint8(0, ATTESTATION_VERSION);
+        view.setUint8(1, keyId);
+        view.setUint32(2, timestamp >>> 0);
+        body.set(fromHex(mediaId, 8), 6);
+        body.set(fromHex(phash, 8), 14);
+        if (sealDigest) {
+            body.set(fromHex(sealDigest, SEAL_DIGEST_SIZE), ATTESTATION_SIZE);
+        }
+        return body;
+    }
+
+    /**
+     * Parses a signed attestation
+     * @param {Uint8Array} bytes
+     * @returns {Object|null} Attestation fields, or null if the bytes are not one
+     */
+    function decodeAttestation(bytes) {
+        if (!bytes || bytes[0] !== ATTESTATION_VERSION) {
+            return null;
+        }
+        const size = bytes.length - SIGNATURE_SIZE;
+        if (size !== ATTESTATION_SIZE && size !== ATTESTATION_SIZE + SEAL_DIGEST_SIZE) {
+            return null;
+        }
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+        return {
+            version: ATTESTATION_VERSION,
+            keyId: bytes[1],
+            timestamp: view.getUint32(2),
+            mediaId: toHex(bytes.subarray(6, 14)),
+            phash: toHex(bytes.subarray(14, ATTESTATION_SIZE)),
+            sealDigest: size > ATTESTATION_SIZE ? toHex(bytes.subarray(ATTESTATION_SIZE, size)) : null,
+            body: bytes.slice(0, size),
+            signature: bytes.slice(size)
+        };
+    }
+
+    // Human-readable summary for result displays
+    function describe(payload) {
+        const parts = [
+            `Captured: ${payload.timestamp ? new Date(payload.timestamp * 1000).toISOString() : 'unknown'}`,
+            `Device: ${payload.deviceHash ? payload.deviceHash.toString(16).padStart(8, '0') : 'unknown'}`,
+            `ID: ${payload.mediaId}`
+        ];
+        if (payload.keyId) {
+            parts.push(`Key: ${payload.keyId}`);
+        }
+        if (payload.note) {
+            parts.push(`Note: ${payload.note}`);
+        }
+        return parts.join(' | ');
+    }
+
+    // Same signed bytes: used to match a watermark against the payload recorded at upload
+    function equals(a, b) {
+        return sameBytes(a.body, b.body) &&
+            (a.signature === null ? b.signature === null : b.signature !== null && sameBytes(a.signature, b.signature));
+    }
+
+    function sameBytes(a, b) {
+        if (a.length !== b.length) return false;
+        for (let i = 0; i < a.length; i++) {
+            if (a[i] !== b[i]) return false;
+        }
+        return true;
+    }
+
+    // FNV-1a, used to identify a device/camera without embedding its name
+    function hashDevice(str) {
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < str.length; i++) {
+            hash ^= str.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    function toHex(bytes) {
+        return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    // Exactly `length` bytes from hex digits
+    function fromHex(hex, length) {
+        if (typeof hex !== 'string' || !new RegExp(`^[0-9a-f]{${length * 2}}$`, 'i').test(hex)) {
+            throw new Error(`Expected ${length} hex bytes`);
+        }
+        const bytes = new Uint8Array(length);
+        for (let i = 0; i < length; i++) {
+            bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+        }
+        return bytes;
+    }
+
+    function utf8Encode(str) {
+        return typeof TextEncoder !== 'undefined'
+            ? new TextEncoder().encode(str)
+            : new Uint8Array(Buffer.from(str, 'utf8'));
+    }
+
+    function utf8Decode(bytes) {
+        return typeof TextDecoder !== 'undefined'
+            ? new TextDecoder().decode(bytes)
+            : Buffer.from(bytes).toString('utf8');
+    }
+
+    function toBase64(bytes) {
+        if (typeof Buffer !== 'undefined') {
+            return Buffer.from(bytes).toString('base64');
+        }
+        let binary = '';
+        for (let i = 0; i < bytes.length; i++) {
+            binary += String.fromCharCode(bytes[i]);
+        }
+        return btoa(binary);
+    }
+
+    function fromBase64(str) {
+        if (typeof Buffer !== 'undefined') {
+            return new Uint8Array(Buffer.from(str, 'base64'));
+        }
+        const binary = atob(str);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    return {
+        encode,
+        attachSignature,
+        decode,
+        encodeAttestation,
+        decodeAttestation,
+        describe,
+        equals,
+        hashDevice,
+        toBase64,
+        fromBase64,
+        FLAGS: { ...FLAGS }
+    };
+})();
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Payload;
+}
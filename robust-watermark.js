@@ -3,8 +3,10 @@
  * 
  * This module implements a robust watermarking system that survives:
  * - JPEG/WebP compression (up to 70% quality)
- * - Resizing (up to 50% reduction)
+ * - Resizing (down to 50% while the result stays around 640x480 or larger;
+ *   smaller results have too few blocks for a signed payload)
  * - Cropping (up to 25% removal)
+ * - Small rotations (up to 3 degrees; 5 degrees fails)
  * - Screenshots and re-encoding
  * - Color adjustments and filters
  * - Social media upload/download cycles
@@ -15,12 +17,17 @@
  * 3. Reed-Solomon error correction (recovers corrupted data)
  * 4. Multi-scale embedding (survives resizing)
  * 5. Perceptual hashing for detection
+ * 6. Synchronisation pilots (recover crop offset, scale and rotation)
  */
 
 const RobustWatermark = (() => {
+    // Shared payload schema (a global in browsers)
+    const Payloads = typeof Payload !== 'undefined' ? Payload : require('./payload.js');
+
     // Configuration
     const CONFIG = {
-        // Watermark key (should be kept secret in production)
+        // Default key (ID 0) for unsigned watermarks; deployments issue their
+        // own rotating keys with the signed claim (see lib/keyring.js)
         SECRET_KEY: 'RealPic2025SecretKey',
 
         // Embedding strength (higher = more robust but more visible)
@@ -36,7 +43,54 @@ const RobustWatermark = (() => {
         MAGIC: [1, 0, 1, 0, 1, 1, 0, 0, 1, 1, 0, 1, 0, 1, 0, 1],
 
         // Error correction level (0-1, higher = more robust)
-        ECC_LEVEL: 0.5
+        ECC_LEVEL: 0.5,
+
+        // Parity symbols protecting the frame header
+        HEADER_ECC: 4,
+
+        // Voted bytes below this confidence are treated as RS erasures
+        ERASURE_THRESHOLD: 0.25,
+
+        // Tile edge in blocks; the layout repeats every tile so crops only
+        // shift its phase (must match the 31-bit pilot sequences)
+        TILE_SIZE: 31,
+
+        // Central window (pixels) used to search for the synchronisation pilots
+        SYNC_WINDOW: 384,
+
+        // Pilot significance (mean agreement * sqrt(blocks), around 3 for
+        // unmarked images) that ends the search early / below which nothing
+        // is decoded
+        SYNC_ACCEPT: 8,
+        SYNC_THRESHOLD: 5,
+
+        // Geometric search space
+        SYNC_ESTIMATES: 6,
+        SYNC_SCALE_RANGE: [0.45, 2.2],
+        SYNC_ROTATIONS: [0.5, -0.5, 1, -1, 1.5, -1.5, 2, -2, 3, -3],
+
+        // Blocks per side of one integrity map cell (a single block carries
+        // too few bits to tell damage from noise)
+        INTEGRITY_CELL: 4,
+
+        // Perceptual masking: flat blocks move their coefficients only this
+        // fraction of the way onto the watermark lattice (above 0.5 the bit
+        // still reads correctly), rising to the whole way at this luma
+        // standard deviation
+        MASK_FLOOR: 0.6,
+        MASK_ACTIVITY: 8,
+
+        // Chroma-mode step relative to luma: JPEG quantises and subsamples
+        // chroma harder, and the eye is less sensitive to it
+        CHROMA_STRENGTH: 2,
+
+        // Adaptive strength (encode with targetPsnr / targetSsim): a block's
+        // just-noticeable change grows with its texture, this share of its
+        // standard deviation, less this much of its overlap with luminance
+        // masking. Encode embeds up to ADAPTIVE_PASSES times to meet the target.
+        JND_TEXTURE: 0.5,
+        JND_OVERLAP: 0.3,
+        ADAPTIVE_PASSES: 3
     };
 
     // ========================================
@@ -76,7 +130,48 @@ const RobustWatermark = (() => {
         power(x, power) {
             if (power === 0) return 1;
             if (x === 0) return 0;
-            return this.expTable[(this.logTable[x] * power) % 255];
+            // Negative powers are allowed (used by Forney's algorithm)
+            return this.expTable[(((this.logTable[x] * power) % 255) + 255) % 255];
+        }
+
+        inverse(x) {
+            if (x === 0) throw new Error('Division by zero');
+            return this.expTable[255 - this.logTable[x]];
+        }
+
+        // Polynomials are arrays of coefficients, highest degree first
+
+        polyScale(p, x) {
+            return p.map(c => this.multiply(c, x));
+        }
+
+        polyAdd(p, q) {
+            const result = new Array(Math.max(p.length, q.length)).fill(0);
+            for (let i = 0; i < p.length; i++) {
+                result[i + result.length - p.length] = p[i];
+            }
+            for (let i = 0; i < q.length; i++) {
+                result[i + result.length - q.length] ^= q[i];
+            }
+            return result;
+        }
+
+        polyMultiply(p, q) {
+            const result = new Array(p.length + q.length - 1).fill(0);
+            for (let j = 0; j < q.length; j++) {
+                for (let i = 0; i < p.length; i++) {
+                    result[i + j] ^= this.multiply(p[i], q[j]);
+                }
+            }
+            return result;
+        }
+
+        polyEval(p, x) {
+            let y = p[0];
+            for (let i = 1; i < p.length; i++) {
+                y = this.multiply(y, x) ^ p[i];
+            }
+            return y;
         }
     }
 
@@ -103,6 +198,10 @@ const RobustWatermark = (() => {
         }
 
         encode(data) {
+            if (data.length + this.nsym > 255) {
+                throw new Error('Reed-Solomon codeword longer than 255 symbols');
+            }
+
             const encoded = new Uint8Array(data.length + this.nsym);
             encoded.set(data);
 
@@ -119,17 +218,55 @@ const RobustWatermark = (() => {
             return encoded;
         }
 
-        decode(data) {
-            // Simplified syndrome calculation and error correction
-            const syndromes = this.calculateSyndromes(data);
+        /**
+         * Corrects errors and erasures in a codeword.
+         * Up to nsym erasures (known bad positions) and e unknown errors can be
+         * corrected as long as 2e + erasures <= nsym.
+         * @param {Uint8Array|number[]} data - Received codeword (data + parity)
+         * @param {number[]} erasePositions - Indices of symbols known to be unreliable
+         * @returns {{data: Uint8Array, correctedSymbols: number}}
+         * @throws {Error} If the codeword cannot be corrected
+         */
+        decode(data, erasePositions = []) {
+            const gf = this.gf;
+            const nsym = this.nsym;
+            const msg = Array.from(data);
+
+            if (erasePositions.length > nsym) {
+                throw new Error('Too many erasures to correct');
+            }
+            for (const pos of erasePositions) {
+                msg[pos] = 0;
+            }
 
-            // Check if all syndromes are zero (no errors)
+            let syndromes = this.calculateSyndromes(msg);
             if (syndromes.every(s => s === 0)) {
-                return new Uint8Array(data.slice(0, data.length - this.nsym));
+                const changed = erasePositions.filter(pos => data[pos] !== 0).length;
+                return { data: new Uint8Array(msg.slice(0, msg.length - nsym)), correctedSymbols: changed };
+            }
+
+            // Locate the unknown errors (Berlekamp-Massey + Chien search)
+            const forneySyndromes = this.calculateForneySyndromes(syndromes, erasePositions, msg.length);
+            const errorLocator = this.findErrorLocator(forneySyndromes, erasePositions.length);
+            const errorPositions = this.findErrors(errorLocator.slice().reverse(), msg.length);
+
+            // Compute magnitudes for errors and erasures together (Forney)
+            const corrected = this.correctErrata(msg, syndromes, [...erasePositions, ...errorPositions]);
+
+            syndromes = this.calculateSyndromes(corrected);
+            if (syndromes.some(s => s !== 0)) {
+                throw new Error('Could not correct message');
+            }
+
+            let correctedSymbols = 0;
+            for (let i = 0; i < corrected.length; i++) {
+                if (corrected[i] !== data[i]) correctedSymbols++;
             }
 
-            // For robustness, if we have errors but can't correct, return best guess
-            return new Uint8Array(data.slice(0, data.length - this.nsym));
+            return {
+                data: new Uint8Array(corrected.slice(0, corrected.length - nsym)),
+                correctedSymbols
+            };
         }
 
         calculateSyndromes(data) {
@@ -143,6 +280,105 @@ const RobustWatermark = (() => {
             }
             return syndromes;
         }
+
+        // Syndromes with the erasures' contribution removed, so that
+        // Berlekamp-Massey only has to find the unknown errors
+        calculateForneySyndromes(syndromes, erasePositions, length) {
+            const fsynd = syndromes.slice();
+            for (const pos of erasePositions) {
+                const x = this.gf.power(2, length - 1 - pos);
+                for (let j = 0; j < fsynd.length - 1; j++) {
+                    fsynd[j] = this.gf.multiply(fsynd[j], x) ^ fsynd[j + 1];
+                }
+            }
+            return fsynd;
+        }
+
+        // Berlekamp-Massey: find the error locator polynomial
+        findErrorLocator(syndromes, eraseCount) {
+            const gf = this.gf;
+            let errLoc = [1];
+            let oldLoc = [1];
+
+            for (let i = 0; i < this.nsym - eraseCount; i++) {
+                let delta = syndromes[i];
+                for (let j = 1; j < errLoc.length; j++) {
+                    delta ^= gf.multiply(errLoc[errLoc.length - 1 - j], syndromes[i - j]);
+                }
+
+                oldLoc = [...oldLoc, 0];
+
+                if (delta !== 0) {
+                    if (oldLoc.length > errLoc.length) {
+                        const newLoc = gf.polyScale(oldLoc, delta);
+                        oldLoc = gf.polyScale(errLoc, gf.inverse(delta));
+                        errLoc = newLoc;
+                    }
+                    errLoc = gf.polyAdd(errLoc, gf.polyScale(oldLoc, delta));
+                }
+            }
+
+            while (errLoc.length > 1 && errLoc[0] === 0) errLoc.shift();
+
+            const errors = errLoc.length - 1;
+            if (errors * 2 + eraseCount > this.nsym) {
+                throw new Error('Too many errors to correct');
+            }
+            return errLoc;
+        }
+
+        // Chien search: find the roots of the error locator polynomial
+        findErrors(errLoc, length) {
+            const errors = errLoc.length - 1;
+            const positions = [];
+            for (let i = 0; i < length; i++) {
+                if (this.gf.polyEval(errLoc, this.gf.power(2, i)) === 0) {
+                    positions.push(length - 1 - i);
+                }
+            }
+            if (positions.length !== errors) {
+                throw new Error('Could not locate errors');
+            }
+            return positions;
+        }
+
+        // Forney algorithm: compute error magnitudes and apply them
+        correctErrata(msg, syndromes, positions) {
+            const gf = this.gf;
+            const coefPositions = positions.map(p => msg.length - 1 - p);
+
+            // Errata locator: product of (1 + x * alpha^i)
+            let errLoc = [1];
+            for (const i of coefPositions) {
+                errLoc = gf.polyMultiply(errLoc, gf.polyAdd([1], [gf.power(2, i), 0]));
+            }
+
+            // Errata evaluator: (S(x) * Lambda(x)) mod x^(errata + 1)
+            const product = gf.polyMultiply([...syndromes.slice().reverse(), 0], errLoc);
+            const errEval = product.slice(product.length - errLoc.length);
+
+            const X = coefPositions.map(p => gf.power(2, p));
+            const result = msg.slice();
+
+            for (let i = 0; i < X.length; i++) {
+                const xiInv = gf.inverse(X[i]);
+
+                let locPrime = 1;
+                for (let j = 0; j < X.length; j++) {
+                    if (j !== i) {
+                        locPrime = gf.multiply(locPrime, 1 ^ gf.multiply(xiInv, X[j]));
+                    }
+                }
+                if (locPrime === 0) {
+                    throw new Error('Could not find error magnitude');
+                }
+
+                const y = gf.multiply(X[i], gf.polyEval(errEval, xiInv));
+                result[positions[i]] ^= gf.divide(y, locPrime);
+            }
+
+            return result;
+        }
     }
 
     // ========================================
@@ -187,57 +423,149 @@ const RobustWatermark = (() => {
     // DCT Transform (8x8 block)
     // ========================================
 
-    const DCT_MATRIX = (() => {
-        const N = 8;
-        const matrix = [];
-        for (let i = 0; i < N; i++) {
-            matrix[i] = [];
-            for (let j = 0; j < N; j++) {
-                const ci = i === 0 ? 1 / Math.sqrt(N) : Math.sqrt(2 / N);
-                matrix[i][j] = ci * Math.cos((2 * j + 1) * i * Math.PI / (2 * N));
+    // Orthonormal DCT-II basis, DCT_BASIS[k * 8 + n] = c(k) cos((2n + 1) k pi / 16)
+    const DCT_BASIS = (() => {
+        const basis = new Float64Array(64);
+        for (let k = 0; k < 8; k++) {
+            const scale = k === 0 ? Math.sqrt(1 / 8) : Math.sqrt(2 / 8);
+            for (let n = 0; n < 8; n++) {
+                basis[k * 8 + n] = scale * Math.cos((2 * n + 1) * k * Math.PI / 16);
             }
         }
-        return matrix;
+        return basis;
     })();
 
-    function dct2d(block) {
-        const N = 8;
-        const result = Array(N).fill(null).map(() => Array(N).fill(0));
-
-        // Apply DCT
-        for (let u = 0; u < N; u++) {
-            for (let v = 0; v < N; v++) {
-                let sum = 0;
-                for (let i = 0; i < N; i++) {
-                    for (let j = 0; j < N; j++) {
-                        sum += block[i][j] * DCT_MATRIX[u][i] * DCT_MATRIX[v][j];
-                    }
-                }
-                result[u][v] = sum;
-            }
+    // The AAN butterflies below compute each coefficient times a per-frequency
+    // factor; these tables turn that into the orthonormal DCT and back
+    const AAN_FACTORS = Array.from({ length: 8 }, (_, k) => (k === 0 ? 1 : Math.cos(k * Math.PI / 16) * Math.SQRT2));
+    const FORWARD_SCALE = new Float32Array(64);
+    const INVERSE_SCALE = new Float32Array(64);
+    for (let u = 0; u < 8; u++) {
+        for (let v = 0; v < 8; v++) {
+            FORWARD_SCALE[u * 8 + v] = 1 / (8 * AAN_FACTORS[u] * AAN_FACTORS[v]);
+            INVERSE_SCALE[u * 8 + v] = AAN_FACTORS[u] * AAN_FACTORS[v] / 8;
         }
-        return result;
     }
 
-    function idct2d(block) {
-        const N = 8;
-        const result = Array(N).fill(null).map(() => Array(N).fill(0));
+    // One 8-point pass of the Arai-Agui-Nakajima forward DCT over
+    // block[offset], block[offset + stride], ...
+    function forwardPass(block, offset, stride) {
+        const d0 = block[offset], d1 = block[offset + stride];
+        const d2 = block[offset + 2 * stride], d3 = block[offset + 3 * stride];
+        const d4 = block[offset + 4 * stride], d5 = block[offset + 5 * stride];
+        const d6 = block[offset + 6 * stride], d7 = block[offset + 7 * stride];
+
+        const tmp0 = d0 + d7, tmp7 = d0 - d7;
+        const tmp1 = d1 + d6, tmp6 = d1 - d6;
+        const tmp2 = d2 + d5, tmp5 = d2 - d5;
+        const tmp3 = d3 + d4, tmp4 = d3 - d4;
+
+        // Even part
+        const tmp10 = tmp0 + tmp3, tmp13 = tmp0 - tmp3;
+        const tmp11 = tmp1 + tmp2, tmp12 = tmp1 - tmp2;
+        block[offset] = tmp10 + tmp11;
+        block[offset + 4 * stride] = tmp10 - tmp11;
+        const z1 = (tmp12 + tmp13) * 0.707106781;
+        block[offset + 2 * stride] = tmp13 + z1;
+        block[offset + 6 * stride] = tmp13 - z1;
+
+        // Odd part
+        const odd10 = tmp4 + tmp5, odd11 = tmp5 + tmp6, odd12 = tmp6 + tmp7;
+        const z5 = (odd10 - odd12) * 0.382683433;
+        const z2 = 0.541196100 * odd10 + z5;
+        const z4 = 1.306562965 * odd12 + z5;
+        const z3 = odd11 * 0.707106781;
+        const z11 = tmp7 + z3, z13 = tmp7 - z3;
+        block[offset + 5 * stride] = z13 + z2;
+        block[offset + 3 * stride] = z13 - z2;
+        block[offset + stride] = z11 + z4;
+        block[offset + 7 * stride] = z11 - z4;
+    }
 
-        // Apply Inverse DCT
-        for (let i = 0; i < N; i++) {
-            for (let j = 0; j < N; j++) {
-                let sum = 0;
-                for (let u = 0; u < N; u++) {
-                    for (let v = 0; v < N; v++) {
-                        sum += block[u][v] * DCT_MATRIX[u][i] * DCT_MATRIX[v][j];
-                    }
-                }
-                result[i][j] = sum;
-            }
-        }
-        return result;
+    // One 8-point pass of the AAN inverse DCT, as forwardPass
+    function inversePass(block, offset, stride) {
+        // Even part
+        const e0 = block[offset], e1 = block[offset + 2 * stride];
+        const e2 = block[offset + 4 * stride], e3 = block[offset + 6 * stride];
+        const tmp10 = e0 + e2, tmp11 = e0 - e2;
+        const tmp13 = e1 + e3;
+        const tmp12 = (e1 - e3) * 1.414213562 - tmp13;
+        const tmp0 = tmp10 + tmp13, tmp3 = tmp10 - tmp13;
+        const tmp1 = tmp11 + tmp12, tmp2 = tmp11 - tmp12;
+
+        // Odd part
+        const o4 = block[offset + stride], o5 = block[offset + 3 * stride];
+        const o6 = block[offset + 5 * stride], o7 = block[offset + 7 * stride];
+        const z13 = o6 + o5, z10 = o6 - o5;
+        const z11 = o4 + o7, z12 = o4 - o7;
+        const tmp7 = z11 + z13;
+        const odd11 = (z11 - z13) * 1.414213562;
+        const z5 = (z10 + z12) * 1.847759065;
+        const odd10 = 1.082392200 * z12 - z5;
+        const odd12 = -2.613125930 * z10 + z5;
+        const tmp6 = odd12 - tmp7;
+        const tmp5 = odd11 - tmp6;
+        const tmp4 = odd10 + tmp5;
+
+        block[offset] = tmp0 + tmp7;
+        block[offset + 7 * stride] = tmp0 - tmp7;
+        block[offset + stride] = tmp1 + tmp6;
+        block[offset + 6 * stride] = tmp1 - tmp6;
+        block[offset + 2 * stride] = tmp2 + tmp5;
+        block[offset + 5 * stride] = tmp2 - tmp5;
+        block[offset + 4 * stride] = tmp3 + tmp4;
+        block[offset + 3 * stride] = tmp3 - tmp4;
+    }
+
+    /**
+     * Orthonormal 2D DCT of an 8x8 block, in place
+     * @param {Float32Array} block - 64 samples, row-major; becomes the
+     *   coefficients, block[u * 8 + v] for vertical frequency u
+     * @returns {Float32Array} The block
+     */
+    function forwardDct(block) {
+        for (let i = 0; i < 8; i++) forwardPass(block, i * 8, 1);
+        for (let j = 0; j < 8; j++) forwardPass(block, j, 8);
+        for (let k = 0; k < 64; k++) block[k] *= FORWARD_SCALE[k];
+        return block;
+    }
+
+    /**
+     * Inverse of forwardDct, in place
+     * @param {Float32Array} block - 64 coefficients; becomes the samples
+     * @returns {Float32Array} The block
+     */
+    function inverseDct(block) {
+        for (let k = 0; k < 64; k++) block[k] *= INVERSE_SCALE[k];
+        for (let j = 0; j < 8; j++) inversePass(block, j, 8);
+        for (let i = 0; i < 8; i++) inversePass(block, i * 8, 1);
+        return block;
     }
 
+    // ========================================
+    // Colour Space (ITU-R BT.601 YCbCr, as JPEG)
+    // ========================================
+
+    function toLuma(r, g, b) {
+        return 0.299 * r + 0.587 * g + 0.114 * b;
+    }
+
+    function toCb(r, g, b) {
+        return 128 - 0.168736 * r - 0.331264 * g + 0.5 * b;
+    }
+
+    function toCr(r, g, b) {
+        return 128 + 0.5 * r - 0.418688 * g - 0.081312 * b;
+    }
+
+    // The inverse transform is linear, so a change of (dY, dCb, dCr) maps to
+    // these RGB changes. A pure luma change moves R, G and B equally, which
+    // leaves hue and saturation alone.
+    const CR_TO_R = 1.402;
+    const CB_TO_G = -0.344136;
+    const CR_TO_G = -0.714136;
+    const CB_TO_B = 1.772;
+
     // ========================================
     // Spread-Spectrum Encoding
     // ========================================
@@ -257,6 +585,35 @@ const RobustWatermark = (() => {
         [1, 3], [3, 1], [2, 3], [3, 2], [3, 3]
     ];
 
+    // The two lowest carry the synchronisation pilots, the rest carry data
+    const PILOT_POSITIONS = EMBED_POSITIONS.slice(0, 2);
+    const DATA_POSITIONS = EMBED_POSITIONS.slice(2);
+    const TILE_BLOCKS = CONFIG.TILE_SIZE * CONFIG.TILE_SIZE;
+
+    // Optional extra data in Cb and Cr: only the lowest frequencies, which
+    // survive the 2x chroma subsampling of JPEG and video codecs
+    const CHROMA_POSITIONS = EMBED_POSITIONS.slice(0, 3);
+
+    // Data bits per block in each mode, and the per-block target count
+    // (pilots, luma data, then Cb and Cr data)
+    const LUMA_BITS = DATA_POSITIONS.length;
+    const CHROMA_BITS = LUMA_BITS + 2 * CHROMA_POSITIONS.length;
+    const BLOCK_TARGETS = PILOT_POSITIONS.length + CHROMA_BITS;
+
+    // Where those coefficients sit in a forwardDct block
+    const EMBED_INDEX = Int8Array.from(EMBED_POSITIONS, ([u, v]) => u * 8 + v);
+    const DATA_INDEX = EMBED_INDEX.slice(PILOT_POSITIONS.length);
+    const CHROMA_INDEX = Int8Array.from(CHROMA_POSITIONS, ([u, v]) => u * 8 + v);
+
+    // Scratch blocks shared by every transform, so no block allocates (the
+    // codec is synchronous, so they are never in use twice)
+    const blockScratch = new Float32Array(64);
+    const changeScratch = new Float32Array(64);
+    const cbScratch = new Float32Array(64);
+    const crScratch = new Float32Array(64);
+    const cbChangeScratch = new Float32Array(64);
+    const crChangeScratch = new Float32Array(64);
+
     // ========================================
     // Message Encoding/Decoding
     // ========================================
@@ -326,15 +683,202 @@ const RobustWatermark = (() => {
         return bits;
     }
 
+    // ========================================
+    // Frame Layout & Error Correction
+    // ========================================
+
+    // Header: magic (2 bytes) + key ID (1 byte) + payload length in bytes (2 bytes), RS protected
+    const HEADER_BYTES = 5;
+    const HEADER_BITS = (HEADER_BYTES + CONFIG.HEADER_ECC) * 8;
+
+    // Split a payload into chunks that each fit in a 255-symbol RS codeword
+    function planCodewords(dataLength) {
+        const maxData = Math.floor(255 / (1 + CONFIG.ECC_LEVEL));
+        const count = Math.max(1, Math.ceil(dataLength / maxData));
+        const chunks = [];
+        let remaining = dataLength;
+        for (let i = 0; i < count; i++) {
+            const size = Math.ceil(remaining / (count - i));
+            chunks.push({ size, nsym: Math.max(2, Math.ceil(size * CONFIG.ECC_LEVEL)) });
+            remaining -= size;
+        }
+        return chunks;
+    }
+
+    function codewordLength(chunks) {
+        return chunks.reduce((sum, c) => sum + c.size + c.nsym, 0);
+    }
+
+    function eccEncode(bytes) {
+        const chunks = planCodewords(bytes.length);
+        const encoded = new Uint8Array(codewordLength(chunks));
+        let dataOffset = 0, outOffset = 0;
+        for (const chunk of chunks) {
+            const rs = new ReedSolomon(chunk.nsym);
+            encoded.set(rs.encode(bytes.subarray(dataOffset, dataOffset + chunk.size)), outOffset);
+            dataOffset += chunk.size;
+            outOffset += chunk.size + chunk.nsym;
+        }
+        return encoded;
+    }
+
+    function correctCodeword(rs, codeword, confidences) {
+        // Low-confidence symbols are passed as erasures, which cost half as
+        // much correction capacity as errors at unknown positions. A quarter
+        // of the parity is held back so a badly damaged codeword fails
+        // instead of "correcting" to a different one.
+        const erasures = Array.from(confidences.keys())
+            .filter(i => confidences[i] < CONFIG.ERASURE_THRESHOLD)
+            .sort((a, b) => confidences[a] - confidences[b])
+            .slice(0, rs.nsym - Math.ceil(rs.nsym / 4));
+
+        if (erasures.length > 0) {
+            try {
+                return rs.decode(codeword, erasures);
+            } catch (e) {
+                // Erasure guesses were wrong, fall back to errors-only decoding
+            }
+        }
+        return rs.decode(codeword);
+    }
+
+    /**
+     * Corrects every codeword of a payload.
+     * @returns {{data: Uint8Array, correctedSymbols: number, unrecoverable: boolean}}
+     * On failure `data` holds the uncorrected best guess.
+     */
+    function eccDecode(bytes, confidences, dataLength) {
+        const chunks = planCodewords(dataLength);
+        const data = new Uint8Array(dataLength);
+        let correctedSymbols = 0;
+        let unrecoverable = false;
+        let dataOffset = 0, inOffset = 0;
+
+        for (const chunk of chunks) {
+            const end = inOffset + chunk.size + chunk.nsym;
+            const codeword = bytes.subarray(inOffset, end);
+            try {
+                const result = correctCodeword(new ReedSolomon(chunk.nsym), codeword, confidences.slice(inOffset, end));
+                data.set(result.data, dataOffset);
+                correctedSymbols += result.correctedSymbols;
+            } catch (e) {
+                data.set(codeword.subarray(0, chunk.size), dataOffset);
+                unrecoverable = true;
+            }
+            dataOffset += chunk.size;
+            inOffset = end;
+        }
+
+        return { data, correctedSymbols, unrecoverable };
+    }
+
+    /**
+     * Data layout within one tile, in keyed block order: all header copies
+     * first, followed by as many payload copies as fit. Each copy starts on
+     * a fresh block so the decoder can find it from the payload length alone.
+     * In chroma mode the Cb/Cr bits of every block come after the luma bits
+     * of the whole tile (see slotIndex), so the header and the first payload
+     * copies are laid out as in luma mode and only the extra copies use chroma.
+     * @param {number} payloadBits - Coded payload length
+     * @param {number} [bitsPerBlock] - LUMA_BITS, or CHROMA_BITS in chroma mode
+     */
+    function frameLayout(payloadBits, bitsPerBlock = LUMA_BITS) {
+        const slots = TILE_BLOCKS * bitsPerBlock;
+        const headerBlocks = Math.ceil(HEADER_BITS / LUMA_BITS);
+        const payloadStart = headerBlocks * CONFIG.REDUNDANCY;
+        const payloadBlocks = Math.ceil(payloadBits / LUMA_BITS);
+        const payloadCopies = payloadBlocks > 0
+            ? Math.max(0, Math.floor((Math.floor(slots / LUMA_BITS) - payloadStart) / payloadBlocks))
+            : 0;
+
+        return { bitsPerBlock, slots, headerBlocks, payloadStart, payloadBlocks, payloadCopies };
+    }
+
+    // Tile slot of data bit posIdx of the block at `index` in the stream
+    function slotIndex(index, posIdx) {
+        return posIdx < LUMA_BITS
+            ? index * LUMA_BITS + posIdx
+            : TILE_BLOCKS * LUMA_BITS + index * (CHROMA_BITS - LUMA_BITS) + posIdx - LUMA_BITS;
+    }
+
+    // Bit carried by every data slot of the tile (-1 for unused padding)
+    function tileStream(headerBits, payloadBits, layout) {
+        const stream = new Int8Array(layout.slots);
+        for (let slot = 0; slot < stream.length; slot++) {
+            const source = slotSource(slot, layout, payloadBits.length);
+            stream[slot] = source < 0 ? -1
+                : source < HEADER_BITS ? headerBits[source] : payloadBits[source - HEADER_BITS];
+        }
+        return stream;
+    }
+
+    // Header bit (below HEADER_BITS) or HEADER_BITS + payload bit carried by a tile slot, -1 for padding
+    function slotSource(slot, layout, payloadBits) {
+        const headerSlots = layout.payloadStart * LUMA_BITS;
+        if (slot < headerSlots) {
+            const bit = slot % (layout.headerBlocks * LUMA_BITS);
+            return bit < HEADER_BITS ? bit : -1;
+        }
+
+        const copyStride = layout.payloadBlocks * LUMA_BITS;
+        const offset = slot - headerSlots;
+        if (offset >= copyStride * layout.payloadCopies) {
+            return -1;
+        }
+        const bit = offset % copyStride;
+        return bit < payloadBits ? HEADER_BITS + bit : -1;
+    }
+
+    // Sums soft bits, and how many were read, across copies laid out back to back
+    function voteSoftBits(slotSums, slotCounts, start, length, copyStride, copies) {
+        const sums = new Float32Array(length);
+        const counts = new Float32Array(length);
+        for (let c = 0; c < copies; c++) {
+            const offset = start + c * copyStride;
+            for (let i = 0; i < length; i++) {
+                sums[i] += slotSums[offset + i];
+                counts[i] += slotCounts[offset + i];
+            }
+        }
+        return { sums, counts };
+    }
+
+    // Hard bytes plus per-byte confidence (weakest bit in the byte)
+    function softToBytes({ sums, counts }) {
+        const bytes = new Uint8Array(Math.ceil(sums.length / 8));
+        const confidences = new Array(bytes.length).fill(1);
+        for (let i = 0; i < sums.length; i++) {
+            const byteIdx = Math.floor(i / 8);
+            if (sums[i] > 0) {
+                bytes[byteIdx] |= (1 << (7 - (i % 8)));
+            }
+            const confidence = counts[i] > 0 ? Math.abs(sums[i]) / counts[i] : 0;
+            confidences[byteIdx] = Math.min(confidences[byteIdx], confidence);
+        }
+        return { bytes, confidences };
+    }
+
     // ========================================
     // Perceptual Hash (for detection fallback)
     // ========================================
 
+    // cos((2i + 1) u pi / 64) for the hash's 8 frequencies over its 32 samples
+    const PHASH_SIZE = 32;
+    const PHASH_COSINES = (() => {
+        const cosines = new Float64Array(8 * PHASH_SIZE);
+        for (let u = 0; u < 8; u++) {
+            for (let i = 0; i < PHASH_SIZE; i++) {
+                cosines[u * PHASH_SIZE + i] = Math.cos((2 * i + 1) * u * Math.PI / (2 * PHASH_SIZE));
+            }
+        }
+        return cosines;
+    })();
+
     function computePerceptualHash(imageData) {
         const { width, height, data } = imageData;
 
         // Resize to 32x32 using simple averaging
-        const SIZE = 32;
+        const SIZE = PHASH_SIZE;
         const gray = new Float32Array(SIZE * SIZE);
 
         const scaleX = width / SIZE;
@@ -360,17 +904,23 @@ const RobustWatermark = (() => {
             }
         }
 
-        // Apply DCT to 32x32 block
+        // Lowest 8x8 frequencies of the 32x32 DCT, one dimension at a time
+        const rows = new Float64Array(SIZE * 8);
+        for (let i = 0; i < SIZE; i++) {
+            for (let v = 0; v < 8; v++) {
+                let sum = 0;
+                for (let j = 0; j < SIZE; j++) {
+                    sum += gray[i * SIZE + j] * PHASH_COSINES[v * SIZE + j];
+                }
+                rows[i * 8 + v] = sum;
+            }
+        }
         const dctResult = [];
         for (let u = 0; u < 8; u++) {
             for (let v = 0; v < 8; v++) {
                 let sum = 0;
                 for (let i = 0; i < SIZE; i++) {
-                    for (let j = 0; j < SIZE; j++) {
-                        sum += gray[i * SIZE + j] *
-                            Math.cos((2 * i + 1) * u * Math.PI / (2 * SIZE)) *
-                            Math.cos((2 * j + 1) * v * Math.PI / (2 * SIZE));
-                    }
+                    sum += PHASH_COSINES[u * SIZE + i] * rows[i * 8 + v];
                 }
                 dctResult.push(sum);
             }
@@ -388,259 +938,1489 @@ const RobustWatermark = (() => {
     }
 
     // ========================================
-    // Main Encoding Function
+    // Block Helpers
     // ========================================
 
-    function encode(imageData, message, options = {}) {
+    // ImageData only exists in browsers; Node callers get a plain object of the same shape
+    function createImageData(data, width, height) {
+        if (typeof ImageData !== 'undefined') {
+            return new ImageData(data, width, height);
+        }
+        return { data, width, height };
+    }
+
+    // Fraction of the way each coefficient of a block moves onto its
+    // lattice, from the block's texture (its AC energy is its variance)
+    function maskWeight(coefficients) {
+        let energy = 0;
+        for (let k = 1; k < 64; k++) {
+            energy += coefficients[k] * coefficients[k];
+        }
+        const activity = Math.min(1, Math.sqrt(energy / 64) / CONFIG.MASK_ACTIVITY);
+        return CONFIG.MASK_FLOOR + (1 - CONFIG.MASK_FLOOR) * activity;
+    }
+
+    // Coefficient changes that put targets [from, from + indices.length) of
+    // a block exactly on their lattices
+    function quantiseChanges(coefficients, changes, indices, bits, dithers, from, strength) {
+        changes.fill(0);
+        for (let k = 0; k < indices.length; k++) {
+            const bit = bits[from + k];
+            if (bit < 0) continue;
+            const coef = coefficients[indices[k]];
+            changes[indices[k]] = embedCoefficient(coef, bit, dithers[from + k], strength) - coef;
+        }
+    }
+
+    /**
+     * Reads a block and works out, in the DCT domain, the changes that put
+     * all its targets on their lattices: the luma coefficients are left in
+     * blockScratch and their changes in changeScratch, with the Cb and Cr
+     * changes in cbChangeScratch and crChangeScratch in chroma mode
+     * @param {Uint8ClampedArray} data - RGBA pixels; the block must lie inside the image
+     * @param {number} width - Image width
+     * @param {number} blockX - Left edge of the block
+     * @param {number} blockY - Top edge of the block
+     * @param {Int8Array} bits - plan.targets target bits from `offset` (-1 = leave alone):
+     *   EMBED_POSITIONS in luma, then CHROMA_POSITIONS in Cb and in Cr
+     * @param {Int8Array} dithers - Dither per target, likewise
+     * @param {number} offset - Index of the block's first target
+     * @param {{strength: number, chroma: boolean}} plan
+     */
+    function blockChanges(data, width, blockX, blockY, bits, dithers, offset, plan) {
+        for (let i = 0; i < 8; i++) {
+            let idx = ((blockY + i) * width + blockX) * 4;
+            for (let j = 0; j < 8; j++, idx += 4) {
+                const r = data[idx], g = data[idx + 1], b = data[idx + 2];
+                blockScratch[i * 8 + j] = toLuma(r, g, b);
+                if (plan.chroma) {
+                    cbScratch[i * 8 + j] = toCb(r, g, b);
+                    crScratch[i * 8 + j] = toCr(r, g, b);
+                }
+            }
+        }
+        forwardDct(blockScratch);
+        quantiseChanges(blockScratch, changeScratch, EMBED_INDEX, bits, dithers, offset, plan.strength);
+
+        if (plan.chroma) {
+            const cbFrom = offset + EMBED_INDEX.length;
+            const chromaStrength = plan.strength * CONFIG.CHROMA_STRENGTH;
+            forwardDct(cbScratch);
+            forwardDct(crScratch);
+            quantiseChanges(cbScratch, cbChangeScratch, CHROMA_INDEX, bits, dithers, cbFrom, chromaStrength);
+            quantiseChanges(crScratch, crChangeScratch, CHROMA_INDEX, bits, dithers, cbFrom + CHROMA_INDEX.length, chromaStrength);
+        }
+    }
+
+    /**
+     * Embeds one block in place: moves its luma (and, in chroma mode, Cb
+     * and Cr) coefficients onto their lattices and converts the change back
+     * to RGB. Shared by encode and createFrameEmbedder, so both give
+     * identical pixels.
+     * @param {Uint8ClampedArray} data - As for blockChanges, and the rest likewise
+     * @param {number} width
+     * @param {number} blockX
+     * @param {number} blockY
+     * @param {Int8Array} bits
+     * @param {Int8Array} dithers
+     * @param {number} offset
+     * @param {{strength: number, chroma: boolean, masking: boolean}} plan
+     * @param {number} [weight] - Fraction of the way onto the lattices (above
+     *   0.5 to stay readable); by default from masking
+     */
+    function embedBlock(data, width, blockX, blockY, bits, dithers, offset, plan, weight) {
+        blockChanges(data, width, blockX, blockY, bits, dithers, offset, plan);
+        if (weight === undefined) {
+            weight = plan.masking ? maskWeight(blockScratch) : 1;
+        }
+
+        // The transform is linear, so only the coefficient changes are inverted
+        inverseDct(changeScratch);
+        if (plan.chroma) {
+            inverseDct(cbChangeScratch);
+            inverseDct(crChangeScratch);
+        }
+
+        // Back to RGB; the clamped array clamps and rounds
+        for (let i = 0; i < 8; i++) {
+            let idx = ((blockY + i) * width + blockX) * 4;
+            for (let j = 0; j < 8; j++, idx += 4) {
+                const dy = changeScratch[i * 8 + j] * weight;
+                if (plan.chroma) {
+                    const dcb = cbChangeScratch[i * 8 + j] * weight;
+                    const dcr = crChangeScratch[i * 8 + j] * weight;
+                    data[idx] += dy + CR_TO_R * dcr;
+                    data[idx + 1] += dy + CB_TO_G * dcb + CR_TO_G * dcr;
+                    data[idx + 2] += dy + CB_TO_B * dcb;
+                } else {
+                    data[idx] += dy;
+                    data[idx + 1] += dy;
+                    data[idx + 2] += dy;
+                }
+            }
+        }
+    }
+
+    // Whole-image luminance, used by the decoder
+    function lumaPlane(imageData) {
         const { width, height, data } = imageData;
-        const outputData = new Uint8ClampedArray(data);
+        const plane = new Float32Array(width * height);
+        for (let i = 0; i < plane.length; i++) {
+            plane[i] = toLuma(data[i * 4], data[i * 4 + 1], data[i * 4 + 2]);
+        }
+        return plane;
+    }
 
-        const strength = options.strength || CONFIG.EMBED_STRENGTH;
-        const key = options.key || CONFIG.SECRET_KEY;
+    // Whole-image Cb and Cr, read only for chroma-mode watermarks
+    function chromaPlanes(imageData) {
+        const { width, height, data } = imageData;
+        const cb = new Float32Array(width * height);
+        const cr = new Float32Array(width * height);
+        for (let i = 0; i < cb.length; i++) {
+            const r = data[i * 4], g = data[i * 4 + 1], b = data[i * 4 + 2];
+            cb[i] = toCb(r, g, b);
+            cr[i] = toCr(r, g, b);
+        }
+        return { cb, cr };
+    }
+
+    // Quantization index modulation: each bit selects one of two interleaved
+    // lattices with step 2 * strength, dithered by the keyed spread value
+    function embedCoefficient(coef, bit, spreadValue, strength) {
+        const step = strength * 2;
+        const offset = spreadValue * step / 4 + (bit ? step / 2 : 0);
+        return Math.round((coef - offset) / step) * step + offset;
+    }
+
+    // Returns a soft bit in [-1, 1]: the sign is the bit, the magnitude its confidence
+    function extractCoefficient(coef, spreadValue, strength) {
+        const step = strength * 2;
+        const r = coef - spreadValue * step / 4;
+        const m = r - Math.floor(r / step) * step;
+        const dist0 = Math.min(m, step - m);
+        const dist1 = Math.abs(m - step / 2);
+        return (dist0 - dist1) / (step / 2);
+    }
 
-        // Initialize RNG with secret key
-        const rng = new SeededRNG(key);
+    // ========================================
+    // Keyed Tile Layout
+    // ========================================
 
-        // Prepare message with magic signature
-        const messageBits = [...CONFIG.MAGIC, ...stringToBits(message)];
+    // The watermark repeats every TILE_SIZE x TILE_SIZE blocks, so a crop only
+    // shifts the tile phase. Within a tile, the key decides which block carries
+    // which part of the stream and the dither of every data coefficient.
+    const tableCache = new Map();
 
-        // Apply Reed-Solomon error correction
-        const messageBytes = bitsToBytes(messageBits);
-        const rs = new ReedSolomon(Math.ceil(messageBytes.length * CONFIG.ECC_LEVEL));
-        const encodedBytes = rs.encode(messageBytes);
-        const encodedBits = bytesToBits(encodedBytes);
+    function keyTables(key) {
+        if (!tableCache.has(key)) {
+            const rng = new SeededRNG(key);
 
-        // Calculate how many blocks we need
-        const blockCols = Math.floor(width / CONFIG.BLOCK_SIZE);
-        const blockRows = Math.floor(height / CONFIG.BLOCK_SIZE);
-        const totalBlocks = blockCols * blockRows;
+            // Enough for chroma mode; luma mode uses the start, as it always has
+            const bitsPerBlock = CHROMA_BITS;
 
-        // Generate random block order for spread-spectrum encoding
-        const blockIndices = Array.from({ length: totalBlocks }, (_, i) => i);
-        const shuffledBlocks = rng.shuffle(blockIndices);
+            // streamIndex[tile position] = block index in the data stream
+            const order = rng.shuffle(Array.from({ length: TILE_BLOCKS }, (_, i) => i));
+            const streamIndex = new Int32Array(TILE_BLOCKS);
+            order.forEach((position, index) => { streamIndex[position] = index; });
 
-        // Calculate bits per block (use multiple coefficients per block)
-        const bitsPerBlock = EMBED_POSITIONS.length;
-        const totalBits = encodedBits.length * CONFIG.REDUNDANCY;
-        const blocksNeeded = Math.ceil(totalBits / bitsPerBlock);
+            const dither = new Int8Array(TILE_BLOCKS * bitsPerBlock);
+            for (let i = 0; i < dither.length; i++) {
+                dither[i] = rng.next() > 0.5 ? 1 : -1;
+            }
 
-        if (blocksNeeded > totalBlocks) {
-            console.warn('Image too small for message, reducing redundancy');
+            tableCache.set(key, { streamIndex, dither });
         }
+        return tableCache.get(key);
+    }
 
-        // Embed watermark into Y (luminance) channel
-        let bitIndex = 0;
-        let redundancyCount = 0;
+    function tilePosition(blockCol, blockRow) {
+        return (blockRow % CONFIG.TILE_SIZE) * CONFIG.TILE_SIZE + (blockCol % CONFIG.TILE_SIZE);
+    }
 
-        for (let blockIdx = 0; blockIdx < shuffledBlocks.length && redundancyCount < CONFIG.REDUNDANCY; blockIdx++) {
-            const block = shuffledBlocks[blockIdx];
-            const blockX = (block % blockCols) * CONFIG.BLOCK_SIZE;
-            const blockY = Math.floor(block / blockCols) * CONFIG.BLOCK_SIZE;
+    // Images smaller than a tile only hold part of it; every header and
+    // payload bit must still land in at least one block of the image
+    function coversFrame(blockCols, blockRows, tables, layout, payloadBits) {
+        const covered = new Uint8Array(HEADER_BITS + payloadBits);
+        for (let blockRow = 0; blockRow < Math.min(blockRows, CONFIG.TILE_SIZE); blockRow++) {
+            for (let blockCol = 0; blockCol < Math.min(blockCols, CONFIG.TILE_SIZE); blockCol++) {
+                const index = tables.streamIndex[tilePosition(blockCol, blockRow)];
+                for (let posIdx = 0; posIdx < layout.bitsPerBlock; posIdx++) {
+                    const source = slotSource(slotIndex(index, posIdx), layout, payloadBits);
+                    if (source >= 0) {
+                        covered[source] = 1;
+                    }
+                }
+            }
+        }
+        return covered.every(Boolean);
+    }
 
-            // Extract 8x8 block (Y channel - luminance)
-            const yBlock = Array(8).fill(null).map(() => Array(8).fill(0));
+    // ========================================
+    // Synchronisation Template
+    // ========================================
+
+    // The two pilot coefficients carry a fixed pattern instead of data: (0,1)
+    // follows an m-sequence along block columns and (1,0) another along block
+    // rows. The pattern is the same for every key, so the decoder can recover
+    // the block grid, tile phase, scale and rotation once before trying keys.
+    const PILOT_DITHER = 1;
+
+    // One period of a 5-bit maximal-length LFSR sequence: its cyclic
+    // autocorrelation is flat away from zero shift, so phase peaks are sharp
+    function mSequence(taps) {
+        const bits = [];
+        let state = 1;
+        for (let i = 0; i < 31; i++) {
+            bits.push(state & 1);
+            let feedback = 0;
+            for (const tap of taps) {
+                feedback ^= (state >> tap) & 1;
+            }
+            state = (state >> 1) | (feedback << 4);
+        }
+        return bits;
+    }
 
+    const PILOT_X = mSequence([0, 2]);          // x^5 + x^2 + 1
+    const PILOT_Y = mSequence([0, 1, 2, 3]);    // x^5 + x^3 + x^2 + x + 1
+
+    /**
+     * Pilot coefficients for every possible block origin of a luma plane.
+     * Both are separable, so they come from 8-pixel column and row sums
+     * rather than a full DCT per origin.
+     */
+    function pilotResponses(plane, width, height) {
+        const w = width - 7;
+        const h = height - 7;
+        const basis = DCT_BASIS.subarray(8, 16);
+        const dc = DCT_BASIS[0];
+
+        // Running 8-pixel sums: each step adds one pixel and drops another.
+        // NaN (outside the source image) would stick in a running sum, so
+        // rows and columns containing one fall back to summing directly.
+        const colSums = new Float32Array(width * h);
+        for (let x = 0; x < width; x++) {
+            let sum = 0;
             for (let i = 0; i < 8; i++) {
-                for (let j = 0; j < 8; j++) {
-                    const px = blockX + j;
-                    const py = blockY + i;
-                    if (px < width && py < height) {
-                        const idx = (py * width + px) * 4;
-                        // Convert to luminance
-                        yBlock[i][j] = outputData[idx] * 0.299 +
-                            outputData[idx + 1] * 0.587 +
-                            outputData[idx + 2] * 0.114;
+                sum += plane[i * width + x];
+            }
+            colSums[x] = sum;
+            for (let y = 1; y < h; y++) {
+                sum += plane[(y + 7) * width + x] - plane[(y - 1) * width + x];
+                if (sum !== sum) {
+                    sum = 0;
+                    for (let i = 0; i < 8; i++) {
+                        sum += plane[(y + i) * width + x];
+                    }
+                }
+                colSums[y * width + x] = sum;
+            }
+        }
+
+        const rowSums = new Float32Array(w * height);
+        for (let y = 0; y < height; y++) {
+            let sum = 0;
+            for (let j = 0; j < 8; j++) {
+                sum += plane[y * width + j];
+            }
+            rowSums[y * w] = sum;
+            for (let x = 1; x < w; x++) {
+                sum += plane[y * width + x + 7] - plane[y * width + x - 1];
+                if (sum !== sum) {
+                    sum = 0;
+                    for (let j = 0; j < 8; j++) {
+                        sum += plane[y * width + x + j];
+                    }
+                }
+                rowSums[y * w + x] = sum;
+            }
+        }
+
+        const respX = new Float32Array(w * h);
+        const respY = new Float32Array(w * h);
+        for (let y = 0; y < h; y++) {
+            for (let x = 0; x < w; x++) {
+                let sumX = 0, sumY = 0;
+                for (let k = 0; k < 8; k++) {
+                    sumX += basis[k] * colSums[y * width + x + k];
+                    sumY += basis[k] * rowSums[(y + k) * w + x];
+                }
+                respX[y * w + x] = sumX * dc;
+                respY[y * w + x] = sumY * dc;
+            }
+        }
+        return { respX, respY, w, h };
+    }
+
+    // Best cyclic shift of a pilot sequence against per-phase votes
+    function correlatePilot(votes, pilot) {
+        let best = { score: -Infinity, phase: 0 };
+        for (let phase = 0; phase < pilot.length; phase++) {
+            let score = 0;
+            for (let c = 0; c < pilot.length; c++) {
+                score += pilot[(c + phase) % pilot.length] ? votes[c] : -votes[c];
+            }
+            if (score > best.score) {
+                best = { score, phase };
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Tries all 64 block grid offsets of a plane against the pilots.
+     * @returns {{score: number, count: number, offsetX: number, offsetY: number,
+     *   phaseX: number, phaseY: number}}
+     * `score` is the mean pilot agreement in [-1, 1] over `count` blocks;
+     * phases are the tile column/row of the first block.
+     */
+    function matchPilots(plane, width, height, strength) {
+        const { respX, respY, w, h } = pilotResponses(plane, width, height);
+        const T = CONFIG.TILE_SIZE;
+        let best = { score: -1, count: 0, offsetX: 0, offsetY: 0, phaseX: 0, phaseY: 0 };
+
+        for (let oy = 0; oy < 8; oy++) {
+            for (let ox = 0; ox < 8; ox++) {
+                const colVotes = new Float32Array(T);
+                const rowVotes = new Float32Array(T);
+                let count = 0;
+
+                for (let y = oy, by = 0; y < h; y += 8, by++) {
+                    for (let x = ox, bx = 0; x < w; x += 8, bx++) {
+                        const rx = respX[y * w + x];
+                        const ry = respY[y * w + x];
+                        // NaN: the block falls outside the source image
+                        if (rx !== rx || ry !== ry) continue;
+
+                        colVotes[bx % T] += extractCoefficient(rx, PILOT_DITHER, strength);
+                        rowVotes[by % T] += extractCoefficient(ry, PILOT_DITHER, strength);
+                        count++;
                     }
                 }
+                if (count === 0) continue;
+
+                const x = correlatePilot(colVotes, PILOT_X);
+                const y = correlatePilot(rowVotes, PILOT_Y);
+                const score = (x.score + y.score) / (2 * count);
+                if (score > best.score) {
+                    best = { score, count, offsetX: ox, offsetY: oy, phaseX: x.phase, phaseY: y.phase };
+                }
             }
+        }
+        return best;
+    }
 
-            // Apply DCT
-            const dctBlock = dct2d(yBlock);
+    /**
+     * Maps a region of the received luma plane back to the embedding geometry.
+     * The received image is assumed to be the original scaled by `scale` and
+     * rotated by `rotation` degrees about its centre. Output pixel (u, v) is
+     * pixel (x + u, y + v) of the restored plane; samples falling outside the
+     * received image are NaN.
+     */
+    function resamplePlane(source, width, height, scale, rotation, x, y, outWidth, outHeight) {
+        const out = new Float32Array(outWidth * outHeight);
+        const cos = Math.cos(rotation * Math.PI / 180) * scale;
+        const sin = Math.sin(rotation * Math.PI / 180) * scale;
+        const centerU = width / scale / 2;
+        const centerV = height / scale / 2;
+
+        for (let v = 0; v < outHeight; v++) {
+            const dv = y + v + 0.5 - centerV;
+            for (let u = 0; u < outWidth; u++) {
+                const du = x + u + 0.5 - centerU;
+                const sx = width / 2 + cos * du - sin * dv - 0.5;
+                const sy = height / 2 + sin * du + cos * dv - 0.5;
+
+                if (sx < 0 || sy < 0 || sx > width - 1 || sy > height - 1) {
+                    out[v * outWidth + u] = NaN;
+                    continue;
+                }
 
-            // Embed bits into medium frequency coefficients
-            for (let posIdx = 0; posIdx < EMBED_POSITIONS.length; posIdx++) {
-                const [u, v] = EMBED_POSITIONS[posIdx];
-                const dataBitIdx = bitIndex % encodedBits.length;
-                const bit = encodedBits[dataBitIdx];
+                // Bilinear interpolation
+                const x0 = Math.floor(sx), y0 = Math.floor(sy);
+                const x1 = Math.min(x0 + 1, width - 1), y1 = Math.min(y0 + 1, height - 1);
+                const fx = sx - x0, fy = sy - y0;
+                const top = source[y0 * width + x0] * (1 - fx) + source[y0 * width + x1] * fx;
+                const bottom = source[y1 * width + x0] * (1 - fx) + source[y1 * width + x1] * fx;
+                out[v * outWidth + u] = top * (1 - fy) + bottom * fy;
+            }
+        }
+        return out;
+    }
 
-                // Spread-spectrum: multiply by pseudo-random sequence
-                const spreadValue = rng.next() > 0.5 ? 1 : -1;
-                const embedValue = (bit ? 1 : -1) * spreadValue * strength;
+    const EDGE_CLIP = 6;
+
+    // Power of one period in a profile (single DFT bin at a fractional frequency)
+    function periodPower(profile, period) {
+        const stepCos = Math.cos(2 * Math.PI / period);
+        const stepSin = Math.sin(2 * Math.PI / period);
+        let re = 0, im = 0, c = 1, s = 0;
+        for (let i = 0; i < profile.length; i++) {
+            re += profile[i] * c;
+            im += profile[i] * s;
+            const next = c * stepCos - s * stepSin;
+            s = c * stepSin + s * stepCos;
+            c = next;
+        }
+        return (re * re + im * im) / profile.length;
+    }
 
-                // Quantization-based embedding (more robust)
-                const quantStep = strength * 2;
-                const quantized = Math.round(dctBlock[u][v] / quantStep) * quantStep;
-                dctBlock[u][v] = quantized + embedValue;
+    // Removes slow content changes so only short periods remain
+    function highPass(profile, radius = 8) {
+        const out = new Float32Array(profile.length);
+        for (let i = 0; i < profile.length; i++) {
+            const start = Math.max(0, i - radius);
+            const end = Math.min(profile.length, i + radius + 1);
+            let sum = 0;
+            for (let j = start; j < end; j++) {
+                sum += profile[j];
+            }
+            out[i] = profile[i] - sum / (end - start);
+        }
+        return out;
+    }
 
-                bitIndex++;
+    /**
+     * Candidate transforms from the block grid period. Embedding leaves a
+     * faint step at every 8 pixel block edge; resizing stretches it to
+     * 8 * scale and rotation tilts it, so edge strength projected across the
+     * tilted grid shows a spectral peak at that period.
+     * @returns {Array<{scale: number, rotation: number, power: number}>} Strongest first
+     */
+    function estimateGeometry(plane, width, height) {
+        // Subsample large images along the projection direction
+        const step = Math.max(1, Math.floor(width * height / 1e6));
+        const candidates = [];
+
+        // Edge strength is clipped so strong content edges don't drown the
+        // faint grid; the same edges are projected at every angle
+        const sampledRows = Math.ceil(height / step);
+        const sampledCols = Math.ceil(width / step);
+        const colEdges = new Float64Array(sampledRows * (width - 1));
+        for (let y = 0, r = 0; y < height; y += step, r++) {
+            for (let x = 0; x < width - 1; x++) {
+                colEdges[r * (width - 1) + x] = Math.min(EDGE_CLIP, Math.abs(plane[y * width + x + 1] - plane[y * width + x]));
+            }
+        }
+        const rowEdges = new Float64Array((height - 1) * sampledCols);
+        for (let y = 0; y < height - 1; y++) {
+            for (let x = 0, c = 0; x < width; x += step, c++) {
+                rowEdges[y * sampledCols + c] = Math.min(EDGE_CLIP, Math.abs(plane[(y + 1) * width + x] - plane[y * width + x]));
             }
+        }
 
-            // Apply inverse DCT
-            const reconstructed = idct2d(dctBlock);
+        for (const rotation of [0, ...CONFIG.SYNC_ROTATIONS]) {
+            const cos = Math.cos(rotation * Math.PI / 180);
+            const sin = Math.sin(rotation * Math.PI / 180);
+            const offsetU = Math.ceil(height * Math.abs(sin)) + 1;
+            const offsetV = Math.ceil(width * Math.abs(sin)) + 1;
+            const cols = new Float32Array(width + 2 * offsetU);
+            const rows = new Float32Array(height + 2 * offsetV);
+
+            for (let y = 0, r = 0; y < height; y += step, r++) {
+                for (let x = 0; x < width - 1; x++) {
+                    cols[Math.round((x + 0.5) * cos + y * sin) + offsetU] += colEdges[r * (width - 1) + x];
+                }
+            }
+            for (let y = 0; y < height - 1; y++) {
+                for (let x = 0, c = 0; x < width; x += step, c++) {
+                    rows[Math.round((y + 0.5) * cos - x * sin) + offsetV] += rowEdges[y * sampledCols + c];
+                }
+            }
 
-            // Write back to image (adjusting RGB proportionally)
-            for (let i = 0; i < 8; i++) {
-                for (let j = 0; j < 8; j++) {
-                    const px = blockX + j;
-                    const py = blockY + i;
-                    if (px < width && py < height) {
-                        const idx = (py * width + px) * 4;
-                        const oldY = yBlock[i][j];
-                        const newY = reconstructed[i][j];
-                        const diff = newY - oldY;
-
-                        // Distribute change across RGB channels
-                        outputData[idx] = Math.max(0, Math.min(255, outputData[idx] + diff * 0.299));
-                        outputData[idx + 1] = Math.max(0, Math.min(255, outputData[idx + 1] + diff * 0.587));
-                        outputData[idx + 2] = Math.max(0, Math.min(255, outputData[idx + 2] + diff * 0.114));
+            const colProfile = highPass(cols);
+            const rowProfile = highPass(rows);
+            const spectrum = [];
+            for (let period = CONFIG.SYNC_SCALE_RANGE[0] * 8; period <= CONFIG.SYNC_SCALE_RANGE[1] * 8; period += 0.01) {
+                spectrum.push({ period, power: periodPower(colProfile, period) + periodPower(rowProfile, period) });
+            }
+
+            spectrum
+                .filter((p, i) => i > 0 && i < spectrum.length - 1 &&
+                    p.power > spectrum[i - 1].power && p.power >= spectrum[i + 1].power)
+                .sort((a, b) => b.power - a.power)
+                .slice(0, 4)
+                .forEach(p => candidates.push({ scale: p.period / 8, rotation, power: p.power }));
+        }
+
+        // A grid also shows up at neighbouring angles and at half its period
+        // (e.g. JPEG's own 8px blocks); keep only the strongest of each family
+        const near = (a, b) => Math.abs(a / b - 1) < 0.01;
+        return candidates
+            .sort((a, b) => b.power - a.power)
+            .filter((c, i, all) => !all.slice(0, i).some(stronger =>
+                (near(c.scale, stronger.scale) && Math.abs(c.rotation - stronger.rotation) <= 0.5) ||
+                (near(c.scale * 2, stronger.scale) && c.rotation === stronger.rotation)));
+    }
+
+    /**
+     * Estimates the geometric transform applied since embedding.
+     * Candidates are checked on a central window, most likely first,
+     * stopping at the first one whose pilots clearly match; the best one is
+     * then refined by hill climbing.
+     *
+     * Candidates are ranked by significance (score * sqrt(blocks)) rather
+     * than score, since small windows reach high scores by chance.
+     * @returns {{scale: number, rotation: number, offsetX: number, offsetY: number,
+     *   phaseX: number, phaseY: number, score: number, significance: number}}
+     * Offsets and phases locate the embedding grid in the restored plane.
+     */
+    function synchronize(luma, width, height, strength) {
+        const T = CONFIG.TILE_SIZE;
+        const tried = new Map();
+
+        function evaluate(scale, rotation, windowSize = CONFIG.SYNC_WINDOW) {
+            const planeWidth = Math.floor(width / scale);
+            const planeHeight = Math.floor(height / scale);
+            const winWidth = Math.min(windowSize, planeWidth);
+            const winHeight = Math.min(windowSize, planeHeight);
+            if (winWidth < 16 || winHeight < 16) {
+                return { scale, rotation, score: -1, significance: -Infinity };
+            }
+
+            const x = Math.floor((planeWidth - winWidth) / 2);
+            const y = Math.floor((planeHeight - winHeight) / 2);
+            const window = resamplePlane(luma, width, height, scale, rotation, x, y, winWidth, winHeight);
+            const match = matchPilots(window, winWidth, winHeight, strength);
+
+            // Express the grid relative to the whole restored plane
+            const gridX = x + match.offsetX;
+            const gridY = y + match.offsetY;
+            return {
+                scale,
+                rotation,
+                offsetX: gridX % 8,
+                offsetY: gridY % 8,
+                phaseX: ((match.phaseX - Math.floor(gridX / 8)) % T + T) % T,
+                phaseY: ((match.phaseY - Math.floor(gridY / 8)) % T + T) % T,
+                score: match.score,
+                significance: match.score * Math.sqrt(match.count)
+            };
+        }
+
+        let best = evaluate(1, 0);
+
+        // Returns true once the pilots clearly match
+        function consider(scale, rotation) {
+            const id = `${scale.toFixed(4)}:${rotation}`;
+            if (!tried.has(id)) {
+                const result = evaluate(scale, rotation);
+                tried.set(id, result);
+                if (result.significance > best.significance) {
+                    best = result;
+                }
+            }
+            return best.significance >= CONFIG.SYNC_ACCEPT;
+        }
+
+        function search() {
+            // Estimated from the block grid period (coarse, so neighbours too)
+            const estimates = estimateGeometry(luma, width, height).slice(0, CONFIG.SYNC_ESTIMATES);
+            for (const { scale, rotation } of estimates) {
+                for (const factor of [1, 0.996, 1.004]) {
+                    if (consider(scale * factor, rotation)) return;
+                }
+            }
+
+            // Recompression can hide the grid period, so sweep the scale range
+            // on a small window (more tolerant of scale error) and check the
+            // best few properly
+            const [minScale, maxScale] = CONFIG.SYNC_SCALE_RANGE;
+            const sweep = [];
+            for (let scale = minScale; scale <= maxScale; scale *= 1.02) {
+                sweep.push(evaluate(scale, 0, CONFIG.SYNC_WINDOW / 2));
+            }
+            sweep.sort((a, b) => b.significance - a.significance);
+            for (const { scale } of sweep.slice(0, 3)) {
+                if (consider(scale, 0)) return;
+            }
+
+            // Rotation alone
+            for (const rotation of CONFIG.SYNC_ROTATIONS) {
+                if (consider(1, rotation)) return;
+            }
+        }
+
+        if (best.significance >= CONFIG.SYNC_ACCEPT) {
+            return best;
+        }
+        search();
+
+        // Candidates are a grid, so nudge the winner until it stops improving
+        for (let round = 0; round < 4 && best.significance >= CONFIG.SYNC_THRESHOLD; round++) {
+            const start = best;
+            for (const [factor, turn] of [[1.003, 0], [0.997, 0], [1, 0.25], [1, -0.25]]) {
+                consider(start.scale * factor, start.rotation + turn);
+            }
+            if (best === start) break;
+        }
+        return best;
+    }
+
+    // ========================================
+    // Visual Quality & Adaptive Strength
+    // ========================================
+
+    // SSIM window (pixels), the step between windows and the stabilising constants
+    const SSIM_WINDOW = 8;
+    const SSIM_STEP = 4;
+    const SSIM_C1 = (0.01 * 255) ** 2;
+    const SSIM_C2 = (0.03 * 255) ** 2;
+
+    /**
+     * PSNR over the RGB channels and mean SSIM on luminance (over
+     * overlapping square windows) between an image and a changed copy
+     * @param {ImageData} original
+     * @param {ImageData} changed - Same size as the original
+     * @returns {{psnr: number, ssim: number}} psnr in dB, Infinity for identical images
+     */
+    function measureQuality(original, changed) {
+        const { width, height } = original;
+        if (changed.width !== width || changed.height !== height) {
+            throw new Error(`Image sizes differ: ${width}x${height} vs ${changed.width}x${changed.height}`);
+        }
+
+        let squares = 0;
+        for (let i = 0; i < original.data.length; i += 4) {
+            for (let c = 0; c < 3; c++) {
+                const d = original.data[i + c] - changed.data[i + c];
+                squares += d * d;
+            }
+        }
+        const mse = squares / (width * height * 3);
+
+        const x = lumaPlane(original);
+        const y = lumaPlane(changed);
+        const n = SSIM_WINDOW * SSIM_WINDOW;
+        let total = 0;
+        let windows = 0;
+        for (let top = 0; top + SSIM_WINDOW <= height; top += SSIM_STEP) {
+            for (let left = 0; left + SSIM_WINDOW <= width; left += SSIM_STEP) {
+                let sx = 0, sy = 0, sxx = 0, syy = 0, sxy = 0;
+                for (let i = 0; i < SSIM_WINDOW; i++) {
+                    const row = (top + i) * width + left;
+                    for (let j = 0; j < SSIM_WINDOW; j++) {
+                        const p = x[row + j];
+                        const q = y[row + j];
+                        sx += p;
+                        sy += q;
+                        sxx += p * p;
+                        syy += q * q;
+                        sxy += p * q;
                     }
                 }
+                const mx = sx / n;
+                const my = sy / n;
+                const vx = sxx / n - mx * mx;
+                const vy = syy / n - my * my;
+                const cov = sxy / n - mx * my;
+                total += ((2 * mx * my + SSIM_C1) * (2 * cov + SSIM_C2)) /
+                    ((mx * mx + my * my + SSIM_C1) * (vx + vy + SSIM_C2));
+                windows++;
+            }
+        }
+
+        return {
+            psnr: mse === 0 ? Infinity : 10 * Math.log10(255 * 255 / mse),
+            ssim: windows ? total / windows : 1
+        };
+    }
+
+    // Just-noticeable luma change (grey levels) of a block: luminance
+    // adaptation (Chou & Li) combined with texture masking
+    function justNoticeable(mean, deviation) {
+        const luminance = mean <= 127
+            ? 17 * (1 - Math.sqrt(Math.max(0, mean) / 127)) + 3
+            : 3 * (mean - 127) / 128 + 3;
+        const texture = CONFIG.JND_TEXTURE * deviation;
+        return luminance + texture - CONFIG.JND_OVERLAP * Math.min(luminance, texture);
+    }
+
+    /**
+     * What embedding each block at full strength would cost, for
+     * allocateWeights: per block its squared RGB change (summed over its
+     * pixels, averaged over the channels), just-noticeable difference, and
+     * the luma variance, luma covariance with the change and the change's
+     * variance that SSIM depends on
+     */
+    function analyseBlocks(data, width, plan, onRow) {
+        const count = plan.blockCols * plan.blockRows;
+        const stats = {
+            energy: new Float32Array(count),
+            jnd: new Float32Array(count),
+            variance: new Float32Array(count),
+            covariance: new Float32Array(count),
+            changeVariance: new Float32Array(count)
+        };
+        const bits = new Int8Array(plan.targets);
+        const dithers = new Int8Array(plan.targets);
+
+        for (let blockRow = 0; blockRow < plan.blockRows; blockRow++) {
+            for (let blockCol = 0; blockCol < plan.blockCols; blockCol++) {
+                const b = blockRow * plan.blockCols + blockCol;
+                blockTargets(plan, blockCol, blockRow, bits, dithers, 0);
+                blockChanges(data, width, blockCol * CONFIG.BLOCK_SIZE, blockRow * CONFIG.BLOCK_SIZE, bits, dithers, 0, plan);
+
+                // Orthonormal DCT: sums over pixels equal sums over coefficients
+                let ac = 0;
+                for (let k = 1; k < 64; k++) {
+                    ac += blockScratch[k] * blockScratch[k];
+                }
+                let energy = 0, covariance = 0, changeVariance = 0;
+                for (let t = 0; t < EMBED_INDEX.length; t++) {
+                    const k = EMBED_INDEX[t];
+                    const dy = changeScratch[k];
+                    const dcb = plan.chroma ? cbChangeScratch[k] : 0;
+                    const dcr = plan.chroma ? crChangeScratch[k] : 0;
+                    const dr = dy + CR_TO_R * dcr;
+                    const dg = dy + CB_TO_G * dcb + CR_TO_G * dcr;
+                    const db = dy + CB_TO_B * dcb;
+                    energy += (dr * dr + dg * dg + db * db) / 3;
+                    covariance += blockScratch[k] * dy;
+                    changeVariance += dy * dy;
+                }
+
+                stats.energy[b] = energy;
+                stats.jnd[b] = justNoticeable(blockScratch[0] / 8, Math.sqrt(ac / 64));
+                stats.variance[b] = ac / 64;
+                stats.covariance[b] = covariance / 64;
+                stats.changeVariance[b] = changeVariance / 64;
+            }
+            onRow(blockRow);
+        }
+        return stats;
+    }
+
+    /**
+     * Per-block weights (the fraction of the way onto the lattice) that
+     * keep the predicted PSNR and SSIM at their goals. Every block's change
+     * is held at the same multiple of its just-noticeable difference, the
+     * largest that fits the budget, so textured and mid-grey blocks take
+     * the most. Weights stay within [MASK_FLOOR, 1]: below the floor the
+     * watermark would not read back, and the lattice itself (the strength
+     * decode uses) never changes.
+     * @param {Object} stats - From analyseBlocks
+     * @param {{psnr?: number, ssim?: number}} goal
+     * @param {number} pixels - Pixels in the image
+     * @returns {Float32Array}
+     */
+    function allocateWeights(stats, goal, pixels) {
+        const count = stats.energy.length;
+        const rms = Float32Array.from(stats.energy, energy => Math.sqrt(energy / 64));
+        const weightAt = (level, b) => (rms[b] === 0
+            ? 1
+            : Math.max(CONFIG.MASK_FLOOR, Math.min(1, level * stats.jnd[b] / rms[b])));
+
+        // Unmarked margins count as unchanged; marked pixels gain rounding noise
+        const windows = pixels / 64;
+        const fits = level => {
+            let squares = count * 64 / 12;
+            let similarity = windows - count;
+            for (let b = 0; b < count; b++) {
+                const w = weightAt(level, b);
+                const shared = 2 * stats.variance[b] + 2 * w * stats.covariance[b] + SSIM_C2;
+                squares += w * w * stats.energy[b];
+                similarity += shared / (shared + w * w * stats.changeVariance[b]);
+            }
+            const psnr = 10 * Math.log10(255 * 255 * pixels / squares);
+            return (!goal.psnr || psnr >= goal.psnr) && (!goal.ssim || similarity / windows >= goal.ssim);
+        };
+
+        // Highest level that fits, by bisection; beyond `full` every weight is 1
+        let full = 0;
+        for (let b = 0; b < count; b++) {
+            if (rms[b] > 0) full = Math.max(full, rms[b] / stats.jnd[b]);
+        }
+        let level = full;
+        if (!fits(full)) {
+            let low = 0, high = full;
+            for (let i = 0; i < 40; i++) {
+                const mid = (low + high) / 2;
+                if (fits(mid)) low = mid; else high = mid;
+            }
+            level = low;
+        }
+        return Float32Array.from({ length: count }, (_, b) => weightAt(level, b));
+    }
+
+    // Embeds every block of `data` in place; weights (per block) default to masking
+    function embedImage(data, width, plan, weights, onRow) {
+        const bits = new Int8Array(plan.targets);
+        const dithers = new Int8Array(plan.targets);
+        for (let blockRow = 0; blockRow < plan.blockRows; blockRow++) {
+            for (let blockCol = 0; blockCol < plan.blockCols; blockCol++) {
+                blockTargets(plan, blockCol, blockRow, bits, dithers, 0);
+                embedBlock(data, width, blockCol * CONFIG.BLOCK_SIZE, blockRow * CONFIG.BLOCK_SIZE, bits, dithers, 0, plan,
+                    weights ? weights[blockRow * plan.blockCols + blockCol] : undefined);
             }
+            onRow(blockRow);
+        }
+    }
+
+    // ========================================
+    // Main Encoding Function
+    // ========================================
 
-            // Check if we've embedded all bits for this redundancy level
-            if (bitIndex >= encodedBits.length) {
-                bitIndex = 0;
-                redundancyCount++;
+    /**
+     * Embeds a watermark
+     * @param {ImageData} imageData - Image to mark
+     * @param {Uint8Array|string} message - Binary payload (see payload.js), or
+     *   text in the legacy length-prefixed UTF-16 format
+     * @param {Object} options - { strength, key, keyId, chroma, masking,
+     *   targetPsnr, targetSsim, onProgress }:
+     *   `chroma` also embeds in Cb and Cr, carrying about 45% more bits
+     *   (decode detects it); `masking: false` marks flat areas at full
+     *   strength; onProgress(done, total) is called after each row of blocks.
+     *   With `targetPsnr` (dB) and/or `targetSsim`, each block is marked as
+     *   strongly as the target allows, weighted by how much change it hides
+     *   (see allocateWeights); decode needs nothing extra.
+     * @returns {{imageData: ImageData, perceptualHash: number[], bitsEmbedded: number,
+     *   quality?: {psnr: number, ssim: number}}} `quality` (the achieved PSNR
+     *   and SSIM) when a target was given
+     */
+    function encode(imageData, message, options = {}) {
+        const { width, height, data } = imageData;
+        const plan = planEmbedding(width, height, message, options);
+        const adaptive = Boolean(options.targetPsnr || options.targetSsim);
+
+        // Adaptive encodes analyse every block first and may embed several times
+        const total = adaptive ? plan.blockRows * (1 + CONFIG.ADAPTIVE_PASSES) : plan.blockRows;
+        let reported = 0;
+        const progress = done => {
+            if (options.onProgress && done > reported) options.onProgress(done, total);
+            reported = Math.max(reported, done);
+        };
+
+        let outputData;
+        let quality = null;
+        if (!adaptive) {
+            // Embed watermark into the Y (luminance) channel of every block, and Cb/Cr in chroma mode
+            outputData = new Uint8ClampedArray(data);
+            embedImage(outputData, width, plan, null, blockRow => progress(blockRow + 1));
+        } else {
+            const stats = analyseBlocks(data, width, plan, blockRow => progress(blockRow + 1));
+            const goal = { psnr: options.targetPsnr, ssim: options.targetSsim };
+
+            // The prediction ignores clamping and SSIM's overlapping windows;
+            // tighten the goal by any shortfall and embed again, unless every
+            // block is already as weak as it can be
+            let weights = null;
+            for (let pass = 1; pass <= CONFIG.ADAPTIVE_PASSES; pass++) {
+                const previous = weights;
+                weights = allocateWeights(stats, goal, width * height);
+                if (previous && weights.every((weight, b) => weight === previous[b])) break;
+
+                outputData = new Uint8ClampedArray(data);
+                embedImage(outputData, width, plan, weights, blockRow => progress(pass * plan.blockRows + blockRow + 1));
+                quality = measureQuality(imageData, { data: outputData, width, height });
+
+                const psnrShort = options.targetPsnr && quality.psnr < options.targetPsnr;
+                const ssimShort = options.targetSsim && quality.ssim < options.targetSsim;
+                if (!psnrShort && !ssimShort) break;
+                if (psnrShort) goal.psnr += options.targetPsnr - quality.psnr;
+                if (ssimShort) goal.ssim = 1 - (1 - goal.ssim) * (1 - options.targetSsim) / (1 - quality.ssim);
             }
+            progress(total);
         }
 
         // Generate and embed perceptual hash (for backup detection)
-        const pHash = computePerceptualHash(new ImageData(outputData, width, height));
+        const output = createImageData(outputData, width, height);
+        const pHash = computePerceptualHash(output);
 
-        return {
-            imageData: new ImageData(outputData, width, height),
+        const result = {
+            imageData: output,
             perceptualHash: pHash,
-            bitsEmbedded: encodedBits.length * Math.min(redundancyCount + 1, CONFIG.REDUNDANCY)
+            bitsEmbedded: plan.bitsEmbedded
         };
+        if (quality) {
+            result.quality = {
+                psnr: Math.round(quality.psnr * 100) / 100,
+                ssim: Math.round(quality.ssim * 10000) / 10000
+            };
+        }
+        return result;
+    }
+
+    /**
+     * Prepares the watermark for a fixed frame size so video frames can be
+     * marked in real time. The keyed layout is worked out once, so each frame
+     * only runs the block transforms, giving the same pixels as encode.
+     * @param {number} width - Frame width
+     * @param {number} height - Frame height
+     * @param {Uint8Array|string} message - As for encode
+     * @param {Object} options - { strength, key, keyId, chroma, masking }, as for encode
+     * @returns {{embed: function(ImageData): ImageData, bitsEmbedded: number}}
+     *   `embed` marks a frame of that size in place
+     */
+    function createFrameEmbedder(width, height, message, options = {}) {
+        const plan = planEmbedding(width, height, message, options);
+        const positions = plan.targets;
+        const blockCount = plan.blockCols * plan.blockRows;
+
+        // Target bit (-1 = leave alone) and dither of every coefficient, block by block
+        const bits = new Int8Array(blockCount * positions);
+        const dithers = new Int8Array(blockCount * positions);
+        for (let blockRow = 0; blockRow < plan.blockRows; blockRow++) {
+            for (let blockCol = 0; blockCol < plan.blockCols; blockCol++) {
+                blockTargets(plan, blockCol, blockRow, bits, dithers, (blockRow * plan.blockCols + blockCol) * positions);
+            }
+        }
+
+        function embed(imageData) {
+            if (imageData.width !== width || imageData.height !== height) {
+                throw new Error(`Frame size ${imageData.width}x${imageData.height} does not match the embedder (${width}x${height})`);
+            }
+
+            for (let b = 0; b < blockCount; b++) {
+                const blockX = (b % plan.blockCols) * CONFIG.BLOCK_SIZE;
+                const blockY = Math.floor(b / plan.blockCols) * CONFIG.BLOCK_SIZE;
+                embedBlock(imageData.data, width, blockX, blockY, bits, dithers, b * positions, plan);
+            }
+            return imageData;
+        }
+
+        return { embed, bitsEmbedded: plan.bitsEmbedded };
+    }
+
+    // Header, payload and keyed layout shared by encode and createFrameEmbedder
+    function planEmbedding(width, height, message, options) {
+        const strength = options.strength || CONFIG.EMBED_STRENGTH;
+        const chroma = Boolean(options.chroma);
+        const key = options.key || CONFIG.SECRET_KEY;
+        const payloadBytes = typeof message === 'string' ? bitsToBytes(stringToBits(message)) : message;
+
+        // Calculate how many blocks we have
+        const blockCols = Math.floor(width / CONFIG.BLOCK_SIZE);
+        const blockRows = Math.floor(height / CONFIG.BLOCK_SIZE);
+
+        const { stream, layout, payloadBits } = watermarkStream(payloadBytes, options.keyId || 0, chroma ? CHROMA_BITS : LUMA_BITS);
+        if (layout.payloadCopies < 1) {
+            throw new Error('Watermark message too long');
+        }
+
+        const tables = keyTables(key);
+        if (!coversFrame(blockCols, blockRows, tables, layout, payloadBits)) {
+            throw new Error('Image too small for watermark message');
+        }
+
+        let bitsEmbedded = 0;
+        for (let blockRow = 0; blockRow < blockRows; blockRow++) {
+            for (let blockCol = 0; blockCol < blockCols; blockCol++) {
+                const index = tables.streamIndex[tilePosition(blockCol, blockRow)];
+                for (let posIdx = 0; posIdx < layout.bitsPerBlock; posIdx++) {
+                    if (stream[slotIndex(index, posIdx)] >= 0) bitsEmbedded++;
+                }
+            }
+        }
+
+        return {
+            strength,
+            chroma,
+            masking: options.masking !== false,
+            targets: chroma ? BLOCK_TARGETS : EMBED_POSITIONS.length,
+            blockCols,
+            blockRows,
+            layout,
+            tables,
+            stream,
+            bitsEmbedded
+        };
+    }
+
+    // Bits of one tile: header (magic, key ID, length) and the Reed-Solomon coded payload
+    function watermarkStream(payloadBytes, keyId, bitsPerBlock = LUMA_BITS) {
+        const payloadBits = bytesToBits(eccEncode(payloadBytes));
+
+        const header = new Uint8Array(HEADER_BYTES);
+        header.set(bitsToBytes(CONFIG.MAGIC));
+        header[2] = keyId & 0xFF;
+        header[3] = (payloadBytes.length >> 8) & 0xFF;
+        header[4] = payloadBytes.length & 0xFF;
+        const headerBits = bytesToBits(new ReedSolomon(CONFIG.HEADER_ECC).encode(header));
+
+        const layout = frameLayout(payloadBits.length, bitsPerBlock);
+        const stream = layout.payloadCopies < 1 ? null : tileStream(headerBits, payloadBits, layout);
+        return { stream, layout, payloadBits: payloadBits.length };
+    }
+
+    // Writes the bit (-1 = untouched) and dither of each of a block's
+    // plan.targets coefficients (see embedBlock) into bits/dithers from `offset`
+    function blockTargets(plan, blockCol, blockRow, bits, dithers, offset) {
+        // Synchronisation pilots
+        bits[offset] = PILOT_X[blockCol % CONFIG.TILE_SIZE];
+        bits[offset + 1] = PILOT_Y[blockRow % CONFIG.TILE_SIZE];
+        dithers[offset] = dithers[offset + 1] = PILOT_DITHER;
+
+        // Spread-spectrum data: keyed pseudo-random dither per coefficient
+        const index = plan.tables.streamIndex[tilePosition(blockCol, blockRow)];
+        const dataStart = offset + PILOT_POSITIONS.length;
+        for (let posIdx = 0; posIdx < plan.layout.bitsPerBlock; posIdx++) {
+            const slot = slotIndex(index, posIdx);
+            bits[dataStart + posIdx] = plan.stream[slot];
+            dithers[dataStart + posIdx] = plan.tables.dither[slot];
+        }
     }
 
     // ========================================
     // Main Decoding Function
     // ========================================
 
+    function notFoundResult(confidence) {
+        return {
+            found: false,
+            confidence,
+            message: null,
+            payload: null,
+            keyId: null,
+            correctedSymbols: 0,
+            unrecoverable: false,
+            integrity: null
+        };
+    }
+
+    /**
+     * Decodes the watermark, trying each known key in turn
+     * @param {ImageData} imageData - Image to check
+     * @param {Object} options
+     * @param {Array<{id: number, key: string}>} [options.keys] - Candidate keys
+     * @param {string} [options.key] - Single key (when `keys` is not given)
+     * @param {number} [options.strength] - Embedding strength used by encode
+     * @param {Function} [options.onProgress] - (done, total) => void, called
+     *   once the geometry is recovered and after each key is tried
+     * @returns {Object} Result including the typed `payload` (null for plain
+     *   text), the key ID named in the header, the recovered `transform`
+     *   ({scale, rotation, offsetX, offsetY, score}) and, once the payload is
+     *   recovered, the `integrity` map (see integrityMap)
+     */
     function decode(imageData, options = {}) {
-        const { width, height, data } = imageData;
-        const key = options.key || CONFIG.SECRET_KEY;
+        const { width, height } = imageData;
+        const keys = options.keys || [{ id: options.keyId || 0, key: options.key || CONFIG.SECRET_KEY }];
+        const strength = options.strength || CONFIG.EMBED_STRENGTH;
+
+        // Undo cropping, resizing and rotation before reading any data
+        const luma = lumaPlane(imageData);
+        const sync = synchronize(luma, width, height, strength);
+        const transform = describeTransform(sync);
+        const progress = done => options.onProgress && options.onProgress(done, keys.length + 1);
+        if (sync.significance < CONFIG.SYNC_THRESHOLD) {
+            progress(keys.length + 1);
+            return { ...notFoundResult(0), transform };
+        }
+        progress(1);
+
+        const blocks = readDataBlocks({ luma }, width, height, sync);
+        let chromaBlocks = null;
+        const withChroma = () => chromaBlocks
+            || (chromaBlocks = readDataBlocks({ luma, ...chromaPlanes(imageData) }, width, height, sync));
+
+        let best = null;
+        for (const [index, { key }] of keys.entries()) {
+            const tables = keyTables(key);
+            const { result, data, bitsPerBlock, blocks: read } = decodeModes(blocks, withChroma, tables, strength);
+            if (data) {
+                const { stream } = watermarkStream(data, result.keyId, bitsPerBlock);
+                const integrity = integrityMap(read, tables, strength, stream, planeToImage(sync, width, height));
+                progress(keys.length + 1);
+                return { ...result, transform, integrity };
+            }
+            progress(index + 2);
+            if (!best || result.confidence > best.confidence) {
+                best = result;
+            }
+        }
+        return { ...(best || notFoundResult(0)), transform };
+    }
 
-        // Initialize RNG with same seed
-        const rng = new SeededRNG(key);
+    /**
+     * Measures how much of a known watermark survives in an image, before
+     * error correction, so benchmarks can see how close a decode is to
+     * failing rather than only whether it failed
+     * @param {ImageData} imageData - Image to check
+     * @param {string|Uint8Array} message - What was embedded
+     * @param {Object} [options] - As for encode (key, keyId, strength, chroma)
+     * @returns {{synced: boolean, bitErrorRate: number, transform: Object}}
+     *   bitErrorRate is the fraction of tile bits, voted across their copies,
+     *   that differ from the embedded ones (0.5 when nothing could be read)
+     */
+    function measureBitErrors(imageData, message, options = {}) {
+        const { width, height } = imageData;
+        const strength = options.strength || CONFIG.EMBED_STRENGTH;
+        const payloadBytes = typeof message === 'string' ? bitsToBytes(stringToBits(message)) : message;
+        const bitsPerBlock = options.chroma ? CHROMA_BITS : LUMA_BITS;
+        const { stream } = watermarkStream(payloadBytes, options.keyId || 0, bitsPerBlock);
+        if (!stream) {
+            throw new Error('Watermark message too long');
+        }
 
-        // Calculate block layout
-        const blockCols = Math.floor(width / CONFIG.BLOCK_SIZE);
-        const blockRows = Math.floor(height / CONFIG.BLOCK_SIZE);
-        const totalBlocks = blockCols * blockRows;
+        const luma = lumaPlane(imageData);
+        const sync = synchronize(luma, width, height, strength);
+        const transform = describeTransform(sync);
+        const synced = sync.significance >= CONFIG.SYNC_THRESHOLD;
+        if (!synced) {
+            return { synced, bitErrorRate: 0.5, transform };
+        }
 
-        // Generate same random block order
-        const blockIndices = Array.from({ length: totalBlocks }, (_, i) => i);
-        const shuffledBlocks = rng.shuffle(blockIndices);
+        const planes = options.chroma ? { luma, ...chromaPlanes(imageData) } : { luma };
+        const votes = slotVotes(readDataBlocks(planes, width, height, sync), keyTables(options.key || CONFIG.SECRET_KEY), strength, bitsPerBlock);
+        const agreement = streamAgreement(votes, stream);
+        return { synced, bitErrorRate: agreement === null ? 0.5 : Math.round((1 - agreement) * 1000) / 1000, transform };
+    }
 
-        // Extract bits from all blocks
-        const extractedBits = [];
-        const confidenceScores = [];
+    /**
+     * Decodes a watermark from several frames of one video. Each frame is
+     * synchronised on its own, then the soft bits of all synchronised frames
+     * are voted together, so a mark too weak to read in any single frame can
+     * still be recovered.
+     * @param {ImageData[]} frames - Frames of the same video, in any order
+     * @param {Object} options - As for decode
+     * @returns {Object} As for createFrameReader's finish()
+     */
+    function decodeFrames(frames, options = {}) {
+        const reader = createFrameReader(options);
+        frames.forEach(frame => reader.add(frame));
+        return reader.finish();
+    }
 
-        for (let blockIdx = 0; blockIdx < shuffledBlocks.length; blockIdx++) {
-            const block = shuffledBlocks[blockIdx];
-            const blockX = (block % blockCols) * CONFIG.BLOCK_SIZE;
-            const blockY = Math.floor(block / blockCols) * CONFIG.BLOCK_SIZE;
+    /**
+     * Incremental decodeFrames: frames are read as they arrive and only their
+     * data coefficients are kept, so a long video never has to be held in
+     * memory as pixels.
+     * @param {Object} options - As for decode
+     * @returns {{add: function(ImageData): {synced: boolean, transform: Object},
+     *   finish: function(): Object}} finish() returns the decode result (without
+     *   `transform`) plus `frames`: per added frame { synced, transform, agreement },
+     *   where agreement is the fraction of the frame's bits that match the
+     *   recovered watermark (about 0.5 for an unmarked frame, null when the
+     *   frame did not synchronise or nothing was recovered)
+     */
+    function createFrameReader(options = {}) {
+        const keys = options.keys || [{ id: options.keyId || 0, key: options.key || CONFIG.SECRET_KEY }];
+        const strength = options.strength || CONFIG.EMBED_STRENGTH;
+        const read = [];
+
+        function add(imageData) {
+            const { width, height } = imageData;
+            const luma = lumaPlane(imageData);
+            const sync = synchronize(luma, width, height, strength);
+            const frame = {
+                synced: sync.significance >= CONFIG.SYNC_THRESHOLD,
+                transform: describeTransform(sync)
+            };
+            // Chroma is read too, as the frames may carry a chroma-mode watermark
+            const planes = frame.synced ? { luma, ...chromaPlanes(imageData) } : null;
+            read.push({ ...frame, blocks: planes ? readDataBlocks(planes, width, height, sync) : null });
+            return frame;
+        }
 
-            // Extract 8x8 block (Y channel)
-            const yBlock = Array(8).fill(null).map(() => Array(8).fill(0));
+        function finish() {
+            const blocks = mergeBlocks(read.filter(frame => frame.synced).map(frame => frame.blocks));
 
+            let best = null;
+            for (const { key } of keys) {
+                const tables = keyTables(key);
+                const decoded = decodeModes(blocks, () => blocks, tables, strength);
+                if (!best || (decoded.data && !best.data) || decoded.result.confidence > best.result.confidence) {
+                    best = { ...decoded, tables };
+                }
+                if (decoded.data) break;
+            }
+
+            // Score every frame against the tile the recovered payload was embedded as
+            const expected = best.data ? watermarkStream(best.data, best.result.keyId, best.bitsPerBlock).stream : null;
+            const frames = read.map(frame => ({
+                synced: frame.synced,
+                transform: frame.transform,
+                agreement: expected && frame.synced
+                    ? streamAgreement(slotVotes(frame.blocks, best.tables, strength, best.bitsPerBlock), expected)
+                    : null
+            }));
+
+            return { ...best.result, frames };
+        }
+
+        return { add, finish };
+    }
+
+    function mergeBlocks(list) {
+        const stride = list.length ? list[0].stride : LUMA_BITS;
+        const count = list.reduce((total, blocks) => total + blocks.count, 0);
+        const coefficients = new Float32Array(count * stride);
+        const positions = new Int32Array(count);
+        let offset = 0;
+        for (const blocks of list) {
+            coefficients.set(blocks.coefficients.subarray(0, blocks.count * stride), offset * stride);
+            positions.set(blocks.positions.subarray(0, blocks.count), offset);
+            offset += blocks.count;
+        }
+        return { coefficients, stride, positions, count };
+    }
+
+    // Fraction of read slots whose soft bit matches the expected tile stream
+    function streamAgreement({ slotSums, slotCounts }, stream) {
+        let matches = 0;
+        let total = 0;
+        for (let slot = 0; slot < stream.length; slot++) {
+            if (stream[slot] < 0 || slotCounts[slot] === 0 || slotSums[slot] === 0) continue;
+            if ((slotSums[slot] > 0 ? 1 : 0) === stream[slot]) matches++;
+            total++;
+        }
+        return total ? Math.round(matches / total * 1000) / 1000 : null;
+    }
+
+    /**
+     * The recovered transform: the received image is the original resized by
+     * `scale` and rotated by `rotation` degrees, with the embedding grid
+     * shifted by (offsetX, offsetY) pixels (modulo the tile size). `score` is
+     * the pilot agreement in [-1, 1].
+     */
+    function describeTransform(sync) {
+        const tilePixels = CONFIG.TILE_SIZE * CONFIG.BLOCK_SIZE;
+        const shift = (phase, offset) => ((phase * CONFIG.BLOCK_SIZE - offset) % tilePixels + tilePixels) % tilePixels;
+        return {
+            scale: Math.round(sync.scale * 1000) / 1000,
+            rotation: sync.rotation,
+            offsetX: sync.score > -1 ? shift(sync.phaseX, sync.offsetX) : 0,
+            offsetY: sync.score > -1 ? shift(sync.phaseY, sync.offsetY) : 0,
+            score: Math.round(sync.score * 1000) / 1000
+        };
+    }
+
+    /**
+     * Data coefficients of every whole block on the recovered grid, with its
+     * tile position: per block the luma data coefficients, then (when the
+     * Cb and Cr planes are given) the chroma ones, `stride` in all
+     * @param {{luma: Float32Array, cb?: Float32Array, cr?: Float32Array}} planes
+     */
+    function readDataBlocks(planes, width, height, sync) {
+        const isIdentity = sync.scale === 1 && sync.rotation === 0;
+        const planeWidth = isIdentity ? width : Math.floor(width / sync.scale);
+        const planeHeight = isIdentity ? height : Math.floor(height / sync.scale);
+        const align = plane => (isIdentity
+            ? plane
+            : resamplePlane(plane, width, height, sync.scale, sync.rotation, 0, 0, planeWidth, planeHeight));
+        const luma = align(planes.luma);
+        const chroma = planes.cb ? [align(planes.cb), align(planes.cr)] : [];
+
+        const stride = chroma.length ? CHROMA_BITS : LUMA_BITS;
+        const blockCols = Math.floor((planeWidth - sync.offsetX) / CONFIG.BLOCK_SIZE);
+        const blockRows = Math.floor((planeHeight - sync.offsetY) / CONFIG.BLOCK_SIZE);
+        const coefficients = new Float32Array(Math.max(0, blockCols * blockRows * stride));
+        const positions = new Int32Array(Math.max(0, blockCols * blockRows));
+        const cells = new Int32Array(Math.max(0, blockCols * blockRows));
+        let count = 0;
+
+        // Copies a block of a plane into blockScratch; false if any of it lies outside the image
+        const loadBlock = (plane, blockX, blockY) => {
             for (let i = 0; i < 8; i++) {
                 for (let j = 0; j < 8; j++) {
-                    const px = blockX + j;
-                    const py = blockY + i;
-                    if (px < width && py < height) {
-                        const idx = (py * width + px) * 4;
-                        yBlock[i][j] = data[idx] * 0.299 +
-                            data[idx + 1] * 0.587 +
-                            data[idx + 2] * 0.114;
-                    }
+                    const value = plane[(blockY + i) * planeWidth + blockX + j];
+                    if (value !== value) return false;
+                    blockScratch[i * 8 + j] = value;
                 }
             }
+            return true;
+        };
 
-            // Apply DCT
-            const dctBlock = dct2d(yBlock);
+        for (let blockRow = 0; blockRow < blockRows; blockRow++) {
+            for (let blockCol = 0; blockCol < blockCols; blockCol++) {
+                const blockX = sync.offsetX + blockCol * CONFIG.BLOCK_SIZE;
+                const blockY = sync.offsetY + blockRow * CONFIG.BLOCK_SIZE;
+                if (!loadBlock(luma, blockX, blockY)) continue;
 
-            // Extract bits from medium frequency coefficients
-            for (let posIdx = 0; posIdx < EMBED_POSITIONS.length; posIdx++) {
-                const [u, v] = EMBED_POSITIONS[posIdx];
-                const coef = dctBlock[u][v];
+                forwardDct(blockScratch);
+                let out = count * stride;
+                for (let posIdx = 0; posIdx < LUMA_BITS; posIdx++) {
+                    coefficients[out++] = blockScratch[DATA_INDEX[posIdx]];
+                }
+                for (const plane of chroma) {
+                    loadBlock(plane, blockX, blockY);
+                    forwardDct(blockScratch);
+                    for (let posIdx = 0; posIdx < CHROMA_INDEX.length; posIdx++) {
+                        coefficients[out++] = blockScratch[CHROMA_INDEX[posIdx]];
+                    }
+                }
+                positions[count] = tilePosition(blockCol + sync.phaseX, blockRow + sync.phaseY);
+                cells[count] = blockRow * blockCols + blockCol;
+                count++;
+            }
+        }
 
-                // Get the spread value for this position
-                const spreadValue = rng.next() > 0.5 ? 1 : -1;
+        return {
+            coefficients,
+            stride,
+            positions,
+            count,
+            grid: { cols: blockCols, rows: blockRows, offsetX: sync.offsetX, offsetY: sync.offsetY, cells }
+        };
+    }
 
-                // Correlate to extract bit
-                const correlation = coef * spreadValue;
-                extractedBits.push(correlation > 0 ? 1 : 0);
-                confidenceScores.push(Math.abs(correlation));
+    // Affine map [a, b, c, d, e, f] (canvas setTransform order) from the
+    // plane readDataBlocks reads to pixels of the received image
+    function planeToImage(sync, width, height) {
+        if (sync.scale === 1 && sync.rotation === 0) {
+            return [1, 0, 0, 1, 0, 0];
+        }
+        const cos = Math.cos(sync.rotation * Math.PI / 180) * sync.scale;
+        const sin = Math.sin(sync.rotation * Math.PI / 180) * sync.scale;
+        const centerU = width / sync.scale / 2;
+        const centerV = height / sync.scale / 2;
+        return [cos, sin, -sin, cos,
+            width / 2 - cos * centerU + sin * centerV,
+            height / 2 - sin * centerU - cos * centerV];
+    }
+
+    /**
+     * Where the recovered watermark is still intact. Every block's data bits
+     * are compared with the bits the recovered payload was embedded as; edited,
+     * pasted-in or inpainted regions fall towards chance (0.5 agreement).
+     * @returns {{cellSize: number, cols: number, rows: number, originX: number,
+     *   originY: number, matrix: number[], scores: Array<number|null>}} Row-major
+     *   scores in [0, 1] (1 = intact, 0 = chance, null = nothing read) for
+     *   cells of cellSize pixels starting at (originX, originY) on the decoding
+     *   plane; `matrix` maps that plane onto the image
+     */
+    function integrityMap(blocks, tables, strength, stream, matrix) {
+        const bitsPerBlock = stream.length / TILE_BLOCKS;
+        const { grid, stride } = blocks;
+        const cols = Math.ceil(grid.cols / CONFIG.INTEGRITY_CELL);
+        const rows = Math.ceil(grid.rows / CONFIG.INTEGRITY_CELL);
+        const matches = new Float32Array(cols * rows);
+        const totals = new Float32Array(cols * rows);
+
+        for (let b = 0; b < blocks.count; b++) {
+            const blockCol = grid.cells[b] % grid.cols;
+            const blockRow = Math.floor(grid.cells[b] / grid.cols);
+            const cell = Math.floor(blockRow / CONFIG.INTEGRITY_CELL) * cols + Math.floor(blockCol / CONFIG.INTEGRITY_CELL);
+            const index = tables.streamIndex[blocks.positions[b]];
+
+            for (let posIdx = 0; posIdx < bitsPerBlock; posIdx++) {
+                const slot = slotIndex(index, posIdx);
+                if (stream[slot] < 0) continue;
+                const soft = extractCoefficient(blocks.coefficients[b * stride + posIdx], tables.dither[slot],
+                    posIdx < LUMA_BITS ? strength : strength * CONFIG.CHROMA_STRENGTH);
+                if ((soft > 0 ? 1 : 0) === stream[slot]) matches[cell]++;
+                totals[cell]++;
             }
         }
 
-        // Try to decode with majority voting from redundant copies
-        const bitsPerCopy = Math.floor(extractedBits.length / CONFIG.REDUNDANCY);
-        const votedBits = [];
+        const scores = Array.from(totals, (total, cell) => total
+            ? Math.round(Math.max(0, Math.min(1, (matches[cell] / total - 0.5) * 2)) * 100) / 100
+            : null);
 
-        for (let i = 0; i < bitsPerCopy; i++) {
-            let votes = [0, 0];
-            let totalWeight = 0;
+        return {
+            cellSize: CONFIG.INTEGRITY_CELL * CONFIG.BLOCK_SIZE,
+            cols,
+            rows,
+            originX: grid.offsetX,
+            originY: grid.offsetY,
+            matrix: matrix.map(v => Math.round(v * 10000) / 10000),
+            scores
+        };
+    }
 
-            for (let r = 0; r < CONFIG.REDUNDANCY; r++) {
-                const idx = r * bitsPerCopy + i;
-                if (idx < extractedBits.length) {
-                    const weight = confidenceScores[idx];
-                    votes[extractedBits[idx]] += weight;
-                    totalWeight += weight;
-                }
+    // Soft bits (sign = bit, magnitude = confidence) summed per tile slot,
+    // for the layout with bitsPerBlock data bits per block
+    function slotVotes(blocks, tables, strength, bitsPerBlock = LUMA_BITS) {
+        const slotSums = new Float32Array(TILE_BLOCKS * bitsPerBlock);
+        const slotCounts = new Float32Array(TILE_BLOCKS * bitsPerBlock);
+        for (let b = 0; b < blocks.count; b++) {
+            const index = tables.streamIndex[blocks.positions[b]];
+            for (let posIdx = 0; posIdx < bitsPerBlock; posIdx++) {
+                const slot = slotIndex(index, posIdx);
+                slotSums[slot] += extractCoefficient(blocks.coefficients[b * blocks.stride + posIdx], tables.dither[slot],
+                    posIdx < LUMA_BITS ? strength : strength * CONFIG.CHROMA_STRENGTH);
+                slotCounts[slot]++;
             }
-
-            votedBits.push(votes[1] > votes[0] ? 1 : 0);
         }
+        return { slotSums, slotCounts };
+    }
+
+    // Decode result plus the corrected payload bytes (null when not recovered)
+    function decodeVotes({ slotSums, slotCounts }, bitsPerBlock = LUMA_BITS) {
+        // Header copies come first; vote across them
+        const layout = frameLayout(0, bitsPerBlock);
+        const headerVotes = voteSoftBits(slotSums, slotCounts, 0, HEADER_BITS,
+            layout.headerBlocks * LUMA_BITS, CONFIG.REDUNDANCY);
 
-        // Check for magic signature
+        // Check for magic signature (before correction)
         let magicMatch = 0;
-        for (let i = 0; i < CONFIG.MAGIC.length && i < votedBits.length; i++) {
-            if (votedBits[i] === CONFIG.MAGIC[i]) {
+        for (let i = 0; i < CONFIG.MAGIC.length; i++) {
+            if ((headerVotes.sums[i] > 0 ? 1 : 0) === CONFIG.MAGIC[i]) {
                 magicMatch++;
             }
         }
-
         const magicConfidence = magicMatch / CONFIG.MAGIC.length;
 
         if (magicConfidence < 0.7) {
-            return {
-                found: false,
-                confidence: magicConfidence,
-                message: null
-            };
+            return { result: notFoundResult(magicConfidence), data: null };
         }
 
-        // Remove magic and try to decode message
-        const messageBits = votedBits.slice(CONFIG.MAGIC.length);
+        let header;
+        try {
+            const soft = softToBytes(headerVotes);
+            header = correctCodeword(new ReedSolomon(CONFIG.HEADER_ECC), soft.bytes, soft.confidences).data;
+        } catch (e) {
+            return { result: notFoundResult(magicConfidence), data: null };
+        }
 
-        // Apply Reed-Solomon decoding
-        const messageBytes = bitsToBytes(messageBits);
-        const rs = new ReedSolomon(Math.ceil(messageBytes.length * CONFIG.ECC_LEVEL / (1 + CONFIG.ECC_LEVEL)));
+        const magic = bitsToBytes(CONFIG.MAGIC);
+        if (header[0] !== magic[0] || header[1] !== magic[1]) {
+            return { result: notFoundResult(magicConfidence), data: null };
+        }
 
-        try {
-            const decodedBytes = rs.decode(messageBytes);
-            const decodedBits = bytesToBits(decodedBytes);
-            const message = bitsToString(decodedBits);
+        // Payload copies follow the header region
+        const keyId = header[2];
+        const payloadLength = (header[3] << 8) | header[4];
+        const payloadBits = codewordLength(planCodewords(payloadLength)) * 8;
+        const payloadLayout = frameLayout(payloadBits, bitsPerBlock);
 
-            return {
-                found: true,
-                confidence: magicConfidence,
-                message: message
-            };
-        } catch (e) {
-            // Fallback: try direct decoding without RS
-            const message = bitsToString(messageBits);
-            return {
-                found: magicConfidence > 0.7,
-                confidence: magicConfidence,
-                message: message
-            };
+        if (payloadLength === 0 || payloadLayout.payloadCopies < 1) {
+            return { result: { ...notFoundResult(magicConfidence), found: true, keyId, unrecoverable: true }, data: null };
+        }
+
+        const payloadVotes = voteSoftBits(slotSums, slotCounts,
+            payloadLayout.payloadStart * LUMA_BITS,
+            payloadBits,
+            payloadLayout.payloadBlocks * LUMA_BITS,
+            payloadLayout.payloadCopies
+        );
+        const soft = softToBytes(payloadVotes);
+
+        // Apply Reed-Solomon decoding (errors + low-confidence erasures)
+        const corrected = eccDecode(soft.bytes, soft.confidences, payloadLength);
+
+        // Typed payloads first, then plain text
+        const payload = Payloads.decode(corrected.data);
+
+        const result = {
+            found: true,
+            confidence: magicConfidence,
+            message: payload ? Payloads.describe(payload) : bitsToString(bytesToBits(corrected.data)),
+            payload,
+            keyId,
+            correctedSymbols: corrected.correctedSymbols,
+            unrecoverable: corrected.unrecoverable,
+            integrity: null
+        };
+        return { result, data: corrected.unrecoverable ? null : corrected.data };
+    }
+
+    /**
+     * Decodes the luma layout, then the chroma-mode one if that recovers
+     * nothing. `chromaBlocks()` returns the blocks with their Cb and Cr
+     * coefficients, so those are only read when needed.
+     * @returns {Object} decodeVotes' result plus the bitsPerBlock and blocks it used
+     */
+    function decodeModes(blocks, chromaBlocks, tables, strength) {
+        const luma = { ...decodeVotes(slotVotes(blocks, tables, strength)), bitsPerBlock: LUMA_BITS, blocks };
+        if (luma.data) return luma;
+
+        const read = chromaBlocks();
+        const chroma = { ...decodeVotes(slotVotes(read, tables, strength, CHROMA_BITS), CHROMA_BITS), bitsPerBlock: CHROMA_BITS, blocks: read };
+        if (chroma.data || (!luma.result.found && chroma.result.confidence > luma.result.confidence)) {
+            return chroma;
         }
+        return luma;
     }
 
     // ========================================
@@ -682,9 +2462,21 @@ const RobustWatermark = (() => {
     return {
         encode,
         decode,
+        createFrameEmbedder,
+        decodeFrames,
+        createFrameReader,
+        measureBitErrors,
         hasWatermark,
         computePerceptualHash,
         verifyPerceptualHash,
+        measureQuality,
+
+        // Building blocks, exposed for tests
+        forwardDct,
+        inverseDct,
+        GaloisField,
+        ReedSolomon,
+        SeededRNG,
 
         // Expose config for testing
         CONFIG: { ...CONFIG }
@@ -3,15 +3,48 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const crypto = require('crypto');
+const Verifier = require('./verifier');
+const Payload = require('./payload');
+const { decodeImage } = require('./lib/image-data');
+const { createKeyring } = require('./lib/keyring');
+const { createMediaStore } = require('./lib/media-store');
+const { createAttestationStore } = require('./lib/attestations');
+const { createWatermarkPool } = require('./lib/watermark-pool');
+const { createStorage } = require('./lib/storage');
+const { hashFile } = require('./lib/local-storage');
+const { loadPolicies, createSweeper } = require('./lib/retention');
+const { isSafeFilename, safeExtension, createDeleteToken, checkDeleteToken, createRateLimiter, scriptString } = require('./lib/access');
+const { parseMediaLink } = require('./lib/media-link');
+const { hashToHex, rankMatches } = require('./lib/perceptual-hash');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Configuration
+// Local media directories (STORAGE_BACKEND=local); see lib/storage.js for S3
 const UPLOADS_DIR = process.env.UPLOADS_DIR || path.join(__dirname, 'uploads');
 const VIDEOS_DIR = process.env.VIDEOS_DIR || path.join(__dirname, 'videos');
-const MAX_IMAGES = 5; // Maximum number of images to keep
-const MAX_VIDEOS = 5; // Maximum number of videos to keep
+// Server state (keyring, media records); dot-prefixed so express.static never serves it
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '.data');
+// Uploads land here before they are moved into storage
+const INCOMING_DIR = path.join(DATA_DIR, 'incoming');
+const RETENTION_SWEEP_MINUTES = Number(process.env.RETENTION_SWEEP_MINUTES) || 10;
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.webp'];
+const VIDEO_EXTENSIONS = ['.webm', '.mp4', '.mov', '.avi', '.mkv'];
+
+// Perceptual matching: images are hashed at this size, and a stored image
+// matches a query within this Hamming distance (of 63 bits)
+const PHASH_IMAGE_SIZE = 512;
+// Images to verify are shrunk to fit this many pixels per side first; phone
+// captures (up to 12 MP) are checked at full size, which the seal needs
+const VERIFY_MAX_SIDE = Number(process.env.VERIFY_MAX_SIDE) || 4096;
+const MATCH_MAX_DISTANCE = Number(process.env.MATCH_MAX_DISTANCE) || 10;
+const MATCH_LIMIT = 20;
+
+// A signed payload is attested when the image carrying it is uploaded within
+// this many seconds of signing; signing is limited per client IP
+const ATTEST_WINDOW_SECONDS = 15 * 60;
+const SIGN_RATE_LIMIT = Number(process.env.SIGN_RATE_LIMIT) || 30; // per minute
 
 // Admin credentials from environment variables
 const ADMIN_USERNAME = process.env.ADMIN_USERNAME || 'admin';
@@ -21,123 +54,263 @@ const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || 'changeme';
 const adminSessions = new Map();
 const SESSION_DURATION = 24 * 60 * 60 * 1000; // 24 hours
 
+// Watermark and signing keys (rotated from the admin panel)
+const keyring = createKeyring(DATA_DIR);
+
+// Upload records (uploader, payload, checksum); storage only holds the files
+const mediaStore = createMediaStore(DATA_DIR);
+
+// Signed records of what each capture looked like when it was uploaded
+const attestations = createAttestationStore(DATA_DIR);
+
+// Decoding and hashing run on worker threads, off the event loop
+const watermarkPool = createWatermarkPool({ size: Number(process.env.WATERMARK_THREADS) || undefined });
+
+// Media files: local directories or S3-compatible object storage
+const storage = createStorage({ dirs: { image: UPLOADS_DIR, video: VIDEOS_DIR } });
+const MEDIA_KINDS = ['image', 'video'];
+
+// Old uploads are evicted by a scheduled sweep, never during an upload
+const retention = createSweeper({
+    store: mediaStore,
+    policies: loadPolicies(),
+    evict: removeMedia,
+    intervalMs: RETENTION_SWEEP_MINUTES * 60 * 1000
+});
+
 // Parse JSON and URL-encoded bodies
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Ensure directories exist
-if (!fs.existsSync(UPLOADS_DIR)) {
-    fs.mkdirSync(UPLOADS_DIR, { recursive: true });
+// Ensure the incoming directory exists (storage adapters create their own)
+fs.mkdirSync(INCOMING_DIR, { recursive: true });
+
+// Deletes a stored file and its record
+async function removeMedia(record) {
+    await storage.remove(record.kind, record.filename);
+    mediaStore.remove(record.kind, record.filename);
 }
-if (!fs.existsSync(VIDEOS_DIR)) {
-    fs.mkdirSync(VIDEOS_DIR, { recursive: true });
+
+// Who sent an upload; kept with the record for moderation
+function describeUploader(req) {
+    return {
+        ip: req.ip,
+        userAgent: req.get('user-agent') || null
+    };
 }
 
-// Get all uploaded files sorted by creation time (oldest first)
-function getUploadedFiles() {
+// The watermark payload the client embedded, if it sent a well-formed one
+function parseUploadPayload(value) {
+    if (typeof value !== 'string' || !value) return null;
     try {
-        const files = fs.readdirSync(UPLOADS_DIR)
-            .filter(file => {
-                const ext = path.extname(file).toLowerCase();
-                return ['.png', '.jpg', '.jpeg', '.gif', '.webp'].includes(ext);
-            })
-            .map(file => {
-                const filepath = path.join(UPLOADS_DIR, file);
-                const stats = fs.statSync(filepath);
-                return {
-                    name: file,
-                    path: filepath,
-                    created: stats.birthtime.getTime()
-                };
-            })
-            .sort((a, b) => a.created - b.created); // Oldest first
-        return files;
+        return Payload.decode(Payload.fromBase64(value)) ? value : null;
     } catch (err) {
-        console.error('Error reading uploads directory:', err);
-        return [];
+        return null;
     }
 }
 
-// Get all uploaded videos sorted by creation time (oldest first)
-function getUploadedVideos() {
+// Media record for a route's :filename; null if the name is malformed or unknown
+function findMedia(kind, filename) {
+    const name = String(filename || '').trim();
+    return isSafeFilename(name) ? mediaStore.get(kind, name) : null;
+}
+
+// Signs what an uploaded image looks like under its payload's media ID, so
+// verifiers can tell the capture from other images carrying the same payload,
+// and the digest of its fragile seal, which anyone holding the watermark key
+// could otherwise recompute for an edited image.
+// Only a payload this server signed, uploaded soon after signing and not yet
+// attested, is attested; the first upload of a capture is the one recorded.
+async function attestUpload(payloadBase64, buffer) {
+    const payload = payloadBase64 ? Payload.decode(Payload.fromBase64(payloadBase64)) : null;
+    if (!payload || !payload.signature || attestations.get(payload.mediaId)) return;
+    if (keyring.verify(payload.body, payload.signature, payload.keyId) === null) return;
+
+    const timestamp = Math.floor(Date.now() / 1000);
+    if (timestamp - payload.timestamp > ATTEST_WINDOW_SECONDS) return;
+
     try {
-        const files = fs.readdirSync(VIDEOS_DIR)
-            .filter(file => {
-                const ext = path.extname(file).toLowerCase();
-                return ['.webm', '.mp4', '.mov', '.avi'].includes(ext);
-            })
-            .map(file => {
-                const filepath = path.join(VIDEOS_DIR, file);
-                const stats = fs.statSync(filepath);
-                return {
-                    name: file,
-                    path: filepath,
-                    created: stats.birthtime.getTime()
-                };
-            })
-            .sort((a, b) => a.created - b.created); // Oldest first
-        return files;
+        const imageData = await decodeImage(buffer);
+        const { robust, lsb } = watermarkPool.modules();
+        const watermarkKey = keyring.get(payload.keyId);
+        const seal = await lsb.checkSeal(imageData, {
+            keys: [{ id: watermarkKey.id, key: watermarkKey.watermarkKey }],
+            id: payload.mediaId
+        });
+        const key = keyring.activeKey();
+        const body = Payload.encodeAttestation({
+            keyId: key.id,
+            timestamp,
+            mediaId: payload.mediaId,
+            phash: hashToHex(await robust.computePerceptualHash(imageData)),
+            // A seal already broken at upload proves nothing
+            sealDigest: seal && seal.intact ? seal.digest : null
+        });
+        attestations.add(payload.mediaId, Payload.toBase64(Payload.attachSignature(body, keyring.sign(body, key.id))));
     } catch (err) {
-        console.error('Error reading videos directory:', err);
-        return [];
+        console.warn('Could not attest upload:', err.message);
     }
 }
 
-// Delete oldest files to maintain MAX_IMAGES limit
-function enforceImageLimit() {
-    const files = getUploadedFiles();
-    while (files.length >= MAX_IMAGES) {
-        const oldest = files.shift();
-        try {
-            fs.unlinkSync(oldest.path);
-            console.log(`Deleted oldest image: ${oldest.name}`);
-        } catch (err) {
-            console.error(`Failed to delete ${oldest.name}:`, err);
-        }
+// Decoded attestation for a payload's capture, or null if there is none
+function findAttestation(payload) {
+    const entry = payload && payload.mediaId ? attestations.get(payload.mediaId) : null;
+    return entry ? Payload.decodeAttestation(Payload.fromBase64(entry.attestation)) : null;
+}
+
+// Perceptual fingerprint of an encoded image (see lib/perceptual-hash.js);
+// null if it cannot be decoded
+async function imageFingerprint(buffer) {
+    try {
+        return await watermarkPool.fingerprint(await decodeImage(buffer, { maxSide: PHASH_IMAGE_SIZE }));
+    } catch (err) {
+        console.warn('Could not fingerprint image:', err.message);
+        return null;
     }
 }
 
-// Delete oldest videos to maintain MAX_VIDEOS limit
-function enforceVideoLimit() {
-    const files = getUploadedVideos();
-    while (files.length >= MAX_VIDEOS) {
-        const oldest = files.shift();
-        try {
-            fs.unlinkSync(oldest.path);
-            console.log(`Deleted oldest video: ${oldest.name}`);
-        } catch (err) {
-            console.error(`Failed to delete ${oldest.name}:`, err);
+// Moves a finished upload from the incoming directory into storage and records it.
+// Resolves to the record and the uploader's delete token (only its hash is kept).
+async function storeUpload(kind, req) {
+    const deleteToken = createDeleteToken();
+    const image = kind === 'image' ? await fs.promises.readFile(req.file.path) : null;
+    const record = {
+        kind,
+        filename: req.file.filename.trim(),
+        originalName: req.file.originalname,
+        mimeType: req.file.mimetype,
+        size: req.file.size,
+        sha256: await hashFile(req.file.path),
+        payload: parseUploadPayload(req.body && req.body.payload),
+        phash: image ? await imageFingerprint(image) : null,
+        uploader: describeUploader(req),
+        deleteTokenHash: deleteToken.hash,
+        created: new Date().toISOString()
+    };
+
+    try {
+        await storage.putFile(kind, record.filename, req.file.path, {
+            contentType: record.mimeType,
+            metadata: record
+        });
+    } catch (err) {
+        fs.rmSync(req.file.path, { force: true });
+        throw err;
+    }
+    if (image) {
+        await attestUpload(record.payload, image);
+    }
+    return { record: mediaStore.add(record), deleteToken: deleteToken.token };
+}
+
+// Deletes an upload for an admin or for whoever holds its delete token
+async function deleteMedia(kind, req, res, next) {
+    const record = findMedia(kind, req.params.filename);
+    if (!record) {
+        return res.status(404).json({ success: false, error: `${kind === 'image' ? 'Image' : 'Video'} not found` });
+    }
+    if (!isAdmin(req) && !checkDeleteToken(req.get('x-delete-token'), record.deleteTokenHash)) {
+        return res.status(403).json({ success: false, error: 'Not allowed to delete this upload' });
+    }
+
+    try {
+        await removeMedia(record);
+    } catch (err) {
+        return next(err);
+    }
+    res.json({ success: true });
+}
+
+// Whole stored file in memory (for images; videos are only ever streamed)
+async function readMedia(kind, filename) {
+    const stream = await storage.read(kind, filename);
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+// Options for Verifier: this deployment's watermark keys and signature check
+function verifierOptions() {
+    return {
+        ...watermarkPool.modules(),
+        keys: keyring.list().map(k => ({ id: k.id, key: k.watermarkKey })),
+        verifySignature: (payload) => keyring.verify(payload.body, payload.signature, payload.keyId) !== null,
+        getAttestation: findAttestation
+    };
+}
+
+// Share page with the filename injected as a script-safe string literal
+function sendSharePage(res, template, filename) {
+    const html = fs.readFileSync(path.join(__dirname, template), 'utf8').replace(
+        'window.SHARE_FILENAME',
+        `window.SHARE_FILENAME = ${scriptString(filename)}`
+    );
+    res.send(html);
+}
+
+// Streams a stored file, honouring Range requests so videos can seek
+async function sendMedia(kind, req, res, next) {
+    const record = findMedia(kind, req.params.filename);
+    if (!record) {
+        return res.status(404).send('Not found');
+    }
+
+    const etag = record.sha256 ? `"${record.sha256}"` : null;
+    if (etag && req.get('if-none-match') === etag) {
+        return res.status(304).end();
+    }
+
+    const ranges = record.size ? req.range(record.size) : undefined;
+    if (ranges === -1) {
+        res.set('Content-Range', `bytes */${record.size}`);
+        return res.status(416).end();
+    }
+    // Multiple ranges are rare for media; serve the first
+    const range = Array.isArray(ranges) && ranges.type === 'bytes' ? ranges[0] : null;
+
+    try {
+        const stream = await storage.read(kind, record.filename, range);
+        res.type(record.mimeType || path.extname(record.filename));
+        res.set('Accept-Ranges', 'bytes');
+        if (etag) res.set('ETag', etag);
+        if (range) {
+            res.status(206);
+            res.set('Content-Range', `bytes ${range.start}-${range.end}/${record.size}`);
+            res.set('Content-Length', String(range.end - range.start + 1));
+        } else {
+            res.set('Content-Length', String(record.size));
         }
+        stream.on('error', err => {
+            console.error(`Failed to stream ${kind} ${record.filename}:`, err);
+            res.destroy(err);
+        });
+        stream.pipe(res);
+    } catch (err) {
+        next(err);
     }
 }
 
 // Configure multer for image uploads
 const imageStorage = multer.diskStorage({
     destination: (req, file, cb) => {
-        enforceImageLimit();
-        cb(null, UPLOADS_DIR);
+        cb(null, INCOMING_DIR);
     },
     filename: (req, file, cb) => {
         const uniqueId = crypto.randomBytes(8).toString('hex');
-        const ext = (path.extname(file.originalname) || '.png').trim();
-        cb(null, `${uniqueId}${ext}`);
+        cb(null, `${uniqueId}${safeExtension(file.originalname, IMAGE_EXTENSIONS, '.png')}`);
     }
 });
 
 // Configure multer for video uploads
 const videoStorage = multer.diskStorage({
     destination: (req, file, cb) => {
-        // Ensure directory exists before upload
-        if (!fs.existsSync(VIDEOS_DIR)) {
-            fs.mkdirSync(VIDEOS_DIR, { recursive: true });
-        }
-        enforceVideoLimit();
-        cb(null, VIDEOS_DIR);
+        cb(null, INCOMING_DIR);
     },
     filename: (req, file, cb) => {
         const uniqueId = crypto.randomBytes(8).toString('hex');
-        const ext = (path.extname(file.originalname) || '.webm').trim();
-        cb(null, `${uniqueId}${ext}`);
+        cb(null, `${uniqueId}${safeExtension(file.originalname, VIDEO_EXTENSIONS, '.webm')}`);
     }
 });
 
@@ -167,7 +340,7 @@ const uploadVideo = multer({
         const isVideoMime = file.mimetype.startsWith('video/') ||
             file.mimetype.includes('video') ||
             file.mimetype === 'application/octet-stream';
-        const isVideoExt = ['.webm', '.mp4', '.mov', '.avi', '.mkv'].includes(ext);
+        const isVideoExt = VIDEO_EXTENSIONS.includes(ext);
 
         if (isVideoMime || isVideoExt) {
             cb(null, true);
@@ -178,40 +351,35 @@ const uploadVideo = multer({
     }
 });
 
+// Verification uploads stay in memory; they are decoded and discarded
+const verifyImage = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
+    fileFilter: (req, file, cb) => {
+        if (file.mimetype.startsWith('image/')) {
+            cb(null, true);
+        } else {
+            cb(new Error('Only image files are allowed'));
+        }
+    }
+});
+
 // Share page for images - displays image with branding (BEFORE static middleware)
 app.get('/share/:filename', (req, res) => {
-    const filename = req.params.filename.trim();
-    const filepath = path.join(UPLOADS_DIR, filename);
-
-    if (!fs.existsSync(filepath)) {
+    const record = findMedia('image', req.params.filename);
+    if (!record) {
         return res.status(404).send('Image not found');
     }
-
-    const templatePath = path.join(__dirname, 'share.html');
-    let html = fs.readFileSync(templatePath, 'utf8');
-    html = html.replace(
-        'window.SHARE_FILENAME',
-        `window.SHARE_FILENAME = "${filename}"`
-    );
-    res.send(html);
+    sendSharePage(res, 'share.html', record.filename);
 });
 
 // Share page for videos - displays video with branding
 app.get('/share-video/:filename', (req, res) => {
-    const filename = req.params.filename.trim();
-    const filepath = path.join(VIDEOS_DIR, filename);
-
-    if (!fs.existsSync(filepath)) {
+    const record = findMedia('video', req.params.filename);
+    if (!record) {
         return res.status(404).send('Video not found');
     }
-
-    const templatePath = path.join(__dirname, 'share-video.html');
-    let html = fs.readFileSync(templatePath, 'utf8');
-    html = html.replace(
-        'window.SHARE_FILENAME',
-        `window.SHARE_FILENAME = "${filename}"`
-    );
-    res.send(html);
+    sendSharePage(res, 'share-video.html', record.filename);
 });
 
 // Helper function to validate admin session
@@ -265,16 +433,89 @@ app.post('/api/admin/logout', (req, res) => {
     res.json({ success: true });
 });
 
+function isAdmin(req) {
+    return isValidAdminSession(req.headers.cookie?.match(/admin_token=([^;]+)/)?.[1]);
+}
+
 // Admin session check middleware for API routes
 function requireAdmin(req, res, next) {
-    const token = req.headers.cookie?.match(/admin_token=([^;]+)/)?.[1];
-    if (isValidAdminSession(token)) {
+    if (isAdmin(req)) {
         next();
     } else {
         res.status(401).json({ success: false, error: 'Unauthorized' });
     }
 }
 
+// Admin API: Keyring overview (includes where each key came from)
+app.get('/api/admin/keys', requireAdmin, (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            keys: keyring.list().map(k => ({
+                id: k.id,
+                createdAt: k.createdAt,
+                source: k.source,
+                active: k.active
+            }))
+        }
+    });
+});
+
+// Admin API: Rotate to a new key; older keys keep verifying existing images
+app.post('/api/admin/keys/rotate', requireAdmin, (req, res) => {
+    try {
+        const key = keyring.rotate();
+        res.json({ success: true, data: { id: key.id, createdAt: key.createdAt } });
+    } catch (err) {
+        console.error('Key rotation failed:', err);
+        res.status(500).json({ success: false, error: err.message || 'Key rotation failed' });
+    }
+});
+
+// Admin API: Retention policies and what the sweeper evicts next
+app.get('/api/admin/retention', requireAdmin, (req, res) => {
+    const preview = (kind) => retention.preview(kind).map(({ record, reason, evictAt }) => ({
+        filename: record.filename,
+        size: record.size,
+        created: record.created,
+        reason,
+        evictAt
+    }));
+
+    res.json({
+        success: true,
+        data: {
+            ...retention.status(),
+            next: { image: preview('image'), video: preview('video') }
+        }
+    });
+});
+
+// Admin API: Run a retention sweep now
+app.post('/api/admin/retention/sweep', requireAdmin, async (req, res, next) => {
+    try {
+        const evicted = await retention.sweep();
+        res.json({ success: true, data: { evicted } });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Admin API: Pin or unpin an upload (pinned uploads never expire)
+app.post('/api/admin/media/:kind/:filename/pin', requireAdmin, (req, res) => {
+    const { kind, filename } = req.params;
+    if (!MEDIA_KINDS.includes(kind)) {
+        return res.status(400).json({ success: false, error: 'Unknown media kind' });
+    }
+
+    if (!findMedia(kind, filename)) {
+        return res.status(404).json({ success: false, error: 'Media not found' });
+    }
+    const pinned = req.body && req.body.pinned !== undefined ? Boolean(req.body.pinned) : true;
+    const record = mediaStore.update(kind, filename.trim(), { pinned });
+    res.json({ success: true, data: { filename: record.filename, pinned: record.pinned } });
+});
+
 // Block direct access to admin HTML files (must go through /admin route)
 app.get('/admin.html', (req, res) => {
     res.redirect('/admin');
@@ -284,9 +525,6 @@ app.get('/admin-login.html', (req, res) => {
     res.redirect('/admin');
 });
 
-// Serve static files from root
-app.use(express.static(__dirname));
-
 // Normalize URLs - trim whitespace from paths
 app.use('/uploads', (req, res, next) => {
     const decodedPath = decodeURIComponent(req.path).trim();
@@ -304,20 +542,39 @@ app.use('/videos', (req, res, next) => {
     next();
 });
 
-// Serve uploaded files
-app.use('/uploads', express.static(UPLOADS_DIR));
-app.use('/videos', express.static(VIDEOS_DIR));
+// Serve uploaded files from storage (ahead of the root static files, which
+// would otherwise shadow the default local directories)
+app.get('/uploads/:filename', (req, res, next) => sendMedia('image', req, res, next));
+app.get('/videos/:filename', (req, res, next) => sendMedia('video', req, res, next));
+
+// Serve static files from root
+app.use(express.static(__dirname));
 
 // Serve CSS directory
 app.use('/css', express.static(path.join(__dirname, 'css')));
 
 // API: Upload image
-app.post('/api/upload', uploadImage.single('image'), (req, res) => {
+app.post('/api/upload', (req, res, next) => {
+    uploadImage.single('image')(req, res, (err) => {
+        if (err) {
+            return res.status(400).json({ success: false, error: err.message || 'Image upload failed' });
+        }
+        next();
+    });
+}, async (req, res, next) => {
     if (!req.file) {
         return res.status(400).json({ success: false, error: 'No image provided' });
     }
 
-    const filename = req.file.filename.trim();
+    let stored;
+    try {
+        stored = await storeUpload('image', req);
+    } catch (err) {
+        return next(err);
+    }
+
+    const { record, deleteToken } = stored;
+    const filename = record.filename;
     const imageUrl = `/uploads/${filename}`;
     const shareUrl = `/share/${filename}`;
     const fullUrl = `${req.protocol}://${req.get('host')}${shareUrl}`.trim();
@@ -330,14 +587,17 @@ app.post('/api/upload', uploadImage.single('image'), (req, res) => {
             shareUrl: shareUrl,
             fullUrl: fullUrl,
             size: req.file.size,
-            imagesStored: getUploadedFiles().length
+            sha256: record.sha256,
+            // Send as X-Delete-Token to DELETE /api/image/:filename
+            deleteToken: deleteToken,
+            imagesStored: mediaStore.list('image').length
         }
     });
 });
 
 // API: Upload video
 app.post('/api/upload-video', (req, res) => {
-    uploadVideo.single('video')(req, res, (err) => {
+    uploadVideo.single('video')(req, res, async (err) => {
         if (err) {
             console.error('Video upload error:', err);
             return res.status(400).json({ success: false, error: err.message || 'Video upload failed' });
@@ -348,7 +608,8 @@ app.post('/api/upload-video', (req, res) => {
         }
 
         try {
-            const filename = req.file.filename.trim();
+            const { record, deleteToken } = await storeUpload('video', req);
+            const filename = record.filename;
             const videoUrl = `/videos/${filename}`;
             const shareUrl = `/share-video/${filename}`;
             const fullUrl = `${req.protocol}://${req.get('host')}${shareUrl}`.trim();
@@ -363,7 +624,10 @@ app.post('/api/upload-video', (req, res) => {
                     shareUrl: shareUrl,
                     fullUrl: fullUrl,
                     size: req.file.size,
-                    videosStored: getUploadedVideos().length
+                    sha256: record.sha256,
+                    // Send as X-Delete-Token to DELETE /api/video/:filename
+                    deleteToken: deleteToken,
+                    videosStored: mediaStore.list('video').length
                 }
             });
         } catch (error) {
@@ -373,19 +637,238 @@ app.post('/api/upload-video', (req, res) => {
     });
 });
 
+// API: Watermark keys and public signing keys, for verifiers
+app.get('/api/keys', (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            algorithm: 'ECDSA-P256-SHA256',
+            keys: keyring.list().map(k => ({
+                id: k.id,
+                watermarkKey: k.watermarkKey,
+                publicKey: k.publicKey,
+                createdAt: k.createdAt,
+                active: k.active
+            }))
+        }
+    });
+});
+
+// API: Signed capture attestation by media ID (see lib/attestations.js)
+app.get('/api/attestations/:mediaId', (req, res) => {
+    const entry = attestations.get(String(req.params.mediaId).toLowerCase());
+    if (!entry) {
+        return res.status(404).json({ success: false, error: 'No attestation for this capture' });
+    }
+    res.json({ success: true, data: { attestation: entry.attestation, created: entry.created } });
+});
+
+// API: Issue a signed payload for a new capture (time and ID are set by the
+// server). The signature is not tied to any image; see attestUpload.
+app.post('/api/sign', createRateLimiter({ max: SIGN_RATE_LIMIT, windowMs: 60 * 1000 }), (req, res) => {
+    const deviceHash = Number(req.body && req.body.deviceHash);
+    if (!Number.isInteger(deviceHash) || deviceHash < 0 || deviceHash > 0xFFFFFFFF) {
+        return res.status(400).json({ success: false, error: 'Invalid device hash' });
+    }
+
+    const key = keyring.activeKey();
+    const timestamp = Math.floor(Date.now() / 1000);
+    const mediaId = new Uint8Array(crypto.randomBytes(8));
+    const body = Payload.encode({ keyId: key.id, timestamp, deviceHash, mediaId, signed: true });
+    const signed = Payload.attachSignature(body, keyring.sign(body, key.id));
+
+    res.json({
+        success: true,
+        data: {
+            payload: Payload.toBase64(signed),
+            timestamp: timestamp,
+            id: Payload.decode(signed).mediaId,
+            keyId: key.id,
+            watermarkKey: key.watermarkKey
+        }
+    });
+});
+
+// API: Verify watermarks in an uploaded image (same verdict as verify.html)
+app.post('/api/verify', (req, res, next) => {
+    verifyImage.single('image')(req, res, async (err) => {
+        if (err) {
+            return res.status(400).json({ success: false, error: err.message || 'Verification upload failed' });
+        }
+
+        if (!req.file) {
+            return res.status(400).json({ success: false, error: 'No image provided' });
+        }
+
+        let imageData;
+        try {
+            imageData = await decodeImage(req.file.buffer, { maxSide: VERIFY_MAX_SIDE });
+        } catch (error) {
+            console.error('Could not decode image for verification:', error);
+            return res.status(422).json({ success: false, error: 'Could not decode image' });
+        }
+
+        let verified;
+        try {
+            verified = await Verifier.verify(imageData, verifierOptions());
+        } catch (error) {
+            return next(error);
+        }
+        const { payload, ...verdict } = verified;
+
+        res.json({
+            success: true,
+            data: {
+                ...verdict,
+                width: imageData.width,
+                height: imageData.height
+            }
+        });
+    });
+});
+
+// API: Verify stored media by its share link or media URL. Images are
+// checked here and compared with the payload recorded at upload; video frames
+// cannot be decoded on the server, so for videos only the record is returned
+// and the verify page samples the frames itself.
+app.get('/api/verify', async (req, res, next) => {
+    const link = parseMediaLink(req.query.url, req.get('host'));
+    if (!link) {
+        return res.status(400).json({ success: false, error: 'Not a share link or media URL on this site' });
+    }
+
+    const record = mediaStore.get(link.kind, link.filename);
+    if (!record) {
+        return res.status(404).json({ success: false, error: `${link.kind === 'image' ? 'Image' : 'Video'} not found` });
+    }
+
+    const recorded = record.payload ? Payload.decode(Payload.fromBase64(record.payload)) : null;
+    const encoded = encodeURIComponent(record.filename);
+    const data = {
+        kind: record.kind,
+        filename: record.filename,
+        mediaUrl: record.kind === 'image' ? `/uploads/${encoded}` : `/videos/${encoded}`,
+        shareUrl: record.kind === 'image' ? `/share/${encoded}` : `/share-video/${encoded}`,
+        created: record.created,
+        recorded: recorded && {
+            payload: record.payload,
+            message: Payload.describe(recorded),
+            keyId: recorded.keyId,
+            signature: !recorded.signature ? 'unsigned'
+                : keyring.verify(recorded.body, recorded.signature, recorded.keyId) !== null ? 'valid' : 'invalid'
+        }
+    };
+
+    if (record.kind === 'video') {
+        return res.json({ success: true, data: { ...data, verdict: null, checksum: null, matchesRecord: null } });
+    }
+
+    let buffer;
+    try {
+        buffer = await readMedia(record.kind, record.filename);
+    } catch (err) {
+        return next(err);
+    }
+    // The stored file should still be byte-for-byte what was uploaded
+    const checksum = record.sha256
+        ? (crypto.createHash('sha256').update(buffer).digest('hex') === record.sha256 ? 'match' : 'mismatch')
+        : null;
+
+    let imageData;
+    try {
+        imageData = await decodeImage(buffer, { maxSide: VERIFY_MAX_SIDE });
+    } catch (error) {
+        console.error(`Could not decode stored image ${record.filename}:`, error);
+        return res.status(422).json({ success: false, error: 'Could not decode image' });
+    }
+
+    let checked;
+    try {
+        checked = Verifier.matchRecord(await Verifier.verify(imageData, verifierOptions()), recorded);
+    } catch (err) {
+        return next(err);
+    }
+    const { payload, matchesRecord, ...verdict } = checked;
+
+    res.json({
+        success: true,
+        data: {
+            ...data,
+            verdict: { ...verdict, width: imageData.width, height: imageData.height },
+            checksum,
+            matchesRecord
+        }
+    });
+});
+
+// API: Find stored images that look like an uploaded one, closest first.
+// For copies whose watermark no longer decodes (cropped, heavily recompressed);
+// matching is by perceptual hash, so it says nothing about authenticity.
+app.post('/api/match', (req, res, next) => {
+    verifyImage.single('image')(req, res, async (err) => {
+        if (err) {
+            return res.status(400).json({ success: false, error: err.message || 'Match upload failed' });
+        }
+
+        if (!req.file) {
+            return res.status(400).json({ success: false, error: 'No image provided' });
+        }
+
+        let imageData;
+        try {
+            imageData = await decodeImage(req.file.buffer, { maxSide: PHASH_IMAGE_SIZE });
+        } catch (error) {
+            console.error('Could not decode image for matching:', error);
+            return res.status(422).json({ success: false, error: 'Could not decode image' });
+        }
+        let bits, images, matches;
+        try {
+            bits = await watermarkPool.modules().robust.computePerceptualHash(imageData);
+            const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 5, 1), MATCH_LIMIT);
+            images = mediaStore.list('image');
+            matches = rankMatches(hashToHex(bits), images, {
+                bits: bits.length,
+                maxDistance: MATCH_MAX_DISTANCE,
+                limit
+            });
+        } catch (error) {
+            return next(error);
+        }
+
+        res.json({
+            success: true,
+            data: {
+                hash: hashToHex(bits),
+                searched: images.filter(r => r.phash).length,
+                maxDistance: MATCH_MAX_DISTANCE,
+                matches: matches.map(({ record, distance, similarity }) => ({
+                    filename: record.filename,
+                    url: `/uploads/${record.filename}`,
+                    shareUrl: `/share/${record.filename}`,
+                    created: record.created,
+                    distance,
+                    similarity
+                }))
+            }
+        });
+    });
+});
+
 // API: Get all stored images
 app.get('/api/images', (req, res) => {
-    const files = getUploadedFiles();
+    const records = mediaStore.list('image');
     res.json({
         success: true,
         data: {
-            count: files.length,
-            maxImages: MAX_IMAGES,
-            images: files.map(f => ({
-                filename: f.name,
-                url: `/uploads/${f.name}`,
-                shareUrl: `/share/${f.name}`,
-                created: new Date(f.created).toISOString()
+            count: records.length,
+            maxImages: retention.status().policies.image.maxCount,
+            images: records.map(r => ({
+                filename: r.filename,
+                url: `/uploads/${r.filename}`,
+                shareUrl: `/share/${r.filename}`,
+                size: r.size,
+                pinned: r.pinned,
+                created: r.created
             }))
         }
     });
@@ -393,48 +876,47 @@ app.get('/api/images', (req, res) => {
 
 // API: Get all stored videos
 app.get('/api/videos', (req, res) => {
-    const files = getUploadedVideos();
+    const records = mediaStore.list('video');
     res.json({
         success: true,
         data: {
-            count: files.length,
-            maxVideos: MAX_VIDEOS,
-            videos: files.map(f => ({
-                filename: f.name,
-                url: `/videos/${f.name}`,
-                shareUrl: `/share-video/${f.name}`,
-                created: new Date(f.created).toISOString()
+            count: records.length,
+            maxVideos: retention.status().policies.video.maxCount,
+            videos: records.map(r => ({
+                filename: r.filename,
+                url: `/videos/${r.filename}`,
+                shareUrl: `/share-video/${r.filename}`,
+                size: r.size,
+                pinned: r.pinned,
+                created: r.created
             }))
         }
     });
 });
 
-// API: Get image info
-app.get('/api/image/:filename', (req, res) => {
-    const filepath = path.join(UPLOADS_DIR, req.params.filename);
-    if (!fs.existsSync(filepath)) {
+// API: Get image info (admin only: includes the embedded payload)
+app.get('/api/image/:filename', requireAdmin, (req, res) => {
+    const record = findMedia('image', req.params.filename);
+    if (!record) {
         return res.status(404).json({ success: false, error: 'Image not found' });
     }
-    const stats = fs.statSync(filepath);
     res.json({
         success: true,
         data: {
-            filename: req.params.filename,
-            size: stats.size,
-            created: stats.birthtime
+            filename: record.filename,
+            originalName: record.originalName,
+            mimeType: record.mimeType,
+            size: record.size,
+            sha256: record.sha256,
+            payload: record.payload,
+            created: record.created
         }
     });
 });
 
-// API: Delete image
-app.delete('/api/image/:filename', (req, res) => {
-    const filepath = path.join(UPLOADS_DIR, req.params.filename);
-    if (!fs.existsSync(filepath)) {
-        return res.status(404).json({ success: false, error: 'Image not found' });
-    }
-    fs.unlinkSync(filepath);
-    res.json({ success: true });
-});
+// API: Delete an upload (admin session or the uploader's delete token)
+app.delete('/api/image/:filename', (req, res, next) => deleteMedia('image', req, res, next));
+app.delete('/api/video/:filename', (req, res, next) => deleteMedia('video', req, res, next));
 
 // Error handling
 app.use((err, req, res, next) => {
@@ -442,14 +924,55 @@ app.use((err, req, res, next) => {
     res.status(500).json({ success: false, error: err.message || 'Server error' });
 });
 
-// Start server
-app.listen(PORT, () => {
-    console.log(`RealPic Lite server running on port ${PORT}`);
-    console.log(`Uploads directory: ${UPLOADS_DIR}`);
-    console.log(`Videos directory: ${VIDEOS_DIR}`);
-    console.log(`Max images: ${MAX_IMAGES}, Max videos: ${MAX_VIDEOS}`);
+// Start server (only when run directly; tests require the app and listen themselves)
+if (require.main === module) {
+    app.listen(PORT, async () => {
+        console.log(`RealPic Lite server running on port ${PORT}`);
+        if (storage.name === 'local') {
+            console.log(`Uploads directory: ${UPLOADS_DIR}`);
+            console.log(`Videos directory: ${VIDEOS_DIR}`);
+        } else {
+            console.log(`Media storage: ${storage.name}`);
+        }
+        console.log(`Retention sweep every ${RETENTION_SWEEP_MINUTES} min:`, JSON.stringify(retention.status().policies));
 
-    const images = getUploadedFiles();
-    const videos = getUploadedVideos();
-    console.log(`Current: ${images.length} images, ${videos.length} videos`);
-});
+        // Adopt files the media log does not know (older uploads, or a log lost with
+        // an ephemeral disk) and forget files removed behind the app's back
+        try {
+            if (storage.check) {
+                await storage.check();
+            }
+            const images = await mediaStore.reconcile('image', storage, IMAGE_EXTENSIONS);
+            const videos = await mediaStore.reconcile('video', storage, VIDEO_EXTENSIONS);
+            if (images.adopted || images.dropped || videos.adopted || videos.dropped) {
+                console.log(`Media store: adopted ${images.adopted + videos.adopted} files, dropped ${images.dropped + videos.dropped} missing`);
+            }
+        } catch (err) {
+            console.error('Could not reconcile media store with storage:', err);
+        }
+
+        console.log(`Current: ${mediaStore.list('image').length} images, ${mediaStore.list('video').length} videos`);
+
+        retention.sweep().catch(err => console.error('Retention sweep failed:', err));
+        retention.start();
+
+        // Images stored before fingerprints were kept (or adopted without one)
+        let fingerprinted = 0;
+        for (const record of mediaStore.list('image').filter(r => !r.phash)) {
+            try {
+                const phash = await imageFingerprint(await readMedia('image', record.filename));
+                if (phash && mediaStore.get('image', record.filename)) {
+                    mediaStore.update('image', record.filename, { phash });
+                    fingerprinted++;
+                }
+            } catch (err) {
+                console.error(`Could not read ${record.filename} to fingerprint it:`, err);
+            }
+        }
+        if (fingerprinted) {
+            console.log(`Media store: fingerprinted ${fingerprinted} older images`);
+        }
+    });
+}
+
+module.exports = app;
@@ -1,90 +1,664 @@
 /**
  * Steganography Module
  * LSB (Least Significant Bit) encoding for invisible watermarks.
+ *
+ * Bits are scattered along a keyed pseudo-random path through the image's
+ * RGB samples, so without the key they cannot be found or read back. The
+ * header (magic, flags, length) always takes the lowest bit of its samples;
+ * the message and its CRC take the lowest 1 or 2 bits (the depth). Images
+ * from the original sequential format still decode.
+ *
+ * The fragile seal instead fills every block's low bits with a MAC of the
+ * block, bound to the robust watermark's media ID, so checkSeal can point to
+ * the blocks that were edited. It takes the place of an LSB message. The MAC
+ * key is a watermark key, which verifiers hold, so anyone can re-seal an
+ * edited image: only a match with the seal digest the server attested at
+ * upload shows that no pixel has changed.
  */
 
 const Steganography = (() => {
-    const HEADER_SIZE = 32;
-    const MAGIC_NUMBER = 0xCAFE;
+    // Shared payload schema (a global in browsers)
+    const Payloads = typeof Payload !== 'undefined' ? Payload : require('./payload.js');
+
+    const CONFIG = {
+        // Key used when none is given, as for RobustWatermark
+        SECRET_KEY: 'RealPic2025SecretKey',
+
+        // Fragile seal: each SEAL_BLOCK x SEAL_BLOCK block carries a MAC of
+        // itself in the lowest bit of its first SEAL_BITS RGB samples;
+        // checkSeal tries each key on SEAL_PROBES blocks spread over the image
+        SEAL_BLOCK: 16,
+        SEAL_BITS: 64,
+        SEAL_PROBES: 64
+    };
+
+    const MAGIC_NUMBER = 0x5250;
     const MAGIC_BITS = 16;
-    
-    function stringToBinary(str) {
-        let binary = '';
-        for (let i = 0; i < str.length; i++) {
-            binary += str.charCodeAt(i).toString(2).padStart(16, '0');
+    const FLAG_BITS = 8;
+    const LENGTH_BITS = 24;
+    const HEADER_BITS = MAGIC_BITS + FLAG_BITS + LENGTH_BITS;
+    const CRC_BITS = 32;
+    const MAX_LENGTH = 2 ** LENGTH_BITS - 1;
+
+    // Header flags; the others are reserved and must be clear
+    const FLAGS = {
+        DEPTH_2: 0x01
+    };
+
+    // Original format: 0xCAFE, then the message length in bits, written
+    // into the RGB samples in order
+    const LEGACY_MAGIC = 0xCAFE;
+    const LEGACY_LENGTH_BITS = 32;
+    const LEGACY_MAX_BITS = 100000;
+
+    const FEISTEL_ROUNDS = 4;
+
+    // ========================================
+    // Keyed Path
+    // ========================================
+
+    // FNV-1a hash of the key
+    function hashKey(key) {
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < key.length; i++) {
+            hash = Math.imul(hash ^ key.charCodeAt(i), 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    // 32-bit finaliser from MurmurHash3
+    function mix(x) {
+        x = Math.imul(x ^ (x >>> 16), 0x85EBCA6B);
+        x = Math.imul(x ^ (x >>> 13), 0xC2B2AE35);
+        return (x ^ (x >>> 16)) >>> 0;
+    }
+
+    /**
+     * Keyed permutation of the sample indices 0..samples-1: a Feistel network
+     * over the smallest even power of two that covers them, applied again to
+     * any index that lands outside (cycle walking). Needs no memory per sample.
+     * @param {string} key - Watermark key
+     * @param {number} samples - RGB samples in the image
+     * @returns {function(number): number} Sample index of the path's nth step
+     */
+    function createPath(key, samples) {
+        let halfBits = 1;
+        while (2 ** (2 * halfBits) < samples) halfBits++;
+        const half = 2 ** halfBits;
+        const mask = half - 1;
+
+        const roundKeys = [];
+        let seed = hashKey(key);
+        for (let round = 0; round < FEISTEL_ROUNDS; round++) {
+            seed = mix(seed + 0x9E3779B9);
+            roundKeys.push(seed);
+        }
+
+        function permute(index) {
+            let left = Math.floor(index / half);
+            let right = index & mask;
+            for (const roundKey of roundKeys) {
+                const next = left ^ (mix(right ^ roundKey) & mask);
+                left = right;
+                right = next;
+            }
+            return left * half + right;
+        }
+
+        return step => {
+            let index = permute(step);
+            while (index >= samples) index = permute(index);
+            return index;
+        };
+    }
+
+    // The original format's path: the samples in order
+    const sequentialPath = step => step;
+
+    // Byte offset in RGBA data of an RGB sample
+    function sampleOffset(sample) {
+        return Math.floor(sample / 3) * 4 + sample % 3;
+    }
+
+    // ========================================
+    // Bit I/O
+    // ========================================
+
+    // Writes `count` bits from `value`, most significant first
+    function pushBits(bits, value, count) {
+        for (let i = count - 1; i >= 0; i--) {
+            bits.push(Math.floor(value / 2 ** i) & 1);
+        }
+    }
+
+    function bitsToNumber(bits, from, count) {
+        let value = 0;
+        for (let i = from; i < from + count; i++) {
+            value = value * 2 + bits[i];
+        }
+        return value;
+    }
+
+    function bitsToBytes(bits, from, length) {
+        const bytes = new Uint8Array(length);
+        for (let i = 0; i < length; i++) {
+            bytes[i] = bitsToNumber(bits, from + i * 8, 8);
+        }
+        return bytes;
+    }
+
+    /**
+     * Writes bits into the lowest `depth` bits of the samples along the path,
+     * starting at step `from`; returns the step after the last one used.
+     * Each sample moves to the nearest value with the wanted low bits.
+     */
+    function writeBits(data, path, from, bits, depth) {
+        const step = 1 << depth;
+        let position = from;
+        for (let i = 0; i < bits.length; i += depth) {
+            let value = 0;
+            for (let j = 0; j < depth; j++) {
+                value = value * 2 + (bits[i + j] || 0);
+            }
+            const offset = sampleOffset(path(position++));
+            const original = data[offset];
+            let changed = (original & ~(step - 1)) | value;
+            if (changed - original > step / 2 && changed - step >= 0) changed -= step;
+            if (original - changed > step / 2 && changed + step <= 255) changed += step;
+            data[offset] = changed;
+        }
+        return position;
+    }
+
+    // Reads `count` bits written by writeBits
+    function readBits(data, path, from, count, depth) {
+        const bits = [];
+        for (let position = from; bits.length < count; position++) {
+            const value = data[sampleOffset(path(position))];
+            for (let j = depth - 1; j >= 0 && bits.length < count; j--) {
+                bits.push((value >> j) & 1);
+            }
+        }
+        return bits;
+    }
+
+    // ========================================
+    // CRC-32
+    // ========================================
+
+    const CRC_TABLE = (() => {
+        const table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            table[n] = c >>> 0;
         }
-        return binary;
+        return table;
+    })();
+
+    // CRC-32 (IEEE 802.3) of the header fields and the message bytes
+    function crc32(flags, bytes) {
+        let crc = 0xFFFFFFFF;
+        const update = byte => {
+            crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+        };
+        update(flags);
+        for (let shift = 16; shift >= 0; shift -= 8) {
+            update((bytes.length >>> shift) & 0xFF);
+        }
+        bytes.forEach(update);
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    // ========================================
+    // Messages
+    // ========================================
+
+    // Text uses the legacy format, UTF-16 code units most significant byte first
+    function messageBytes(message) {
+        if (typeof message !== 'string') return message;
+        const bytes = new Uint8Array(message.length * 2);
+        for (let i = 0; i < message.length; i++) {
+            bytes[i * 2] = message.charCodeAt(i) >> 8;
+            bytes[i * 2 + 1] = message.charCodeAt(i) & 0xFF;
+        }
+        return bytes;
     }
-    
-    function binaryToString(binary) {
+
+    function bytesToString(bytes) {
         let str = '';
-        for (let i = 0; i < binary.length; i += 16) {
-            const charCode = parseInt(binary.substr(i, 16), 2);
+        for (let i = 0; i + 1 < bytes.length; i += 2) {
+            const charCode = (bytes[i] << 8) | bytes[i + 1];
             if (charCode > 0) str += String.fromCharCode(charCode);
         }
         return str;
     }
-    
-    function encode(imageData, message) {
-        const data = new Uint8ClampedArray(imageData.data);
-        const messageBinary = stringToBinary(message);
-        const headerBits = MAGIC_BITS + HEADER_SIZE;
-        const totalBitsNeeded = headerBits + messageBinary.length;
-        
-        if (Math.ceil(totalBitsNeeded / 3) > (data.length / 4)) {
+
+    // Typed payloads first, then plain text
+    function describeMessage(bytes) {
+        const payload = Payloads.decode(bytes);
+        return { message: payload ? Payloads.describe(payload) : bytesToString(bytes), payload };
+    }
+
+    function checkDepth(depth) {
+        if (depth !== 1 && depth !== 2) {
+            throw new Error('LSB depth must be 1 or 2');
+        }
+    }
+
+    // Candidate keys, as for RobustWatermark.decode
+    function candidateKeys(options) {
+        return options.keys || [{ id: options.keyId || 0, key: options.key || CONFIG.SECRET_KEY }];
+    }
+
+    // ImageData only exists in browsers; Node callers get a plain object of the same shape
+    function createImageData(data, width, height) {
+        if (typeof ImageData !== 'undefined') {
+            return new ImageData(data, width, height);
+        }
+        return { data, width, height };
+    }
+
+    // ========================================
+    // HMAC-SHA-256
+    // ========================================
+
+    const SHA256_K = new Uint32Array([
+        0x428A2F98, 0x71374491, 0xB5C0FBCF, 0xE9B5DBA5, 0x3956C25B, 0x59F111F1, 0x923F82A4, 0xAB1C5ED5,
+        0xD807AA98, 0x12835B01, 0x243185BE, 0x550C7DC3, 0x72BE5D74, 0x80DEB1FE, 0x9BDC06A7, 0xC19BF174,
+        0xE49B69C1, 0xEFBE4786, 0x0FC19DC6, 0x240CA1CC, 0x2DE92C6F, 0x4A7484AA, 0x5CB0A9DC, 0x76F988DA,
+        0x983E5152, 0xA831C66D, 0xB00327C8, 0xBF597FC7, 0xC6E00BF3, 0xD5A79147, 0x06CA6351, 0x14292967,
+        0x27B70A85, 0x2E1B2138, 0x4D2C6DFC, 0x53380D13, 0x650A7354, 0x766A0ABB, 0x81C2C92E, 0x92722C85,
+        0xA2BFE8A1, 0xA81A664B, 0xC24B8B70, 0xC76C51A3, 0xD192E819, 0xD6990624, 0xF40E3585, 0x106AA070,
+        0x19A4C116, 0x1E376C08, 0x2748774C, 0x34B0BCB5, 0x391C0CB3, 0x4ED8AA4A, 0x5B9CCA4F, 0x682E6FF3,
+        0x748F82EE, 0x78A5636F, 0x84C87814, 0x8CC70208, 0x90BEFFFA, 0xA4506CEB, 0xBEF9A3F7, 0xC67178F2
+    ]);
+    const SHA256_IV = new Uint32Array([
+        0x6A09E667, 0xBB67AE85, 0x3C6EF372, 0xA54FF53A, 0x510E527F, 0x9B05688C, 0x1F83D9AB, 0x5BE0CD19
+    ]);
+    const scheduleScratch = new Uint32Array(64);
+    const tailScratch = new Uint8Array(128);
+
+    const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+    // One 64-byte chunk of `bytes` at `offset` into the running state
+    function compress(state, bytes, offset) {
+        const w = scheduleScratch;
+        for (let i = 0; i < 16; i++) {
+            const j = offset + i * 4;
+            w[i] = (bytes[j] << 24) | (bytes[j + 1] << 16) | (bytes[j + 2] << 8) | bytes[j + 3];
+        }
+        for (let i = 16; i < 64; i++) {
+            const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+            const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+            w[i] = w[i - 16] + s0 + w[i - 7] + s1;
+        }
+
+        let [a, b, c, d, e, f, g, h] = state;
+        for (let i = 0; i < 64; i++) {
+            const t1 = h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + SHA256_K[i] + w[i];
+            const t2 = (rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c));
+            h = g;
+            g = f;
+            f = e;
+            e = (d + t1) | 0;
+            d = c;
+            c = b;
+            b = a;
+            a = (t1 + t2) | 0;
+        }
+        state[0] += a; state[1] += b; state[2] += c; state[3] += d;
+        state[4] += e; state[5] += f; state[6] += g; state[7] += h;
+    }
+
+    /**
+     * SHA-256 of `absorbed` bytes already in `initial` (a multiple of 64)
+     * followed by the first `length` bytes of `bytes`
+     * @returns {Uint32Array} The digest as 8 big-endian words
+     */
+    function sha256(initial, bytes, length, absorbed = 0) {
+        const state = new Uint32Array(initial);
+        const whole = length - length % 64;
+        for (let offset = 0; offset < whole; offset += 64) {
+            compress(state, bytes, offset);
+        }
+
+        // Final chunk(s): the rest, 0x80, zeros and the length in bits
+        const tail = tailScratch.fill(0);
+        tail.set(bytes.subarray(whole, length));
+        tail[length - whole] = 0x80;
+        const end = length - whole < 56 ? 64 : 128;
+        const bits = (absorbed + length) * 8;
+        pushWord(tail, end - 8, Math.floor(bits / 2 ** 32));
+        pushWord(tail, end - 4, bits >>> 0);
+        for (let offset = 0; offset < end; offset += 64) {
+            compress(state, tail, offset);
+        }
+        return state;
+    }
+
+    function pushWord(bytes, offset, word) {
+        bytes[offset] = word >>> 24;
+        bytes[offset + 1] = (word >>> 16) & 0xFF;
+        bytes[offset + 2] = (word >>> 8) & 0xFF;
+        bytes[offset + 3] = word & 0xFF;
+    }
+
+    /**
+     * HMAC-SHA-256 under a key, with the padded key blocks hashed once
+     * @param {string} key - Watermark key (its UTF-16 code units)
+     * @returns {function(Uint8Array, number): Uint32Array} MAC of the first
+     *   `length` bytes, as 8 big-endian words
+     */
+    function createMac(key) {
+        let keyBytes = messageBytes(key);
+        if (keyBytes.length > 64) {
+            const digest = sha256(SHA256_IV, keyBytes, keyBytes.length);
+            keyBytes = new Uint8Array(32);
+            digest.forEach((word, i) => pushWord(keyBytes, i * 4, word));
+        }
+
+        const padded = (pad) => {
+            const block = new Uint8Array(64).fill(pad);
+            keyBytes.forEach((byte, i) => { block[i] ^= byte; });
+            const state = new Uint32Array(SHA256_IV);
+            compress(state, block, 0);
+            return state;
+        };
+        const inner = padded(0x36);
+        const outer = padded(0x5C);
+        const innerDigest = new Uint8Array(32);
+
+        return (bytes, length) => {
+            sha256(inner, bytes, length, 64).forEach((word, i) => pushWord(innerDigest, i * 4, word));
+            return sha256(outer, innerDigest, 32, 64);
+        };
+    }
+
+    // Bits left for the message after the header and CRC; negative if even
+    // an empty message does not fit
+    function messageBits(width, height, depth) {
+        return (width * height * 3 - HEADER_BITS) * depth - CRC_BITS;
+    }
+
+    // ========================================
+    // Public API
+    // ========================================
+
+    /**
+     * Longest message, in bytes, that encode fits into an image of this size
+     * (text takes 2 bytes a character)
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {Object} [options] - { depth }, as for encode
+     * @returns {number}
+     */
+    function capacity(width, height, options = {}) {
+        const depth = options.depth || 1;
+        checkDepth(depth);
+        return Math.max(0, Math.min(MAX_LENGTH, Math.floor(messageBits(width, height, depth) / 8)));
+    }
+
+    /**
+     * Hides a message in the lowest bits of the image
+     * @param {ImageData} imageData - Image to mark (left unchanged)
+     * @param {Uint8Array|string} message - Binary payload (see payload.js), or
+     *   text in the legacy UTF-16 format
+     * @param {Object} [options] - { key, depth }: `depth` is the number of low
+     *   bits used in each sample, 1 (default) or 2 for twice the capacity
+     * @returns {ImageData}
+     */
+    function encode(imageData, message, options = {}) {
+        const { width, height } = imageData;
+        const depth = options.depth || 1;
+        checkDepth(depth);
+        const bytes = messageBytes(message);
+        if (bytes.length > MAX_LENGTH || bytes.length * 8 > messageBits(width, height, depth)) {
             throw new Error('Message too long for image');
         }
-        
-        const fullBinary = MAGIC_NUMBER.toString(2).padStart(MAGIC_BITS, '0') +
-                          messageBinary.length.toString(2).padStart(HEADER_SIZE, '0') +
-                          messageBinary;
-        
-        let bitIndex = 0;
-        for (let i = 0; i < data.length && bitIndex < fullBinary.length; i++) {
-            if ((i + 1) % 4 === 0) continue;
-            data[i] = (data[i] & 0xFE) | parseInt(fullBinary[bitIndex], 2);
-            bitIndex++;
-        }
-        
-        return new ImageData(data, imageData.width, imageData.height);
-    }
-    
-    function decode(imageData) {
-        const data = imageData.data;
-        let bits = '', bitIndex = 0;
-        const headerBits = MAGIC_BITS + HEADER_SIZE;
-        
-        for (let i = 0; i < data.length && bitIndex < headerBits; i++) {
-            if ((i + 1) % 4 === 0) continue;
-            bits += (data[i] & 1).toString();
-            bitIndex++;
-        }
-        
-        if (parseInt(bits.substring(0, MAGIC_BITS), 2) !== MAGIC_NUMBER) return null;
-        
-        const msgLen = parseInt(bits.substring(MAGIC_BITS), 2);
-        if (msgLen <= 0 || msgLen > 100000) return null;
-        
-        let msgBits = '';
-        for (let i = 0; i < data.length && msgBits.length < msgLen; i++) {
-            if ((i + 1) % 4 === 0) continue;
-            if (bitIndex++ <= headerBits - 1) continue;
-            msgBits += (data[i] & 1).toString();
-        }
-        
-        return binaryToString(msgBits);
-    }
-    
-    function hasHiddenData(imageData) {
+
+        const flags = depth === 2 ? FLAGS.DEPTH_2 : 0;
+        const header = [];
+        pushBits(header, MAGIC_NUMBER, MAGIC_BITS);
+        pushBits(header, flags, FLAG_BITS);
+        pushBits(header, bytes.length, LENGTH_BITS);
+        const body = [];
+        bytes.forEach(byte => pushBits(body, byte, 8));
+        pushBits(body, crc32(flags, bytes), CRC_BITS);
+
+        const data = new Uint8ClampedArray(imageData.data);
+        const path = createPath(options.key || CONFIG.SECRET_KEY, width * height * 3);
+        const next = writeBits(data, path, 0, header, 1);
+        writeBits(data, path, next, body, depth);
+
+        return createImageData(data, width, height);
+    }
+
+    // Header under one key, or null if it is not there
+    function readHeader(imageData, key) {
+        const samples = imageData.width * imageData.height * 3;
+        if (samples < HEADER_BITS) return null;
+
+        const path = createPath(key, samples);
+        const bits = readBits(imageData.data, path, 0, HEADER_BITS, 1);
+        const flags = bitsToNumber(bits, MAGIC_BITS, FLAG_BITS);
+        if (bitsToNumber(bits, 0, MAGIC_BITS) !== MAGIC_NUMBER || flags & ~FLAGS.DEPTH_2) return null;
+
+        const depth = flags & FLAGS.DEPTH_2 ? 2 : 1;
+        const length = bitsToNumber(bits, MAGIC_BITS + FLAG_BITS, LENGTH_BITS);
+        if (length * 8 > messageBits(imageData.width, imageData.height, depth)) return null;
+        return { path, flags, depth, length };
+    }
+
+    // The original sequential format, or null
+    function decodeLegacy(imageData) {
         const data = imageData.data;
-        let bits = '', count = 0;
-        for (let i = 0; i < data.length && count < MAGIC_BITS; i++) {
-            if ((i + 1) % 4 === 0) continue;
-            bits += (data[i] & 1).toString();
-            count++;
+        const headerBits = MAGIC_BITS + LEGACY_LENGTH_BITS;
+        if (data.length / 4 * 3 < headerBits) return null;
+
+        const header = readBits(data, sequentialPath, 0, headerBits, 1);
+        if (bitsToNumber(header, 0, MAGIC_BITS) !== LEGACY_MAGIC) return null;
+
+        const msgLen = bitsToNumber(header, MAGIC_BITS, LEGACY_LENGTH_BITS);
+        if (msgLen <= 0 || msgLen > LEGACY_MAX_BITS || headerBits + msgLen > data.length / 4 * 3) return null;
+
+        // The message follows the header
+        const bits = readBits(data, sequentialPath, headerBits, msgLen, 1);
+        return describeMessage(bitsToBytes(bits, 0, Math.floor(msgLen / 8)));
+    }
+
+    /**
+     * Reads a hidden message
+     * @param {ImageData} imageData - Image to check
+     * @param {Object} [options] - { keys, key, keyId }, as for RobustWatermark.decode
+     * @returns {{message: string|null, payload: Object|null, keyId: number|null, depth: number}|null}
+     *   `payload` is null for plain text and `keyId` for the original
+     *   sequential format; null if there is no message or its CRC fails
+     */
+    function decode(imageData, options = {}) {
+        for (const { id, key } of candidateKeys(options)) {
+            const header = readHeader(imageData, key);
+            if (!header) continue;
+
+            const bits = readBits(imageData.data, header.path, HEADER_BITS, header.length * 8 + CRC_BITS, header.depth);
+            const bytes = bitsToBytes(bits, 0, header.length);
+            if (bitsToNumber(bits, header.length * 8, CRC_BITS) !== crc32(header.flags, bytes)) continue;
+
+            return { ...describeMessage(bytes), keyId: id, depth: header.depth };
+        }
+
+        const legacy = decodeLegacy(imageData);
+        return legacy && { ...legacy, keyId: null, depth: 1 };
+    }
+
+    /**
+     * Whether a message header is present (the message itself may be damaged)
+     * @param {ImageData} imageData - Image to check
+     * @param {Object} [options] - As for decode
+     * @returns {boolean}
+     */
+    function hasHiddenData(imageData, options = {}) {
+        if (candidateKeys(options).some(({ key }) => readHeader(imageData, key))) return true;
+        if (imageData.data.length / 4 * 3 < MAGIC_BITS) return false;
+        return bitsToNumber(readBits(imageData.data, sequentialPath, 0, MAGIC_BITS, 1), 0, MAGIC_BITS) === LEGACY_MAGIC;
+    }
+
+    // ========================================
+    // Fragile Seal
+    // ========================================
+
+    /**
+     * MACs image blocks under one key. Each block's MAC covers the seal ID,
+     * the image size and the block's index, then its RGBA pixels row by row
+     * with the carrier bits cleared, so it holds for that block in that
+     * place of that image only.
+     * @returns {{cols: number, rows: number, blocks: number,
+     *   carriers: function(number, function(number, number): void): Uint32Array}}
+     *   `carriers(block, visit)` calls visit(offset, bit) for each carrier
+     *   sample's data offset and the MAC bit it holds, and returns the MAC
+     */
+    function createSealer(data, width, height, key, id) {
+        const size = CONFIG.SEAL_BLOCK;
+        const cols = Math.ceil(width / size);
+        const rows = Math.ceil(height / size);
+        const idBytes = messageBytes(id);
+        const prefix = idBytes.length + 12;
+        const buffer = new Uint8Array(prefix + 4 + size * size * 4);
+        pushWord(buffer, 0, idBytes.length);
+        buffer.set(idBytes, 4);
+        pushWord(buffer, idBytes.length + 4, width);
+        pushWord(buffer, idBytes.length + 8, height);
+        const hmac = createMac(key);
+
+        // Pixel bounds of a block and how many of its samples carry bits
+        const bounds = block => {
+            const left = (block % cols) * size;
+            const top = Math.floor(block / cols) * size;
+            const blockWidth = Math.min(size, width - left);
+            const blockHeight = Math.min(size, height - top);
+            return { left, top, blockWidth, blockHeight, bits: Math.min(CONFIG.SEAL_BITS, blockWidth * blockHeight * 3) };
+        };
+
+        function mac(block) {
+            const { left, top, blockWidth, blockHeight, bits } = bounds(block);
+            pushWord(buffer, prefix, block);
+            let length = prefix + 4;
+            let sample = 0;
+            for (let y = top; y < top + blockHeight; y++) {
+                for (let i = (y * width + left) * 4; i < (y * width + left + blockWidth) * 4; i += 4) {
+                    for (let c = 0; c < 3; c++) {
+                        buffer[length++] = sample++ < bits ? data[i + c] & 0xFE : data[i + c];
+                    }
+                    buffer[length++] = data[i + 3];
+                }
+            }
+            return hmac(buffer, length);
         }
-        return parseInt(bits, 2) === MAGIC_NUMBER;
+
+        function carriers(block, visit) {
+            const { left, top, blockWidth, bits } = bounds(block);
+            const digest = mac(block);
+            for (let k = 0; k < bits; k++) {
+                const pixel = Math.floor(k / 3);
+                const x = left + pixel % blockWidth;
+                const y = top + Math.floor(pixel / blockWidth);
+                visit((y * width + x) * 4 + k % 3, (digest[k >> 5] >>> (31 - (k & 31))) & 1);
+            }
+            return digest;
+        }
+
+        return { cols, rows, blocks: cols * rows, carriers };
+    }
+
+    // Whether a block still carries its MAC; the MAC's first 64 bits go to `macs`
+    function blockIntact(sealer, data, block, macs = null) {
+        let intact = true;
+        const digest = sealer.carriers(block, (offset, bit) => {
+            if ((data[offset] & 1) !== bit) intact = false;
+        });
+        if (macs) {
+            pushWord(macs, block * 8, digest[0]);
+            pushWord(macs, block * 8 + 4, digest[1]);
+        }
+        return intact;
+    }
+
+    /**
+     * Seals an image against any later pixel edit. Seal after embedding the
+     * robust watermark (which survives the seal); any other change to the
+     * pixels afterwards breaks the seal on the blocks it touches.
+     * @param {ImageData} imageData - Image to seal (left unchanged)
+     * @param {Object} [options] - { key, id }: `id` ties the seal to one
+     *   capture, normally the robust payload's mediaId
+     * @returns {ImageData}
+     */
+    function seal(imageData, options = {}) {
+        const { width, height } = imageData;
+        const data = new Uint8ClampedArray(imageData.data);
+        const sealer = createSealer(data, width, height, options.key || CONFIG.SECRET_KEY, options.id || '');
+        for (let block = 0; block < sealer.blocks; block++) {
+            sealer.carriers(block, (offset, bit) => {
+                data[offset] = (data[offset] & 0xFE) | bit;
+            });
+        }
+        return createImageData(data, width, height);
+    }
+
+    /**
+     * Checks the fragile seal, block by block
+     * @param {ImageData} imageData - Image to check
+     * @param {Object} [options] - { keys, key, keyId } as for decode, and the
+     *   `id` the image was sealed with
+     * @returns {{keyId: number, intact: boolean, changed: number, digest: string,
+     *   cellSize: number, cols: number, rows: number, originX: number, originY: number,
+     *   matrix: number[], scores: number[]}|null} Row-major scores (1 = as
+     *   sealed, 0 = changed) for cells of cellSize pixels, in the same form as
+     *   RobustWatermark's integrity map; null when no probed block holds a
+     *   seal under any key (never sealed, another ID, or re-encoded). `digest`
+     *   is the hex SHA-256 of every block's MAC (its first 64 bits, in block
+     *   order) over the pixels as they are now, which the server attests
+     */
+    function checkSeal(imageData, options = {}) {
+        const { width, height, data } = imageData;
+        for (const { id, key } of candidateKeys(options)) {
+            const sealer = createSealer(data, width, height, key, options.id || '');
+            const probes = Math.min(CONFIG.SEAL_PROBES, sealer.blocks);
+            let sealed = false;
+            for (let i = 0; i < probes && !sealed; i++) {
+                sealed = blockIntact(sealer, data, Math.floor(i * sealer.blocks / probes));
+            }
+            if (!sealed) continue;
+
+            const scores = [];
+            const macs = new Uint8Array(sealer.blocks * 8);
+            for (let block = 0; block < sealer.blocks; block++) {
+                scores.push(blockIntact(sealer, data, block, macs) ? 1 : 0);
+            }
+            const changed = scores.filter(score => score === 0).length;
+            const digest = Array.from(sha256(SHA256_IV, macs, macs.length), word => word.toString(16).padStart(8, '0')).join('');
+            return {
+                keyId: id,
+                intact: changed === 0,
+                changed,
+                digest,
+                cellSize: CONFIG.SEAL_BLOCK,
+                cols: sealer.cols,
+                rows: sealer.rows,
+                originX: 0,
+                originY: 0,
+                matrix: [1, 0, 0, 1, 0, 0],
+                scores
+            };
+        }
+        return null;
     }
-    
-    return { encode, decode, hasHiddenData };
+
+    return { encode, decode, hasHiddenData, capacity, seal, checkSeal, CONFIG };
 })();
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Steganography;
+}
@@ -0,0 +1,154 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const { texturedImage, encodeImage } = require('./helpers/image-data');
+const { createKeyring } = require('../lib/keyring');
+const { decodeImage } = require('../lib/image-data');
+const Payload = require('../payload');
+
+const CLI = path.join(__dirname, '..', 'bin', 'realpic.js');
+
+let dir;
+
+function file(name) {
+    return path.join(dir, name);
+}
+
+// Resolves to { code, stdout, stderr } whatever the exit status
+function realpic(...args) {
+    return new Promise(resolve => {
+        execFile(process.execPath, [CLI, ...args], { cwd: dir }, (err, stdout, stderr) => {
+            resolve({ code: err ? err.code : 0, stdout, stderr });
+        });
+    });
+}
+
+test.before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'realpic-cli-'));
+    fs.writeFileSync(file('photo.png'), await encodeImage(texturedImage(320, 240)));
+    fs.writeFileSync(file('other.png'), await encodeImage(texturedImage(256, 192, 5)));
+});
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('embed then verify an unsigned watermark', async () => {
+    const embedded = await realpic('embed', 'photo.png', 'marked.jpg', '--message', 'job 7', '--json');
+    assert.equal(embedded.code, 0);
+    const { payload, bitsEmbedded } = JSON.parse(embedded.stdout);
+    assert.ok(bitsEmbedded > 0);
+    assert.equal(Payload.decode(Payload.fromBase64(payload)).note, 'job 7');
+
+    // Unsigned watermarks fail verification unless allowed
+    const strict = await realpic('verify', 'marked.jpg', '--json');
+    assert.equal(strict.code, 1);
+    assert.equal(JSON.parse(strict.stdout).signature, 'unsigned');
+
+    const allowed = await realpic('verify', 'marked.jpg', '--allow-unsigned', '--json');
+    assert.equal(allowed.code, 0);
+    const result = JSON.parse(allowed.stdout);
+    assert.equal(result.passed, true);
+    assert.equal(result.payload.note, 'job 7');
+});
+
+test('verify reads a watermark embedded at a non-default strength', async () => {
+    const embedded = await realpic('embed', 'photo.png', 'strong.png', '--strength', '40', '--message', 'strong');
+    assert.equal(embedded.code, 0);
+
+    const verified = await realpic('verify', 'strong.png', '--strength', '40', '--allow-unsigned', '--json');
+    assert.equal(verified.code, 0);
+    const result = JSON.parse(verified.stdout);
+    assert.equal(result.passed, true);
+    assert.equal(result.payload.note, 'strong');
+});
+
+test('verify fails for an unmarked image', async () => {
+    const { code, stdout } = await realpic('verify', 'photo.png', '--allow-unsigned');
+    assert.equal(code, 1);
+    assert.match(stdout, /^FAIL photo\.png: No Watermark Found/);
+});
+
+test('a signed payload verifies against the public keys from --keys', async () => {
+    const keyring = createKeyring(path.join(dir, 'data'));
+    const key = keyring.activeKey();
+    const body = Payload.encode({ keyId: key.id, timestamp: 1700000000, mediaId: new Uint8Array(crypto.randomBytes(8)), signed: true });
+    const signed = Payload.attachSignature(body, keyring.sign(body, key.id));
+    fs.writeFileSync(file('keys.json'), JSON.stringify({ success: true, data: { keys: keyring.list() } }));
+
+    const embedded = await realpic('embed', 'photo.png', 'signed.png',
+        '--payload', Payload.toBase64(signed), '--key', key.watermarkKey, '--key-id', String(key.id));
+    assert.equal(embedded.code, 0);
+
+    const verified = await realpic('verify', 'signed.png', '--keys', 'keys.json', '--json');
+    assert.equal(verified.code, 0);
+    const result = JSON.parse(verified.stdout);
+    assert.equal(result.type, 'success');
+    assert.equal(result.signature, 'valid');
+    assert.equal(result.keyId, key.id);
+
+    // Without the public keys the signature cannot be checked
+    const unchecked = await realpic('verify', 'signed.png', '--key', key.watermarkKey, '--key-id', String(key.id));
+    assert.equal(unchecked.code, 1);
+});
+
+test('inspect reports both decoders and the perceptual hash', async () => {
+    assert.equal((await realpic('embed', 'photo.png', 'both.png', '--method', 'both', '--key', 'cli-key', '--key-id', '9')).code, 0);
+
+    const { code, stdout } = await realpic('inspect', 'both.png', '--key', 'cli-key', '--key-id', '9', '--json');
+    assert.equal(code, 0);
+    const result = JSON.parse(stdout);
+    assert.equal(result.width, 320);
+    assert.match(result.perceptualHash, /^[0-9a-f]{16}$/);
+    assert.equal(result.robust.recovered, true);
+    assert.equal(result.robust.keyId, 9);
+    assert.equal(result.lsb.found, true);
+});
+
+test('a sealed image fails verification once a pixel is edited', async () => {
+    assert.equal((await realpic('embed', 'photo.png', 'sealed.png', '--seal', '--json')).code, 0);
+    const intact = JSON.parse((await realpic('verify', 'sealed.png', '--allow-unsigned', '--json')).stdout);
+    assert.equal(intact.passed, true);
+    assert.deepEqual(intact.seal, { intact: true, blockSize: 16, blocks: 300, changed: 0, changedBlocks: [] });
+
+    const image = await decodeImage(fs.readFileSync(file('sealed.png')));
+    image.data[(70 * 320 + 200) * 4 + 2] ^= 1;
+    fs.writeFileSync(file('edited.png'), await encodeImage(image));
+
+    const { code, stdout } = await realpic('verify', 'edited.png', '--allow-unsigned', '--json');
+    assert.equal(code, 1);
+    assert.deepEqual(JSON.parse(stdout).seal.changedBlocks, [{ x: 192, y: 64 }]);
+});
+
+test('batch embed and verify a directory, failing on unreadable files', async () => {
+    fs.mkdirSync(file('in'));
+    fs.copyFileSync(file('photo.png'), file('in/a.png'));
+    fs.copyFileSync(file('other.png'), file('in/b.png'));
+
+    const embedded = await realpic('batch', 'embed', 'in', '--out', 'out', '--json');
+    assert.equal(embedded.code, 0);
+    assert.equal(JSON.parse(embedded.stdout).failed, 0);
+
+    const verified = await realpic('batch', 'verify', 'out', '--allow-unsigned', '--json');
+    assert.equal(verified.code, 0);
+    assert.deepEqual(JSON.parse(verified.stdout).results.map(r => [path.basename(r.file), r.passed]), [['a.png', true], ['b.png', true]]);
+
+    fs.writeFileSync(file('out/broken.png'), 'not an image');
+    const broken = await realpic('batch', 'verify', 'out', '--allow-unsigned');
+    assert.equal(broken.code, 1);
+    assert.match(broken.stdout, /ERROR .*broken\.png/);
+    assert.match(broken.stdout, /2\/3 passed/);
+});
+
+test('usage and file errors exit with status 2', async () => {
+    assert.equal((await realpic()).code, 2);
+    assert.equal((await realpic('verify')).code, 2);
+    assert.equal((await realpic('embed', 'photo.png', 'x.png', '--bogus')).code, 2);
+    assert.equal((await realpic('embed', 'photo.png', 'x.jpg', '--method', 'lsb')).code, 2);
+    assert.equal((await realpic('embed', 'photo.png', 'x.jpg', '--seal')).code, 2);
+    assert.equal((await realpic('embed', 'photo.png', 'x.png', '--seal', '--method', 'both')).code, 2);
+    assert.equal((await realpic('verify', 'missing.png')).code, 2);
+    assert.equal((await realpic('--help')).code, 0);
+});
@@ -0,0 +1,72 @@
+/**
+ * ImageData for Node
+ * The watermark modules build ImageData when the global exists (browsers) and
+ * plain objects otherwise; requiring this installs a minimal ImageData so
+ * tests run the browser code path.
+ */
+
+const sharp = require('sharp');
+
+class ImageData {
+    // new ImageData(width, height) or new ImageData(data, width[, height])
+    constructor(dataOrWidth, widthOrHeight, height) {
+        if (typeof dataOrWidth === 'number') {
+            this.width = dataOrWidth;
+            this.height = widthOrHeight;
+            this.data = new Uint8ClampedArray(this.width * this.height * 4);
+        } else {
+            this.data = dataOrWidth;
+            this.width = widthOrHeight;
+            this.height = height === undefined ? dataOrWidth.length / 4 / widthOrHeight : height;
+        }
+        if (!(this.data instanceof Uint8ClampedArray) || this.data.length !== this.width * this.height * 4) {
+            throw new RangeError('ImageData size does not match its data');
+        }
+    }
+}
+
+if (typeof globalThis.ImageData === 'undefined') {
+    globalThis.ImageData = ImageData;
+}
+
+/**
+ * Deterministic photo-like test image: smooth gradients with mild texture
+ * @param {number} width
+ * @param {number} height
+ * @param {number} [seed=1]
+ * @returns {ImageData}
+ */
+function texturedImage(width, height, seed = 1) {
+    const image = new globalThis.ImageData(width, height);
+    let state = seed >>> 0;
+    const random = () => {
+        state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+        return state / 4294967296;
+    };
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 4;
+            const texture = (random() - 0.5) * 24;
+            image.data[i] = 60 + 120 * x / width + 30 * Math.sin(y / 17 + seed) + texture;
+            image.data[i + 1] = 90 + 80 * y / height + 25 * Math.cos(x / 23) + texture;
+            image.data[i + 2] = 140 - 60 * x / width + 20 * Math.sin((x + y) / 31) + texture;
+            image.data[i + 3] = 255;
+        }
+    }
+    return image;
+}
+
+/**
+ * Encodes pixels as an image file
+ * @param {ImageData} image
+ * @param {'png'|'jpeg'} [format='png']
+ * @param {Object} [options] - sharp output options, e.g. { quality: 90 }
+ * @returns {Promise<Buffer>}
+ */
+function encodeImage(image, format = 'png', options = {}) {
+    return sharp(Buffer.from(image.data.buffer, image.data.byteOffset, image.data.length), {
+        raw: { width: image.width, height: image.height, channels: 4 }
+    }).toFormat(format, options).toBuffer();
+}
+
+module.exports = { ImageData, texturedImage, encodeImage };
@@ -0,0 +1,82 @@
+/**
+ * Runs server.js against a temporary directory
+ * The server reads its configuration from the environment when it is first
+ * required, so each test file starts one server (node --test runs every file
+ * in its own process).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ADMIN = { username: 'admin', password: 'test-password' };
+
+/**
+ * @param {Object<string, string>} [env] - Extra environment, e.g. RETENTION_POLICY
+ * @returns {Promise<{baseUrl: string, dirs: Object, close: Function}>}
+ */
+async function startServer(env = {}) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'realpic-test-'));
+    const dirs = {
+        data: path.join(root, 'data'),
+        uploads: path.join(root, 'uploads'),
+        videos: path.join(root, 'videos')
+    };
+    Object.assign(process.env, {
+        DATA_DIR: dirs.data,
+        UPLOADS_DIR: dirs.uploads,
+        VIDEOS_DIR: dirs.videos,
+        STORAGE_BACKEND: 'local',
+        ADMIN_USERNAME: ADMIN.username,
+        ADMIN_PASSWORD: ADMIN.password,
+        ...env
+    });
+
+    const app = require('../../server');
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+
+    return {
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        dirs,
+        close: async () => {
+            await new Promise(resolve => server.close(resolve));
+            fs.rmSync(root, { recursive: true, force: true });
+        }
+    };
+}
+
+// Logs in and returns the Cookie header for admin requests
+async function adminCookie(baseUrl) {
+    const res = await fetch(`${baseUrl}/api/admin/login`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify(ADMIN)
+    });
+    if (res.status !== 200) {
+        throw new Error(`Admin login failed: ${res.status}`);
+    }
+    return res.headers.get('set-cookie').split(';')[0];
+}
+
+/**
+ * Posts one file as multipart form data
+ * @param {string} url
+ * @param {string} field - Form field name
+ * @param {Buffer} contents
+ * @param {string} filename
+ * @param {string} type - MIME type
+ * @param {Object<string, string>} [fields] - Extra form fields
+ * @returns {Promise<Response>}
+ */
+function postFile(url, field, contents, filename, type, fields = {}) {
+    const form = new FormData();
+    for (const [name, value] of Object.entries(fields)) {
+        form.append(name, value);
+    }
+    form.append(field, new Blob([contents], { type }), filename);
+    return fetch(url, { method: 'POST', body: form });
+}
+
+module.exports = { startServer, adminCookie, postFile, ADMIN };
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseMediaLink } = require('../lib/media-link');
+
+const HOST = 'realpic.example:3000';
+
+test('share links and media URLs resolve to their kind and filename', () => {
+    const cases = [
+        ['/share/0123456789abcdef.png', 'image'],
+        ['/uploads/0123456789abcdef.png', 'image'],
+        ['/share-video/0123456789abcdef.webm', 'video'],
+        ['/videos/0123456789abcdef.webm', 'video'],
+        [`http://${HOST}/share/0123456789abcdef.png`, 'image'],
+        [`https://${HOST}/share/0123456789abcdef.png?ref=x#top`, 'image'],
+        ['  /share/0123456789abcdef.png  ', 'image']
+    ];
+    for (const [link, kind] of cases) {
+        const filename = kind === 'image' ? '0123456789abcdef.png' : '0123456789abcdef.webm';
+        assert.deepEqual(parseMediaLink(link, HOST), { kind, filename }, link);
+    }
+});
+
+test('links elsewhere, other routes and unsafe filenames are rejected', () => {
+    for (const link of [
+        '',
+        '   ',
+        null,
+        'https://other.example/share/0123456789abcdef.png',
+        `ftp://${HOST}/share/0123456789abcdef.png`,
+        '/admin/0123456789abcdef.png',
+        '/share/',
+        '/share/a/b.png',
+        '/share/..%2Fserver.js',
+        '/share/%E0%A4%A.png',
+        'http://[invalid'
+    ]) {
+        assert.equal(parseMediaLink(link, HOST), null, String(link));
+    }
+});
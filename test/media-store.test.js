@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMediaStore } = require('../lib/media-store');
+const { createLocalStorage } = require('../lib/local-storage');
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'realpic-media-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+test('reconcile adopts unknown files, drops missing ones and keeps the rest', async (t) => {
+    const root = tempDir(t);
+    const dirs = { image: path.join(root, 'uploads'), video: path.join(root, 'videos') };
+    const storage = createLocalStorage({ dirs });
+    const store = createMediaStore(path.join(root, 'data'));
+
+    fs.writeFileSync(path.join(dirs.image, 'kept.png'), 'kept');
+    fs.writeFileSync(path.join(dirs.image, 'found.jpg'), 'found');
+    fs.writeFileSync(path.join(dirs.image, 'notes.txt'), 'not media');
+    fs.writeFileSync(path.join(dirs.video, 'clip.webm'), 'video');
+    store.add({ kind: 'image', filename: 'kept.png', payload: 'AQID', pinned: true });
+    store.add({ kind: 'image', filename: 'gone.png' });
+
+    assert.deepEqual(await store.reconcile('image', storage, ['.png', '.jpg']), { adopted: 1, dropped: 1 });
+    assert.deepEqual(store.list('image').map(r => r.filename).sort(), ['found.jpg', 'kept.png']);
+
+    const found = store.get('image', 'found.jpg');
+    assert.equal(found.size, 5);
+    assert.equal(found.sha256, crypto.createHash('sha256').update('found').digest('hex'));
+    assert.equal(found.payload, null);
+    // Known records keep their fields
+    assert.equal(store.get('image', 'kept.png').payload, 'AQID');
+    assert.equal(store.get('image', 'kept.png').pinned, true);
+    // Other kinds are reconciled separately
+    assert.equal(store.list('video').length, 0);
+
+    // Idempotent, and the result survives a reload from the log
+    assert.deepEqual(await store.reconcile('image', storage, ['.png', '.jpg']), { adopted: 0, dropped: 0 });
+    const reloaded = createMediaStore(path.join(root, 'data'));
+    assert.deepEqual(reloaded.list('image').map(r => r.filename).sort(), ['found.jpg', 'kept.png']);
+});
+
+test('reconcile leaves out files with unsafe names', async (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const root = tempDir(t);
+    const dirs = { image: path.join(root, 'uploads'), video: path.join(root, 'videos') };
+    const storage = createLocalStorage({ dirs });
+    const store = createMediaStore(path.join(root, 'data'));
+
+    fs.writeFileSync(path.join(dirs.image, "x',alert(1),'.png"), 'quoted');
+    fs.writeFileSync(path.join(dirs.image, '<img onerror=x>.png'), 'tag');
+    fs.writeFileSync(path.join(dirs.image, 'safe.png'), 'safe');
+    // Adopted by an earlier reconcile that did not check names
+    store.add({ kind: 'image', filename: '<img onerror=x>.png' });
+
+    assert.deepEqual(await store.reconcile('image', storage, ['.png']), { adopted: 1, dropped: 1 });
+    assert.deepEqual(store.list('image').map(r => r.filename), ['safe.png']);
+    assert.equal(warn.mock.callCount(), 2);
+});
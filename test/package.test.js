@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { isBuiltin } = require('module');
+const { texturedImage } = require('./helpers/image-data');
+const realpic = require('realpic-lite');
+
+const ROOT = path.join(__dirname, '..');
+const pkg = require('../package.json');
+
+// Module names a file passes to require()
+function requires(file) {
+    const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+    return [...source.matchAll(/require\('([^']+)'\)/g)].map(match => match[1]);
+}
+
+// The repo files the entries load, following relative requires
+function loadedFiles(entries) {
+    const files = new Set();
+    const visit = file => {
+        if (files.has(file)) return;
+        files.add(file);
+        for (const name of requires(file).filter(name => name.startsWith('.'))) {
+            visit(path.relative(ROOT, require.resolve(path.join(ROOT, path.dirname(file), name))).split(path.sep).join('/'));
+        }
+    };
+    entries.forEach(visit);
+    return files;
+}
+
+test('the CommonJS and ES module entries export the same modules', async () => {
+    const esm = await import('realpic-lite');
+
+    assert.deepEqual(Object.keys(realpic).sort(), ['Payload', 'RobustWatermark', 'Steganography', 'VideoWatermark', 'Verifier', 'Watermark', 'verify'].sort());
+    for (const name of Object.keys(realpic)) {
+        assert.equal(esm[name], realpic[name], name);
+    }
+    assert.equal(esm.default, realpic);
+    assert.equal(realpic.RobustWatermark, require('../robust-watermark'));
+});
+
+test('verify uses the packaged decoders', async () => {
+    const key = { id: 4, key: 'package-key' };
+    const body = realpic.Payload.encode({ keyId: 4, timestamp: 1700000000, mediaId: new Uint8Array(8) });
+    const marked = realpic.RobustWatermark.encode(texturedImage(256, 192), body, { key: key.key, keyId: key.id });
+
+    const verdict = await realpic.verify(marked.imageData, { keys: [key] });
+    assert.equal(verdict.keyId, 4);
+    assert.equal(verdict.signature, 'unsigned');
+    assert.ok(realpic.Payload.equals(verdict.payload, realpic.Payload.decode(body)));
+});
+
+test('the published files hold everything the entries load', () => {
+    const published = file => pkg.files.some(entry => entry.endsWith('/') ? file.startsWith(entry) : file === entry);
+    for (const file of loadedFiles(['index.js', 'index.mjs', 'index.d.ts', pkg.bin.realpic])) {
+        assert.ok(published(file), file);
+    }
+});
+
+test('the library needs none of the server packages', () => {
+    assert.equal(pkg.dependencies, undefined);
+    assert.deepEqual(Object.keys(pkg.optionalDependencies).sort(), ['express', 'multer', 'sharp']);
+    for (const file of loadedFiles(['index.js'])) {
+        assert.deepEqual(requires(file).filter(name => !name.startsWith('.') && !isBuiltin(name)), [], file);
+    }
+});
+
+// The pages load the modules as plain scripts, where `require` does not
+// exist, so each must come after the modules it uses
+const GLOBALS = {
+    'payload.js': 'Payload',
+    'robust-watermark.js': 'RobustWatermark',
+    'steganography.js': 'Steganography',
+    'video-watermark.js': 'VideoWatermark',
+    'verifier.js': 'Verifier',
+    'watermark.js': 'Watermark',
+    'watermark-client.js': 'WatermarkClient'
+};
+
+for (const page of ['index.html', 'verify.html']) {
+    test(`${page} loads the watermark modules in dependency order`, () => {
+        const html = fs.readFileSync(path.join(ROOT, page), 'utf8');
+        const scripts = [...html.matchAll(/<script src="([^"]+)"><\/script>/g)]
+            .map(match => match[1])
+            .filter(src => GLOBALS[src]);
+        assert.ok(scripts.length > 0);
+
+        const context = vm.createContext({ console });
+        for (const src of scripts) {
+            vm.runInContext(fs.readFileSync(path.join(ROOT, src), 'utf8'), context, { filename: src });
+            assert.equal(vm.runInContext(`typeof ${GLOBALS[src]}`, context), 'object', src);
+        }
+    });
+}
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GaloisField, ReedSolomon } = require('../robust-watermark');
+
+const DATA = Uint8Array.from('RealPic Reed-Solomon', c => c.charCodeAt(0));
+
+function corrupt(codeword, positions) {
+    const copy = Uint8Array.from(codeword);
+    for (const p of positions) {
+        copy[p] ^= 0x5A;
+    }
+    return copy;
+}
+
+test('GaloisField arithmetic in GF(2^8) with polynomial 0x11D', () => {
+    const gf = new GaloisField();
+
+    assert.equal(gf.multiply(2, 0x80), 0x1D);
+    assert.equal(gf.multiply(0, 77), 0);
+    for (const a of [1, 2, 3, 0x53, 0xCA, 0xFF]) {
+        assert.equal(gf.multiply(a, gf.inverse(a)), 1);
+        assert.equal(gf.divide(gf.multiply(a, 0x37), 0x37), a);
+        assert.equal(gf.power(a, 3), gf.multiply(a, gf.multiply(a, a)));
+        assert.equal(gf.power(a, -1), gf.inverse(a));
+    }
+    assert.throws(() => gf.divide(5, 0), /Division by zero/);
+    assert.throws(() => gf.inverse(0), /Division by zero/);
+});
+
+test('GaloisField polynomials: evaluate a product as the product of evaluations', () => {
+    const gf = new GaloisField();
+    const p = [3, 0, 7];
+    const q = [1, 9];
+    for (const x of [0, 1, 2, 0x8E]) {
+        assert.equal(gf.polyEval(gf.polyMultiply(p, q), x), gf.multiply(gf.polyEval(p, x), gf.polyEval(q, x)));
+        assert.equal(gf.polyEval(gf.polyAdd(p, q), x), gf.polyEval(p, x) ^ gf.polyEval(q, x));
+    }
+});
+
+test('ReedSolomon appends nsym parity symbols and decodes a clean codeword', () => {
+    const rs = new ReedSolomon(10);
+    const codeword = rs.encode(DATA);
+
+    assert.equal(codeword.length, DATA.length + 10);
+    assert.deepEqual(Array.from(codeword.slice(0, DATA.length)), Array.from(DATA));
+
+    const { data, correctedSymbols } = rs.decode(codeword);
+    assert.deepEqual(data, DATA);
+    assert.equal(correctedSymbols, 0);
+});
+
+test('ReedSolomon corrects up to nsym / 2 errors', () => {
+    const rs = new ReedSolomon(10);
+    const codeword = rs.encode(DATA);
+
+    const { data, correctedSymbols } = rs.decode(corrupt(codeword, [0, 4, 11, 19, 27]));
+    assert.deepEqual(data, DATA);
+    assert.equal(correctedSymbols, 5);
+});
+
+test('ReedSolomon corrects up to nsym erasures', () => {
+    const rs = new ReedSolomon(10);
+    const erased = [1, 3, 5, 8, 13, 17, 21, 24, 26, 29];
+
+    const { data } = rs.decode(corrupt(rs.encode(DATA), erased), erased);
+    assert.deepEqual(data, DATA);
+});
+
+test('ReedSolomon corrects errors and erasures together (2e + f <= nsym)', () => {
+    const rs = new ReedSolomon(10);
+    const erased = [2, 9, 14, 22];
+
+    const { data } = rs.decode(corrupt(rs.encode(DATA), [...erased, 6, 18, 25]), erased);
+    assert.deepEqual(data, DATA);
+});
+
+test('ReedSolomon rejects codewords with too many errors', () => {
+    const rs = new ReedSolomon(4);
+    assert.throws(() => rs.decode(corrupt(rs.encode(DATA), [0, 5, 10, 15, 20])));
+});
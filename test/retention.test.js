@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { texturedImage, encodeImage } = require('./helpers/image-data');
+const { startServer, adminCookie, postFile } = require('./helpers/server');
+const { planEvictions, previewEvictions, loadPolicies, createSweeper } = require('../lib/retention');
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2025-06-01T00:00:00Z');
+
+function record(name, ageDays, size = 100, pinned = false) {
+    return { filename: name, size, pinned, created: new Date(NOW - ageDays * DAY).toISOString() };
+}
+
+test('planEvictions evicts by age, then the oldest over the count and size limits', () => {
+    const records = [record('a', 40), record('b', 10, 300), record('c', 5), record('d', 1)];
+
+    assert.deepEqual(
+        planEvictions(records, { maxCount: null, maxBytes: null, maxAgeDays: 30 }, NOW).map(e => [e.record.filename, e.reason]),
+        [['a', 'age']]
+    );
+    assert.deepEqual(
+        planEvictions(records, { maxCount: 2, maxBytes: null, maxAgeDays: null }, NOW).map(e => [e.record.filename, e.reason]),
+        [['a', 'count'], ['b', 'count']]
+    );
+    assert.deepEqual(
+        planEvictions(records, { maxCount: null, maxBytes: 250, maxAgeDays: null }, NOW).map(e => [e.record.filename, e.reason]),
+        [['a', 'size'], ['b', 'size']]
+    );
+});
+
+test('pinned records never expire but still count towards the limits', () => {
+    const records = [record('a', 40, 100, true), record('b', 10), record('c', 5)];
+
+    assert.deepEqual(
+        planEvictions(records, { maxCount: 2, maxBytes: null, maxAgeDays: 30 }, NOW).map(e => e.record.filename),
+        ['b']
+    );
+});
+
+test('previewEvictions lists what is due now, then the next to go', () => {
+    const records = [record('a', 40), record('b', 10), record('c', 5, 100, true)];
+    const preview = previewEvictions(records, { maxCount: null, maxBytes: null, maxAgeDays: 30 }, NOW, 10);
+
+    assert.deepEqual(preview.map(e => [e.record.filename, e.reason]), [['a', 'age'], ['b', null]]);
+    assert.equal(preview[1].evictAt, new Date(NOW + 20 * DAY).toISOString());
+});
+
+test('a sweep requested while one runs joins it instead of evicting again', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const records = new Map([['a', record('a', 40)], ['b', record('b', 35)]]);
+    const evictions = [];
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+    const sweeper = createSweeper({
+        store: { list: () => [...records.values()] },
+        policies: { image: { maxCount: null, maxBytes: null, maxAgeDays: 30 } },
+        evict: async (r) => {
+            await gate;
+            evictions.push(r.filename);
+            records.delete(r.filename);
+        },
+        intervalMs: DAY
+    });
+
+    const first = sweeper.sweep(NOW);
+    const second = sweeper.sweep(NOW);
+    assert.equal(first, second);
+    release();
+    assert.deepEqual((await first).map(e => e.filename), ['a', 'b']);
+    assert.deepEqual(evictions, ['a', 'b']);
+
+    // Once it has finished, the next call sweeps afresh
+    assert.deepEqual(await sweeper.sweep(NOW), []);
+    assert.equal(sweeper.status().lastSweep.evicted, 0);
+});
+
+test('loadPolicies merges overrides and rejects invalid limits', () => {
+    const policies = loadPolicies('{"image": {"maxCount": 5, "maxAgeDays": null}}');
+    assert.equal(policies.image.maxCount, 5);
+    assert.equal(policies.image.maxAgeDays, null);
+    assert.equal(policies.video.maxCount, 20);
+
+    assert.throws(() => loadPolicies('{"video": {"maxBytes": -1}}'), /Invalid retention maxBytes/);
+});
+
+test('an admin sweep evicts the oldest uploads over the policy', async (t) => {
+    const server = await startServer({ RETENTION_POLICY: '{"image": {"maxCount": 2}}' });
+    t.after(() => server.close());
+
+    const png = await encodeImage(texturedImage(96, 64));
+    const uploaded = [];
+    for (let i = 0; i < 3; i++) {
+        const res = await postFile(`${server.baseUrl}/api/upload`, 'image', png, `photo${i}.png`, 'image/png');
+        uploaded.push((await res.json()).data.filename);
+        // Distinct creation times, so the eviction order is certain
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+
+    assert.equal((await fetch(`${server.baseUrl}/api/admin/retention/sweep`, { method: 'POST' })).status, 401);
+
+    const cookie = await adminCookie(server.baseUrl);
+    const sweep = await fetch(`${server.baseUrl}/api/admin/retention/sweep`, { method: 'POST', headers: { cookie } });
+    const { data } = await sweep.json();
+
+    assert.deepEqual(data.evicted, [{ kind: 'image', filename: uploaded[0], reason: 'count' }]);
+    assert.equal(fs.existsSync(path.join(server.dirs.uploads, uploaded[0])), false);
+
+    const list = (await (await fetch(`${server.baseUrl}/api/images`)).json()).data;
+    assert.deepEqual(list.images.map(i => i.filename).sort(), uploaded.slice(1).sort());
+});
@@ -0,0 +1,302 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { ImageData, texturedImage, encodeImage } = require('./helpers/image-data');
+const RobustWatermark = require('../robust-watermark');
+const Payload = require('../payload');
+const { decodeImage } = require('../lib/image-data');
+
+const { SeededRNG, forwardDct, inverseDct } = RobustWatermark;
+
+const BODY = Payload.encode({
+    keyId: 3,
+    timestamp: 1700000000,
+    deviceHash: 0xC0FFEE,
+    mediaId: Uint8Array.from([1, 2, 3, 4, 5, 6, 7, 8])
+});
+const KEY = { id: 3, key: 'test-watermark-key' };
+
+// One marked image shared by the tests (encoding takes a moment)
+const original = texturedImage(320, 240);
+const marked = RobustWatermark.encode(original, BODY, { key: KEY.key, keyId: KEY.id });
+
+test('encode returns watermarked ImageData, a perceptual hash and the bit count', () => {
+    assert.ok(marked.imageData instanceof ImageData);
+    assert.equal(marked.imageData.width, 320);
+    assert.equal(marked.imageData.height, 240);
+    assert.equal(marked.perceptualHash.length, 63);
+    assert.ok(marked.bitsEmbedded > 0);
+    assert.notDeepEqual(marked.imageData.data, original.data);
+});
+
+test('payload round trip', () => {
+    const result = RobustWatermark.decode(marked.imageData, { keys: [KEY] });
+
+    assert.equal(result.found, true);
+    assert.equal(result.unrecoverable, false);
+    assert.equal(result.keyId, KEY.id);
+    assert.ok(Payload.equals(result.payload, Payload.decode(BODY)));
+    assert.equal(result.message, Payload.describe(Payload.decode(BODY)));
+    assert.equal(result.transform.scale, 1);
+    assert.ok(result.integrity.scores.length > 0);
+});
+
+test('text round trip with the default key', () => {
+    const encoded = RobustWatermark.encode(original, 'RP|hello').imageData;
+    const result = RobustWatermark.decode(encoded);
+
+    assert.equal(result.found, true);
+    assert.equal(result.message, 'RP|hello');
+    assert.equal(RobustWatermark.hasWatermark(encoded), true);
+});
+
+test('survives PNG and JPEG (quality 90) re-encoding', async () => {
+    for (const [format, options] of [['png', {}], ['jpeg', { quality: 90 }]]) {
+        const reloaded = await decodeImage(await encodeImage(marked.imageData, format, options));
+        const result = RobustWatermark.decode(reloaded, { keys: [KEY] });
+        assert.ok(result.payload && Payload.equals(result.payload, Payload.decode(BODY)), format);
+    }
+});
+
+test('survives cropping off the top-left corner', async () => {
+    const cropped = await sharp(await encodeImage(marked.imageData))
+        .extract({ left: 37, top: 21, width: 260, height: 200 })
+        .toBuffer();
+    const result = RobustWatermark.decode(await decodeImage(cropped), { keys: [KEY] });
+
+    assert.ok(result.payload && Payload.equals(result.payload, Payload.decode(BODY)));
+});
+
+// A larger marked photo for the geometric attacks, encoded on first use
+let markedVga = null;
+function vgaPng() {
+    markedVga = markedVga || encodeImage(
+        RobustWatermark.encode(texturedImage(640, 480), BODY, { key: KEY.key, keyId: KEY.id }).imageData);
+    return markedVga;
+}
+
+async function recovers(buffer) {
+    const result = RobustWatermark.decode(await decodeImage(buffer), { keys: [KEY] });
+    return Boolean(result.payload && Payload.equals(result.payload, Payload.decode(BODY)));
+}
+
+test('survives resizing to 75% and 60%', async () => {
+    for (const width of [480, 384]) {
+        assert.ok(await recovers(await sharp(await vgaPng()).resize(width).png().toBuffer()), `${width}px`);
+    }
+});
+
+test('survives resizing to 50% while the result stays around 640x480', async () => {
+    const large = RobustWatermark.encode(texturedImage(1280, 960), BODY, { key: KEY.key, keyId: KEY.id }).imageData;
+    const halved = await sharp(await encodeImage(large)).resize(640).png().toBuffer();
+    assert.ok(await recovers(halved));
+});
+
+test('survives rotations of 2 and 3 degrees', async () => {
+    for (const angle of [2, 3]) {
+        const rotated = await sharp(await vgaPng()).rotate(angle, { background: '#808080' }).png().toBuffer();
+        assert.ok(await recovers(rotated), `${angle} degrees`);
+    }
+});
+
+test('the wrong key does not recover the payload', () => {
+    const result = RobustWatermark.decode(marked.imageData, { keys: [{ id: 3, key: 'some-other-key' }] });
+    assert.equal(result.payload, null);
+});
+
+test('unmarked images are not detected', () => {
+    const result = RobustWatermark.decode(original, { keys: [KEY] });
+    assert.equal(result.found, false);
+    assert.equal(RobustWatermark.hasWatermark(original, { keys: [KEY] }), false);
+});
+
+test('the frame embedder matches encode', () => {
+    const embedder = RobustWatermark.createFrameEmbedder(320, 240, BODY, { key: KEY.key, keyId: KEY.id });
+    const frame = new ImageData(new Uint8ClampedArray(original.data), 320, 240);
+    embedder.embed(frame);
+
+    assert.equal(embedder.bitsEmbedded, marked.bitsEmbedded);
+    assert.deepEqual(frame.data, marked.imageData.data);
+});
+
+test('measureBitErrors is low for a marked image and 0.5 for an unmarked one', () => {
+    assert.equal(RobustWatermark.measureBitErrors(marked.imageData, BODY, { key: KEY.key, keyId: KEY.id }).bitErrorRate, 0);
+    assert.equal(RobustWatermark.measureBitErrors(original, BODY, { key: KEY.key, keyId: KEY.id }).bitErrorRate, 0.5);
+});
+
+// Mean absolute change of each YCbCr channel between two images, over the
+// pixels where `include(x, y)` holds
+function channelChanges(before, after, include = () => true) {
+    const sums = [0, 0, 0];
+    let count = 0;
+    for (let y = 0; y < before.height; y++) {
+        for (let x = 0; x < before.width; x++) {
+            if (!include(x, y)) continue;
+            const i = (y * before.width + x) * 4;
+            const dr = after.data[i] - before.data[i];
+            const dg = after.data[i + 1] - before.data[i + 1];
+            const db = after.data[i + 2] - before.data[i + 2];
+            sums[0] += Math.abs(0.299 * dr + 0.587 * dg + 0.114 * db);
+            sums[1] += Math.abs(-0.168736 * dr - 0.331264 * dg + 0.5 * db);
+            sums[2] += Math.abs(0.5 * dr - 0.418688 * dg - 0.081312 * db);
+            count++;
+        }
+    }
+    return sums.map(sum => sum / count);
+}
+
+test('the watermark changes luma only, leaving the colours alone', () => {
+    const [luma, cb, cr] = channelChanges(original, marked.imageData);
+    assert.ok(luma > 1, `luma ${luma}`);
+    // Only rounding to whole RGB values is left in Cb and Cr
+    assert.ok(cb < 0.3 && cr < 0.3, `chroma ${cb}, ${cr}`);
+});
+
+test('chroma mode embeds more bits and decodes without being told', () => {
+    const options = { key: KEY.key, keyId: KEY.id, chroma: true };
+    const chroma = RobustWatermark.encode(original, BODY, options);
+    const [, cb, cr] = channelChanges(original, chroma.imageData);
+
+    assert.ok(chroma.bitsEmbedded > marked.bitsEmbedded * 1.4);
+    assert.ok(cb > 1 && cr > 1);
+    assert.equal(RobustWatermark.measureBitErrors(chroma.imageData, BODY, options).bitErrorRate, 0);
+    assert.deepEqual(RobustWatermark.createFrameEmbedder(320, 240, BODY, options)
+        .embed(new ImageData(new Uint8ClampedArray(original.data), 320, 240)).data, chroma.imageData.data);
+
+    const result = RobustWatermark.decode(chroma.imageData, { keys: [KEY] });
+    assert.ok(result.payload && Payload.equals(result.payload, Payload.decode(BODY)));
+    assert.ok(result.integrity.scores.every(score => score === 1));
+});
+
+test('a message too long for luma alone fits in chroma mode', () => {
+    const long = 'RP|' + 'long message '.repeat(46);
+    assert.throws(() => RobustWatermark.encode(texturedImage(256, 256), long), /too long/);
+
+    const result = RobustWatermark.decode(RobustWatermark.encode(texturedImage(256, 256), long, { chroma: true }).imageData);
+    assert.equal(result.message, long);
+});
+
+test('masking marks flat areas more weakly than textured ones', () => {
+    // Flat grey on the left, the textured image on the right
+    const image = texturedImage(320, 240);
+    for (let y = 0; y < 240; y++) {
+        image.data.fill(120, y * 320 * 4, (y * 320 + 160) * 4);
+    }
+    const masked = RobustWatermark.encode(image, BODY).imageData;
+    const unmasked = RobustWatermark.encode(image, BODY, { masking: false }).imageData;
+    const flat = (x) => x < 160;
+    const textured = (x) => x >= 160;
+
+    const [flatMasked] = channelChanges(image, masked, flat);
+    const [flatUnmasked] = channelChanges(image, unmasked, flat);
+    const [texturedMasked] = channelChanges(image, masked, textured);
+    const [texturedUnmasked] = channelChanges(image, unmasked, textured);
+    assert.ok(flatMasked < flatUnmasked * 0.7, `flat ${flatMasked} vs ${flatUnmasked}`);
+    assert.ok(texturedMasked > texturedUnmasked * 0.9, `textured ${texturedMasked} vs ${texturedUnmasked}`);
+    assert.equal(RobustWatermark.measureBitErrors(masked, BODY).bitErrorRate, 0);
+});
+
+test('adaptive strength meets a PSNR or SSIM target and decodes without being told', () => {
+    const fixed = RobustWatermark.measureQuality(original, marked.imageData);
+    assert.equal(marked.quality, undefined);
+
+    for (const [target, metric] of [[{ targetPsnr: 39 }, 'psnr'], [{ targetSsim: 0.95 }, 'ssim']]) {
+        const adaptive = RobustWatermark.encode(original, BODY, { key: KEY.key, keyId: KEY.id, ...target });
+        const goal = target.targetPsnr || target.targetSsim;
+        const measured = RobustWatermark.measureQuality(original, adaptive.imageData);
+
+        assert.ok(adaptive.quality[metric] >= goal, `${metric} ${adaptive.quality[metric]}`);
+        // Spent, not just met: the budget goes on robustness
+        assert.ok(adaptive.quality[metric] - goal < (metric === 'psnr' ? 0.5 : 0.005), `${metric} ${adaptive.quality[metric]}`);
+        assert.ok(measured[metric] > fixed[metric]);
+        assert.ok(Math.abs(measured.psnr - adaptive.quality.psnr) < 0.01);
+
+        const result = RobustWatermark.decode(adaptive.imageData, { keys: [KEY] });
+        assert.ok(result.payload && Payload.equals(result.payload, Payload.decode(BODY)));
+    }
+});
+
+test('an unreachable target marks every block as weakly as decoding allows', () => {
+    const progress = [];
+    const result = RobustWatermark.encode(original, BODY, { targetPsnr: 80, onProgress: (done, total) => progress.push([done, total]) });
+
+    assert.ok(result.quality.psnr < 80);
+    assert.equal(RobustWatermark.measureBitErrors(result.imageData, BODY).bitErrorRate, 0);
+    assert.deepEqual(progress.at(-1), [progress[0][1], progress[0][1]]);
+    assert.ok(progress.every(([done], i) => i === 0 || done > progress[i - 1][0]));
+});
+
+test('measureQuality is exact for identical images and rejects a size mismatch', () => {
+    assert.deepEqual(RobustWatermark.measureQuality(original, original), { psnr: Infinity, ssim: 1 });
+    assert.throws(() => RobustWatermark.measureQuality(original, texturedImage(32, 32)), /sizes differ/);
+});
+
+test('encode rejects images too small for the message', () => {
+    assert.throws(() => RobustWatermark.encode(texturedImage(32, 32), BODY), /too small/);
+});
+
+test('the perceptual hash survives watermarking but not mirroring', () => {
+    const mirrored = new ImageData(320, 240);
+    for (let y = 0; y < 240; y++) {
+        for (let x = 0; x < 320; x++) {
+            const from = (y * 320 + x) * 4;
+            mirrored.data.set(original.data.subarray(from, from + 4), (y * 320 + 319 - x) * 4);
+        }
+    }
+
+    assert.equal(RobustWatermark.verifyPerceptualHash(marked.imageData, RobustWatermark.computePerceptualHash(original)).isMatch, true);
+    assert.equal(RobustWatermark.verifyPerceptualHash(mirrored, marked.perceptualHash).isMatch, false);
+});
+
+test('the fast DCT matches the orthonormal DCT-II and inverts it', () => {
+    const c = k => (k === 0 ? Math.SQRT1_2 : 1) * Math.sqrt(2 / 8);
+    const cos = (n, k) => Math.cos((2 * n + 1) * k * Math.PI / 16);
+    const rng = new SeededRNG('dct');
+    const samples = Float32Array.from({ length: 64 }, () => rng.next() * 255);
+
+    const coefficients = forwardDct(Float32Array.from(samples));
+    for (let u = 0; u < 8; u++) {
+        for (let v = 0; v < 8; v++) {
+            let expected = 0;
+            for (let y = 0; y < 8; y++) {
+                for (let x = 0; x < 8; x++) {
+                    expected += c(u) * c(v) * cos(y, u) * cos(x, v) * samples[y * 8 + x];
+                }
+            }
+            assert.ok(Math.abs(coefficients[u * 8 + v] - expected) < 1e-3, `coefficient ${u},${v}`);
+        }
+    }
+
+    const restored = inverseDct(coefficients);
+    for (let i = 0; i < 64; i++) {
+        assert.ok(Math.abs(restored[i] - samples[i]) < 1e-3);
+    }
+});
+
+test('SeededRNG is deterministic per seed', () => {
+    const a = new SeededRNG('seed');
+    const b = new SeededRNG('seed');
+    const c = new SeededRNG('other');
+    const first = Array.from({ length: 5 }, () => a.next());
+
+    assert.deepEqual(first, Array.from({ length: 5 }, () => b.next()));
+    assert.notDeepEqual(first, Array.from({ length: 5 }, () => c.next()));
+    for (const value of first) {
+        assert.ok(value >= 0 && value <= 1);
+    }
+});
+
+test('SeededRNG nextInt stays in range and shuffle permutes without mutating', () => {
+    const rng = new SeededRNG('range');
+    for (let i = 0; i < 200; i++) {
+        const value = rng.nextInt(3, 7);
+        assert.ok(Number.isInteger(value) && value >= 3 && value <= 7);
+    }
+
+    const items = Array.from({ length: 20 }, (_, i) => i);
+    const shuffled = new SeededRNG('shuffle').shuffle(items);
+    assert.deepEqual(items, Array.from({ length: 20 }, (_, i) => i));
+    assert.deepEqual([...shuffled].sort((x, y) => x - y), items);
+    assert.notDeepEqual(shuffled, items);
+    assert.deepEqual(new SeededRNG('shuffle').shuffle(items), shuffled);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { texturedImage, encodeImage } = require('./helpers/image-data');
+const { startServer, postFile } = require('./helpers/server');
+const watermarkPool = require('../lib/watermark-pool');
+const RobustWatermark = require('../robust-watermark');
+const Steganography = require('../steganography');
+const Verifier = require('../verifier');
+
+// A pool whose threads have all died: every task rejects
+const deadThread = () => Promise.reject(new Error('Watermark thread exited'));
+test.mock.method(watermarkPool, 'createWatermarkPool', () => ({
+    run: deadThread,
+    fingerprint: deadThread,
+    modules: () => ({
+        robust: { ...RobustWatermark, decode: deadThread, computePerceptualHash: deadThread },
+        lsb: { ...Steganography, decode: deadThread, checkSeal: deadThread }
+    })
+}));
+
+let server;
+let png;
+
+test.before(async () => {
+    server = await startServer();
+    png = await encodeImage(texturedImage(160, 120));
+});
+
+test.after(() => server.close());
+
+async function expectServerError(res) {
+    assert.equal(res.status, 500);
+    const body = await res.json();
+    assert.equal(body.success, false);
+    return body.error;
+}
+
+test('POST /api/verify answers 500 when verification fails', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    t.mock.method(Verifier, 'verify', deadThread);
+
+    const res = await postFile(`${server.baseUrl}/api/verify`, 'image', png, 'photo.png', 'image/png');
+    assert.equal(await expectServerError(res), 'Watermark thread exited');
+});
+
+test('POST /api/match answers 500 when hashing fails', async (t) => {
+    t.mock.method(console, 'error', () => {});
+
+    const res = await postFile(`${server.baseUrl}/api/match`, 'image', png, 'photo.png', 'image/png');
+    assert.equal(await expectServerError(res), 'Watermark thread exited');
+});
+
+test('GET /api/verify answers 500 when verifying the stored image fails', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    t.mock.method(console, 'warn', () => {});
+    const upload = await postFile(`${server.baseUrl}/api/upload`, 'image', png, 'photo.png', 'image/png');
+    const { shareUrl } = (await upload.json()).data;
+    t.mock.method(Verifier, 'verify', deadThread);
+
+    const res = await fetch(`${server.baseUrl}/api/verify?url=${encodeURIComponent(shareUrl)}`);
+    assert.equal(await expectServerError(res), 'Watermark thread exited');
+});
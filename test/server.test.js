@@ -0,0 +1,183 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { texturedImage, encodeImage } = require('./helpers/image-data');
+const { startServer, adminCookie, postFile } = require('./helpers/server');
+
+// Enough of a WebM header for the upload route, which never parses it
+const WEBM = Buffer.concat([Buffer.from([0x1A, 0x45, 0xDF, 0xA3]), crypto.randomBytes(512)]);
+
+let server;
+let png;
+
+test.before(async () => {
+    server = await startServer();
+    png = await encodeImage(texturedImage(96, 64));
+});
+
+test.after(() => server.close());
+
+function url(route) {
+    return `${server.baseUrl}${route}`;
+}
+
+async function uploadImage() {
+    const res = await postFile(url('/api/upload'), 'image', png, 'photo.png', 'image/png');
+    assert.equal(res.status, 200);
+    return (await res.json()).data;
+}
+
+async function uploadVideo() {
+    const res = await postFile(url('/api/upload-video'), 'video', WEBM, 'clip.webm', 'video/webm');
+    assert.equal(res.status, 200);
+    return (await res.json()).data;
+}
+
+test('POST /api/upload stores the image and returns its links and delete token', async () => {
+    const data = await uploadImage();
+
+    assert.match(data.filename, /^[0-9a-f]{16}\.png$/);
+    assert.equal(data.url, `/uploads/${data.filename}`);
+    assert.equal(data.shareUrl, `/share/${data.filename}`);
+    assert.equal(data.sha256, crypto.createHash('sha256').update(png).digest('hex'));
+    assert.ok(data.deleteToken);
+    assert.deepEqual(fs.readFileSync(path.join(server.dirs.uploads, data.filename)), png);
+
+    const served = await fetch(url(data.url));
+    assert.equal(served.status, 200);
+    assert.equal(served.headers.get('content-type'), 'image/png');
+    assert.deepEqual(Buffer.from(await served.arrayBuffer()), png);
+});
+
+test('POST /api/upload rejects missing files and non-images', async () => {
+    const empty = await fetch(url('/api/upload'), { method: 'POST', body: new FormData() });
+    assert.equal(empty.status, 400);
+
+    const text = await postFile(url('/api/upload'), 'image', Buffer.from('hello'), 'notes.txt', 'text/plain');
+    assert.equal(text.status, 400);
+    assert.equal((await text.json()).success, false);
+});
+
+test('POST /api/upload keeps a safe extension only', async () => {
+    const res = await postFile(url('/api/upload'), 'image', png, '../../evil.php', 'image/png');
+    const { data } = await res.json();
+    assert.match(data.filename, /^[0-9a-f]{16}\.png$/);
+});
+
+test('POST /api/upload-video stores the video', async () => {
+    const data = await uploadVideo();
+
+    assert.match(data.filename, /^[0-9a-f]{16}\.webm$/);
+    assert.equal(data.shareUrl, `/share-video/${data.filename}`);
+    assert.deepEqual(fs.readFileSync(path.join(server.dirs.videos, data.filename)), WEBM);
+
+    const range = await fetch(url(data.url), { headers: { range: 'bytes=0-3' } });
+    assert.equal(range.status, 206);
+    assert.deepEqual(Buffer.from(await range.arrayBuffer()), WEBM.subarray(0, 4));
+});
+
+test('POST /api/upload-video rejects non-videos', async () => {
+    const res = await postFile(url('/api/upload-video'), 'video', Buffer.from('hello'), 'notes.txt', 'text/plain');
+    assert.equal(res.status, 400);
+});
+
+test('GET /api/images and /api/videos list uploads', async () => {
+    const image = await uploadImage();
+    const video = await uploadVideo();
+
+    const images = (await (await fetch(url('/api/images'))).json()).data;
+    assert.ok(images.images.some(i => i.filename === image.filename && i.shareUrl === image.shareUrl));
+    assert.equal(images.count, images.images.length);
+
+    const videos = (await (await fetch(url('/api/videos'))).json()).data;
+    assert.ok(videos.videos.some(v => v.filename === video.filename));
+    assert.equal(videos.count, videos.videos.length);
+});
+
+test('GET /api/image/:filename is for admins only', async () => {
+    const image = await uploadImage();
+
+    assert.equal((await fetch(url(`/api/image/${image.filename}`))).status, 401);
+
+    const cookie = await adminCookie(server.baseUrl);
+    const res = await fetch(url(`/api/image/${image.filename}`), { headers: { cookie } });
+    assert.equal(res.status, 200);
+    const { data } = await res.json();
+    assert.equal(data.filename, image.filename);
+    assert.equal(data.originalName, 'photo.png');
+    assert.equal(data.sha256, image.sha256);
+
+    assert.equal((await fetch(url('/api/image/0000000000000000.png'), { headers: { cookie } })).status, 404);
+});
+
+test('DELETE /api/image/:filename needs the delete token or an admin session', async () => {
+    const image = await uploadImage();
+    const route = url(`/api/image/${image.filename}`);
+
+    assert.equal((await fetch(route, { method: 'DELETE' })).status, 403);
+    assert.equal((await fetch(route, { method: 'DELETE', headers: { 'x-delete-token': 'wrong' } })).status, 403);
+
+    const res = await fetch(route, { method: 'DELETE', headers: { 'x-delete-token': image.deleteToken } });
+    assert.equal(res.status, 200);
+    assert.equal(fs.existsSync(path.join(server.dirs.uploads, image.filename)), false);
+    assert.equal((await fetch(url(image.url))).status, 404);
+    assert.equal((await fetch(route, { method: 'DELETE', headers: { 'x-delete-token': image.deleteToken } })).status, 404);
+});
+
+test('DELETE /api/video/:filename works for admins', async () => {
+    const video = await uploadVideo();
+    const cookie = await adminCookie(server.baseUrl);
+
+    const res = await fetch(url(`/api/video/${video.filename}`), { method: 'DELETE', headers: { cookie } });
+    assert.equal(res.status, 200);
+    assert.equal(fs.existsSync(path.join(server.dirs.videos, video.filename)), false);
+});
+
+test('share pages inject the filename and 404 for unknown or malformed names', async () => {
+    const image = await uploadImage();
+    const video = await uploadVideo();
+
+    const page = await fetch(url(image.shareUrl));
+    assert.equal(page.status, 200);
+    assert.ok((await page.text()).includes(`window.SHARE_FILENAME = "${image.filename}"`));
+
+    const videoPage = await fetch(url(video.shareUrl));
+    assert.equal(videoPage.status, 200);
+    assert.ok((await videoPage.text()).includes(`window.SHARE_FILENAME = "${video.filename}"`));
+
+    assert.equal((await fetch(url('/share/0000000000000000.png'))).status, 404);
+    assert.equal((await fetch(url('/share/..%2Fserver.js'))).status, 404);
+    assert.equal((await fetch(url(`/share-video/${image.filename}`))).status, 404);
+});
+
+test('admin login rejects wrong credentials', async () => {
+    const res = await fetch(url('/api/admin/login'), {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ username: 'admin', password: 'nope' })
+    });
+    assert.equal(res.status, 401);
+    assert.equal(res.headers.get('set-cookie'), null);
+});
+
+test('admin login sets an HttpOnly session cookie that logout revokes', async () => {
+    const cookie = await adminCookie(server.baseUrl);
+    assert.equal((await fetch(url('/api/admin/keys'), { headers: { cookie } })).status, 200);
+
+    const logout = await fetch(url('/api/admin/logout'), { method: 'POST', headers: { cookie } });
+    assert.equal(logout.status, 200);
+    assert.match(logout.headers.get('set-cookie'), /Max-Age=0/);
+
+    assert.equal((await fetch(url('/api/admin/keys'), { headers: { cookie } })).status, 401);
+});
+
+test('admin sessions expire after 24 hours', async (t) => {
+    const cookie = await adminCookie(server.baseUrl);
+    assert.equal((await fetch(url('/api/admin/keys'), { headers: { cookie } })).status, 200);
+
+    const now = Date.now();
+    t.mock.method(Date, 'now', () => now + 24 * 60 * 60 * 1000 + 1000);
+    assert.equal((await fetch(url('/api/admin/keys'), { headers: { cookie } })).status, 401);
+});
@@ -0,0 +1,202 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { ImageData, texturedImage } = require('./helpers/image-data');
+const RobustWatermark = require('../robust-watermark');
+const Steganography = require('../steganography');
+const Payload = require('../payload');
+
+const BODY = Payload.encode({ timestamp: 1700000000, deviceHash: 42, mediaId: new Uint8Array(8).fill(7) });
+
+// An image in the original format: 0xCAFE, the message length in bits and
+// the message, in the lowest bits of the RGB samples in order
+function legacyImage(image, bits) {
+    const stream = (0xCAFE).toString(2).padStart(16, '0') + bits.length.toString(2).padStart(32, '0') + bits;
+    const data = new Uint8ClampedArray(image.data);
+    for (let i = 0, bit = 0; bit < stream.length; i++) {
+        if ((i + 1) % 4 === 0) continue;
+        data[i] = (data[i] & 0xFE) | Number(stream[bit++]);
+    }
+    return new ImageData(data, image.width, image.height);
+}
+
+test('encode returns a new ImageData and leaves the input untouched', () => {
+    const image = texturedImage(64, 64);
+    const before = new Uint8ClampedArray(image.data);
+
+    const encoded = Steganography.encode(image, 'hello');
+
+    assert.ok(encoded instanceof ImageData);
+    assert.deepEqual(image.data, before);
+    assert.notDeepEqual(encoded.data, before);
+});
+
+test('encode only touches the lowest bit of RGB and never alpha', () => {
+    const image = texturedImage(64, 64);
+    const encoded = Steganography.encode(image, 'hello');
+
+    for (let i = 0; i < image.data.length; i++) {
+        if ((i + 1) % 4 === 0) {
+            assert.equal(encoded.data[i], image.data[i]);
+        } else {
+            assert.ok(Math.abs(encoded.data[i] - image.data[i]) <= 1);
+        }
+    }
+});
+
+test('hasHiddenData detects encoded images', () => {
+    const image = texturedImage(64, 64);
+    assert.equal(Steganography.hasHiddenData(Steganography.encode(image, 'hello')), true);
+    assert.equal(Steganography.hasHiddenData(new ImageData(64, 64)), false);
+});
+
+test('decode returns null for images without hidden data', () => {
+    assert.equal(Steganography.decode(new ImageData(64, 64)), null);
+});
+
+test('encode rejects messages that do not fit', () => {
+    assert.throws(() => Steganography.encode(new ImageData(4, 4), 'far too long for sixteen pixels'), /too long/);
+});
+
+test('text round trip', () => {
+    const encoded = Steganography.encode(texturedImage(64, 64), 'RealPic test message');
+    assert.deepEqual(Steganography.decode(encoded), { message: 'RealPic test message', payload: null, keyId: 0, depth: 1 });
+});
+
+test('payload round trip', () => {
+    const decoded = Steganography.decode(Steganography.encode(texturedImage(64, 64), BODY));
+
+    assert.ok(decoded.payload);
+    assert.ok(Payload.equals(decoded.payload, Payload.decode(BODY)));
+});
+
+test('bits are scattered along a keyed path that only the key can read', () => {
+    const image = texturedImage(64, 64);
+    const encoded = Steganography.encode(image, BODY, { key: 'lsb-key' });
+    const keys = [{ id: 1, key: 'other-key' }, { id: 5, key: 'lsb-key' }];
+
+    assert.equal(Steganography.decode(encoded), null);
+    assert.equal(Steganography.hasHiddenData(encoded), false);
+    assert.equal(Steganography.decode(encoded, { keys }).keyId, 5);
+    assert.equal(Steganography.hasHiddenData(encoded, { keys }), true);
+
+    // Changes reach every quarter of the image, not just the first rows
+    const quarter = image.data.length / 4;
+    for (let q = 0; q < 4; q++) {
+        const from = q * quarter;
+        assert.notDeepEqual(encoded.data.subarray(from, from + quarter), image.data.subarray(from, from + quarter));
+    }
+});
+
+test('depth 2 doubles the capacity and changes each sample by at most 2', () => {
+    const image = texturedImage(64, 64);
+    const one = Steganography.capacity(64, 64);
+    const two = Steganography.capacity(64, 64, { depth: 2 });
+    assert.ok(two > one * 1.99);
+
+    const long = new Uint8Array(two).map((_, i) => i * 31);
+    assert.throws(() => Steganography.encode(image, long), /too long/);
+    const encoded = Steganography.encode(image, long, { depth: 2 });
+    for (let i = 0; i < image.data.length; i++) {
+        assert.ok(Math.abs(encoded.data[i] - image.data[i]) <= ((i + 1) % 4 === 0 ? 0 : 2));
+    }
+
+    const decoded = Steganography.decode(encoded);
+    assert.equal(decoded.depth, 2);
+    assert.equal(decoded.payload, null);
+    assert.throws(() => Steganography.encode(image, long.subarray(0, 10), { depth: 3 }), /depth/);
+});
+
+test('capacity is the longest message encode accepts', () => {
+    const image = texturedImage(40, 30);
+    const capacity = Steganography.capacity(40, 30);
+    assert.equal(capacity, Math.floor(((40 * 30 * 3 - 48) - 32) / 8));
+
+    Steganography.encode(image, new Uint8Array(capacity));
+    assert.throws(() => Steganography.encode(image, new Uint8Array(capacity + 1)), /too long/);
+    assert.throws(() => Steganography.encode(image, 'x'.repeat(capacity / 2 + 1)), /too long/);
+    assert.equal(Steganography.capacity(4, 4), 0);
+});
+
+test('a damaged message fails its CRC', () => {
+    const image = texturedImage(40, 30);
+    const encoded = Steganography.encode(image, new Uint8Array(Steganography.capacity(40, 30)).fill(0xA5));
+    encoded.data[8] ^= 1;
+
+    assert.equal(Steganography.hasHiddenData(encoded), true);
+    assert.equal(Steganography.decode(encoded), null);
+});
+
+test('images in the original sequential format still decode', () => {
+    const bits = Array.from(BODY, byte => byte.toString(2).padStart(8, '0')).join('');
+    const legacy = legacyImage(texturedImage(64, 64), bits);
+
+    assert.equal(Steganography.hasHiddenData(legacy), true);
+    const decoded = Steganography.decode(legacy);
+    assert.equal(decoded.keyId, null);
+    assert.ok(Payload.equals(decoded.payload, Payload.decode(BODY)));
+
+    const text = [...'legacy text'].map(char => char.charCodeAt(0).toString(2).padStart(16, '0')).join('');
+    assert.equal(Steganography.decode(legacyImage(texturedImage(64, 64), text)).message, 'legacy text');
+});
+
+test('the seal holds on an untouched image and pinpoints edited blocks', () => {
+    // Not a whole number of 16px blocks, so the edge blocks are partial
+    const sealed = Steganography.seal(texturedImage(70, 50), { id: 'a1b2' });
+    const check = Steganography.checkSeal(sealed, { id: 'a1b2' });
+    assert.equal(check.intact, true);
+    assert.equal(check.keyId, 0);
+    assert.deepEqual([check.cols, check.rows, check.cellSize], [5, 4, 16]);
+    assert.ok(check.scores.every(score => score === 1));
+
+    // One step in one pixel's red, and the alpha of a corner pixel
+    sealed.data[(20 * 70 + 40) * 4] ^= 4;
+    sealed.data[(49 * 70 + 69) * 4 + 3] = 254;
+    const edited = Steganography.checkSeal(sealed, { id: 'a1b2' });
+    assert.equal(edited.intact, false);
+    assert.equal(edited.changed, 2);
+    assert.deepEqual(edited.scores.flatMap((score, cell) => score ? [] : [cell]), [1 * 5 + 2, 3 * 5 + 4]);
+});
+
+test('a seal only checks out under its key and ID', () => {
+    const sealed = Steganography.seal(texturedImage(64, 64), { key: 'seal-key', id: 'a1b2' });
+
+    assert.equal(Steganography.checkSeal(sealed, { key: 'seal-key', id: 'ffff' }), null);
+    assert.equal(Steganography.checkSeal(sealed, { id: 'a1b2' }), null);
+    assert.equal(Steganography.checkSeal(texturedImage(64, 64), { key: 'seal-key', id: 'a1b2' }), null);
+    assert.equal(Steganography.checkSeal(sealed, { keys: [{ id: 1, key: 'other' }, { id: 6, key: 'seal-key' }], id: 'a1b2' }).keyId, 6);
+});
+
+test('the seal digest covers every block MAC, so re-sealing an edit changes it', () => {
+    const sealed = Steganography.seal(texturedImage(64, 64), { id: 'a1b2' });
+    const check = Steganography.checkSeal(sealed, { id: 'a1b2' });
+
+    // Whole blocks carry all 64 MAC bits: the first 64 RGB samples, row by row
+    const macs = [];
+    for (let block = 0; block < 16; block++) {
+        const left = (block % 4) * 16;
+        const top = Math.floor(block / 4) * 16;
+        let bits = '';
+        for (let k = 0; k < 64; k++) {
+            const pixel = Math.floor(k / 3);
+            bits += sealed.data[((top + Math.floor(pixel / 16)) * 64 + left + pixel % 16) * 4 + k % 3] & 1;
+        }
+        for (let i = 0; i < 64; i += 8) macs.push(parseInt(bits.substr(i, 8), 2));
+    }
+    assert.equal(check.digest, crypto.createHash('sha256').update(Buffer.from(macs)).digest('hex'));
+
+    sealed.data[(20 * 64 + 40) * 4] ^= 4;
+    const resealed = Steganography.checkSeal(Steganography.seal(sealed, { id: 'a1b2' }), { id: 'a1b2' });
+    assert.equal(resealed.intact, true);
+    assert.notEqual(resealed.digest, check.digest);
+});
+
+test('sealing leaves the robust watermark readable and changes only the lowest bit', () => {
+    const marked = RobustWatermark.encode(texturedImage(256, 192), BODY).imageData;
+    const sealed = Steganography.seal(marked, { id: Payload.decode(BODY).mediaId });
+
+    for (let i = 0; i < marked.data.length; i++) {
+        assert.ok(Math.abs(sealed.data[i] - marked.data[i]) <= ((i + 1) % 4 === 0 ? 0 : 1));
+    }
+    assert.ok(Payload.equals(RobustWatermark.decode(sealed).payload, Payload.decode(BODY)));
+});
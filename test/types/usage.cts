@@ -0,0 +1,14 @@
+// Compiled by `npm run typecheck` against the package's own exports, not run
+
+import realpic = require('realpic-lite');
+
+declare const frames: ImageData[];
+
+const reader = realpic.RobustWatermark.createFrameReader({ keys: [{ id: 0, key: 'secret' }] });
+frames.forEach(frame => reader.add(frame));
+const { frames: reports, keyId } = reader.finish();
+const agreements: Array<number | null> = reports.map(report => report.agreement);
+const geometry: string = realpic.Verifier.describeGeometry(reports[0].transform);
+const errors: number = realpic.RobustWatermark.measureBitErrors(frames[0], 'RP|text').bitErrorRate;
+
+export { keyId, agreements, geometry, errors };
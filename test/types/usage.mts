@@ -0,0 +1,29 @@
+// Compiled by `npm run typecheck` against the package's own exports, not run
+
+import realpic, { Payload, RobustWatermark, Steganography, Verifier, verify } from 'realpic-lite';
+import type { DecodeResult, Verdict, WatermarkKey } from 'realpic-lite';
+
+declare const image: ImageData;
+const keys: WatermarkKey[] = [{ id: 1, key: 'secret' }];
+
+const body = Payload.encode({ keyId: 1, timestamp: 1700000000, mediaId: new Uint8Array(8), signed: true });
+const { imageData, bitsEmbedded } = RobustWatermark.encode(image, body, { key: 'secret', keyId: 1 });
+const decoded: DecodeResult = RobustWatermark.decode(imageData, { keys });
+const detected: boolean = RobustWatermark.hasWatermark(imageData, { keys });
+const mediaId: string | undefined = decoded.payload?.mediaId;
+const cells = decoded.integrity ? decoded.integrity.cols * decoded.integrity.rows : 0;
+const achieved: number | undefined = RobustWatermark.encode(image, body, { targetPsnr: 40, chroma: true }).quality?.ssim;
+
+const lsb = Steganography.decode(Steganography.encode(image, body, { key: 'secret', depth: 2 }), { keys });
+const note: string | null | undefined = lsb?.payload?.note;
+const room: number = Steganography.capacity(image.width, image.height, { depth: 2 }) - body.length;
+const sealed = Steganography.seal(imageData, { key: 'secret', id: mediaId });
+const changedBlocks: number | undefined = Steganography.checkSeal(sealed, { keys, id: mediaId })?.changed;
+
+const verdict: Verdict = await verify(imageData, { keys, verifySignature: async payload => payload.signature !== null });
+const sealIntact: boolean | undefined = verdict.seal?.intact;
+const matched: boolean | null = Verifier.matchRecord(verdict, decoded.payload).matchesRecord;
+const status: 'valid' | 'invalid' | 'unsigned' | 'unchecked' = verdict.signature;
+const sameModule: typeof RobustWatermark = realpic.RobustWatermark;
+
+export { bitsEmbedded, detected, mediaId, cells, achieved, note, room, changedBlocks, sealIntact, matched, status, sameModule };
@@ -0,0 +1,244 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { texturedImage, encodeImage } = require('./helpers/image-data');
+const sharp = require('sharp');
+const { startServer, adminCookie, postFile } = require('./helpers/server');
+const RobustWatermark = require('../robust-watermark');
+const Steganography = require('../steganography');
+const Payload = require('../payload');
+
+const SIGN_RATE_LIMIT = 20;
+
+let server;
+
+test.before(async () => {
+    server = await startServer({ SIGN_RATE_LIMIT: String(SIGN_RATE_LIMIT) });
+});
+
+test.after(() => server.close());
+
+function url(route) {
+    return `${server.baseUrl}${route}`;
+}
+
+function sign(deviceHash = 1) {
+    return fetch(url('/api/sign'), {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ deviceHash })
+    });
+}
+
+async function signedCapture() {
+    const res = await sign();
+    assert.equal(res.status, 200);
+    return (await res.json()).data;
+}
+
+// PNG of `image` carrying an issued payload, as the capture page embeds it
+function markedPng(capture, image, { seal = false } = {}) {
+    const marked = RobustWatermark.encode(image, Payload.fromBase64(capture.payload), {
+        key: capture.watermarkKey,
+        keyId: capture.keyId
+    }).imageData;
+    return encodeImage(seal ? Steganography.seal(marked, { key: capture.watermarkKey, id: capture.id }) : marked);
+}
+
+// The same image mirrored, so it looks nothing like the original
+function mirrored(image) {
+    const copy = texturedImage(image.width, image.height);
+    for (let y = 0; y < image.height; y++) {
+        for (let x = 0; x < image.width; x++) {
+            const from = (y * image.width + image.width - 1 - x) * 4;
+            copy.data.set(image.data.subarray(from, from + 4), (y * image.width + x) * 4);
+        }
+    }
+    return copy;
+}
+
+async function upload(png, capture) {
+    const res = await postFile(url('/api/upload'), 'image', png, 'photo.png', 'image/png',
+        capture ? { payload: capture.payload } : {});
+    assert.equal(res.status, 200);
+    return (await res.json()).data;
+}
+
+async function verify(png) {
+    const res = await postFile(url('/api/verify'), 'image', png, 'photo.png', 'image/png');
+    assert.equal(res.status, 200);
+    return (await res.json()).data;
+}
+
+test('an uploaded capture is attested and verifies as authentic', async () => {
+    const capture = await signedCapture();
+    const png = await markedPng(capture, texturedImage(320, 240));
+    await upload(png, capture);
+
+    const res = await fetch(url(`/api/attestations/${capture.id}`));
+    assert.equal(res.status, 200);
+    const attestation = Payload.decodeAttestation(Payload.fromBase64((await res.json()).data.attestation));
+    assert.equal(attestation.mediaId, capture.id);
+    assert.equal(attestation.keyId, capture.keyId);
+
+    const verdict = await verify(png);
+    assert.equal(verdict.type, 'success');
+    assert.equal(verdict.title, 'Authentic RealPic Watermark');
+    assert.equal(verdict.attestation.matches, true);
+});
+
+test('only an attested seal shows that no pixel has changed', async () => {
+    const capture = await signedCapture();
+    const png = await markedPng(capture, texturedImage(320, 240), { seal: true });
+    const unattested = await verify(png);
+    assert.equal(unattested.seal.intact, true);
+    assert.doesNotMatch(unattested.subtitle, /no pixel/);
+
+    await upload(png, capture);
+    const verdict = await verify(png);
+    assert.equal(verdict.title, 'Authentic RealPic Watermark');
+    assert.equal(verdict.attestation.sealMatches, true);
+    assert.match(verdict.subtitle, /no pixel has changed/);
+});
+
+test('a signed payload on an image that was never attested is not called authentic', async () => {
+    const capture = await signedCapture();
+    const verdict = await verify(await markedPng(capture, texturedImage(320, 240)));
+
+    assert.equal(verdict.signature, 'valid');
+    assert.equal(verdict.title, 'Signed RealPic Watermark');
+    assert.equal(verdict.attestation, null);
+    assert.equal((await fetch(url(`/api/attestations/${capture.id}`))).status, 404);
+});
+
+test('another image carrying an attested payload differs from the capture', async () => {
+    const capture = await signedCapture();
+    const original = texturedImage(320, 240);
+    await upload(await markedPng(capture, original), capture);
+
+    // Only the first upload of a capture is attested
+    const other = await markedPng(capture, mirrored(original));
+    await upload(other, capture);
+
+    const verdict = await verify(other);
+    assert.equal(verdict.signature, 'valid');
+    assert.equal(verdict.type, 'warning');
+    assert.equal(verdict.title, 'Image Differs From Capture');
+    assert.equal(verdict.attestation.matches, false);
+});
+
+test('POST /api/sign issues a signed payload under the active key', async () => {
+    const keys = (await (await fetch(url('/api/keys'))).json()).data.keys;
+    const capture = await signedCapture();
+    const payload = Payload.decode(Payload.fromBase64(capture.payload));
+
+    assert.equal(capture.keyId, keys.find(k => k.active).id);
+    assert.equal(payload.keyId, capture.keyId);
+    assert.equal(payload.mediaId, capture.id);
+    assert.equal(payload.deviceHash, 1);
+    assert.ok(payload.signature);
+    assert.ok(Math.abs(payload.timestamp - Date.now() / 1000) < 60);
+
+    for (const deviceHash of [-1, 2 ** 32, 'abc', 1.5]) {
+        assert.equal((await sign(deviceHash)).status, 400, String(deviceHash));
+    }
+});
+
+test('GET /api/keys lists public keys only', async () => {
+    const res = await fetch(url('/api/keys'));
+    assert.equal(res.status, 200);
+    const { algorithm, keys } = (await res.json()).data;
+
+    assert.equal(algorithm, 'ECDSA-P256-SHA256');
+    assert.equal(keys.filter(k => k.active).length, 1);
+    for (const key of keys) {
+        assert.deepEqual(Object.keys(key).sort(), ['active', 'createdAt', 'id', 'publicKey', 'watermarkKey']);
+        assert.deepEqual(Object.keys(key.publicKey).sort(), ['crv', 'kty', 'x', 'y']);
+    }
+});
+
+test('POST /api/verify rejects missing and undecodable images and reports unmarked ones', async () => {
+    const empty = await fetch(url('/api/verify'), { method: 'POST', body: new FormData() });
+    assert.equal(empty.status, 400);
+
+    const text = await postFile(url('/api/verify'), 'image', Buffer.from('not an image'), 'photo.png', 'image/png');
+    assert.equal(text.status, 422);
+
+    const verdict = await verify(await encodeImage(texturedImage(160, 120, 5)));
+    assert.equal(verdict.type, 'error');
+    assert.equal(verdict.title, 'No Watermark Found');
+    assert.equal(verdict.width, 160);
+    assert.equal(verdict.height, 120);
+});
+
+test('GET /api/verify checks a stored image by its share link against its record', async () => {
+    const capture = await signedCapture();
+    const png = await markedPng(capture, texturedImage(320, 240, 2));
+    const { shareUrl, url: mediaUrl, filename } = await upload(png, capture);
+
+    for (const link of [shareUrl, url(mediaUrl)]) {
+        const res = await fetch(url(`/api/verify?url=${encodeURIComponent(link)}`));
+        assert.equal(res.status, 200, link);
+        const data = (await res.json()).data;
+        assert.equal(data.filename, filename);
+        assert.equal(data.recorded.signature, 'valid');
+        assert.equal(data.recorded.keyId, capture.keyId);
+        assert.equal(data.checksum, 'match');
+        assert.equal(data.matchesRecord, true);
+        assert.equal(data.verdict.title, 'Authentic RealPic Watermark');
+    }
+
+    const foreign = await fetch(url(`/api/verify?url=${encodeURIComponent(`https://elsewhere.example${shareUrl}`)}`));
+    assert.equal(foreign.status, 400);
+    const missing = await fetch(url(`/api/verify?url=${encodeURIComponent('/share/0000000000000000.png')}`));
+    assert.equal(missing.status, 404);
+});
+
+test('POST /api/match finds a stored image from a recompressed copy', async () => {
+    const original = texturedImage(320, 240, 3);
+    const { filename } = await upload(await encodeImage(original));
+
+    const copy = await sharp(await encodeImage(original)).resize(200).jpeg({ quality: 60 }).toBuffer();
+    const res = await postFile(url('/api/match'), 'image', copy, 'copy.jpg', 'image/jpeg');
+    assert.equal(res.status, 200);
+    const { matches, hash, searched } = (await res.json()).data;
+
+    assert.match(hash, /^[0-9a-f]+$/);
+    assert.ok(searched >= 1);
+    assert.equal(matches[0].filename, filename);
+    assert.ok(matches[0].distance <= 10);
+
+    const unrelated = await postFile(url('/api/match'), 'image', await encodeImage(mirrored(original)), 'other.png', 'image/png');
+    assert.ok(!(await unrelated.json()).data.matches.some(m => m.filename === filename));
+});
+
+test('images signed before a key rotation keep verifying under their key ID', async () => {
+    const before = await signedCapture();
+    const png = await markedPng(before, texturedImage(320, 240, 4));
+    await upload(png, before);
+
+    const cookie = await adminCookie(server.baseUrl);
+    const rotated = await fetch(url('/api/admin/keys/rotate'), { method: 'POST', headers: { cookie } });
+    assert.equal(rotated.status, 200);
+    const newKeyId = (await rotated.json()).data.id;
+    assert.notEqual(newKeyId, before.keyId);
+
+    const keys = (await (await fetch(url('/api/keys'))).json()).data.keys;
+    assert.equal(keys.find(k => k.active).id, newKeyId);
+    assert.ok(keys.some(k => k.id === before.keyId && !k.active));
+    assert.equal((await signedCapture()).keyId, newKeyId);
+
+    const verdict = await verify(png);
+    assert.equal(verdict.signature, 'valid');
+    assert.equal(verdict.keyId, before.keyId);
+    assert.equal(verdict.title, 'Authentic RealPic Watermark');
+});
+
+test('POST /api/sign is rate limited per client', async () => {
+    let res;
+    for (let i = 0; i <= SIGN_RATE_LIMIT; i++) {
+        res = await sign();
+    }
+    assert.equal(res.status, 429);
+    assert.ok(Number(res.headers.get('retry-after')) > 0);
+    assert.equal((await res.json()).success, false);
+});
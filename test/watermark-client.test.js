@@ -0,0 +1,288 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { ImageData, texturedImage } = require('./helpers/image-data');
+const RobustWatermark = require('../robust-watermark');
+const Steganography = require('../steganography');
+const Verifier = require('../verifier');
+const Payload = require('../payload');
+const { hashToHex } = require('../lib/perceptual-hash');
+
+const ROOT = path.join(__dirname, '..');
+
+const BODY = Payload.encode({ keyId: 2, timestamp: 1700000000, mediaId: Uint8Array.from([8, 7, 6, 5, 4, 3, 2, 1]) });
+const KEY = { id: 2, key: 'client-key' };
+const original = texturedImage(256, 192);
+
+// A browser-like script context; the typed array and ImageData classes are
+// shared so pixels cross between contexts as they do between threads
+function scriptContext(globals = {}) {
+    const context = vm.createContext({ console, ImageData, Uint8ClampedArray, ...globals });
+    context.importScripts = (...files) => {
+        for (const file of files) {
+            vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+        }
+    };
+    return context;
+}
+
+// Runs the worker script in its own context, passing messages as
+// structured clones with their transfer lists
+class ScriptWorker {
+    constructor(url) {
+        this.context = scriptContext({
+            postMessage: (data, transfer) => {
+                const message = structuredClone(data, { transfer });
+                setImmediate(() => this.onmessage({ data: message }));
+            }
+        });
+        this.context.self = this.context;
+        this.context.importScripts(url);
+        ScriptWorker.started++;
+    }
+
+    postMessage(data, transfer) {
+        const message = structuredClone(data, { transfer });
+        setImmediate(() => this.context.onmessage({ data: message }));
+    }
+
+    terminate() {}
+}
+ScriptWorker.started = 0;
+
+// A worker whose script fails to load
+class BrokenWorker {
+    constructor() {
+        setImmediate(() => this.onerror({ message: 'Failed to load', preventDefault() {} }));
+    }
+
+    postMessage() {}
+
+    terminate() {}
+}
+
+// A worker that can be made to crash after it has started
+class CrashingWorker extends ScriptWorker {
+    constructor(url) {
+        super(url);
+        CrashingWorker.last = this;
+    }
+
+    crash() {
+        setImmediate(() => this.onerror({ message: 'Worker crashed', preventDefault() {} }));
+    }
+}
+
+// A fresh WatermarkClient with the given page globals
+function loadClient(globals) {
+    const context = scriptContext(globals);
+    context.importScripts('watermark-client.js');
+    return vm.runInContext('WatermarkClient', context);
+}
+
+test('encode in the worker matches the main thread and reports progress', async () => {
+    const client = loadClient({ Worker: ScriptWorker });
+    const before = ScriptWorker.started;
+    const progress = [];
+
+    const result = await client.encode(original, BODY, {
+        key: KEY.key,
+        keyId: KEY.id,
+        onProgress: (done, total) => progress.push([done, total])
+    });
+    const expected = RobustWatermark.encode(original, BODY, { key: KEY.key, keyId: KEY.id });
+
+    assert.equal(ScriptWorker.started, before + 1);
+    assert.ok(result.imageData instanceof ImageData);
+    assert.deepEqual(result.imageData.data, expected.imageData.data);
+    assert.deepEqual(result.perceptualHash, expected.perceptualHash);
+    assert.equal(result.bitsEmbedded, expected.bitsEmbedded);
+    assert.equal(progress.length, 192 / 8);
+    assert.deepEqual(progress.at(-1), [24, 24]);
+
+    // The caller's pixels are copied, not handed over
+    assert.equal(original.data.length, 256 * 192 * 4);
+});
+
+test('Verifier decodes through the worker modules', async () => {
+    const client = loadClient({ Worker: ScriptWorker, RobustWatermark, Steganography });
+    const marked = RobustWatermark.encode(original, BODY, { key: KEY.key, keyId: KEY.id }).imageData;
+    const progress = [];
+
+    const verdict = await Verifier.verify(marked, {
+        ...client.modules(),
+        keys: [KEY],
+        onProgress: (done, total) => progress.push([done, total])
+    });
+
+    assert.equal(verdict.keyId, KEY.id);
+    assert.ok(Payload.equals(verdict.payload, Payload.decode(BODY)));
+    assert.ok(verdict.integrity.scores.length > 0);
+    // Synchronisation, then the first key (the deployment key) recovers the payload
+    assert.deepEqual(progress, [[1, 3], [3, 3]]);
+});
+
+test('frame readers in the worker vote frames together', async () => {
+    const client = loadClient({ Worker: ScriptWorker });
+    const marked = RobustWatermark.encode(original, BODY, { key: KEY.key, keyId: KEY.id }).imageData;
+
+    const reader = client.createFrameReader({ keys: [KEY] });
+    assert.equal((await reader.add(marked)).synced, true);
+    assert.equal((await reader.add(original)).synced, false);
+    const result = await reader.finish();
+
+    assert.ok(Payload.equals(result.payload, Payload.decode(BODY)));
+    assert.deepEqual(result.frames.map(frame => frame.synced), [true, false]);
+});
+
+test('frame readers fall back to the main thread when the worker fails to load', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const marked = RobustWatermark.encode(original, BODY, { key: KEY.key, keyId: KEY.id }).imageData;
+    const client = loadClient({ Worker: BrokenWorker, RobustWatermark });
+
+    const reader = client.createFrameReader({ keys: [KEY] });
+    assert.equal((await reader.add(marked)).synced, true);
+    assert.equal((await reader.add(original)).synced, false);
+    const result = await reader.finish();
+
+    assert.ok(Payload.equals(result.payload, Payload.decode(BODY)));
+    assert.deepEqual(result.frames.map(frame => frame.synced), [true, false]);
+});
+
+test('frame readers reject rather than lose frames the worker had read', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const marked = RobustWatermark.encode(original, BODY, { key: KEY.key, keyId: KEY.id }).imageData;
+    const client = loadClient({ Worker: CrashingWorker, RobustWatermark });
+
+    const reader = client.createFrameReader({ keys: [KEY] });
+    assert.equal((await reader.add(marked)).synced, true);
+    CrashingWorker.last.crash();
+    await assert.rejects(reader.add(marked), /Worker crashed/);
+});
+
+test('frame embedders in the worker mark frames as the main thread does, taking their pixels', async () => {
+    const expected = RobustWatermark.createFrameEmbedder(256, 192, BODY, { key: KEY.key, keyId: KEY.id })
+        .embed(texturedImage(256, 192));
+
+    for (const Worker of [ScriptWorker, undefined]) {
+        const client = loadClient({ Worker, RobustWatermark });
+        const embedder = await client.createFrameEmbedder(256, 192, BODY, { key: KEY.key, keyId: KEY.id });
+        assert.ok(embedder.bitsEmbedded > 0);
+
+        const frame = texturedImage(256, 192);
+        const marked = await embedder.embed(frame);
+        assert.deepEqual(marked.data, expected.data);
+        if (Worker) {
+            // Transferred to the worker rather than copied
+            assert.equal(frame.data.byteLength, 0);
+        }
+        embedder.close();
+    }
+});
+
+test('frame embedders move to the main thread when the worker dies mid-recording', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const expected = RobustWatermark.createFrameEmbedder(256, 192, BODY, { key: KEY.key, keyId: KEY.id })
+        .embed(texturedImage(256, 192));
+    const client = loadClient({ Worker: CrashingWorker, RobustWatermark });
+    const embedder = await client.createFrameEmbedder(256, 192, BODY, { key: KEY.key, keyId: KEY.id });
+    assert.deepEqual((await embedder.embed(texturedImage(256, 192))).data, expected.data);
+
+    // The frame in flight went down with the worker
+    const inFlight = embedder.embed(texturedImage(256, 192));
+    CrashingWorker.last.crash();
+    await assert.rejects(inFlight, /Worker crashed/);
+
+    assert.deepEqual((await embedder.embed(texturedImage(256, 192))).data, expected.data);
+    embedder.close();
+});
+
+test('the worker seals images and Verifier reports edits against the seal', async () => {
+    const client = loadClient({ Worker: ScriptWorker, RobustWatermark, Steganography });
+    const id = Payload.decode(BODY).mediaId;
+    const marked = RobustWatermark.encode(original, BODY, { key: KEY.key, keyId: KEY.id }).imageData;
+    const sealed = await client.seal(marked, { key: KEY.key, id });
+
+    assert.ok(sealed instanceof ImageData);
+    assert.deepEqual(sealed.data, Steganography.seal(marked, { key: KEY.key, id }).data);
+    assert.equal((await client.checkSeal(sealed, { keys: [KEY], id })).keyId, KEY.id);
+
+    const options = { ...client.modules(), keys: [KEY], verifySignature: () => true };
+    const intact = await Verifier.verify(sealed, options);
+    assert.equal(intact.title, 'Unsigned RealPic Watermark');
+    assert.equal(intact.seal.intact, true);
+    // Anyone with the watermark key could have re-sealed it
+    assert.doesNotMatch(intact.subtitle, /no pixel has changed/);
+
+    sealed.data[(100 * 256 + 100) * 4 + 1] ^= 1;
+    const edited = await Verifier.verify(sealed, options);
+    assert.equal(edited.seal.changed, 1);
+    assert.equal(edited.seal.scores[6 * 16 + 6], 0);
+    assert.match(edited.subtitle, /1 of 192 blocks changed since capture/);
+
+    // Without the seal the robust verdict stands alone
+    assert.equal((await Verifier.verify(marked, options)).seal, null);
+});
+
+test('an edited sealed image is no longer a clean success', async () => {
+    const signed = Payload.attachSignature(Payload.encode({ keyId: KEY.id, timestamp: 1700000000, mediaId: new Uint8Array(8).fill(9), signed: true }), new Uint8Array(64));
+    const id = Payload.decode(signed).mediaId;
+    const marked = RobustWatermark.encode(original, signed, { key: KEY.key, keyId: KEY.id }).imageData;
+    const sealed = Steganography.seal(marked, { key: KEY.key, id });
+
+    // The server's attestation of the sealed capture (signatures are not checked here)
+    const attestation = Payload.decodeAttestation(Payload.attachSignature(Payload.encodeAttestation({
+        keyId: KEY.id,
+        timestamp: 1700000060,
+        mediaId: id,
+        phash: hashToHex(RobustWatermark.computePerceptualHash(sealed)),
+        sealDigest: Steganography.checkSeal(sealed, { keys: [KEY], id }).digest
+    }), new Uint8Array(64)));
+    const options = {
+        robust: RobustWatermark,
+        lsb: Steganography,
+        keys: [KEY],
+        verifySignature: () => true,
+        getAttestation: () => attestation
+    };
+
+    const authentic = await Verifier.verify(sealed, options);
+    assert.equal(authentic.title, 'Authentic RealPic Watermark');
+    assert.equal(authentic.attestation.sealMatches, true);
+    assert.match(authentic.subtitle, /no pixel has changed/);
+
+    // Re-sealing an edit under the same key and ID leaves an intact seal, but not the attested one
+    const edited = new ImageData(new Uint8ClampedArray(sealed.data), sealed.width, sealed.height);
+    edited.data[(40 * 256 + 40) * 4] ^= 8;
+    const resealed = await Verifier.verify(Steganography.seal(edited, { key: KEY.key, id }), options);
+    assert.equal(resealed.seal.intact, true);
+    assert.equal(resealed.attestation.sealMatches, false);
+    assert.equal(resealed.type, 'warning');
+    assert.equal(resealed.title, 'Image Edited After Capture');
+
+    const broken = await Verifier.verify(edited, options);
+    assert.equal(broken.type, 'warning');
+    assert.equal(broken.title, 'Image Edited After Capture');
+    assert.equal(broken.signature, 'valid');
+});
+
+test('falls back to the main thread without a working worker', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const expected = RobustWatermark.encode(original, 'RP|fallback').imageData;
+
+    for (const Worker of [undefined, BrokenWorker]) {
+        const client = loadClient({ Worker, RobustWatermark });
+        const result = await client.encode(original, 'RP|fallback');
+        assert.deepEqual(result.imageData.data, expected.data);
+        assert.equal((await client.decode(result.imageData)).message, 'RP|fallback');
+    }
+
+    await assert.rejects(loadClient({}).encode(original, 'RP|fallback'), /RobustWatermark module not loaded/);
+});
+
+test('codec errors from the worker reject without falling back', async () => {
+    const client = loadClient({ Worker: ScriptWorker, RobustWatermark });
+    await assert.rejects(client.encode(texturedImage(32, 32), BODY), /too small/);
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { texturedImage, encodeImage } = require('./helpers/image-data');
+const { createWatermarkPool } = require('../lib/watermark-pool');
+const { decodeImage } = require('../lib/image-data');
+const RobustWatermark = require('../robust-watermark');
+const Steganography = require('../steganography');
+const Payload = require('../payload');
+
+const pool = createWatermarkPool({ size: 1 });
+
+test('pooled decoders and hashing return what the modules do in-thread', async () => {
+    const payload = Payload.encode({ timestamp: 1700000000, mediaId: Uint8Array.from([1, 35, 69, 103, 137, 171, 205, 239]) });
+    const image = Steganography.seal(RobustWatermark.encode(texturedImage(320, 240), payload).imageData, { id: '0123456789abcdef' });
+    const { robust, lsb } = pool.modules();
+
+    const [decoded, hash, seal] = await Promise.all([
+        robust.decode(image, { onProgress: () => {} }),
+        robust.computePerceptualHash(image),
+        lsb.checkSeal(image, { id: '0123456789abcdef' })
+    ]);
+
+    assert.equal(decoded.payload.mediaId, '0123456789abcdef');
+    assert.deepEqual(Array.from(hash), Array.from(RobustWatermark.computePerceptualHash(image)));
+    assert.equal(seal.intact, true);
+    assert.equal(seal.digest, Steganography.checkSeal(image, { id: '0123456789abcdef' }).digest);
+});
+
+test('a failing task rejects without stopping the pool', async () => {
+    await assert.rejects(pool.run('robustDecode', null), Error);
+    const hash = await pool.modules().robust.computePerceptualHash(texturedImage(64, 64));
+    assert.equal(hash.length, RobustWatermark.computePerceptualHash(texturedImage(64, 64)).length);
+});
+
+test('decodeImage refuses inputs over the pixel limit and shrinks to maxSide', async () => {
+    const png = await encodeImage(texturedImage(200, 100));
+    await assert.rejects(decodeImage(png, { maxPixels: 200 * 100 - 1 }), /pixel limit/);
+
+    const small = await decodeImage(png, { maxSide: 50 });
+    assert.equal(small.width, 50);
+    assert.equal(small.height, 25);
+});
@@ -0,0 +1,421 @@
+/**
+ * Verifier Module
+ * Runs the watermark decoders on an image or video and turns their results into a verdict.
+ * Shared by the verify page and the server's /api/verify route.
+ */
+
+const Verifier = (() => {
+    const Payloads = typeof Payload !== 'undefined' ? Payload : require('./payload.js');
+
+    // Fraction of a video's sampled time that must carry the mark for a clean verdict
+    const VIDEO_COVERAGE = 0.9;
+
+    // Perceptual hash bits (of 63) an image may differ from its attestation by
+    // and still be the attested capture (re-encoded or resized, not edited)
+    const ATTESTED_HASH_DISTANCE = 8;
+
+    /**
+     * Verifies watermarks in image pixels
+     * @param {ImageData|{data: Uint8ClampedArray, width: number, height: number}} imageData - RGBA pixels
+     * @param {Object} options - Modules and hooks (modules default to the browser globals)
+     * @param {Object} [options.robust] - RobustWatermark module, or one whose
+     *   decode returns a promise (WatermarkClient.modules)
+     * @param {Object} [options.lsb] - Steganography module, likewise (for
+     *   the LSB message and the fragile seal)
+     * @param {Array<{id: number, key: string}>} [options.keys] - Deployment watermark keys
+     * @param {Function} [options.verifySignature] - (payload) => boolean|Promise<boolean>;
+     *   also checks attestations, which are signed by the same keys
+     * @param {Function} [options.getAttestation] - (payload) => decoded
+     *   attestation (see Payload.decodeAttestation) or null, maybe as a promise
+     * @param {number} [options.strength] - Embedding strength the robust
+     *   watermark was made with (default RobustWatermark.CONFIG.EMBED_STRENGTH)
+     * @param {Function} [options.onProgress] - (done, total) => void, from the robust decoder
+     * @returns {Promise<{type: string, title: string, subtitle: string, confidence: number,
+     *   watermarkType: string, message: string, signature: string, keyId: number|null,
+     *   transform: Object|null, payload: Object|null, integrity: Object|null,
+     *   seal: Object|null, attestation: Object|null}>} `transform` is the
+     *   geometry the robust decoder recovered, `payload` the decoded watermark
+     *   payload, `integrity` the map of where the robust watermark is still
+     *   intact, `seal` the block-by-block check of a fragile seal (see
+     *   Steganography.checkSeal) and `attestation` how the image compares with
+     *   the server's record of the capture ({timestamp, distance, matches,
+     *   sealMatches})
+     */
+    async function verify(imageData, options = {}) {
+        const robust = options.robust || (typeof RobustWatermark !== 'undefined' ? RobustWatermark : null);
+        const lsb = options.lsb || (typeof Steganography !== 'undefined' ? Steganography : null);
+
+        let robustResult = null;
+        let lsbResult = null;
+        // As for the robust decoder, falling back to the default key
+        const lsbKeys = lsb && lsb.CONFIG && options.keys
+            ? [...options.keys, { id: 0, key: lsb.CONFIG.SECRET_KEY }]
+            : undefined;
+
+        try {
+            if (robust) {
+                // Deployment keys first, then the default key used by unsigned captures
+                const keys = options.keys
+                    ? [...options.keys, { id: 0, key: robust.CONFIG.SECRET_KEY }]
+                    : undefined;
+                robustResult = await robust.decode(imageData, { keys, strength: options.strength, onProgress: options.onProgress });
+            }
+        } catch (e) {
+            console.warn('Robust decode error:', e);
+        }
+
+        try {
+            if (lsb) {
+                lsbResult = await lsb.decode(imageData, { keys: lsbKeys });
+            }
+        } catch (e) {
+            console.warn('LSB decode error:', e);
+        }
+
+        if (isRecovered(robustResult)) {
+            const result = await robustVerdict(robustResult, 'image', options);
+            const seal = await checkSeal(lsb, imageData, robustResult.payload, lsbKeys);
+            const attestation = result.signature === 'valid'
+                ? await compareAttestation(robust, imageData, robustResult.payload, seal, options)
+                : null;
+            return {
+                ...withSeal(withAttestation(result, attestation), seal, attestation),
+                payload: robustResult.payload,
+                integrity: robustResult.integrity,
+                seal,
+                attestation
+            };
+        } else if (lsbResult) {
+            const payload = lsbResult.payload;
+            return {
+                ...verdict('warning',
+                    'LSB Watermark Detected',
+                    'This image has only the fragile LSB watermark, which does not survive editing or compression',
+                    0.5,
+                    lsbResult.keyId === null ? 'LSB Steganography (Legacy)' : 'LSB Steganography',
+                    lsbResult.message,
+                    payload && payload.signature ? await checkSignature(payload, options.verifySignature) : 'unsigned'
+                ),
+                payload: payload || null
+            };
+        } else if (robustResult && robustResult.confidence > 0.3) {
+            return verdict('warning',
+                'Possible Watermark Detected',
+                'The image may have been modified or compressed',
+                robustResult.confidence,
+                'Partially Recovered',
+                robustResult.message || 'Watermark damaged',
+                'unchecked'
+            );
+        }
+
+        return verdict('error',
+            'No Watermark Found',
+            'This image does not contain a valid RealPic watermark',
+            0,
+            'None',
+            'N/A',
+            'unsigned'
+        );
+    }
+
+    /**
+     * Verifies the watermark of a video from frames sampled across it
+     * @param {Blob|string} source - Video file or same-origin URL
+     * @param {Object} options - As for verify, plus:
+     * @param {Object} [options.video] - VideoWatermark module
+     * @param {Function} [options.onProgress] - (framesRead, total) => void
+     * @returns {Promise<Object>} Verdict as for verify, plus `segments`
+     *   ({start, end, synced, agreement, marked} per sampled segment),
+     *   `ranges` (marked time ranges), `coverage` and `duration`
+     */
+    async function verifyVideo(source, options = {}) {
+        const video = options.video || (typeof VideoWatermark !== 'undefined' ? VideoWatermark : null);
+        const robust = options.robust || (typeof RobustWatermark !== 'undefined' ? RobustWatermark : null);
+        if (!video || !robust) {
+            throw new Error('Video watermark modules not loaded');
+        }
+
+        const keys = options.keys
+            ? [...options.keys, { id: 0, key: robust.CONFIG.SECRET_KEY }]
+            : undefined;
+        const analysis = await video.analyze(source, { robust, keys, strength: options.strength, onProgress: options.onProgress });
+        const timeline = {
+            segments: analysis.segments,
+            ranges: analysis.ranges,
+            coverage: analysis.coverage,
+            duration: analysis.duration
+        };
+
+        if (!isRecovered(analysis)) {
+            return {
+                ...verdict('error',
+                    'No Watermark Found',
+                    'No sampled frame of this video carries a readable RealPic watermark',
+                    0,
+                    'None',
+                    'N/A',
+                    'unsigned'
+                ),
+                ...timeline
+            };
+        }
+
+        const result = await robustVerdict(analysis, 'video', options);
+        const percent = Math.round(analysis.coverage * 100);
+
+        // A mark on only part of the video suggests footage was cut in or replaced
+        if (result.type === 'success' && analysis.coverage < VIDEO_COVERAGE) {
+            return {
+                ...verdict('warning',
+                    'Partially Watermarked Video',
+                    `Only ${percent}% of the video carries the signed watermark; the rest may have been edited`,
+                    result.confidence * analysis.coverage,
+                    result.watermarkType,
+                    result.message,
+                    result.signature,
+                    result.keyId
+                ),
+                payload: analysis.payload,
+                ...timeline
+            };
+        }
+        return { ...result, payload: analysis.payload, ...timeline };
+    }
+
+    /**
+     * Compares a verdict's watermark with the payload recorded when the file
+     * was uploaded. A signed watermark that differs from the record means
+     * the stored file is not the capture it was uploaded as.
+     * @param {Object} result - Verdict from verify or verifyVideo
+     * @param {Object|null} recorded - Decoded payload from the upload record
+     * @returns {Object} The verdict plus `matchesRecord` (null when there is
+     *   nothing to compare)
+     */
+    function matchRecord(result, recorded) {
+        if (!recorded || !result.payload) {
+            return { ...result, matchesRecord: null };
+        }
+
+        const matchesRecord = Payloads.equals(result.payload, recorded);
+        if (!matchesRecord && result.type === 'success') {
+            return {
+                ...result,
+                type: 'warning',
+                title: 'Watermark Differs From Upload',
+                subtitle: 'The watermark is validly signed but is not the one recorded when this file was uploaded',
+                matchesRecord
+            };
+        }
+        return { ...result, matchesRecord };
+    }
+
+    // The fragile seal bound to a recovered payload, or null if there is none
+    async function checkSeal(lsb, imageData, payload, keys) {
+        if (!lsb || !lsb.checkSeal || !payload || !payload.mediaId) return null;
+        try {
+            return await lsb.checkSeal(imageData, { keys, id: payload.mediaId });
+        } catch (e) {
+            console.warn('Seal check error:', e);
+            return null;
+        }
+    }
+
+    /**
+     * Compares an image and its seal with the server's attestation of its capture
+     * @returns {Promise<{timestamp: number, distance: number, matches: boolean,
+     *   sealMatches: boolean|null}|null>} `sealMatches` is null when the image
+     *   has no seal or none was attested; the result is null when there is no
+     *   attestation with a valid signature for this payload, or no perceptual
+     *   hash to compare
+     */
+    async function compareAttestation(robust, imageData, payload, seal, options) {
+        if (!options.getAttestation || !robust || !robust.computePerceptualHash) return null;
+        try {
+            const attestation = await options.getAttestation(payload);
+            if (!attestation || attestation.mediaId !== payload.mediaId ||
+                await checkSignature(attestation, options.verifySignature) !== 'valid') {
+                return null;
+            }
+            const distance = hashDistance(await robust.computePerceptualHash(imageData), attestation.phash);
+            return {
+                timestamp: attestation.timestamp,
+                distance,
+                matches: distance <= ATTESTED_HASH_DISTANCE,
+                sealMatches: seal && attestation.sealDigest ? seal.digest === attestation.sealDigest : null
+            };
+        } catch (e) {
+            console.warn('Attestation check error:', e);
+            return null;
+        }
+    }
+
+    // Differing bits between hash bits and a hex hash of the same bits, zero-padded
+    function hashDistance(bits, hex) {
+        let distance = 0;
+        for (let i = 0; i < bits.length; i++) {
+            const bit = (parseInt(hex[i >> 2], 16) >> (3 - (i & 3))) & 1;
+            if (bit !== (bits[i] ? 1 : 0)) distance++;
+        }
+        return distance;
+    }
+
+    // A signed verdict is only authentic when the image matches the capture
+    // the server attested; the payload signature alone covers no pixels
+    function withAttestation(result, attestation) {
+        if (!attestation || result.type !== 'success') return result;
+        const recorded = new Date(attestation.timestamp * 1000).toISOString();
+        if (attestation.matches) {
+            return {
+                ...result,
+                title: 'Authentic RealPic Watermark',
+                subtitle: `This image matches the capture RealPic recorded at ${recorded}`
+            };
+        }
+        return {
+            ...result,
+            type: 'warning',
+            title: 'Image Differs From Capture',
+            subtitle: `The watermark is validly signed, but the image does not look like the capture RealPic recorded at ${recorded}`
+        };
+    }
+
+    // A robust verdict with what the seal shows: how many blocks were edited,
+    // or, when the server attested the seal, that no pixel has changed (an
+    // intact seal alone proves nothing, as anyone with the watermark key can
+    // re-seal an edit). Either kind of edit ends a clean success.
+    function withSeal(result, seal, attestation) {
+        if (!seal) return result;
+        if (seal.intact) {
+            if (!attestation || attestation.sealMatches === null) return result;
+            if (attestation.sealMatches) {
+                return { ...result, subtitle: `${result.subtitle}; its seal matches the attested one, so no pixel has changed since` };
+            }
+            if (result.type !== 'success') return result;
+            return {
+                ...result,
+                type: 'warning',
+                title: 'Image Edited After Capture',
+                subtitle: 'The watermark is validly signed, but the image was re-sealed after capture: its seal is not the one RealPic recorded'
+            };
+        }
+
+        const changed = `${seal.changed} of ${seal.cols * seal.rows} blocks changed since capture`;
+        if (result.type === 'success') {
+            return {
+                ...result,
+                type: 'warning',
+                title: 'Image Edited After Capture',
+                subtitle: `The watermark is validly signed, but ${changed}`
+            };
+        }
+        return { ...result, subtitle: `${result.subtitle}; ${changed}` };
+    }
+
+    function isRecovered(result) {
+        return Boolean(result && result.found && result.confidence > 0.6 && !result.unrecoverable);
+    }
+
+    // Verdict for a recovered robust watermark; `medium` is 'image' or 'video'
+    async function robustVerdict(robustResult, medium, options) {
+        const corrected = robustResult.correctedSymbols > 0
+            ? ` (${robustResult.correctedSymbols} damaged symbols repaired)`
+            : '';
+        const payload = robustResult.payload;
+
+        if (!payload || !payload.signature) {
+            return verdict('warning',
+                'Unsigned RealPic Watermark',
+                `The watermark is intact but unsigned, so its origin cannot be proven${corrected}`,
+                robustResult.confidence,
+                'DCT-Domain (Robust)',
+                robustResult.message || 'Unable to decode message',
+                'unsigned',
+                robustResult.keyId,
+                robustResult.transform
+            );
+        }
+
+        const signature = await checkSignature(payload, options.verifySignature);
+
+        if (signature === 'valid') {
+            return verdict('success',
+                'Signed RealPic Watermark',
+                `This ${medium} carries a validly signed watermark${corrected}; the signature is not tied to the ${medium}'s content`,
+                robustResult.confidence,
+                'DCT-Domain (Robust)',
+                robustResult.message,
+                signature,
+                robustResult.keyId,
+                robustResult.transform
+            );
+        } else if (signature === 'invalid') {
+            return verdict('error',
+                'Invalid Watermark Signature',
+                'The watermark was not signed by RealPic and may be forged',
+                robustResult.confidence,
+                'DCT-Domain (Robust)',
+                robustResult.message,
+                signature,
+                robustResult.keyId,
+                robustResult.transform
+            );
+        }
+
+        return verdict('warning',
+            'Signature Not Checked',
+            'The watermark is intact but its signature could not be checked',
+            robustResult.confidence,
+            'DCT-Domain (Robust)',
+            robustResult.message,
+            signature,
+            robustResult.keyId,
+            robustResult.transform
+        );
+    }
+
+    // Resolves to 'valid', 'invalid' or 'unchecked' (no key / no WebCrypto)
+    async function checkSignature(payload, verifySignature) {
+        if (!verifySignature) return 'unchecked';
+        try {
+            return (await verifySignature(payload)) ? 'valid' : 'invalid';
+        } catch (e) {
+            console.warn('Signature check failed:', e);
+            return 'unchecked';
+        }
+    }
+
+    function verdict(type, title, subtitle, confidence, watermarkType, message, signature, keyId = null, transform = null) {
+        return {
+            type, title, subtitle, confidence, watermarkType, message, signature, keyId, transform,
+            payload: null, integrity: null, seal: null, attestation: null
+        };
+    }
+
+    // Human-readable summary of a recovered transform
+    function describeGeometry(transform) {
+        if (!transform) return 'N/A';
+
+        const changes = [];
+        if (transform.scale !== 1) {
+            changes.push(`resized to ${Math.round(transform.scale * 100)}%`);
+        }
+        if (transform.rotation !== 0) {
+            changes.push(`rotated ${transform.rotation}°`);
+        }
+        if (transform.offsetX || transform.offsetY) {
+            changes.push(`cropped (grid shifted ${transform.offsetX} x ${transform.offsetY} px)`);
+        }
+        if (changes.length === 0) return 'Original geometry';
+
+        const summary = changes.join(', ');
+        return summary[0].toUpperCase() + summary.slice(1);
+    }
+
+    return { verify, verifyVideo, matchRecord, describeGeometry };
+})();
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Verifier;
+}
@@ -1,6 +1,7 @@
 /**
  * Verify Page JavaScript
- * Handles watermark verification with auto-upload for shareable links
+ * Handles watermark verification with auto-upload for shareable links.
+ * Videos and share links are checked in the browser without uploading.
  */
 
 (function () {
@@ -10,9 +11,14 @@
     const dropZone = document.getElementById('dropZone');
     const fileInput = document.getElementById('fileInput');
     const pasteBtn = document.getElementById('pasteBtn');
+    const linkForm = document.getElementById('linkForm');
+    const linkInput = document.getElementById('linkInput');
     const loadingSpinner = document.getElementById('loadingSpinner');
+    const loadingText = document.getElementById('loadingText');
     const previewArea = document.getElementById('previewArea');
     const imagePreview = document.getElementById('imagePreview');
+    const heatmapOverlay = document.getElementById('heatmapOverlay');
+    const videoPreview = document.getElementById('videoPreview');
     const resultIcon = document.getElementById('resultIcon');
     const resultTitle = document.getElementById('resultTitle');
     const resultSubtitle = document.getElementById('resultSubtitle');
@@ -21,6 +27,16 @@
     const watermarkType = document.getElementById('watermarkType');
     const confidenceValue = document.getElementById('confidenceValue');
     const embeddedMessage = document.getElementById('embeddedMessage');
+    const geometryValue = document.getElementById('geometryValue');
+    const integrityRow = document.getElementById('integrityRow');
+    const integrityValue = document.getElementById('integrityValue');
+    const heatmapToggle = document.getElementById('heatmapToggle');
+    const recordRow = document.getElementById('recordRow');
+    const recordValue = document.getElementById('recordValue');
+    const videoTimeline = document.getElementById('videoTimeline');
+    const timelineTrack = document.getElementById('timelineTrack');
+    const timelineCoverage = document.getElementById('timelineCoverage');
+    const timelineEnd = document.getElementById('timelineEnd');
     const verifyAnotherBtn = document.getElementById('verifyAnotherBtn');
     const shareSection = document.getElementById('shareSection');
     const shareResult = document.getElementById('shareResult');
@@ -52,26 +68,34 @@
             e.preventDefault();
             dropZone.classList.remove('dragover');
             const file = e.dataTransfer.files[0];
-            if (file && file.type.startsWith('image/')) {
-                processImage(file);
+            if (file) {
+                processFile(file);
             }
         });
 
-        // Keyboard paste (Ctrl+V)
+        // Keyboard paste (Ctrl+V): images, videos or a share link
         document.addEventListener('paste', (e) => {
             const items = e.clipboardData?.items;
             if (!items) return;
 
             for (const item of items) {
-                if (item.type.startsWith('image/')) {
+                if (isMediaType(item.type)) {
                     e.preventDefault();
                     const file = item.getAsFile();
                     if (file) {
-                        processImage(file);
+                        processFile(file);
                     }
-                    break;
+                    return;
                 }
             }
+
+            // Links typed or pasted into the link field are verified on submit
+            if (e.target === linkInput) return;
+            const text = e.clipboardData.getData('text/plain');
+            if (text && isMediaLink(text)) {
+                e.preventDefault();
+                processLink(text);
+            }
         });
 
         // Paste button for mobile
@@ -80,14 +104,21 @@
             try {
                 const clipboardItems = await navigator.clipboard.read();
                 for (const item of clipboardItems) {
-                    const imageType = item.types.find(type => type.startsWith('image/'));
-                    if (imageType) {
-                        const blob = await item.getType(imageType);
-                        processImage(blob);
+                    const mediaType = item.types.find(isMediaType);
+                    if (mediaType) {
+                        const blob = await item.getType(mediaType);
+                        processFile(blob);
                         return;
                     }
+                    if (item.types.includes('text/plain')) {
+                        const text = await (await item.getType('text/plain')).text();
+                        if (isMediaLink(text)) {
+                            processLink(text);
+                            return;
+                        }
+                    }
                 }
-                alert('No image found in clipboard. Copy an image first, then try again.');
+                alert('No image, video or share link found in clipboard. Copy one first, then try again.');
             } catch (err) {
                 console.error('Clipboard read failed:', err);
                 alert('Could not access clipboard. Please use drag and drop instead.');
@@ -98,20 +129,37 @@
         fileInput.addEventListener('change', (e) => {
             const file = e.target.files[0];
             if (file) {
-                processImage(file);
+                processFile(file);
             }
         });
 
+        linkForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            if (!isMediaLink(linkInput.value)) {
+                alert('Enter a share link or media link from this RealPic site.');
+                return;
+            }
+            processLink(linkInput.value);
+        });
+
         // Verify another button
         verifyAnotherBtn.addEventListener('click', () => {
             previewArea.classList.remove('active');
             dropZone.style.display = 'block';
+            linkForm.style.display = '';
             fileInput.value = '';
+            linkInput.value = '';
+            resetPreview();
             shareResult.classList.add('hidden');
             shareNote.textContent = '';
             if (shareSection) shareSection.style.display = 'none';
         });
 
+        heatmapToggle.addEventListener('click', () => {
+            const hidden = heatmapOverlay.classList.toggle('hidden');
+            heatmapToggle.textContent = hidden ? 'Show' : 'Hide';
+        });
+
         // Copy share URL button
         copyShareUrl.addEventListener('click', () => {
             shareUrl.select();
@@ -126,18 +174,133 @@
         });
     }
 
-    // Process uploaded/pasted image - uploads immediately for shareable URL
-    async function processImage(file) {
+    function isMediaType(type) {
+        return type.startsWith('image/') || type.startsWith('video/');
+    }
+
+    function processFile(file) {
+        if (file.type.startsWith('video/')) {
+            processVideo(file);
+        } else if (file.type.startsWith('image/')) {
+            processImage(file);
+        }
+    }
+
+    // Quick check for a share page or media link on this site; the server resolves it
+    function isMediaLink(text) {
+        let url;
+        try {
+            url = new URL(text.trim(), window.location.href);
+        } catch (e) {
+            return false;
+        }
+        return url.origin === window.location.origin &&
+            /^\/(share|share-video|uploads|videos)\/[^/]+$/.test(url.pathname);
+    }
+
+    // Verify stored media by link: the server checks images and compares them
+    // with the upload record; video frames are sampled here
+    async function processLink(text) {
+        showLoading('Looking up link...');
+
+        let data;
+        try {
+            const url = new URL(text.trim(), window.location.href).href;
+            const response = await fetch(`/api/verify?url=${encodeURIComponent(url)}`);
+            const body = await response.json();
+            if (!body.success) {
+                throw new Error(body.error || 'Verification failed');
+            }
+            data = body.data;
+        } catch (err) {
+            console.error('Link verification failed:', err);
+            loadingSpinner.classList.remove('active');
+            dropZone.style.display = 'block';
+            linkForm.style.display = '';
+            alert(`Could not verify that link: ${err.message}`);
+            return;
+        }
+
+        const recorded = data.recorded ? Payload.decode(Payload.fromBase64(data.recorded.payload)) : null;
+        if (data.kind === 'video') {
+            processVideo(data.mediaUrl, recorded);
+            return;
+        }
+
+        imagePreview.src = data.mediaUrl;
+        loadingSpinner.classList.remove('active');
+        previewArea.classList.add('active');
+        resultDetails.style.display = 'block';
+
+        const verdict = data.verdict;
+        showResult(verdict.type,
+            verdict.title,
+            verdict.subtitle,
+            verdict.confidence,
+            verdict.watermarkType,
+            verdict.message,
+            Verifier.describeGeometry(verdict.transform)
+        );
+        showIntegrity(verdict.seal || verdict.integrity, verdict.width, verdict.height);
+        showRecordMatch(data.matchesRecord, recorded, data.checksum);
+    }
+
+    // Upload record row: whether the watermark is the payload recorded at upload
+    function showRecordMatch(matchesRecord, recorded, checksum) {
+        let text = matchesRecord === true ? 'Matches upload'
+            : matchesRecord === false ? 'Differs from upload'
+                : recorded ? 'Not compared (no watermark read)' : 'No payload recorded';
+        if (checksum === 'mismatch') {
+            text += ' (stored file changed since upload)';
+        }
+        recordValue.textContent = text;
+        recordRow.classList.remove('hidden');
+    }
+
+    // Hide the inputs and show the spinner for a new check
+    function showLoading(text = '') {
         dropZone.style.display = 'none';
+        linkForm.style.display = 'none';
+        loadingText.textContent = text;
         loadingSpinner.classList.add('active');
         previewArea.classList.remove('active');
         if (shareSection) shareSection.style.display = 'none';
+        resetPreview();
 
         // Clean up previous blob URL
         if (currentBlobUrl) {
             URL.revokeObjectURL(currentBlobUrl);
             currentBlobUrl = null;
         }
+    }
+
+    // Back to the image preview with no timeline
+    function resetPreview() {
+        videoPreview.pause();
+        videoPreview.removeAttribute('src');
+        videoPreview.load();
+        videoPreview.classList.add('hidden');
+        imagePreview.classList.remove('hidden');
+        videoTimeline.classList.add('hidden');
+        timelineTrack.innerHTML = '';
+        recordRow.classList.add('hidden');
+        integrityRow.classList.add('hidden');
+        heatmapOverlay.classList.add('hidden');
+        heatmapToggle.textContent = 'Show';
+    }
+
+    function imagePixels(img) {
+        const canvas = document.createElement('canvas');
+        canvas.width = img.width;
+        canvas.height = img.height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(img, 0, 0);
+        return ctx.getImageData(0, 0, canvas.width, canvas.height);
+    }
+
+    // Process uploaded/pasted image - uploads immediately for shareable URL
+    async function processImage(file) {
+        showLoading();
 
         try {
             // Upload image to server first (for shareable URL)
@@ -167,13 +330,8 @@
                 // Set preview to the shareable URL (context menu will copy this)
                 imagePreview.src = shareableUrl;
 
-                // Create canvas for watermark verification
-                const canvas = document.createElement('canvas');
-                canvas.width = img.width;
-                canvas.height = img.height;
-                const ctx = canvas.getContext('2d');
-                ctx.drawImage(img, 0, 0);
-                const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+                // Pixels for watermark verification
+                const imageData = imagePixels(img);
 
                 // Show share section with the URL
                 if (shareSection) shareSection.style.display = 'block';
@@ -207,13 +365,7 @@
         const img = new Image();
         img.onload = () => {
             imagePreview.src = blobUrl;
-
-            const canvas = document.createElement('canvas');
-            canvas.width = img.width;
-            canvas.height = img.height;
-            const ctx = canvas.getContext('2d');
-            ctx.drawImage(img, 0, 0);
-            const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+            const imageData = imagePixels(img);
 
             // Hide share section on fallback
             if (shareSection) shareSection.style.display = 'block';
@@ -226,66 +378,225 @@
         img.src = blobUrl;
     }
 
-    // Verify watermarks in image
-    function verifyWatermarks(imageData) {
+    // Deployment keys: watermark keys to try and public keys for payload signatures (fetched once)
+    let keysPromise = null;
+
+    function getKeys() {
+        if (!keysPromise) {
+            keysPromise = fetch('/api/keys')
+                .then(response => response.json())
+                .then(async (data) => {
+                    const publicKeys = new Map();
+                    for (const key of data.data.keys) {
+                        try {
+                            publicKeys.set(key.id, await crypto.subtle.importKey(
+                                'jwk',
+                                key.publicKey,
+                                { name: 'ECDSA', namedCurve: 'P-256' },
+                                false,
+                                ['verify']
+                            ));
+                        } catch (err) {
+                            // WebCrypto unavailable (insecure context); signatures stay unchecked
+                            console.warn('Could not import public key', key.id, err);
+                        }
+                    }
+                    return {
+                        watermarkKeys: data.data.keys.map(key => ({ id: key.id, key: key.watermarkKey })),
+                        publicKeys
+                    };
+                });
+            // Allow a retry after a failed fetch
+            keysPromise.catch(() => { keysPromise = null; });
+        }
+        return keysPromise;
+    }
+
+    async function verifySignature(payload) {
+        const { publicKeys } = await getKeys();
+        if (publicKeys.size === 0) {
+            throw new Error('No public keys available');
+        }
+
+        // Unknown key IDs fail verification
+        const key = publicKeys.get(payload.keyId);
+        return !!key && crypto.subtle.verify({ name: 'ECDSA', hash: 'SHA-256' }, key, payload.signature, payload.body);
+    }
+
+    // The server's attestation of a capture; null when it never recorded one
+    async function getAttestation(payload) {
+        const response = await fetch(`/api/attestations/${encodeURIComponent(payload.mediaId)}`);
+        if (response.status === 404) return null;
+        const data = await response.json();
+        if (!data.success) {
+            throw new Error(data.error || 'Could not load attestation');
+        }
+        return Payload.decodeAttestation(Payload.fromBase64(data.data.attestation));
+    }
+
+    async function getWatermarkKeys() {
+        try {
+            return (await getKeys()).watermarkKeys;
+        } catch (err) {
+            console.warn('Could not load deployment keys:', err);
+            return undefined;
+        }
+    }
+
+    // Verify watermarks in image (decoded in the worker, with progress on the spinner)
+    async function verifyWatermarks(imageData) {
+        loadingText.textContent = 'Checking watermark...';
+        const keys = await getWatermarkKeys();
+        const result = await Verifier.verify(imageData, {
+            ...WatermarkClient.modules(),
+            keys,
+            verifySignature,
+            getAttestation,
+            onProgress: (done, total) => {
+                loadingText.textContent = `Checking watermark... ${Math.round(done / total * 100)}%`;
+            }
+        });
+
         loadingSpinner.classList.remove('active');
         previewArea.classList.add('active');
         resultDetails.style.display = 'block';
+        showResult(result.type,
+            result.title,
+            result.subtitle,
+            result.confidence,
+            result.watermarkType,
+            result.message,
+            Verifier.describeGeometry(result.transform)
+        );
+        showIntegrity(result.seal || result.integrity, imageData.width, imageData.height);
+    }
+
+    /**
+     * Paints the integrity map over the image preview: green where the
+     * watermark is intact, red where it is gone (likely edited or pasted in)
+     * @param {Object|null} integrity - The seal check, block by block, or
+     *   else the robust decoder's map
+     * @param {number} width - Image width in pixels
+     * @param {number} height - Image height in pixels
+     */
+    function showIntegrity(integrity, width, height) {
+        if (!integrity) return;
+
+        heatmapOverlay.width = width;
+        heatmapOverlay.height = height;
+        const ctx = heatmapOverlay.getContext('2d');
+        ctx.clearRect(0, 0, width, height);
+        ctx.setTransform(...integrity.matrix);
+
+        let read = 0;
+        let intact = 0;
+        integrity.scores.forEach((score, cell) => {
+            if (score === null) return;
+            read++;
+            if (score >= 0.5) intact++;
+
+            const col = cell % integrity.cols;
+            const row = Math.floor(cell / integrity.cols);
+            ctx.fillStyle = `hsla(${Math.round(score * 120)}, 85%, 50%, ${0.2 + (1 - score) * 0.35})`;
+            ctx.fillRect(
+                integrity.originX + col * integrity.cellSize,
+                integrity.originY + row * integrity.cellSize,
+                integrity.cellSize,
+                integrity.cellSize
+            );
+        });
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+
+        integrityValue.textContent = read ? `${Math.round(intact / read * 100)}% of regions intact` : 'N/A';
+        integrityRow.classList.remove('hidden');
+    }
 
-        let robustResult = null;
-        let lsbResult = null;
+    // Verify a video file or same-origin video URL by sampling its frames;
+    // `recorded` is the payload from its upload record when verifying a link
+    async function processVideo(source, recorded = undefined) {
+        showLoading('Reading video...');
+        const previewSrc = typeof source === 'string' ? source : (currentBlobUrl = URL.createObjectURL(source));
+        const keys = await getWatermarkKeys();
 
+        let result;
         try {
-            if (typeof RobustWatermark !== 'undefined') {
-                robustResult = RobustWatermark.decode(imageData);
-            }
-        } catch (e) {
-            console.warn('Robust decode error:', e);
+            result = await Verifier.verifyVideo(source, {
+                ...WatermarkClient.modules(),
+                keys,
+                verifySignature,
+                onProgress: (done, total) => {
+                    loadingText.textContent = `Checking frame ${done} of ${total}...`;
+                }
+            });
+        } catch (err) {
+            console.error('Video verification failed:', err);
         }
 
-        try {
-            lsbResult = Steganography.decode(imageData);
-        } catch (e) {
-            console.warn('LSB decode error:', e);
+        loadingSpinner.classList.remove('active');
+        previewArea.classList.add('active');
+        resultDetails.style.display = 'block';
+        imagePreview.classList.add('hidden');
+        videoPreview.classList.remove('hidden');
+        videoPreview.src = previewSrc;
+
+        if (!result) {
+            showResult('error', 'Could Not Read Video', 'This browser cannot decode the video, or it could not be loaded',
+                0, 'None', 'N/A', 'N/A');
+            return;
         }
 
-        if (robustResult && robustResult.found && robustResult.confidence > 0.6) {
-            showResult('success',
-                'Authentic RealPic Watermark',
-                'This image contains a robust, tamper-resistant watermark',
-                robustResult.confidence,
-                'DCT-Domain (Robust)',
-                robustResult.message || 'Unable to decode message'
-            );
-        } else if (lsbResult) {
-            showResult('warning',
-                'Legacy Watermark Detected',
-                'This image has an older LSB watermark (may have been modified)',
-                0.5,
-                'LSB Steganography (Legacy)',
-                lsbResult
-            );
-        } else if (robustResult && robustResult.confidence > 0.3) {
-            showResult('warning',
-                'Possible Watermark Detected',
-                'The image may have been modified or compressed',
-                robustResult.confidence,
-                'Partially Recovered',
-                robustResult.message || 'Watermark damaged'
-            );
-        } else {
-            showResult('error',
-                'No Watermark Found',
-                'This image does not contain a valid RealPic watermark',
-                0,
-                'None',
-                'N/A'
-            );
+        if (recorded !== undefined) {
+            result = Verifier.matchRecord(result, recorded);
+        }
+
+        showResult(result.type,
+            result.title,
+            result.subtitle,
+            result.confidence,
+            result.watermarkType,
+            result.message,
+            'N/A'
+        );
+        showTimeline(result);
+        if (recorded !== undefined) {
+            showRecordMatch(result.matchesRecord, recorded, null);
+        }
+    }
+
+    // One bar per sampled segment, coloured by how strongly it carries the mark
+    function showTimeline({ segments, coverage, duration }) {
+        timelineTrack.innerHTML = '';
+        for (const segment of segments) {
+            // Bit agreement runs from 0.5 (unmarked) to 1 (intact)
+            const confidence = segment.agreement === null
+                ? 0
+                : Math.max(0, Math.min(1, (segment.agreement - 0.5) * 2));
+            const level = !segment.synced ? 'none'
+                : confidence > 0.7 ? 'high' : confidence > 0.4 ? 'medium' : 'low';
+
+            const bar = document.createElement('button');
+            bar.type = 'button';
+            bar.className = `timeline-segment ${level}`;
+            bar.title = `${formatTime(segment.start)}–${formatTime(segment.end)}: ` +
+                (segment.synced ? `${Math.round(confidence * 100)}% match` : 'no watermark grid found');
+            bar.addEventListener('click', () => {
+                videoPreview.currentTime = segment.start;
+            });
+            timelineTrack.appendChild(bar);
         }
+
+        timelineCoverage.textContent = `${Math.round(coverage * 100)}% marked`;
+        timelineEnd.textContent = formatTime(duration);
+        videoTimeline.classList.remove('hidden');
+    }
+
+    function formatTime(seconds) {
+        const whole = Math.round(seconds);
+        return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
     }
 
     // Display verification result
-    function showResult(type, title, subtitle, confidence, wmType, message) {
+    function showResult(type, title, subtitle, confidence, wmType, message, geometry) {
         resultIcon.className = `result-icon ${type}`;
 
         const icons = {
@@ -316,6 +627,7 @@
         watermarkType.textContent = wmType;
         confidenceValue.textContent = `${percent}%`;
         embeddedMessage.textContent = message || 'N/A';
+        geometryValue.textContent = geometry || 'N/A';
     }
 
     // Start when DOM is ready
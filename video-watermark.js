@@ -0,0 +1,225 @@
+/**
+ * Video Watermark Module
+ * Reads the robust watermark from a recorded video: samples frames at regular
+ * intervals, votes their bits together and reports which time ranges carry
+ * the mark. Recording embeds with RobustWatermark.createFrameEmbedder.
+ */
+
+const VideoWatermark = (() => {
+    const CONFIG = {
+        SAMPLE_INTERVAL: 1,   // Seconds between sampled frames
+        MAX_FRAMES: 30,       // Longer videos are sampled more sparsely
+        MARK_THRESHOLD: 0.6   // Bit agreement above which a frame counts as marked (unmarked is ~0.5)
+    };
+
+    // ========================================
+    // Frame Sampling (browser only)
+    // ========================================
+
+    function waitFor(video, event) {
+        return new Promise((resolve, reject) => {
+            const onEvent = () => {
+                cleanup();
+                resolve();
+            };
+            const onError = () => {
+                cleanup();
+                reject(new Error('Could not read video'));
+            };
+            const cleanup = () => {
+                video.removeEventListener(event, onEvent);
+                video.removeEventListener('error', onError);
+            };
+            video.addEventListener(event, onEvent);
+            video.addEventListener('error', onError);
+        });
+    }
+
+    async function seek(video, time) {
+        const seeked = waitFor(video, 'seeked');
+        video.currentTime = time;
+        await seeked;
+    }
+
+    // MediaRecorder WebM files carry no duration until the browser has seen the end
+    async function resolveDuration(video) {
+        if (Number.isFinite(video.duration)) {
+            return video.duration;
+        }
+        await seek(video, Number.MAX_SAFE_INTEGER);
+        return Number.isFinite(video.duration) ? video.duration : video.currentTime;
+    }
+
+    // Evenly spaced frames, each standing for the segment [start, end) around it
+    async function* frameSamples(source, options) {
+        const interval = options.interval || CONFIG.SAMPLE_INTERVAL;
+        const maxFrames = options.maxFrames || CONFIG.MAX_FRAMES;
+        const url = typeof source === 'string' ? source : URL.createObjectURL(source);
+
+        const video = document.createElement('video');
+        video.muted = true;
+        video.playsInline = true;
+        video.preload = 'auto';
+
+        try {
+            const loaded = waitFor(video, 'loadeddata');
+            video.src = url;
+            await loaded;
+
+            const duration = await resolveDuration(video);
+            const total = Math.max(1, Math.min(maxFrames, Math.ceil(duration / interval)));
+            const step = duration / total;
+
+            const canvas = document.createElement('canvas');
+            canvas.width = video.videoWidth;
+            canvas.height = video.videoHeight;
+            const ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+            for (let index = 0; index < total; index++) {
+                const start = index * step;
+                const time = start + step / 2;
+                await seek(video, time);
+                ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+                yield {
+                    index,
+                    total,
+                    duration,
+                    time,
+                    start,
+                    end: start + step,
+                    imageData: ctx.getImageData(0, 0, canvas.width, canvas.height)
+                };
+            }
+        } finally {
+            video.removeAttribute('src');
+            video.load();
+            if (url !== source) URL.revokeObjectURL(url);
+        }
+    }
+
+    /**
+     * Grabs evenly spaced frames from a video (browser only)
+     * @param {Blob|string} source - Video file or same-origin URL
+     * @param {Object} [options]
+     * @param {number} [options.interval] - Seconds between samples
+     * @param {number} [options.maxFrames] - Sample limit
+     * @param {Function} [options.onProgress] - (sampled, total) => void
+     * @returns {Promise<{duration: number, frames: Array<{time: number, start: number,
+     *   end: number, imageData: ImageData}>}>}
+     */
+    async function sampleFrames(source, options = {}) {
+        const frames = [];
+        let duration = 0;
+        for await (const { index, total, duration: length, time, start, end, imageData } of frameSamples(source, options)) {
+            frames.push({ time, start, end, imageData });
+            duration = length;
+            if (options.onProgress) options.onProgress(index + 1, total);
+        }
+        return { duration, frames };
+    }
+
+    // ========================================
+    // Extraction
+    // ========================================
+
+    function robustModule(options) {
+        const robust = options.robust || (typeof RobustWatermark !== 'undefined' ? RobustWatermark : null);
+        if (!robust) {
+            throw new Error('RobustWatermark module not loaded');
+        }
+        return robust;
+    }
+
+    /**
+     * Extracts the watermark from sampled frames and finds the marked time ranges
+     * @param {Array<{start: number, end: number, imageData: ImageData}>} frames - From sampleFrames
+     * @param {Object} [options]
+     * @param {Object} [options.robust] - RobustWatermark module (defaults to the browser global)
+     * @param {Array<{id: number, key: string}>} [options.keys] - Candidate keys
+     * @param {number} [options.strength] - Embedding strength, as for RobustWatermark.decode
+     * @returns {Object} Decode result as for RobustWatermark.decode, plus
+     *   `segments` ({start, end, synced, agreement, marked} per frame),
+     *   `ranges` ({start, end} of consecutive marked segments) and
+     *   `coverage` (marked fraction of the sampled time)
+     */
+    function extract(frames, options = {}) {
+        const result = robustModule(options).decodeFrames(
+            frames.map(frame => frame.imageData),
+            { keys: options.keys, strength: options.strength }
+        );
+        return summarize(frames, result);
+    }
+
+    /**
+     * Samples a video and extracts its watermark, reading each frame as it
+     * is sampled (browser only)
+     * @param {Blob|string} source - Video file or same-origin URL
+     * @param {Object} [options] - As for sampleFrames and extract; onProgress
+     *   counts frames read. The robust module's frame reader may return
+     *   promises (WatermarkClient.modules), so decoding can run in a worker
+     * @returns {Promise<Object>} As for extract, plus `duration`
+     */
+    async function analyze(source, options = {}) {
+        const reader = robustModule(options).createFrameReader({ keys: options.keys, strength: options.strength });
+        const frames = [];
+        let duration = 0;
+
+        for await (const { index, total, duration: length, start, end, imageData } of frameSamples(source, options)) {
+            await reader.add(imageData);
+            frames.push({ start, end });
+            duration = length;
+            if (options.onProgress) options.onProgress(index + 1, total);
+        }
+        return { ...summarize(frames, await reader.finish()), duration };
+    }
+
+    // Per-segment marks and the marked time ranges from a multi-frame decode
+    function summarize(frames, { frames: perFrame, ...result }) {
+        const recovered = result.found && !result.unrecoverable;
+
+        const segments = frames.map((frame, i) => ({
+            start: frame.start,
+            end: frame.end,
+            synced: perFrame[i].synced,
+            agreement: perFrame[i].agreement,
+            marked: recovered && perFrame[i].agreement !== null && perFrame[i].agreement >= CONFIG.MARK_THRESHOLD
+        }));
+
+        const ranges = [];
+        for (const segment of segments) {
+            if (!segment.marked) continue;
+            const last = ranges[ranges.length - 1];
+            if (last && Math.abs(last.end - segment.start) < 1e-6) {
+                last.end = segment.end;
+            } else {
+                ranges.push({ start: segment.start, end: segment.end });
+            }
+        }
+
+        const sampled = segments.reduce((total, s) => total + (s.end - s.start), 0);
+        const marked = ranges.reduce((total, r) => total + (r.end - r.start), 0);
+
+        return {
+            ...result,
+            segments,
+            ranges,
+            coverage: sampled > 0 ? marked / sampled : 0
+        };
+    }
+
+    // ========================================
+    // Public API
+    // ========================================
+
+    return {
+        sampleFrames,
+        extract,
+        analyze,
+        CONFIG: { ...CONFIG }
+    };
+})();
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VideoWatermark;
+}
@@ -0,0 +1,322 @@
+/**
+ * Watermark Client
+ * Runs the robust watermark codec and the fragile seal in a Web Worker
+ * (watermark-worker.js) so full-resolution images leave the page responsive.
+ * Falls back to the main-thread RobustWatermark and Steganography modules
+ * where workers are unavailable or the worker fails to start.
+ */
+
+const WatermarkClient = (() => {
+    const WORKER_URL = 'watermark-worker.js';
+
+    let worker = null;
+    let workerFailed = false;
+    let nextId = 1;
+    let nextReader = 1;
+    let nextEmbedder = 1;
+
+    // Requests awaiting an answer, by ID: { resolve, reject, onProgress }
+    const pending = new Map();
+
+    // ========================================
+    // Worker plumbing
+    // ========================================
+
+    function unavailable(message) {
+        const error = new Error(message);
+        error.workerUnavailable = true;
+        return error;
+    }
+
+    function getWorker() {
+        if (worker || workerFailed) return worker;
+        if (typeof Worker === 'undefined') {
+            workerFailed = true;
+            return null;
+        }
+
+        try {
+            worker = new Worker(WORKER_URL);
+        } catch (e) {
+            console.warn('Watermark worker unavailable, using the main thread:', e);
+            workerFailed = true;
+            return null;
+        }
+        worker.onmessage = handleMessage;
+        worker.onerror = handleError;
+        return worker;
+    }
+
+    function handleMessage({ data: { id, progress, result, error } }) {
+        const request = pending.get(id);
+        if (!request) return;
+
+        if (progress) {
+            if (request.onProgress) request.onProgress(progress.done, progress.total);
+            return;
+        }
+        pending.delete(id);
+        if (error) {
+            request.reject(new Error(error));
+        } else {
+            request.resolve(result);
+        }
+    }
+
+    // The script failed to load or the worker crashed: hand everything in
+    // flight back to the callers and stay on the main thread from now on
+    function handleError(event) {
+        event.preventDefault();
+        console.warn('Watermark worker failed, using the main thread:', event.message);
+        worker.terminate();
+        worker = null;
+        workerFailed = true;
+        for (const request of pending.values()) {
+            request.reject(unavailable(event.message || 'Watermark worker failed'));
+        }
+        pending.clear();
+    }
+
+    function run(task, args, onProgress = null) {
+        const target = getWorker();
+        if (!target) {
+            return Promise.reject(unavailable('Web Workers are not available'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const id = nextId++;
+            pending.set(id, { resolve, reject, onProgress });
+            target.postMessage({ id, task, args }, args.image ? [args.image.buffer] : []);
+        });
+    }
+
+    // A copy of the pixels to transfer, so the caller's ImageData stays usable
+    function transferable(imageData) {
+        return { buffer: imageData.data.slice().buffer, width: imageData.width, height: imageData.height };
+    }
+
+    // The frame's own pixels, given up by the caller (no copy per frame)
+    function transferredFrame(imageData) {
+        return { buffer: imageData.data.buffer, width: imageData.width, height: imageData.height };
+    }
+
+    function toImageData({ buffer, width, height }) {
+        return new ImageData(new Uint8ClampedArray(buffer), width, height);
+    }
+
+    function mainThread() {
+        if (typeof RobustWatermark === 'undefined') {
+            throw new Error('RobustWatermark module not loaded');
+        }
+        return RobustWatermark;
+    }
+
+    function mainThreadSeal() {
+        if (typeof Steganography === 'undefined') {
+            throw new Error('Steganography module not loaded');
+        }
+        return Steganography;
+    }
+
+    // ========================================
+    // Codec
+    // ========================================
+
+    /**
+     * Embeds the robust watermark, as RobustWatermark.encode
+     * @param {ImageData} imageData - Image to mark (left unchanged)
+     * @param {Uint8Array|string} message - As for RobustWatermark.encode
+     * @param {Object} [options] - As for RobustWatermark.encode
+     * @returns {Promise<Object>} As for RobustWatermark.encode
+     */
+    async function encode(imageData, message, options = {}) {
+        const { onProgress, ...codecOptions } = options;
+        try {
+            const { image, ...result } = await run('encode',
+                { image: transferable(imageData), message, options: codecOptions }, onProgress);
+            return { ...result, imageData: toImageData(image) };
+        } catch (e) {
+            if (!e.workerUnavailable) throw e;
+            return mainThread().encode(imageData, message, options);
+        }
+    }
+
+    /**
+     * Decodes the robust watermark, as RobustWatermark.decode
+     * @param {ImageData} imageData - Image to check (left unchanged)
+     * @param {Object} [options] - { keys, key, keyId, strength, onProgress }
+     * @returns {Promise<Object>} As for RobustWatermark.decode
+     */
+    async function decode(imageData, options = {}) {
+        const { onProgress, ...codecOptions } = options;
+        try {
+            return await run('decode', { image: transferable(imageData), options: codecOptions }, onProgress);
+        } catch (e) {
+            if (!e.workerUnavailable) throw e;
+            return mainThread().decode(imageData, options);
+        }
+    }
+
+    // ========================================
+    // Fragile seal
+    // ========================================
+
+    /**
+     * Seals the image, as Steganography.seal
+     * @param {ImageData} imageData - Image to seal (left unchanged)
+     * @param {Object} [options] - As for Steganography.seal
+     * @returns {Promise<ImageData>}
+     */
+    async function seal(imageData, options = {}) {
+        try {
+            return toImageData(await run('seal', { image: transferable(imageData), options }));
+        } catch (e) {
+            if (!e.workerUnavailable) throw e;
+            return mainThreadSeal().seal(imageData, options);
+        }
+    }
+
+    /**
+     * Checks the seal, as Steganography.checkSeal
+     * @param {ImageData} imageData - Image to check (left unchanged)
+     * @param {Object} [options] - As for Steganography.checkSeal
+     * @returns {Promise<Object|null>} As for Steganography.checkSeal
+     */
+    async function checkSeal(imageData, options = {}) {
+        try {
+            return await run('checkSeal', { image: transferable(imageData), options });
+        } catch (e) {
+            if (!e.workerUnavailable) throw e;
+            return mainThreadSeal().checkSeal(imageData, options);
+        }
+    }
+
+    /**
+     * RobustWatermark.createFrameEmbedder in the worker, for marking video
+     * frames while recording. Each frame's pixels are transferred to the
+     * worker and back, so embed() takes ownership of the ImageData it is given.
+     * Uses the main thread if the worker is unavailable, including when it
+     * fails mid-recording: the frame in flight is lost, later ones are marked
+     * on the main thread.
+     * @param {number} width - Frame width
+     * @param {number} height - Frame height
+     * @param {Uint8Array|string} message - As for RobustWatermark.encode
+     * @param {Object} [options] - As for RobustWatermark.encode
+     * @returns {Promise<{embed: function(ImageData): Promise<ImageData>, close: function(): void, bitsEmbedded: number}>}
+     */
+    async function createFrameEmbedder(width, height, message, options = {}) {
+        const embedder = nextEmbedder++;
+        let local = null;
+        const onMainThread = () => {
+            local = local || mainThread().createFrameEmbedder(width, height, message, options);
+            return local;
+        };
+
+        let bitsEmbedded;
+        try {
+            ({ bitsEmbedded } = await run('embedderCreate', { embedder, width, height, message, options }));
+        } catch (e) {
+            if (!e.workerUnavailable) throw e;
+            bitsEmbedded = onMainThread().bitsEmbedded;
+        }
+
+        return {
+            embed: async imageData => {
+                if (!local) {
+                    try {
+                        return toImageData(await run('embedderEmbed', { embedder, image: transferredFrame(imageData) }));
+                    } catch (e) {
+                        if (!e.workerUnavailable) throw e;
+                        onMainThread();
+                        // Pixels already sent went down with the worker
+                        if (imageData.data.byteLength === 0) throw e;
+                    }
+                }
+                return onMainThread().embed(imageData);
+            },
+            close: () => {
+                if (!local) run('embedderClose', { embedder }).catch(() => {});
+            },
+            bitsEmbedded
+        };
+    }
+
+    /**
+     * RobustWatermark.createFrameReader in the worker; add() and finish()
+     * return promises. Uses the main thread if the worker is unavailable,
+     * including when it fails before reading a frame; once it has read
+     * frames, its failure rejects rather than lose them.
+     * @param {Object} [options] - As for RobustWatermark.decode
+     * @returns {{add: function(ImageData): Promise<Object>, finish: function(): Promise<Object>}}
+     */
+    function createFrameReader(options = {}) {
+        if (!getWorker()) {
+            return mainThread().createFrameReader(options);
+        }
+
+        const reader = nextReader++;
+        let local = null;
+        let added = 0;
+        const onMainThread = e => {
+            if (!e.workerUnavailable || added > 0) throw e;
+            local = local || mainThread().createFrameReader(options);
+        };
+
+        const created = run('readerCreate', { reader, options }).catch(onMainThread);
+        return {
+            add: async imageData => {
+                await created;
+                if (!local) {
+                    try {
+                        const result = await run('readerAdd', { reader, image: transferable(imageData) });
+                        added++;
+                        return result;
+                    } catch (e) {
+                        onMainThread(e);
+                    }
+                }
+                return local.add(imageData);
+            },
+            finish: async () => {
+                await created;
+                if (!local) {
+                    try {
+                        return await run('readerFinish', { reader });
+                    } catch (e) {
+                        onMainThread(e);
+                    }
+                }
+                return local.finish();
+            }
+        };
+    }
+
+    /**
+     * Decoder modules for Verifier.verify and verifyVideo, with the robust
+     * decoding and the seal check done in the worker
+     * @returns {{robust: Object|null, lsb: Object|null}}
+     */
+    function modules() {
+        const robust = typeof RobustWatermark !== 'undefined' ? RobustWatermark : null;
+        const lsb = typeof Steganography !== 'undefined' ? Steganography : null;
+        return {
+            robust: robust && { ...robust, encode, decode, createFrameReader },
+            lsb: lsb && { ...lsb, checkSeal }
+        };
+    }
+
+    /**
+     * Starts the worker ahead of the first task, so its scripts are loaded
+     * by the time they are needed
+     */
+    function start() {
+        getWorker();
+    }
+
+    return { encode, decode, seal, checkSeal, createFrameEmbedder, createFrameReader, modules, start };
+})();
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WatermarkClient;
+}
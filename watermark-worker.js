@@ -0,0 +1,92 @@
+/**
+ * Watermark Worker
+ * Runs the robust watermark codec and the fragile seal off the main thread for
+ * WatermarkClient, so encoding or decoding a full-resolution image never
+ * freezes the page.
+ *
+ * Requests are { id, task, args }; the worker answers { id, progress: {done, total} }
+ * while it works, then { id, result } or { id, error }. Pixels travel as
+ * transferred ArrayBuffers in both directions.
+ */
+
+importScripts('payload.js', 'robust-watermark.js', 'steganography.js');
+
+// Frame readers of the videos being checked, by client-assigned ID
+const readers = new Map();
+// Frame embedders of the recordings in progress, likewise
+const embedders = new Map();
+
+function pixels({ buffer, width, height }) {
+    return new ImageData(new Uint8ClampedArray(buffer), width, height);
+}
+
+// Each task returns { result, transfer }
+const tasks = {
+    encode({ image, message, options }, onProgress) {
+        const { imageData, ...rest } = RobustWatermark.encode(pixels(image), message, { ...options, onProgress });
+        const buffer = imageData.data.buffer;
+        return {
+            result: { image: { buffer, width: imageData.width, height: imageData.height }, ...rest },
+            transfer: [buffer]
+        };
+    },
+
+    decode({ image, options }, onProgress) {
+        return { result: RobustWatermark.decode(pixels(image), { ...options, onProgress }) };
+    },
+
+    seal({ image, options }) {
+        const imageData = Steganography.seal(pixels(image), options);
+        const buffer = imageData.data.buffer;
+        return { result: { buffer, width: imageData.width, height: imageData.height }, transfer: [buffer] };
+    },
+
+    checkSeal({ image, options }) {
+        return { result: Steganography.checkSeal(pixels(image), options) };
+    },
+
+    embedderCreate({ embedder, width, height, message, options }) {
+        const created = RobustWatermark.createFrameEmbedder(width, height, message, options);
+        embedders.set(embedder, created);
+        return { result: { bitsEmbedded: created.bitsEmbedded } };
+    },
+
+    embedderEmbed({ embedder, image }) {
+        const imageData = embedders.get(embedder).embed(pixels(image));
+        const buffer = imageData.data.buffer;
+        return { result: { buffer, width: imageData.width, height: imageData.height }, transfer: [buffer] };
+    },
+
+    embedderClose({ embedder }) {
+        embedders.delete(embedder);
+        return { result: null };
+    },
+
+    readerCreate({ reader, options }) {
+        readers.set(reader, RobustWatermark.createFrameReader(options));
+        return { result: null };
+    },
+
+    readerAdd({ reader, image }) {
+        return { result: readers.get(reader).add(pixels(image)) };
+    },
+
+    readerFinish({ reader }) {
+        const result = readers.get(reader).finish();
+        readers.delete(reader);
+        return { result };
+    }
+};
+
+self.onmessage = ({ data: { id, task, args } }) => {
+    const onProgress = (done, total) => self.postMessage({ id, progress: { done, total } });
+    try {
+        if (!tasks[task]) {
+            throw new Error(`Unknown watermark task: ${task}`);
+        }
+        const { result, transfer = [] } = tasks[task](args, onProgress);
+        self.postMessage({ id, result }, transfer);
+    } catch (e) {
+        self.postMessage({ id, error: e.message });
+    }
+};
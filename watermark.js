@@ -130,3 +130,8 @@ const Watermark = (() => {
 
     return { applyVisible, defaultSettings };
 })();
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Watermark;
+}